@@ -0,0 +1,306 @@
+'use strict';
+
+const express = require('express');
+const { validateAddRequest, validateRemoveRequest } = require('./customLists');
+const allowlist = require('./allowlist');
+const datasetChanges = require('./datasetChanges');
+const generationHistory = require('./generationHistory');
+const update = require('./update');
+const appConfig = require('./config');
+const logger = require('./logger').child({ module: 'admin' });
+
+/**
+ * Create the router for admin endpoints
+ * Authentication is applied to every /admin path before this router is mounted.
+ * @param {Object} options - Router options
+ * @param {Function} options.getCustomLists - Returns the started CustomListStore
+ * @param {Function} options.getAllowlist - Returns the started AllowlistStore
+ * @param {Function} options.getRedis - Returns the Redis connection
+ * @param {Function} options.getRedisPrefix - Returns the Redis key prefix
+ * @param {Object} options.clientAccess - Client key helpers from createClientAccess()
+ * @returns {express.Router} Admin router
+ */
+function createAdminRouter({ getCustomLists, getAllowlist, getRedis, getRedisPrefix, clientAccess }) {
+    const router = express.Router();
+
+    // Custom lists and their entry counts
+    router.get('/admin/lists', async (req, res) => {
+        try {
+            res.json({ lists: await getCustomLists().lists() });
+        } catch (error) {
+            logger.error({ error: error.message }, 'Failed to read custom lists');
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Entries of one custom list
+    router.get('/admin/lists/:name/entries', async (req, res) => {
+        try {
+            res.json({ list: req.params.name, entries: await getCustomLists().entries(req.params.name) });
+        } catch (error) {
+            logger.error({ error: error.message, list: req.params.name }, 'Failed to read custom list');
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Add entries (IPs, CIDRs or ranges) to a custom list
+    router.post('/admin/lists/:name/entries', async (req, res) => {
+        const { error, value } = validateAddRequest(req.params.name, req.body);
+        if (error) {
+            return res.status(422).json({ error });
+        }
+        try {
+            res.status(201).json(await getCustomLists().add(req.params.name, value));
+        } catch (err) {
+            logger.error({ error: err.message, list: req.params.name }, 'Failed to add custom list entries');
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Remove entries from a custom list
+    router.delete('/admin/lists/:name/entries', async (req, res) => {
+        const { error, value } = validateRemoveRequest(req.params.name, req.body);
+        if (error) {
+            return res.status(422).json({ error });
+        }
+        try {
+            res.json(await getCustomLists().remove(req.params.name, value));
+        } catch (err) {
+            logger.error({ error: err.message, list: req.params.name }, 'Failed to remove custom list entries');
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Allowlist entries from the file and the admin API
+    router.get('/admin/allowlist', async (req, res) => {
+        try {
+            const store = getAllowlist();
+            await store.ready();
+            res.json({ entries: store.entries() });
+        } catch (error) {
+            logger.error({ error: error.message }, 'Failed to read allowlist');
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Add allowlist entries
+    router.post('/admin/allowlist', async (req, res) => {
+        const { error, value } = allowlist.validateAddRequest(req.body);
+        if (error) {
+            return res.status(422).json({ error });
+        }
+        try {
+            res.status(201).json(await getAllowlist().add(value));
+        } catch (err) {
+            logger.error({ error: err.message }, 'Failed to add allowlist entries');
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Remove allowlist entries added through the API
+    router.delete('/admin/allowlist', async (req, res) => {
+        const { error, value } = allowlist.validateRemoveRequest(req.body);
+        if (error) {
+            return res.status(422).json({ error });
+        }
+        try {
+            res.json(await getAllowlist().remove(value));
+        } catch (err) {
+            logger.error({ error: err.message }, 'Failed to remove allowlist entries');
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Ranges added to and removed from lists by recent loads
+    router.get('/admin/changes', async (req, res) => {
+        const limit = req.query.limit === undefined ? 1000 : parseInt(req.query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 0 || limit > 10000) {
+            return res.status(422).json({ error: 'limit must be between 0 and 10000' });
+        }
+        try {
+            const result = await datasetChanges.readChanges(getRedis(), getRedisPrefix(), {
+                since: req.query.since,
+                list: req.query.list,
+                limit
+            });
+            if (result === null) {
+                return res.status(422).json({ error: 'since must be a generation or an ISO date' });
+            }
+            res.json(result);
+        } catch (error) {
+            logger.error({ error: error.message }, 'Failed to read dataset changes');
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Retained dataset generations
+    router.get('/admin/generations', async (req, res) => {
+        try {
+            const { active, generations } = await generationHistory.listGenerations(getRedis(), getRedisPrefix());
+            res.json({ active, retain: appConfig.generations.retain, generations });
+        } catch (error) {
+            logger.error({ error: error.message }, 'Failed to read generations');
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Switch the active dataset to a retained generation (or `previous`)
+    router.post('/admin/generations/:generation/activate', async (req, res) => {
+        const target = req.params.generation;
+        if (target !== 'previous' && !/^\d+$/.test(target)) {
+            return res.status(422).json({ error: 'generation must be a number or "previous"' });
+        }
+        try {
+            res.json(await generationHistory.switchGeneration(getRedis(), getRedisPrefix(), target));
+        } catch (error) {
+            const status = { NOT_FOUND: 404, ALREADY_ACTIVE: 409, LOCKED: 409 }[error.code];
+            if (status) {
+                return res.status(status).json({ error: error.message });
+            }
+            logger.error({ error: error.message, generation: target }, 'Failed to switch generation');
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Request counts per client API key
+    router.get('/admin/usage', async (req, res) => {
+        const maxDays = appConfig.clients.usageRetentionDays;
+        const days = req.query.days === undefined ? Math.min(7, maxDays) : parseInt(req.query.days, 10);
+        if (!Number.isInteger(days) || days < 1 || days > maxDays) {
+            return res.status(422).json({ error: `days must be between 1 and ${maxDays}` });
+        }
+        try {
+            res.json(await clientAccess.usage({ days }));
+        } catch (error) {
+            logger.error({ error: error.message }, 'Failed to read client usage');
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Start an update (plugins, CSV rebuild and load) in this process
+    router.post('/admin/update', async (req, res) => {
+        const { error, value } = update.validateUpdateRequest(req.body);
+        if (error) {
+            return res.status(422).json({ error });
+        }
+        try {
+            const job = await update.startUpdate({
+                redisPrefix: getRedisPrefix(),
+                download: value.download,
+                process: value.process,
+                load: value.load,
+                plugins: value.download ? update.selectPlugins(value.plugins) : [],
+                snapshot: value.snapshot,
+                collectGarbage: appConfig.app.collectGarbage,
+                trigger: 'api',
+                requestedBy: req.admin.name
+            });
+            // Failures are recorded in the job status
+            job.done.catch(() => {});
+            res.status(202).json({ jobId: job.jobId, status: 'in_progress', options: value });
+        } catch (err) {
+            if (err.code === 'INVALID_PLUGINS') {
+                return res.status(422).json({ error: err.message });
+            }
+            if (err.code === 'LOCKED') {
+                return res.status(409).json({ error: err.message, ...(err.jobId && { jobId: err.jobId }) });
+            }
+            logger.error({ error: err.message }, 'Failed to start update');
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Status of an update job, as JSON or a Server-Sent Events stream
+    router.get('/admin/update/:id', async (req, res) => {
+        let job;
+        try {
+            job = await update.getJob(getRedis(), getRedisPrefix(), req.params.id);
+        } catch (error) {
+            logger.error({ error: error.message, jobId: req.params.id }, 'Failed to read update job');
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+        if (!job) {
+            return res.status(404).json({ error: 'job not found' });
+        }
+        if (req.accepts(['json', 'text/event-stream']) !== 'text/event-stream') {
+            return res.json(job);
+        }
+        streamJob(req, res, job);
+    });
+
+    /**
+     * Stream job status changes as Server-Sent Events until the job ends
+     * The job key is polled; each change is sent as a `status` event.
+     * @param {express.Request} req - Express request
+     * @param {express.Response} res - Express response
+     * @param {Object} job - Current job status
+     */
+    function streamJob(req, res, job) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+
+        let last = null;
+        let poll = null;
+        let heartbeat = null;
+        // Set once the client disconnects or the stream ends, so a poll still
+        // waiting on Redis neither writes nor reschedules
+        let closed = false;
+        const stop = () => {
+            closed = true;
+            clearTimeout(poll);
+            clearInterval(heartbeat);
+        };
+        const send = (status) => {
+            const data = JSON.stringify(status);
+            if (data !== last) {
+                last = data;
+                res.write(`event: status\ndata: ${data}\n\n`);
+            }
+            if (update.FINAL_STATUSES.includes(status.status)) {
+                stop();
+                res.end();
+                return false;
+            }
+            return true;
+        };
+        const next = () => {
+            poll = setTimeout(async () => {
+                try {
+                    const status = await update.getJob(getRedis(), getRedisPrefix(), job.jobId);
+                    if (closed) {
+                        return;
+                    }
+                    if (!status) {
+                        res.write('event: error\ndata: {"error":"job expired"}\n\n');
+                        stop();
+                        return res.end();
+                    }
+                    if (send(status)) {
+                        next();
+                    }
+                } catch (error) {
+                    logger.warn({ error: error.message, jobId: job.jobId }, 'Failed to poll update job');
+                    if (!closed) {
+                        next();
+                    }
+                }
+            }, 1000);
+        };
+
+        req.on('close', stop);
+        heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+        if (send(job)) {
+            next();
+        }
+    }
+
+    return router;
+}
+
+module.exports = {
+    createAdminRouter
+};
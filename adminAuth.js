@@ -0,0 +1,152 @@
+'use strict';
+
+const crypto = require('crypto');
+const logger = require('./logger').child({ module: 'adminAuth' });
+const auditLogger = require('./logger').child({ module: 'audit' });
+
+/**
+ * Admin roles, weakest first
+ * `read-only` may call GET endpoints, `operator` may also change state.
+ */
+const ROLES = ['read-only', 'operator'];
+
+/**
+ * Extract the credential from request headers
+ * Accepts `Authorization: Bearer <token>` or `X-API-Key: <token>`
+ * @param {Object} headers - Request headers (lowercase names)
+ * @returns {string|null} Token, or null if none was sent
+ */
+function extractToken(headers = {}) {
+    const authorization = headers.authorization;
+    if (typeof authorization === 'string' && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+    const apiKey = headers['x-api-key'];
+    return typeof apiKey === 'string' && apiKey ? apiKey.trim() : null;
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} a - First secret
+ * @param {string} b - Second secret
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Role needed for an HTTP method
+ * @param {string} method - HTTP method
+ * @returns {string} `read-only` for safe methods, `operator` otherwise
+ */
+function requiredRole(method) {
+    return ['GET', 'HEAD', 'OPTIONS'].includes(method) ? 'read-only' : 'operator';
+}
+
+/**
+ * Create admin authentication helpers
+ * Admin endpoints are disabled entirely when no key is configured.
+ * @param {Object} options - Auth options
+ * @param {Array<{name: string, role: string, key: string}>} [options.keys=[]] - Admin API keys
+ * @returns {{enabled: boolean, authenticate: Function, authorize: Function, audit: Function, middleware: Function}} Auth helpers
+ */
+function createAdminAuth({ keys = [] } = {}) {
+    const enabled = keys.length > 0;
+
+    /**
+     * Identify the caller presenting a token
+     * Every key is compared so the time taken does not reveal which one matched.
+     * @param {string|null} presented - Token presented by the caller
+     * @returns {{name: string, role: string}|null} Caller identity, or null if the token is invalid
+     */
+    function authenticate(presented) {
+        if (!enabled || typeof presented !== 'string' || presented.length === 0) {
+            return null;
+        }
+        let identity = null;
+        for (const { name, role, key } of keys) {
+            if (safeEqual(presented, key) && !identity) {
+                identity = { name, role };
+            }
+        }
+        return identity;
+    }
+
+    /**
+     * Check whether an identity holds a role
+     * @param {{role: string}|null} identity - Caller identity
+     * @param {string} role - Required role
+     * @returns {boolean} True if the identity's role is at least `role`
+     */
+    function authorize(identity, role) {
+        return Boolean(identity) && ROLES.indexOf(identity.role) >= ROLES.indexOf(role);
+    }
+
+    /**
+     * Write an audit log entry for an admin action
+     * @param {{name: string, role: string}|null} identity - Caller identity (null if unauthenticated)
+     * @param {string} action - Action performed, e.g. `POST /admin/lists/blocked/entries`
+     * @param {Object} details - Outcome and request details
+     */
+    function audit(identity, action, details) {
+        auditLogger.info({
+            audit: true,
+            actor: identity ? identity.name : null,
+            role: identity ? identity.role : null,
+            action,
+            ...details
+        }, 'Admin action');
+    }
+
+    /**
+     * Express middleware authenticating admin requests
+     * GET requests need `read-only`, anything else `operator`. The caller
+     * identity is attached as `req.admin` and every request is audited with
+     * its response status once it finishes.
+     * @param {express.Request} req - Express request
+     * @param {express.Response} res - Express response
+     * @param {Function} next - Next middleware
+     */
+    function middleware(req, res, next) {
+        const action = `${req.method} ${req.baseUrl}${req.path}`;
+        if (!enabled) {
+            return res.status(403).json({ error: 'admin API is disabled' });
+        }
+
+        const identity = authenticate(extractToken(req.headers));
+        if (!identity) {
+            logger.warn({ method: req.method, path: req.path, ip: req.ip }, 'Rejected admin request');
+            audit(null, action, { outcome: 'unauthenticated', status: 401, ip: req.ip });
+            return res.status(401).json({ error: 'unauthorized' });
+        }
+
+        const role = requiredRole(req.method);
+        if (!authorize(identity, role)) {
+            audit(identity, action, { outcome: 'forbidden', status: 403, ip: req.ip });
+            return res.status(403).json({ error: `${role} role required` });
+        }
+
+        req.admin = identity;
+        res.on('finish', () => {
+            audit(identity, action, {
+                outcome: res.statusCode < 400 ? 'success' : 'failure',
+                status: res.statusCode,
+                ip: req.ip,
+                ...(Object.keys(req.query || {}).length > 0 && { query: req.query })
+            });
+        });
+        next();
+    }
+
+    return { enabled, authenticate, authorize, audit, middleware };
+}
+
+module.exports = {
+    ROLES,
+    extractToken,
+    requiredRole,
+    createAdminAuth
+};
@@ -0,0 +1,351 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const ipRange = require('./ipRange');
+const { normalizeEntry, MAX_ENTRIES_PER_REQUEST } = require('./customLists');
+const { RedisMirror } = require('./redisMirror');
+const logger = require('./logger').child({ module: 'allowlist' });
+
+/**
+ * How matching memberships are treated
+ * `remove` drops them from the result, `annotate` keeps them with an `override`
+ * field and leaves them out of the risk score.
+ */
+const MODES = ['remove', 'annotate'];
+
+/**
+ * Allowlist entry fields shared by the file and the admin API
+ */
+const entryFields = {
+    entry: Joi.string().required(),
+    reason: Joi.string().max(256).required(),
+    owner: Joi.string().max(128).required(),
+    // List names the override applies to (default: every list)
+    lists: Joi.array().items(Joi.string()).min(1)
+};
+
+const fileSchema = Joi.array().items(Joi.object(entryFields));
+
+const addSchema = Joi.object({
+    entries: Joi.array().items(Joi.object({
+        ...entryFields,
+        // Expiry in seconds (default: never)
+        ttl: Joi.number().integer().min(1)
+    })).min(1).max(MAX_ENTRIES_PER_REQUEST).required()
+});
+
+const removeSchema = Joi.object({
+    entries: Joi.array().items(Joi.string()).min(1).max(MAX_ENTRIES_PER_REQUEST).required()
+});
+
+/**
+ * Find entries that are not valid IPs, CIDRs or ranges
+ * @param {Array<string>} entries - Entries to check
+ * @returns {string|null} Error message, or null if all are valid
+ */
+function invalidEntries(entries) {
+    const invalid = entries.filter(entry => !normalizeEntry(entry));
+    return invalid.length > 0 ? `invalid entries: ${invalid.slice(0, 10).join(', ')}` : null;
+}
+
+/**
+ * Load allowlist entries from a JSON file
+ * A missing file means no file entries.
+ * @param {string} file - Path to the allowlist file
+ * @returns {Array<Object>} Validated entries
+ * @throws {Error} If the file cannot be parsed or fails validation
+ */
+function loadAllowlistFile(file) {
+    if (!file || !fs.existsSync(file)) {
+        return [];
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Allowlist configuration error: ${error.message}`);
+    }
+
+    const { error, value } = fileSchema.validate(raw, { abortEarly: false });
+    if (error) {
+        const errorMessages = error.details.map(detail => detail.message).join(', ');
+        throw new Error(`Allowlist configuration error: ${errorMessages}`);
+    }
+    const invalid = invalidEntries(value.map(entry => entry.entry));
+    if (invalid) {
+        throw new Error(`Allowlist configuration error: ${invalid}`);
+    }
+
+    logger.info({ file: path.resolve(file), entries: value.length }, 'Loaded allowlist');
+    return value;
+}
+
+/**
+ * Validate an add request
+ * @param {Object} body - `{entries: [{entry, reason, owner, lists?, ttl?}]}`
+ * @returns {{error: (string|null), value: Object}} Validation result
+ */
+function validateAddRequest(body) {
+    const { error, value } = addSchema.validate(body || {}, { abortEarly: false });
+    if (error) {
+        return { error: error.details.map(detail => detail.message).join(', ') };
+    }
+    const invalid = invalidEntries(value.entries.map(entry => entry.entry));
+    return invalid ? { error: invalid } : { error: null, value };
+}
+
+/**
+ * Validate a remove request
+ * @param {Object} body - `{entries}`
+ * @returns {{error: (string|null), value: Object}} Validation result
+ */
+function validateRemoveRequest(body) {
+    const { error, value } = removeSchema.validate(body || {}, { abortEarly: false });
+    if (error) {
+        return { error: error.details.map(detail => detail.message).join(', ') };
+    }
+    const invalid = invalidEntries(value.entries);
+    return invalid ? { error: invalid } : { error: null, value };
+}
+
+/**
+ * Apply matching allowlist entries to a lookup result
+ * Each membership is overridden by the first entry that covers it. Overrides
+ * that applied are listed in `result.overrides` with the lists they suppressed.
+ * @param {Object} result - Lookup result (modified in place)
+ * @param {Array<Object>} matches - Allowlist entries covering the address, from match()
+ * @param {string} [mode='remove'] - One of MODES
+ * @returns {Object} The result
+ */
+function applyAllowlist(result, matches, mode = 'remove') {
+    if (!result || !Array.isArray(result.list) || matches.length === 0) {
+        return result;
+    }
+
+    const applied = new Map();
+    const kept = [];
+    for (const membership of result.list) {
+        const match = matches.find(entry => !entry.lists || entry.lists.includes(membership.name));
+        if (!match) {
+            kept.push(membership);
+            continue;
+        }
+        if (!applied.has(match)) {
+            applied.set(match, []);
+        }
+        applied.get(match).push(membership.name);
+        if (mode === 'annotate') {
+            membership.override = { entry: match.entry, reason: match.reason, owner: match.owner };
+            kept.push(membership);
+        }
+    }
+
+    if (applied.size > 0) {
+        result.list = kept;
+        result.overrides = [...applied].map(([match, suppressed]) => ({
+            entry: match.entry,
+            reason: match.reason,
+            owner: match.owner,
+            origin: match.origin,
+            suppressed
+        }));
+    }
+    return result;
+}
+
+/**
+ * Allowlist of networks whose list memberships are overridden
+ * Combines entries from the allowlist file with entries managed through the
+ * admin API. API entries are stored in Redis and mirrored in-process like
+ * custom lists: changes bump a version counter and are published, with
+ * periodic polling as a fallback. Emits 'change' with the new version after a reload.
+ */
+class AllowlistStore extends RedisMirror {
+    /**
+     * @param {Object} options - Store options
+     * @param {Redis} options.redis - Redis connection
+     * @param {string} options.redisPrefix - Redis key prefix
+     * @param {Array<Object>} [options.fileEntries=[]] - Entries from loadAllowlistFile()
+     * @param {number} [options.refreshMs=5000] - Polling interval in ms
+     */
+    constructor({ redis, redisPrefix, fileEntries = [], refreshMs = 5000 }) {
+        super({ redis, redisPrefix, name: 'allowlist', refreshMs });
+        this.version = null;
+        this._fileEntries = fileEntries.map(entry => this._compile(entry, 'file'));
+        this._entries = this._fileEntries;
+        this._index = ipRange.createRangeIndex(this._entries);
+    }
+
+    /**
+     * Key holding API-managed entries
+     * @returns {string} Key name
+     */
+    get entriesKey() {
+        return this.redisPrefix + 'allowlist';
+    }
+
+    /**
+     * Key holding the change counter (also the pub/sub channel)
+     * @returns {string} Key name
+     */
+    get versionKey() {
+        return this.redisPrefix + 'allowlist:version';
+    }
+
+    /**
+     * Changes are announced on the version key
+     * @returns {string} Channel name
+     */
+    get channel() {
+        return this.versionKey;
+    }
+
+    /**
+     * @param {Error} error - Load error
+     * @protected
+     */
+    _onLoadError(error) {
+        logger.warn({ error: error.message }, 'Failed to load allowlist');
+    }
+
+    /**
+     * Attach the parsed range to an entry
+     * @param {Object} entry - Stored entry
+     * @param {string} origin - `file` or `api`
+     * @returns {Object} Entry with version, start and end
+     * @private
+     */
+    _compile(entry, origin) {
+        const { key, version, start, end } = normalizeEntry(entry.entry);
+        return { ...entry, key, origin, version, start, end };
+    }
+
+    /**
+     * Reload API entries if the stored version changed
+     * @param {boolean} [force=false] - Reload even if the version is unchanged
+     * @returns {Promise<void>}
+     */
+    async refresh(force = false) {
+        const version = (await this.redis.get(this.versionKey)) || '0';
+        if (!force && version === this.version) {
+            return;
+        }
+
+        const stored = await this.redis.hgetall(this.entriesKey);
+        const entries = [];
+        const expired = [];
+        const now = Date.now();
+        for (const [key, raw] of Object.entries(stored || {})) {
+            try {
+                const entry = JSON.parse(raw);
+                if (entry.expiresAt && Date.parse(entry.expiresAt) <= now) {
+                    expired.push(key);
+                    continue;
+                }
+                entries.push(this._compile(entry, 'api'));
+            } catch (error) {
+                logger.warn({ key, error: error.message }, 'Skipping corrupt allowlist entry');
+            }
+        }
+        if (expired.length > 0) {
+            await this.redis.hdel(this.entriesKey, ...expired).catch(() => {});
+        }
+
+        this._entries = this._fileEntries.concat(entries);
+        this._index = ipRange.createRangeIndex(this._entries);
+        this.version = version;
+        this.emit('change', version);
+    }
+
+    /**
+     * Find allowlist entries covering an address
+     * File entries come first, then API entries.
+     * @param {string} ip - IPv4 or IPv6 address
+     * @returns {Array<Object>} Matching entries, empty if none
+     */
+    match(ip) {
+        const parsed = ipRange.parseIP(ip);
+        if (!parsed) {
+            return [];
+        }
+        return this.matchRange({ version: parsed.version, start: parsed.value, end: parsed.value });
+    }
+
+    /**
+     * Find allowlist entries overlapping a range
+     * @param {{version: number, start: (number|bigint), end: (number|bigint)}} range - Range from parseRangeQuery()
+     * @returns {Array<Object>} Matching entries with their bounds, file entries first
+     */
+    matchRange(range) {
+        if (this._index.size === 0) {
+            return [];
+        }
+        const now = Date.now();
+        return this._index.overlapping(range.version, range.start, range.end)
+            .filter(entry => !(entry.expiresAt && Date.parse(entry.expiresAt) <= now));
+    }
+
+    /**
+     * Add or replace API-managed entries
+     * @param {Object} request - Validated request from validateAddRequest()
+     * @returns {Promise<{added: Array<Object>}>} Stored entries
+     */
+    async add(request) {
+        const now = Date.now();
+        const fields = [];
+        const added = [];
+        for (const { ttl, ...item } of request.entries) {
+            const { key } = normalizeEntry(item.entry);
+            const stored = {
+                ...item,
+                addedAt: new Date(now).toISOString(),
+                ...(ttl && { expiresAt: new Date(now + ttl * 1000).toISOString() })
+            };
+            fields.push(key, JSON.stringify(stored));
+            added.push({ key, ...stored });
+        }
+
+        await this.redis.hset(this.entriesKey, ...fields);
+        await this._changed();
+        logger.info({ entries: added.map(e => ({ key: e.key, owner: e.owner, reason: e.reason })) }, 'Allowlist entries added');
+        return { added };
+    }
+
+    /**
+     * Remove API-managed entries
+     * File entries can only be removed by editing the file.
+     * @param {Object} request - Validated request from validateRemoveRequest()
+     * @returns {Promise<{removed: number}>} Number of entries removed
+     */
+    async remove(request) {
+        const keys = request.entries.map(entry => normalizeEntry(entry).key);
+        const removed = await this.redis.hdel(this.entriesKey, ...keys);
+        await this._changed();
+        logger.info({ entries: keys, removed }, 'Allowlist entries removed');
+        return { removed };
+    }
+
+    /**
+     * Get every active entry with its origin
+     * @returns {Array<Object>} Entries without their parsed range
+     */
+    entries() {
+        const now = Date.now();
+        return this._entries
+            .filter(entry => !(entry.expiresAt && Date.parse(entry.expiresAt) <= now))
+            .map(({ version, start, end, ...entry }) => entry);
+    }
+
+}
+
+module.exports = {
+    MODES,
+    loadAllowlistFile,
+    validateAddRequest,
+    validateRemoveRequest,
+    applyAllowlist,
+    AllowlistStore
+};
@@ -0,0 +1,318 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { extractToken } = require('./adminAuth');
+const logger = require('./logger').child({ module: 'clientKeys' });
+
+/**
+ * Name under which requests without an API key are counted
+ */
+const ANONYMOUS = 'anonymous';
+
+const fileSchema = Joi.array().items(Joi.object({
+    name: Joi.string().pattern(/^[\w.@-]+$/).invalid(ANONYMOUS).max(64).required(),
+    key: Joi.string().min(16).required(),
+    // IPs looked up (one per request or WebSocket message, one per IP in a batch) allowed per window
+    maxRequests: Joi.number().integer().min(1).required(),
+    // Quota window for this key (default: CLIENT_QUOTA_WINDOW_MS)
+    windowMs: Joi.number().integer().min(1000)
+}));
+
+/**
+ * Hash an API key for lookup
+ * @param {string} key - API key
+ * @returns {string} Hex digest
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Load client API keys from a JSON file
+ * A missing file means no keys.
+ * @param {string} file - Path to the client keys file
+ * @returns {Array<{name: string, key: string, maxRequests: number, windowMs?: number}>} Validated keys
+ * @throws {Error} If the file cannot be parsed, fails validation or repeats a name or key
+ */
+function loadClientKeysFile(file) {
+    if (!file || !fs.existsSync(file)) {
+        return [];
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Client key configuration error: ${error.message}`);
+    }
+
+    const { error, value } = fileSchema.validate(raw, { abortEarly: false });
+    if (error) {
+        const errorMessages = error.details.map(detail => detail.message).join(', ');
+        throw new Error(`Client key configuration error: ${errorMessages}`);
+    }
+    for (const field of ['name', 'key']) {
+        const values = value.map(entry => entry[field]);
+        const duplicate = values.find((item, index) => values.indexOf(item) !== index);
+        if (duplicate !== undefined) {
+            throw new Error(`Client key configuration error: duplicate ${field}${field === 'name' ? ` "${duplicate}"` : ''}`);
+        }
+    }
+
+    logger.info({ file: path.resolve(file), keys: value.length }, 'Loaded client keys');
+    return value;
+}
+
+/**
+ * UTC date of a timestamp as YYYY-MM-DD
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} Date
+ */
+function dayOf(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Number of IPs a lookup request asks for, which is what it costs against a quota
+ * @param {*} ips - Batch of IPs: an array, or comma/newline separated text
+ * @returns {number} IPs requested, at least 1
+ */
+function lookupCost(ips) {
+    if (Array.isArray(ips)) {
+        return Math.max(1, ips.length);
+    }
+    if (typeof ips === 'string') {
+        return Math.max(1, ips.split(/,|\r?\n/).filter(ip => ip.trim()).length);
+    }
+    return 1;
+}
+
+/**
+ * What a request costs against a quota
+ * Batch lookups cost their number of IPs: a JSON or text body, or the
+ * `ipList` file of an upload, read the way POST /upload reads it.
+ * @param {express.Request} req - Express request, after body parsing
+ * @returns {number} Cost, at least 1
+ */
+function requestCost(req) {
+    if (req.method !== 'POST') {
+        return 1;
+    }
+    const upload = req.files && req.files.ipList;
+    if (!upload) {
+        return lookupCost(req.body);
+    }
+    const text = upload.data.toString();
+    if (/\.json$/.test(upload.name)) {
+        try {
+            return lookupCost(JSON.parse(text));
+        } catch (error) {
+            // Rejected by the route as invalid JSON
+            return 1;
+        }
+    }
+    return lookupCost(text);
+}
+
+/**
+ * Create client API key access control
+ * Requests with a key count against that key's quota, shared by every
+ * instance through Redis, by the number of IPs they look up. Requests
+ * without a key are left to the per-IP rate limits unless anonymous access
+ * is disabled. Quota checks fail open when Redis is unavailable so lookups
+ * keep working.
+ * @param {Object} options - Access options
+ * @param {Array<Object>} [options.keys=[]] - Client keys from loadClientKeysFile()
+ * @param {Function} options.getRedis - Returns the Redis connection
+ * @param {Function} options.getRedisPrefix - Returns the Redis key prefix
+ * @param {number} [options.windowMs=60000] - Default quota window
+ * @param {boolean} [options.allowAnonymous=true] - Accept requests without a key
+ * @param {number} [options.retentionDays=30] - Days daily usage counters are kept
+ * @returns {Object} Access helpers
+ */
+function createClientAccess({ keys = [], getRedis, getRedisPrefix, windowMs = 60000, allowAnonymous = true, retentionDays = 30 }) {
+    const clients = keys.map(({ name, maxRequests, windowMs: keyWindowMs }) => ({
+        name,
+        maxRequests,
+        windowMs: keyWindowMs || windowMs
+    }));
+    const byHash = new Map(keys.map((entry, index) => [hashKey(entry.key), clients[index]]));
+
+    /**
+     * Redis key counting a client's looked up IPs in one quota window
+     * @param {Object} client - Client from authenticate()
+     * @param {number} window - Window index
+     * @returns {string} Key name
+     */
+    function quotaKey(client, window) {
+        return `${getRedisPrefix()}usage:quota:${client.name}:${window}`;
+    }
+
+    /**
+     * Redis hash holding a day's request counts per client
+     * @param {string} day - Date as YYYY-MM-DD
+     * @returns {string} Key name
+     */
+    function dailyKey(day) {
+        return `${getRedisPrefix()}usage:daily:${day}`;
+    }
+
+    /**
+     * Identify the client presenting a key
+     * @param {string|null} presented - Key presented by the caller
+     * @returns {{name: string, maxRequests: number, windowMs: number}|null} Client, or null if the key is unknown
+     */
+    function authenticate(presented) {
+        if (typeof presented !== 'string' || presented.length === 0) {
+            return null;
+        }
+        return byHash.get(hashKey(presented)) || null;
+    }
+
+    /**
+     * Count a request against a client's quota
+     * @param {Object} client - Client from authenticate()
+     * @param {number} [cost=1] - IPs the request looks up, from lookupCost()
+     * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetTime: number}>} Quota state after the request
+     */
+    async function consume(client, cost = 1) {
+        const now = Date.now();
+        const window = Math.floor(now / client.windowMs);
+        const resetTime = (window + 1) * client.windowMs;
+        const day = dailyKey(dayOf(now));
+        try {
+            const redis = getRedis();
+            const results = await redis.multi()
+                .incrby(quotaKey(client, window), cost)
+                .pexpire(quotaKey(client, window), client.windowMs)
+                .hincrby(day, `${client.name}:requests`, 1)
+                .expire(day, retentionDays * 86400)
+                .exec();
+            const used = Number(results[0][1]);
+            const allowed = used <= client.maxRequests;
+            if (!allowed) {
+                await redis.hincrby(day, `${client.name}:rejected`, 1);
+            }
+            return { allowed, limit: client.maxRequests, remaining: Math.max(0, client.maxRequests - used), resetTime };
+        } catch (error) {
+            logger.warn({ error: error.message, client: client.name }, 'Quota check failed, allowing request');
+            return { allowed: true, limit: client.maxRequests, remaining: client.maxRequests, resetTime };
+        }
+    }
+
+    /**
+     * Count a request made without an API key
+     * Failures are logged and otherwise ignored.
+     */
+    function recordAnonymous() {
+        const day = dailyKey(dayOf(Date.now()));
+        getRedis().multi()
+            .hincrby(day, `${ANONYMOUS}:requests`, 1)
+            .expire(day, retentionDays * 86400)
+            .exec()
+            .catch(error => logger.warn({ error: error.message }, 'Failed to record anonymous usage'));
+    }
+
+    /**
+     * Usage report: each key's current window and daily totals, newest day first
+     * @param {Object} [options] - Report options
+     * @param {number} [options.days=7] - Days of daily totals to include
+     * @returns {Promise<Object>} `{anonymous, clients, daily}`
+     */
+    async function usage({ days = 7 } = {}) {
+        const redis = getRedis();
+        const now = Date.now();
+        const windows = clients.map(client => Math.floor(now / client.windowMs));
+        const used = clients.length > 0
+            ? await redis.mget(...clients.map((client, index) => quotaKey(client, windows[index])))
+            : [];
+
+        const daily = [];
+        for (let offset = 0; offset < days; offset++) {
+            const date = dayOf(now - offset * 86400000);
+            const counts = {};
+            for (const [field, count] of Object.entries(await redis.hgetall(dailyKey(date)) || {})) {
+                const separator = field.lastIndexOf(':');
+                const name = field.slice(0, separator);
+                counts[name] = counts[name] || { requests: 0, rejected: 0 };
+                counts[name][field.slice(separator + 1)] = Number(count);
+            }
+            daily.push({ date, clients: counts });
+        }
+
+        return {
+            anonymous: allowAnonymous,
+            clients: clients.map((client, index) => {
+                const count = Number(used[index] || 0);
+                return {
+                    name: client.name,
+                    maxRequests: client.maxRequests,
+                    windowMs: client.windowMs,
+                    used: count,
+                    remaining: Math.max(0, client.maxRequests - count),
+                    resetAt: new Date((windows[index] + 1) * client.windowMs).toISOString()
+                };
+            }),
+            daily
+        };
+    }
+
+    /**
+     * Express middleware applying client keys and quotas
+     * A valid key sets `req.apiClient` and counts against its quota, a batch
+     * lookup or upload by its number of IPs; an unknown key is rejected.
+     * Health checks, metrics and /admin (which takes admin keys) are not
+     * affected.
+     * @param {express.Request} req - Express request
+     * @param {express.Response} res - Express response
+     * @param {Function} next - Next middleware
+     */
+    async function middleware(req, res, next) {
+        if (req.path.endsWith('/health') || req.path.endsWith('/metrics') || /\/admin(\/|$)/.test(req.path)) {
+            return next();
+        }
+
+        const token = extractToken(req.headers);
+        if (!token) {
+            if (!allowAnonymous) {
+                return res.status(401).json({ error: 'API key required' });
+            }
+            recordAnonymous();
+            return next();
+        }
+
+        const client = authenticate(token);
+        if (!client) {
+            logger.warn({ ip: req.ip, path: req.path }, 'Rejected unknown API key');
+            return res.status(401).json({ error: 'invalid API key' });
+        }
+
+        const quota = await consume(client, requestCost(req));
+        res.set({
+            'RateLimit-Limit': String(quota.limit),
+            'RateLimit-Remaining': String(quota.remaining),
+            'RateLimit-Reset': String(Math.max(0, Math.ceil((quota.resetTime - Date.now()) / 1000)))
+        });
+        if (!quota.allowed) {
+            logger.warn({ client: client.name, path: req.path }, 'Client quota exceeded');
+            return res.status(429).json({
+                error: 'Too many requests',
+                message: 'Quota exceeded for this API key. Please try again later.'
+            });
+        }
+        req.apiClient = client;
+        next();
+    }
+
+    return { enabled: clients.length > 0, allowAnonymous, authenticate, consume, recordAnonymous, usage, middleware };
+}
+
+module.exports = {
+    ANONYMOUS,
+    loadClientKeysFile,
+    lookupCost,
+    createClientAccess
+};
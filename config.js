@@ -22,6 +22,8 @@ const envSchema = Joi.object({
     IP_PREFIX: Joi.string().default('/'),
     IP_CRON: Joi.string().default('5 2 * * *'),
     IP_CRON_TIMEZONE: Joi.string().default('UTC'),
+    // Proxies whose X-Forwarded-For is trusted: true, false, a hop count or comma-separated addresses/subnets
+    TRUST_PROXY: Joi.string().allow('').default('false'),
 
     // Logging configuration
     LOG_LEVEL: Joi.string().valid('fatal', 'error', 'warn', 'info', 'debug', 'trace').default('info'),
@@ -32,13 +34,134 @@ const envSchema = Joi.object({
     RATE_LIMIT_WINDOW_MS: Joi.number().min(1000).default(60000), // 1 minute
     RATE_LIMIT_MAX_REQUESTS: Joi.number().min(1).default(1000),
     RATE_LIMIT_WS_MAX_MESSAGES: Joi.number().min(1).default(5000),
+    // redis shares counters between instances, memory keeps them per process
+    RATE_LIMIT_STORE: Joi.string().valid('redis', 'memory').default('redis'),
+
+    // Result cache configuration
+    CACHE_GENERATION_REFRESH_MS: Joi.number().min(100).default(5000),
+    MEMORY_CACHE_ENABLED: Joi.string().valid('true', 'false', '').default('false'),
+    MEMORY_CACHE_MAX_ENTRIES: Joi.number().integer().min(1).default(10000),
+    MEMORY_CACHE_TTL_MS: Joi.number().min(0).default(60000),
+
+    // Range query configuration
+    RANGE_MAX_SEGMENTS: Joi.number().min(1).default(1000),
+
+    // DNSBL configuration
+    DNSBL_CONFIG_FILE: Joi.string().default('./dnsbl.json'),
+    DNSBL_SERVERS: Joi.string().allow('').default(''),
+    DNSBL_TIMEOUT_MS: Joi.number().integer().min(1).default(2000),
+
+    // Admin API configuration
+    // Comma-separated `name:role:key` entries, role is read-only or operator
+    ADMIN_KEYS: Joi.string().allow('')
+        .pattern(/^\s*[\w.@-]+:(read-only|operator):[^\s,:]+\s*(,\s*[\w.@-]+:(read-only|operator):[^\s,:]+\s*)*$/)
+        .messages({ 'string.pattern.base': '"ADMIN_KEYS" must be comma-separated name:role:key entries with role read-only or operator' })
+        .default(''),
+    // Legacy single key, treated as an operator key named "admin"
+    ADMIN_TOKEN: Joi.string().allow('').default(''),
+
+    // Client API key configuration
+    CLIENT_KEYS_FILE: Joi.string().default('./clientKeys.json'),
+    CLIENT_ANONYMOUS_ACCESS: Joi.string().valid('true', 'false', '').default('true'),
+    CLIENT_QUOTA_WINDOW_MS: Joi.number().integer().min(1000).default(60000),
+    CLIENT_USAGE_RETENTION_DAYS: Joi.number().integer().min(1).default(30),
+
+    // Custom list configuration
+    CUSTOM_LISTS_REFRESH_MS: Joi.number().min(100).default(5000),
+
+    // Generation retention configuration
+    GENERATIONS_RETAIN: Joi.number().integer().min(1).default(2),
+
+    // Dataset change tracking configuration
+    CHANGES_ENABLED: Joi.string().valid('true', 'false', '').default('true'),
+    CHANGES_MAX_LOADS: Joi.number().integer().min(1).default(100),
+    CHANGES_MAX_ENTRIES: Joi.number().integer().min(0).default(50000),
+
+    // Allowlist configuration
+    ALLOWLIST_FILE: Joi.string().default('./allowlist.json'),
+    ALLOWLIST_MODE: Joi.string().valid('remove', 'annotate').default('remove'),
+
+    // Plugin configuration
+    PLUGINS_CONFIG_FILE: Joi.string().default('./plugins.json'),
+    PLUGINS_ENABLED: Joi.string().allow('').default(''),
+    PLUGINS_DISABLED: Joi.string().allow('').default(''),
+    // Quiet period after a scheduled plugin refresh before the dataset is rebuilt
+    PLUGINS_REBUILD_DELAY_SECONDS: Joi.number().integer().min(0).default(60),
+    // Default time without a successful run before a plugin counts as stale
+    PLUGINS_STALE_AFTER_SECONDS: Joi.number().integer().min(1).default(172800),
+    // Runs kept per plugin in its run history
+    PLUGINS_HISTORY_SIZE: Joi.number().integer().min(1).default(50),
+
+    // Staging row validation configuration
+    STAGING_VALIDATION_ENABLED: Joi.string().valid('true', 'false', '').default('true'),
+    STAGING_MAX_ERROR_RATE: Joi.number().min(0).max(1).default(0.01),
+    STAGING_QUARANTINE_DIR: Joi.string().default('./quarantine'),
+
+    // Raw source snapshot configuration
+    SNAPSHOTS_ENABLED: Joi.string().valid('true', 'false', '').default('false'),
+    SNAPSHOTS_DIR: Joi.string().default('./snapshots'),
+    SNAPSHOTS_RETENTION_DAYS: Joi.number().integer().min(1).default(30),
+
+    // Risk scoring configuration
+    SCORING_ENABLED: Joi.string().valid('true', 'false', '').default('true'),
+    SCORING_CONFIG_FILE: Joi.string().default('./scoring.json'),
 
     // WebSocket configuration
     WS_ENABLED: Joi.string().valid('true', 'false', '').default('true'),
 
+    // Metrics configuration
+    METRICS_ENABLED: Joi.string().valid('true', 'false', '').default('false'),
+
     // Health check configuration
     HEALTH_CHECK_ENABLED: Joi.string().valid('true', 'false', '').default('true')
-}).unknown();
+})
+    // Per-plugin API keys, e.g. PLUGIN_MAXMIND_LITE_CITY_API_KEY
+    .pattern(/^PLUGIN_[A-Z0-9_]+_API_KEY$/, Joi.string().allow(''))
+    .unknown();
+
+/**
+ * Split a comma-separated environment value
+ * @param {string} value - Comma-separated value
+ * @returns {Array<string>} Trimmed, non-empty items
+ */
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse the trusted proxy setting into a value for Express's `trust proxy`
+ * @param {string} value - `true`, `false`, a hop count, or comma-separated addresses/subnets
+ * @returns {boolean|number|Array<string>} Trust proxy setting
+ */
+function parseTrustProxy(value) {
+    if (value === '' || value === 'false') {
+        return false;
+    }
+    if (value === 'true') {
+        return true;
+    }
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+    return splitList(value);
+}
+
+/**
+ * Parse admin API keys
+ * @param {string} keys - Comma-separated `name:role:key` entries
+ * @param {string} token - Legacy admin token
+ * @returns {Array<{name: string, role: string, key: string}>} Admin keys
+ */
+function parseAdminKeys(keys, token) {
+    const parsed = splitList(keys).map(entry => {
+        const [name, role, key] = entry.split(':');
+        return { name, role, key };
+    });
+    if (token) {
+        parsed.push({ name: 'admin', role: 'operator', key: token });
+    }
+    return parsed;
+}
 
 /**
  * Validates and returns configuration object
@@ -71,7 +194,8 @@ function loadConfig() {
             httpPort: value.IP_HTTP_PORT,
             prefix: value.IP_PREFIX,
             cron: value.IP_CRON,
-            cronTimezone: value.IP_CRON_TIMEZONE
+            cronTimezone: value.IP_CRON_TIMEZONE,
+            trustProxy: parseTrustProxy(value.TRUST_PROXY)
         },
         logging: {
             level: value.LOG_LEVEL,
@@ -80,11 +204,80 @@ function loadConfig() {
         rateLimit: {
             windowMs: value.RATE_LIMIT_WINDOW_MS,
             maxRequests: value.RATE_LIMIT_MAX_REQUESTS,
-            wsMaxMessages: value.RATE_LIMIT_WS_MAX_MESSAGES
+            wsMaxMessages: value.RATE_LIMIT_WS_MAX_MESSAGES,
+            store: value.RATE_LIMIT_STORE
+        },
+        cache: {
+            generationRefreshMs: value.CACHE_GENERATION_REFRESH_MS,
+            memory: {
+                enabled: value.MEMORY_CACHE_ENABLED === 'true',
+                maxEntries: value.MEMORY_CACHE_MAX_ENTRIES,
+                ttlMs: value.MEMORY_CACHE_TTL_MS
+            }
+        },
+        range: {
+            maxSegments: value.RANGE_MAX_SEGMENTS
+        },
+        dnsbl: {
+            configFile: value.DNSBL_CONFIG_FILE,
+            servers: splitList(value.DNSBL_SERVERS),
+            timeoutMs: value.DNSBL_TIMEOUT_MS
+        },
+        admin: {
+            keys: parseAdminKeys(value.ADMIN_KEYS, value.ADMIN_TOKEN)
+        },
+        clients: {
+            keysFile: value.CLIENT_KEYS_FILE,
+            anonymous: value.CLIENT_ANONYMOUS_ACCESS !== 'false',
+            windowMs: value.CLIENT_QUOTA_WINDOW_MS,
+            usageRetentionDays: value.CLIENT_USAGE_RETENTION_DAYS
+        },
+        customLists: {
+            refreshMs: value.CUSTOM_LISTS_REFRESH_MS
+        },
+        generations: {
+            retain: value.GENERATIONS_RETAIN
+        },
+        changes: {
+            enabled: value.CHANGES_ENABLED !== 'false',
+            maxLoads: value.CHANGES_MAX_LOADS,
+            maxEntries: value.CHANGES_MAX_ENTRIES
+        },
+        allowlist: {
+            file: value.ALLOWLIST_FILE,
+            mode: value.ALLOWLIST_MODE
+        },
+        plugins: {
+            configFile: value.PLUGINS_CONFIG_FILE,
+            enabled: splitList(value.PLUGINS_ENABLED),
+            disabled: splitList(value.PLUGINS_DISABLED),
+            rebuildDelaySeconds: value.PLUGINS_REBUILD_DELAY_SECONDS,
+            staleAfterSeconds: value.PLUGINS_STALE_AFTER_SECONDS,
+            historySize: value.PLUGINS_HISTORY_SIZE,
+            apiKeys: Object.fromEntries(Object.entries(value)
+                .filter(([key, apiKey]) => /^PLUGIN_[A-Z0-9_]+_API_KEY$/.test(key) && apiKey)
+                .map(([key, apiKey]) => [key.slice('PLUGIN_'.length, -'_API_KEY'.length).toLowerCase(), apiKey]))
+        },
+        staging: {
+            validation: value.STAGING_VALIDATION_ENABLED !== 'false',
+            maxErrorRate: value.STAGING_MAX_ERROR_RATE,
+            quarantineDir: value.STAGING_QUARANTINE_DIR
+        },
+        snapshots: {
+            enabled: value.SNAPSHOTS_ENABLED === 'true',
+            dir: value.SNAPSHOTS_DIR,
+            retentionDays: value.SNAPSHOTS_RETENTION_DAYS
+        },
+        scoring: {
+            enabled: value.SCORING_ENABLED !== 'false',
+            configFile: value.SCORING_CONFIG_FILE
         },
         websocket: {
             enabled: value.WS_ENABLED !== 'false'
         },
+        metrics: {
+            enabled: value.METRICS_ENABLED === 'true'
+        },
         healthCheck: {
             enabled: value.HEALTH_CHECK_ENABLED !== 'false'
         }
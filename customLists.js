@@ -0,0 +1,339 @@
+'use strict';
+
+const Joi = require('joi');
+const ipRange = require('./ipRange');
+const { parseRangeQuery } = require('./rangeQuery');
+const { RedisMirror } = require('./redisMirror');
+const logger = require('./logger').child({ module: 'customLists' });
+
+/**
+ * Source reported for custom list memberships
+ */
+const CUSTOM_SOURCE = 'custom';
+
+/**
+ * Maximum number of entries accepted per request
+ */
+const MAX_ENTRIES_PER_REQUEST = 1000;
+
+/**
+ * Request validation schemas
+ */
+const listNameSchema = Joi.string().pattern(/^[a-z0-9_-]{1,64}$/).required();
+
+const entrySchema = Joi.alternatives().try(
+    Joi.string(),
+    Joi.object({
+        entry: Joi.string().required(),
+        label: Joi.string().max(256),
+        ttl: Joi.number().integer().min(1)
+    })
+);
+
+const addSchema = Joi.object({
+    entries: Joi.array().items(entrySchema).min(1).max(MAX_ENTRIES_PER_REQUEST).required(),
+    label: Joi.string().max(256),
+    // Default expiry in seconds for entries without their own
+    ttl: Joi.number().integer().min(1)
+});
+
+const removeSchema = Joi.object({
+    entries: Joi.array().items(Joi.string()).min(1).max(MAX_ENTRIES_PER_REQUEST).required()
+});
+
+/**
+ * Parse an IP, CIDR or start-end range into a stored entry key
+ * Keys are canonical (`start-end` in address form) so the same network is
+ * always stored once, however it was written.
+ * @param {string} text - IP, CIDR or range
+ * @returns {{key: string, version: number, start: (number|bigint), end: (number|bigint)}|null} Entry, or null if invalid
+ */
+function normalizeEntry(text) {
+    const range = parseRangeQuery(text);
+    if (!range) {
+        return null;
+    }
+    const key = `${ipRange.formatIP(range.start, range.version)}-${ipRange.formatIP(range.end, range.version)}`;
+    return { key, ...range };
+}
+
+/**
+ * Validate a request against a schema and normalize its entries
+ * @param {Joi.Schema} schema - Body schema
+ * @param {string} name - List name
+ * @param {Object} body - Request body
+ * @returns {{error: (string|null), value: Object}} Validation result
+ */
+function validateRequest(schema, name, body) {
+    const nameResult = listNameSchema.validate(name);
+    if (nameResult.error) {
+        return { error: 'list name must be 1-64 characters of a-z, 0-9, _ or -' };
+    }
+    const { error, value } = schema.validate(body || {}, { abortEarly: false });
+    if (error) {
+        return { error: error.details.map(detail => detail.message).join(', ') };
+    }
+    const invalid = value.entries
+        .map(entry => (typeof entry === 'string' ? entry : entry.entry))
+        .filter(entry => !normalizeEntry(entry));
+    if (invalid.length > 0) {
+        return { error: `invalid entries: ${invalid.slice(0, 10).join(', ')}` };
+    }
+    return { error: null, value };
+}
+
+/**
+ * Validate an add request
+ * @param {string} name - List name
+ * @param {Object} body - `{entries, label?, ttl?}`
+ * @returns {{error: (string|null), value: Object}} Validation result
+ */
+function validateAddRequest(name, body) {
+    return validateRequest(addSchema, name, body);
+}
+
+/**
+ * Validate a remove request
+ * @param {string} name - List name
+ * @param {Object} body - `{entries}`
+ * @returns {{error: (string|null), value: Object}} Validation result
+ */
+function validateRemoveRequest(name, body) {
+    return validateRequest(removeSchema, name, body);
+}
+
+/**
+ * Convert custom list entries to lookup result memberships
+ * @param {Array<Object>} entries - Entries from matchRange()
+ * @returns {Array<Object>} Memberships, one per list
+ */
+function toMemberships(entries) {
+    const matches = new Map();
+    for (const entry of entries) {
+        if (matches.has(entry.list)) continue;
+        matches.set(entry.list, {
+            name: entry.list,
+            source: CUSTOM_SOURCE,
+            ...(entry.label && { label: entry.label }),
+            ...(entry.expiresAt && { expiresAt: entry.expiresAt })
+        });
+    }
+    return [...matches.values()];
+}
+
+/**
+ * Custom lists stored in Redis, mirrored in-process for lookups
+ * Entries live outside the dataset keys, so loads never touch them. Every
+ * change bumps a version counter and is published; each instance reloads
+ * its mirror on the notification, with periodic polling as a fallback.
+ * Emits 'change' with the new version after a reload.
+ */
+class CustomListStore extends RedisMirror {
+    /**
+     * @param {Object} options - Store options
+     * @param {Redis} options.redis - Redis connection
+     * @param {string} options.redisPrefix - Redis key prefix
+     * @param {number} [options.refreshMs=5000] - Polling interval in ms
+     */
+    constructor({ redis, redisPrefix, refreshMs = 5000 }) {
+        super({ redis, redisPrefix, name: 'customLists', refreshMs });
+        this.version = null;
+        this._index = ipRange.createRangeIndex([]);
+    }
+
+    /**
+     * Key holding the set of list names
+     * @returns {string} Key name
+     */
+    get listsKey() {
+        return this.redisPrefix + 'custom:lists';
+    }
+
+    /**
+     * Key holding the change counter (also the pub/sub channel)
+     * @returns {string} Key name
+     */
+    get versionKey() {
+        return this.redisPrefix + 'custom:version';
+    }
+
+    /**
+     * Key holding the entries of one list
+     * @param {string} name - List name
+     * @returns {string} Key name
+     */
+    listKey(name) {
+        return this.redisPrefix + 'custom:list:' + name;
+    }
+
+    /**
+     * Changes are announced on the version key
+     * @returns {string} Channel name
+     */
+    get channel() {
+        return this.versionKey;
+    }
+
+    /**
+     * @param {Error} error - Load error
+     * @protected
+     */
+    _onLoadError(error) {
+        logger.warn({ error: error.message }, 'Failed to load custom lists');
+    }
+
+    /**
+     * Reload the mirror if the stored version changed
+     * @param {boolean} [force=false] - Reload even if the version is unchanged
+     * @returns {Promise<void>}
+     */
+    async refresh(force = false) {
+        const version = (await this.redis.get(this.versionKey)) || '0';
+        if (!force && version === this.version) {
+            return;
+        }
+
+        const names = await this.redis.smembers(this.listsKey);
+        const entries = [];
+        const now = Date.now();
+        for (const name of names) {
+            const stored = await this.redis.hgetall(this.listKey(name));
+            const expired = [];
+            for (const [key, raw] of Object.entries(stored || {})) {
+                try {
+                    const entry = JSON.parse(raw);
+                    if (entry.expiresAt && Date.parse(entry.expiresAt) <= now) {
+                        expired.push(key);
+                        continue;
+                    }
+                    const range = normalizeEntry(key);
+                    entries.push({ list: name, ...range, label: entry.label, expiresAt: entry.expiresAt });
+                } catch (error) {
+                    logger.warn({ list: name, key, error: error.message }, 'Skipping corrupt custom list entry');
+                }
+            }
+            if (expired.length > 0) {
+                // Expired entries are already ignored by lookups; drop them from Redis too
+                await this.redis.hdel(this.listKey(name), ...expired).catch(() => {});
+            }
+        }
+
+        this._index = ipRange.createRangeIndex(entries);
+        this.version = version;
+        this.emit('change', version);
+    }
+
+    /**
+     * Find custom list memberships for an address
+     * @param {string} ip - IPv4 or IPv6 address
+     * @returns {Array<Object>} List entries (one per list), empty if none
+     */
+    match(ip) {
+        const parsed = ipRange.parseIP(ip);
+        if (!parsed) {
+            return [];
+        }
+        return toMemberships(this.matchRange({ version: parsed.version, start: parsed.value, end: parsed.value }));
+    }
+
+    /**
+     * Find the unexpired entries overlapping a range
+     * @param {{version: number, start: (number|bigint), end: (number|bigint)}} range - Range from parseRangeQuery()
+     * @returns {Array<Object>} Entries with their list, bounds, label and expiry
+     */
+    matchRange(range) {
+        if (this._index.size === 0) {
+            return [];
+        }
+        const now = Date.now();
+        return this._index.overlapping(range.version, range.start, range.end)
+            .filter(entry => !(entry.expiresAt && Date.parse(entry.expiresAt) <= now));
+    }
+
+    /**
+     * Add or replace entries in a list
+     * @param {string} name - List name
+     * @param {Object} request - Validated request from validateAddRequest()
+     * @returns {Promise<{list: string, added: Array<Object>}>} Stored entries
+     */
+    async add(name, request) {
+        const now = Date.now();
+        const fields = [];
+        const added = [];
+        for (const item of request.entries) {
+            const { entry, label = request.label, ttl = request.ttl } = typeof item === 'string' ? { entry: item } : item;
+            const { key } = normalizeEntry(entry);
+            const stored = {
+                entry,
+                ...(label && { label }),
+                addedAt: new Date(now).toISOString(),
+                ...(ttl && { expiresAt: new Date(now + ttl * 1000).toISOString() })
+            };
+            fields.push(key, JSON.stringify(stored));
+            added.push({ key, ...stored });
+        }
+
+        await this.redis.multi()
+            .sadd(this.listsKey, name)
+            .hset(this.listKey(name), ...fields)
+            .exec();
+        await this._changed();
+        logger.info({ list: name, entries: added.map(e => e.key) }, 'Custom list entries added');
+        return { list: name, added };
+    }
+
+    /**
+     * Remove entries from a list
+     * @param {string} name - List name
+     * @param {Object} request - Validated request from validateRemoveRequest()
+     * @returns {Promise<{list: string, removed: number}>} Number of entries removed
+     */
+    async remove(name, request) {
+        const keys = request.entries.map(entry => normalizeEntry(entry).key);
+        const removed = await this.redis.hdel(this.listKey(name), ...keys);
+        if ((await this.redis.hlen(this.listKey(name))) === 0) {
+            await this.redis.srem(this.listsKey, name);
+        }
+        await this._changed();
+        logger.info({ list: name, entries: keys, removed }, 'Custom list entries removed');
+        return { list: name, removed };
+    }
+
+    /**
+     * List custom lists with their entry counts
+     * @returns {Promise<Object<string, number>>} Entry count by list name
+     */
+    async lists() {
+        const names = (await this.redis.smembers(this.listsKey)).sort();
+        const counts = {};
+        for (const name of names) {
+            counts[name] = await this.redis.hlen(this.listKey(name));
+        }
+        return counts;
+    }
+
+    /**
+     * Get the unexpired entries of a list
+     * @param {string} name - List name
+     * @returns {Promise<Array<Object>>} Entries with their key
+     */
+    async entries(name) {
+        const stored = await this.redis.hgetall(this.listKey(name));
+        const now = Date.now();
+        return Object.entries(stored || {})
+            .map(([key, raw]) => ({ key, ...JSON.parse(raw) }))
+            .filter(entry => !entry.expiresAt || Date.parse(entry.expiresAt) > now)
+            .sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+}
+
+module.exports = {
+    CUSTOM_SOURCE,
+    MAX_ENTRIES_PER_REQUEST,
+    normalizeEntry,
+    toMemberships,
+    validateAddRequest,
+    validateRemoveRequest,
+    CustomListStore
+};
@@ -0,0 +1,298 @@
+'use strict';
+
+const ipRange = require('./ipRange');
+const logger = require('./logger').child({ module: 'datasetChanges' });
+
+/**
+ * Redis key holding load summaries (newest first)
+ * @param {string} redisPrefix - Redis key prefix
+ * @returns {string} Key name
+ */
+function summaryKey(redisPrefix) {
+    return redisPrefix + 'changes:summary';
+}
+
+/**
+ * Redis key holding the detail log of added and removed ranges (newest first)
+ * @param {string} redisPrefix - Redis key prefix
+ * @returns {string} Key name
+ */
+function logKey(redisPrefix) {
+    return redisPrefix + 'changes:log';
+}
+
+/**
+ * Collects the address ranges covered by each list
+ * Segments must be added in ascending order per address family; adjacent
+ * segments of the same list are merged into one range.
+ */
+class Coverage {
+    constructor() {
+        // family -> list name -> [[start, end], ...]
+        this.families = { 4: new Map(), 6: new Map() };
+    }
+
+    /**
+     * Record a segment and the lists it belongs to
+     * @param {number} version - IP version (4 or 6)
+     * @param {number|bigint} start - Segment start
+     * @param {number|bigint} end - Segment end
+     * @param {Object} data - Segment data keyed by type, as stored in `ranges`
+     */
+    add(version, start, end, data) {
+        const one = version === 6 ? 1n : 1;
+        const lists = this.families[version];
+        for (const entry of (data && data.list) || []) {
+            if (!lists.has(entry.name)) {
+                lists.set(entry.name, []);
+            }
+            const ranges = lists.get(entry.name);
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] + one >= start) {
+                if (end > last[1]) last[1] = end;
+            } else {
+                ranges.push([start, end]);
+            }
+        }
+    }
+
+    /**
+     * Total number of ranges across lists
+     * @returns {number} Range count
+     */
+    get size() {
+        let size = 0;
+        for (const lists of Object.values(this.families)) {
+            for (const ranges of lists.values()) size += ranges.length;
+        }
+        return size;
+    }
+}
+
+/**
+ * Read the coverage of the currently loaded dataset
+ * Ranges are read in chunks so large datasets are never held as raw members.
+ * @param {Redis} redis - Redis connection
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {number} [chunkSize=10000] - Members read per request
+ * @returns {Promise<Coverage>} Coverage per list
+ */
+async function readCoverage(redis, redisPrefix, chunkSize = 10000) {
+    const coverage = new Coverage();
+    for (const [key, version] of [['ranges', 4], ['ranges6', 6]]) {
+        for (let offset = 0; ; offset += chunkSize) {
+            const members = await redis.zrange(redisPrefix + key, offset, offset + chunkSize - 1);
+            for (const member of members) {
+                const segment = ipRange.splitMember(member);
+                const start = version === 6 ? ipRange.fromLexKey(segment.start) : parseInt(segment.start);
+                const end = version === 6 ? ipRange.fromLexKey(segment.end) : parseInt(segment.end);
+                coverage.add(version, start, end, JSON.parse(segment.data));
+            }
+            if (members.length < chunkSize) break;
+        }
+    }
+    return coverage;
+}
+
+/**
+ * Iterate the parts of one sorted, disjoint range list not covered by another
+ * @param {Array<Array>} from - Ranges to subtract from
+ * @param {Array<Array>} remove - Ranges to subtract
+ * @param {number|bigint} one - Unit step (1 or 1n)
+ * @yields {Array} [start, end] of each uncovered part, in order
+ */
+function* differenceRanges(from, remove, one) {
+    let j = 0;
+    for (const [start, end] of from) {
+        let cur = start;
+        while (j < remove.length && remove[j][1] < cur) j++;
+        for (let k = j; k < remove.length && remove[k][0] <= end && cur <= end; k++) {
+            if (remove[k][0] > cur) {
+                yield [cur, remove[k][0] - one];
+            }
+            if (remove[k][1] + one > cur) {
+                cur = remove[k][1] + one;
+            }
+        }
+        if (cur <= end) {
+            yield [cur, end];
+        }
+    }
+}
+
+/**
+ * Subtract one sorted, disjoint range list from another
+ * @param {Array<Array>} from - Ranges to subtract from
+ * @param {Array<Array>} remove - Ranges to subtract
+ * @param {number|bigint} one - Unit step (1 or 1n)
+ * @returns {Array<Array>} Parts of `from` not covered by `remove`
+ */
+function subtractRanges(from, remove, one) {
+    return [...differenceRanges(from, remove, one)];
+}
+
+/**
+ * Compute added and removed ranges per list between two coverages
+ * Only the first `maxEntries` changes are kept as detail; the rest are only
+ * counted, so a large reload never builds the full diff in memory.
+ * @param {Coverage} previous - Coverage of the previous dataset
+ * @param {Coverage} next - Coverage of the new dataset
+ * @param {Object} [options] - Diff options
+ * @param {number} [options.maxEntries=Infinity] - Changes to keep as detail
+ * @returns {{changes: Array<{list: string, change: string, start: string, end: string}>, added: number, removed: number, lists: Object<string, {added: number, removed: number}>, truncated: boolean}} Detail with formatted bounds, and range counts overall and by list
+ */
+function diffCoverage(previous, next, { maxEntries = Infinity } = {}) {
+    const diff = { changes: [], added: 0, removed: 0, lists: {}, truncated: false };
+    for (const version of [4, 6]) {
+        const one = version === 6 ? 1n : 1;
+        const before = previous.families[version];
+        const after = next.families[version];
+        const names = [...new Set([...before.keys(), ...after.keys()])].sort();
+        for (const list of names) {
+            const a = before.get(list) || [];
+            const b = after.get(list) || [];
+            for (const [change, ranges] of [['added', differenceRanges(b, a, one)], ['removed', differenceRanges(a, b, one)]]) {
+                for (const [start, end] of ranges) {
+                    if (!diff.lists[list]) diff.lists[list] = { added: 0, removed: 0 };
+                    diff.lists[list][change]++;
+                    diff[change]++;
+                    if (diff.changes.length >= maxEntries) {
+                        diff.truncated = true;
+                        continue;
+                    }
+                    diff.changes.push({
+                        list,
+                        change,
+                        start: ipRange.formatIP(start, version),
+                        end: ipRange.formatIP(end, version)
+                    });
+                }
+            }
+        }
+    }
+    return diff;
+}
+
+/**
+ * Store the summary and detail of a load
+ * The first load (no previous dataset) only stores a summary, since every
+ * range would be reported as added.
+ * @param {Redis} redis - Redis connection
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {Object} options - Load details
+ * @param {string} options.generation - Generation of the new dataset
+ * @param {string|null} options.previousGeneration - Generation it replaced
+ * @param {Object|null} options.diff - Result of diffCoverage(), null for the first load
+ * @param {number} options.maxLoads - Summaries to keep
+ * @param {number} options.maxEntries - Detail entries to keep across loads
+ * @returns {Promise<Object>} Stored summary
+ */
+async function recordChanges(redis, redisPrefix, { generation, previousGeneration, diff, maxLoads, maxEntries }) {
+    const date = new Date().toISOString();
+    const detail = diff ? diff.changes.slice(0, maxEntries) : [];
+    const summary = {
+        generation,
+        previousGeneration,
+        date,
+        initial: diff === null,
+        added: diff ? diff.added : 0,
+        removed: diff ? diff.removed : 0,
+        lists: diff ? diff.lists : {},
+        detailTruncated: diff ? diff.truncated || diff.changes.length > detail.length : false
+    };
+
+    const pipeline = redis.pipeline();
+    // Pushed oldest-first in reverse so the newest entries end up at the head
+    for (let i = detail.length - 1; i >= 0; i--) {
+        pipeline.lpush(logKey(redisPrefix), JSON.stringify({ generation, date, ...detail[i] }));
+    }
+    pipeline.ltrim(logKey(redisPrefix), 0, maxEntries - 1);
+    pipeline.lpush(summaryKey(redisPrefix), JSON.stringify(summary));
+    pipeline.ltrim(summaryKey(redisPrefix), 0, maxLoads - 1);
+    await pipeline.exec();
+
+    logger.info({
+        generation,
+        previousGeneration,
+        added: summary.added,
+        removed: summary.removed,
+        detailTruncated: summary.detailTruncated
+    }, 'Recorded dataset changes');
+    return summary;
+}
+
+/**
+ * Build a filter for the `since` parameter
+ * A plain number is a generation (changes after it), anything else a date.
+ * @param {string} [since] - Generation or ISO date
+ * @returns {Function|null} Predicate on records, or null if `since` is invalid
+ */
+function sinceFilter(since) {
+    if (since === undefined || since === '') {
+        return () => true;
+    }
+    if (/^\d+$/.test(since)) {
+        const generation = Number(since);
+        return record => Number(record.generation) > generation;
+    }
+    const date = Date.parse(since);
+    if (Number.isNaN(date)) {
+        return null;
+    }
+    return record => Date.parse(record.date) >= date;
+}
+
+/**
+ * Read stored changes
+ * @param {Redis} redis - Redis connection
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {Object} [options] - Query options
+ * @param {string} [options.since] - Only changes after this generation, or at or after this ISO date
+ * @param {string} [options.list] - Only changes to this list
+ * @param {number} [options.limit=1000] - Maximum detail entries returned
+ * @param {number} [options.chunkSize=1000] - Detail entries read per request
+ * @returns {Promise<{summaries: Array<Object>, changes: Array<Object>, truncated: boolean}|null>} Changes (newest first), or null if `since` is invalid
+ */
+async function readChanges(redis, redisPrefix, { since, list, limit = 1000, chunkSize = 1000 } = {}) {
+    const matches = sinceFilter(since);
+    if (!matches) {
+        return null;
+    }
+
+    const summaries = (await redis.lrange(summaryKey(redisPrefix), 0, -1))
+        .map(raw => JSON.parse(raw))
+        .filter(matches)
+        .map(summary => (list ? { ...summary, lists: { [list]: summary.lists[list] || { added: 0, removed: 0 } } } : summary));
+
+    // The log is newest first, so reading stops at the first entry outside `since`
+    const changes = [];
+    let truncated = false;
+    scan:
+    for (let offset = 0; ; offset += chunkSize) {
+        const entries = await redis.lrange(logKey(redisPrefix), offset, offset + chunkSize - 1);
+        for (const raw of entries) {
+            const entry = JSON.parse(raw);
+            if (!matches(entry)) break scan;
+            if (list && entry.list !== list) continue;
+            if (changes.length >= limit) {
+                truncated = true;
+                break scan;
+            }
+            changes.push(entry);
+        }
+        if (entries.length < chunkSize) break;
+    }
+
+    return { summaries, changes, truncated };
+}
+
+module.exports = {
+    summaryKey,
+    logKey,
+    Coverage,
+    readCoverage,
+    subtractRanges,
+    diffCoverage,
+    recordChanges,
+    readChanges
+};
@@ -0,0 +1,280 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Resolver } = require('dns').promises;
+const Joi = require('joi');
+const ipRange = require('./ipRange');
+const metrics = require('./metrics');
+const logger = require('./logger').child({ module: 'dnsbl' });
+
+/**
+ * Built-in DNSBL providers
+ * Entries from the provider file are merged over these by name.
+ * Return codes are the last octet of the 127.0.0.x answer.
+ */
+const DEFAULT_PROVIDERS = {
+    // https://dronebl.org/docs/howtouse
+    dronebl: {
+        enabled: true,
+        zone: 'dnsbl.dronebl.org',
+        ipv6: false,
+        categories: {
+            2: 'Sample',
+            3: 'IRC Drone',
+            5: 'Bottler',
+            6: 'Unknown spambot or drone',
+            7: 'DDOS Drone',
+            8: 'SOCKS Proxy',
+            9: 'HTTP Proxy',
+            10: 'ProxyChain',
+            11: 'Web Page Proxy',
+            12: 'Open DNS Resolver',
+            13: 'Brute force attackers',
+            14: 'Open Wingate Proxy',
+            15: 'Compromised router / gateway',
+            16: 'Autorooting worms',
+            17: 'Automatically determined botnet IPs (experimental)',
+            18: 'DNS/MX type hostname detected on IRC',
+            255: 'Unknown'
+        }
+    },
+    // https://www.spamhaus.org/faqs/domain-blocklist/ (public resolvers are refused)
+    zen: {
+        enabled: false,
+        zone: 'zen.spamhaus.org',
+        ipv6: true,
+        categories: {
+            2: 'SBL - Spamhaus SBL Data',
+            3: 'SBL - Spamhaus SBL CSS Data',
+            4: 'XBL - Exploits Block List',
+            9: 'SBL - Spamhaus DROP/EDROP Data',
+            10: 'PBL - ISP Maintained',
+            11: 'PBL - Spamhaus Maintained'
+        }
+    },
+    // Requires an account key as the first zone label
+    abusix: {
+        enabled: false,
+        zone: 'YOUR_KEY.combined.mail.abusix.zone',
+        ipv6: true,
+        categories: {
+            2: 'Black',
+            3: 'Exploit',
+            4: 'Policy / Dynamic',
+            11: 'Generic rDNS',
+            12: 'No rDNS'
+        }
+    },
+    spamcop: {
+        enabled: false,
+        zone: 'bl.spamcop.net',
+        ipv6: false,
+        categories: {
+            2: 'Spam source'
+        }
+    }
+};
+
+/**
+ * Provider file validation schema
+ */
+const providerSchema = Joi.object({
+    enabled: Joi.boolean().default(true),
+    zone: Joi.string().pattern(/^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)+$/).required(),
+    timeoutMs: Joi.number().integer().min(1),
+    ipv6: Joi.boolean().default(false),
+    categories: Joi.object().pattern(Joi.string().pattern(/^\d+$/), Joi.string()).default({})
+});
+
+const providersSchema = Joi.object().pattern(Joi.string().pattern(/^[a-z0-9_]+$/), providerSchema);
+
+/**
+ * Load and validate DNSBL providers
+ * @param {string} [file] - Path to a JSON provider file; built-in providers are used if it does not exist
+ * @returns {Object} Validated providers keyed by name
+ * @throws {Error} If the file exists but is invalid
+ */
+function loadProviders(file) {
+    let raw = {};
+    if (file && fs.existsSync(file)) {
+        try {
+            raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`DNSBL configuration error: ${error.message}`);
+        }
+        logger.info({ file: path.resolve(file) }, 'Loaded DNSBL providers');
+    }
+
+    const merged = { ...DEFAULT_PROVIDERS };
+    for (const [name, provider] of Object.entries(raw || {})) {
+        merged[name] = { ...DEFAULT_PROVIDERS[name], ...provider };
+    }
+
+    const { error, value } = providersSchema.validate(merged, { abortEarly: false });
+    if (error) {
+        const errorMessages = error.details.map(detail => detail.message).join(', ');
+        throw new Error(`DNSBL configuration error: ${errorMessages}`);
+    }
+    return value;
+}
+
+/**
+ * Parse the providers requested by a caller
+ * `dnsbl` may be a comma-separated list or array of provider names, or a
+ * boolean flag selecting every enabled provider. The legacy `dronebl` flag
+ * adds the DroneBL provider.
+ * @param {*} dnsbl - Value of the `dnsbl` parameter
+ * @param {*} [dronebl] - Value of the legacy `dronebl` parameter
+ * @returns {Array<string>} Requested provider names ('*' for all enabled)
+ */
+function parseSelection(dnsbl, dronebl) {
+    const names = new Set();
+    if ([1, '1', true, 'true'].includes(dnsbl)) {
+        names.add('*');
+    } else if (dnsbl) {
+        const values = Array.isArray(dnsbl) ? dnsbl : String(dnsbl).split(',');
+        for (const value of values) {
+            const name = String(value).trim().toLowerCase();
+            if (name) names.add(name);
+        }
+    }
+    if ([1, '1', true, 'true'].includes(dronebl)) {
+        names.add('dronebl');
+    }
+    return [...names];
+}
+
+/**
+ * Build the DNSBL query name for an address
+ * IPv4 octets and IPv6 nibbles are reversed (RFC 5782)
+ * @param {Object} parsed - Address from ipRange.parseIP()
+ * @param {string} zone - DNSBL zone
+ * @returns {string} Query hostname
+ */
+function queryName(parsed, zone) {
+    const labels = parsed.version === 6
+        ? ipRange.toLexKey(parsed.value).split('')
+        : ipRange.int2ip(parsed.value).split('.');
+    return `${labels.reverse().join('.')}.${zone}`;
+}
+
+/**
+ * Create a DNSBL client for a set of providers
+ * @param {Object} providers - Providers from loadProviders()
+ * @param {Object} [options] - Client options
+ * @param {Array<string>} [options.servers] - DNS servers to query (host or host:port); system resolvers if empty
+ * @param {number} [options.timeoutMs=2000] - Timeout for providers without their own
+ * @returns {Object} Client with enabled(), resolve() and lookup()
+ */
+function createClient(providers, options = {}) {
+    const { servers = [], timeoutMs = 2000 } = options;
+
+    const resolvers = {};
+    for (const [name, provider] of Object.entries(providers)) {
+        if (!provider.enabled) continue;
+        const resolver = new Resolver({ timeout: provider.timeoutMs || timeoutMs, tries: 1 });
+        if (servers.length > 0) {
+            resolver.setServers(servers);
+        }
+        resolvers[name] = resolver;
+    }
+
+    /**
+     * Query one provider
+     * @param {string} name - Provider name
+     * @param {Object} parsed - Address from ipRange.parseIP()
+     * @returns {Promise<Array<Object>>} List entries, one per return code
+     */
+    async function queryProvider(name, parsed) {
+        const provider = providers[name];
+        if (parsed.version === 6 && !provider.ipv6) {
+            return [];
+        }
+
+        const start = process.hrtime.bigint();
+        const elapsed = () => Number(process.hrtime.bigint() - start) / 1e9;
+        try {
+            const addresses = await resolvers[name].resolve4(queryName(parsed, provider.zone));
+            metrics.observeDnsblQuery(name, elapsed());
+            const entries = [];
+            const seen = new Set();
+            for (const address of addresses) {
+                // Anything outside 127.0.0.0/24 is an error answer (e.g. refused query), not a listing
+                if (!address.startsWith('127.0.0.')) {
+                    logger.warn({ provider: name, answer: address }, 'Unexpected DNSBL answer');
+                    continue;
+                }
+                const code = parseInt(address.split('.')[3], 10);
+                if (seen.has(code)) continue;
+                seen.add(code);
+                entries.push({
+                    name: `${name}_type_${code}`,
+                    source: name,
+                    type: code,
+                    category: provider.categories[code] || 'Unknown'
+                });
+            }
+            return entries;
+        } catch (error) {
+            // ENOTFOUND or ENODATA means the address is not listed (this is normal)
+            if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+                metrics.observeDnsblQuery(name, elapsed());
+                return [];
+            }
+            metrics.observeDnsblQuery(name, elapsed(), error.code || 'UNKNOWN');
+            // Log other DNS errors but don't fail the lookup
+            logger.warn({ error: error.message, provider: name, code: error.code }, 'DNSBL lookup error');
+            return [];
+        }
+    }
+
+    return {
+        /**
+         * Names of the enabled providers
+         * @returns {Array<string>} Provider names
+         */
+        enabled() {
+            return Object.keys(resolvers).sort();
+        },
+
+        /**
+         * Resolve a selection to enabled provider names
+         * Unknown and disabled providers are ignored.
+         * @param {Array<string>} selection - Names from parseSelection()
+         * @returns {Array<string>} Sorted provider names
+         */
+        resolve(selection) {
+            if (!selection || selection.length === 0) {
+                return [];
+            }
+            if (selection.includes('*')) {
+                return this.enabled();
+            }
+            return selection.filter(name => name in resolvers).sort();
+        },
+
+        /**
+         * Query providers for an address in parallel
+         * @param {string} ip - IPv4 or IPv6 address
+         * @param {Array<string>} names - Provider names from resolve()
+         * @returns {Promise<Array<Object>>} List entries from every provider listing the address
+         */
+        async lookup(ip, names) {
+            const parsed = ipRange.parseIP(ip);
+            if (!parsed || names.length === 0) {
+                return [];
+            }
+            const results = await Promise.all(names.map(name => queryProvider(name, parsed)));
+            return results.flat();
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_PROVIDERS,
+    loadProviders,
+    parseSelection,
+    queryName,
+    createClient
+};
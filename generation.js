@@ -0,0 +1,121 @@
+'use strict';
+
+const { RedisMirror } = require('./redisMirror');
+const logger = require('./logger').child({ module: 'generation' });
+
+/**
+ * Generation used before any load has stamped one
+ */
+const INITIAL_GENERATION = '0';
+
+/**
+ * Redis key holding the active dataset generation id
+ * @param {string} redisPrefix - Redis key prefix
+ * @returns {string} Key name
+ */
+function generationKey(redisPrefix) {
+    return redisPrefix + 'generation';
+}
+
+/**
+ * Pub/sub channel on which generation changes are announced
+ * @param {string} redisPrefix - Redis key prefix
+ * @returns {string} Channel name
+ */
+function generationChannel(redisPrefix) {
+    return redisPrefix + 'generation';
+}
+
+/**
+ * Tracks the active dataset generation in-process
+ * Changes are picked up through pub/sub as soon as a load publishes them,
+ * with periodic polling as a fallback for missed messages.
+ * Emits 'change' with (generation, previous) whenever the generation moves.
+ */
+class GenerationTracker extends RedisMirror {
+    /**
+     * @param {Object} options - Tracker options
+     * @param {Redis} options.redis - Redis connection used for polling
+     * @param {string} options.redisPrefix - Redis key prefix
+     * @param {number} [options.refreshMs=5000] - Polling interval in ms
+     */
+    constructor({ redis, redisPrefix, refreshMs = 5000 }) {
+        super({ redis, redisPrefix, name: 'generation', refreshMs });
+        this.generation = null;
+    }
+
+    /**
+     * Pub/sub channel announcing new generations
+     * @returns {string} Channel name
+     */
+    get channel() {
+        return generationChannel(this.redisPrefix);
+    }
+
+    /**
+     * Take the published generation without a round trip
+     * @param {string} message - New generation
+     * @protected
+     */
+    _onMessage(message) {
+        this._set(message);
+    }
+
+    /**
+     * Fall back to the initial generation if the first read fails
+     * @param {Error} error - Read error
+     * @protected
+     */
+    _onLoadError(error) {
+        logger.warn({ error: error.message }, 'Failed to read dataset generation');
+        this._set(this.generation || INITIAL_GENERATION);
+    }
+
+    /**
+     * Read the active generation from Redis
+     * @returns {Promise<string>} Active generation
+     */
+    async refresh() {
+        const value = await this.redis.get(generationKey(this.redisPrefix));
+        this._set(value || INITIAL_GENERATION);
+        return this.generation;
+    }
+
+    /**
+     * Get the active generation, waiting for the first read if needed
+     * @returns {Promise<string>} Active generation
+     */
+    async current() {
+        if (!this._ready) {
+            await this.start();
+        } else if (this.generation === null) {
+            await this._ready;
+        }
+        return this.generation;
+    }
+
+    /**
+     * Update the tracked generation and notify listeners
+     * @param {string} generation - New generation
+     * @private
+     */
+    _set(generation) {
+        const next = String(generation);
+        if (next === this.generation) {
+            return;
+        }
+        const previous = this.generation;
+        this.generation = next;
+        if (previous !== null) {
+            logger.info({ generation: next, previous }, 'Dataset generation changed');
+        }
+        this.emit('change', next, previous);
+    }
+}
+
+module.exports = {
+    INITIAL_GENERATION,
+    generationKey,
+    generationChannel,
+    GenerationTracker
+};
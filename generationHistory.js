@@ -0,0 +1,252 @@
+'use strict';
+
+const { generationKey, generationChannel } = require('./generation');
+const updateLock = require('./updateLock');
+const logger = require('./logger').child({ module: 'generationHistory' });
+
+/**
+ * Atomically move a dataset into the active `ranges`/`ranges6` keys
+ * KEYS: ranges, ranges6, generation, source ranges, source ranges6, and when
+ * the outgoing dataset is kept, its versioned ranges and ranges6 keys
+ * ARGV: new generation, generation expected to be active ('' for none)
+ * Fails with STALE if another generation became active since the caller read
+ * it, since the versioned keys were named after it.
+ * Returns the generation that was active before, or false if there was none.
+ */
+const SWAP_SCRIPT = `
+    if redis.call('EXISTS', KEYS[4]) == 0 and redis.call('EXISTS', KEYS[5]) == 0 then
+        return redis.error_reply('no data for generation ' .. ARGV[1])
+    end
+    local current = redis.call('GET', KEYS[3])
+    if (current or '') ~= ARGV[2] then
+        return redis.error_reply('STALE active generation changed')
+    end
+    if #KEYS == 7 then
+        if redis.call('EXISTS', KEYS[1]) == 1 then
+            redis.call('RENAME', KEYS[1], KEYS[6])
+        end
+        if redis.call('EXISTS', KEYS[2]) == 1 then
+            redis.call('RENAME', KEYS[2], KEYS[7])
+        end
+    end
+    redis.call('DEL', KEYS[1], KEYS[2])
+    if redis.call('EXISTS', KEYS[4]) == 1 then
+        redis.call('RENAME', KEYS[4], KEYS[1])
+    end
+    if redis.call('EXISTS', KEYS[5]) == 1 then
+        redis.call('RENAME', KEYS[5], KEYS[2])
+    end
+    redis.call('SET', KEYS[3], ARGV[1])
+    return current
+`;
+
+/**
+ * Attempts at swapping in before giving up on a concurrently changing generation
+ */
+const SWAP_ATTEMPTS = 3;
+
+/**
+ * Redis key holding metadata of retained generations
+ * @param {string} redisPrefix - Redis key prefix
+ * @returns {string} Key name
+ */
+function metadataKey(redisPrefix) {
+    return redisPrefix + 'generations';
+}
+
+/**
+ * Redis keys holding a retained generation's ranges
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {string} generation - Generation id
+ * @returns {{ranges: string, ranges6: string}} Key names
+ */
+function retainedKeys(redisPrefix, generation) {
+    return {
+        ranges: `${redisPrefix}ranges:${generation}`,
+        ranges6: `${redisPrefix}ranges6:${generation}`
+    };
+}
+
+/**
+ * Make a dataset the active one
+ * The outgoing dataset is kept under its versioned keys when `retain` is set,
+ * otherwise it is deleted. The generation is published after the swap.
+ * @param {Redis} redis - Redis connection
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {Object} options - Swap options
+ * @param {string} options.generation - Generation being activated
+ * @param {string} options.ranges - Key holding its IPv4 ranges
+ * @param {string} options.ranges6 - Key holding its IPv6 ranges
+ * @param {boolean} options.retain - Keep the outgoing dataset
+ * @returns {Promise<string|null>} Previously active generation
+ */
+async function swapIn(redis, redisPrefix, { generation, ranges, ranges6, retain }) {
+    for (let attempt = 1; ; attempt++) {
+        // Every key the script touches is declared, so the outgoing
+        // generation is read first to name its versioned keys
+        const current = await redis.get(generationKey(redisPrefix));
+        const keys = [redisPrefix + 'ranges', redisPrefix + 'ranges6', generationKey(redisPrefix), ranges, ranges6];
+        if (current && retain) {
+            const outgoing = retainedKeys(redisPrefix, current);
+            keys.push(outgoing.ranges, outgoing.ranges6);
+        }
+        try {
+            const previous = await redis.eval(SWAP_SCRIPT, keys.length, ...keys, generation, current || '');
+            await redis.publish(generationChannel(redisPrefix), generation);
+            return previous || null;
+        } catch (error) {
+            if (!/^STALE/.test(error.message) || attempt >= SWAP_ATTEMPTS) {
+                throw error;
+            }
+            logger.warn({ generation, attempt }, 'Active generation changed during swap, retrying');
+        }
+    }
+}
+
+/**
+ * List retained generations, newest first
+ * @param {Redis} redis - Redis connection
+ * @param {string} redisPrefix - Redis key prefix
+ * @returns {Promise<{active: (string|null), generations: Array<Object>}>} Active generation and metadata
+ */
+async function listGenerations(redis, redisPrefix) {
+    const [active, stored] = await Promise.all([
+        redis.get(generationKey(redisPrefix)),
+        redis.hgetall(metadataKey(redisPrefix))
+    ]);
+    const generations = Object.values(stored || {})
+        .map(raw => JSON.parse(raw))
+        .map(meta => ({ ...meta, active: meta.generation === active }))
+        .sort((a, b) => Number(b.generation) - Number(a.generation));
+    return { active, generations };
+}
+
+/**
+ * Record a loaded generation and drop generations beyond the retention limit
+ * The active generation is always kept; of the others, the newest are kept.
+ * @param {Redis} redis - Redis connection
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {Object} metadata - Generation metadata (must include `generation`)
+ * @param {number} retain - Number of generations to keep, including the active one
+ * @param {string|null} [previous] - Generation the load replaced
+ * @returns {Promise<Array<string>>} Generations that were dropped
+ */
+async function recordGeneration(redis, redisPrefix, metadata, retain, previous = null) {
+    await redis.hset(metadataKey(redisPrefix), metadata.generation, JSON.stringify(metadata));
+    if (previous) {
+        // Datasets loaded before generations were retained have no metadata yet
+        await redis.hsetnx(metadataKey(redisPrefix), previous, JSON.stringify({ generation: previous }));
+    }
+
+    const { active, generations } = await listGenerations(redis, redisPrefix);
+    const kept = new Set([active]);
+    for (const { generation } of generations) {
+        if (kept.size >= retain) break;
+        kept.add(generation);
+    }
+    const dropped = generations.map(g => g.generation).filter(g => !kept.has(g));
+    if (dropped.length > 0) {
+        const pipeline = redis.pipeline();
+        for (const generation of dropped) {
+            const keys = retainedKeys(redisPrefix, generation);
+            pipeline.del(keys.ranges, keys.ranges6);
+            pipeline.hdel(metadataKey(redisPrefix), generation);
+        }
+        await pipeline.exec();
+        logger.info({ dropped, retained: [...kept] }, 'Dropped old generations');
+    }
+    return dropped;
+}
+
+/**
+ * Error raised when a generation cannot be activated
+ * @param {string} message - Error message
+ * @param {string} code - NOT_FOUND, ALREADY_ACTIVE or LOCKED
+ * @returns {Error} Error with `code`
+ */
+function activationError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Switch the active dataset to a retained generation
+ * The caller must hold the update lock so no load runs at the same time.
+ * @param {Redis} redis - Redis connection
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {string} target - Generation id, or `previous` for the newest retained generation older than the active one
+ * @returns {Promise<{generation: string, previous: (string|null)}>} Activated and previously active generation
+ * @throws {Error} With code NOT_FOUND or ALREADY_ACTIVE
+ */
+async function activateGeneration(redis, redisPrefix, target) {
+    const { active, generations } = await listGenerations(redis, redisPrefix);
+
+    let generation = String(target);
+    if (generation === 'previous') {
+        const older = generations.find(g => active === null || Number(g.generation) < Number(active));
+        if (!older) {
+            throw activationError('no previous generation is retained', 'NOT_FOUND');
+        }
+        generation = older.generation;
+    }
+    if (generation === active) {
+        throw activationError(`generation ${generation} is already active`, 'ALREADY_ACTIVE');
+    }
+    if (!generations.some(g => g.generation === generation)) {
+        throw activationError(`generation ${generation} is not retained`, 'NOT_FOUND');
+    }
+
+    const keys = retainedKeys(redisPrefix, generation);
+    let previous;
+    try {
+        // The outgoing generation is always kept so the switch can be reversed
+        previous = await swapIn(redis, redisPrefix, { generation, ...keys, retain: true });
+    } catch (error) {
+        if (/no data for generation/.test(error.message)) {
+            throw activationError(`generation ${generation} has no data`, 'NOT_FOUND');
+        }
+        throw error;
+    }
+
+    const meta = JSON.parse(await redis.hget(metadataKey(redisPrefix), generation));
+    meta.activatedAt = new Date().toISOString();
+    await redis.hset(metadataKey(redisPrefix), generation, JSON.stringify(meta));
+    if (previous) {
+        await redis.hsetnx(metadataKey(redisPrefix), previous, JSON.stringify({ generation: previous }));
+    }
+
+    logger.info({ generation, previous }, 'Switched active generation');
+    return { generation, previous };
+}
+
+/**
+ * Switch the active generation while holding the update lock
+ * @param {Redis} redis - Redis connection
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {string} target - Generation id or `previous`
+ * @returns {Promise<{generation: string, previous: (string|null)}>} Activated and previously active generation
+ * @throws {Error} With code LOCKED while an update runs, or as activateGeneration()
+ */
+async function switchGeneration(redis, redisPrefix, target) {
+    const lockKey = redisPrefix + 'update_lock';
+    if (!(await updateLock.acquireLock(lockKey, 60))) {
+        throw activationError('an update is in progress', 'LOCKED');
+    }
+    const lockValue = await updateLock.getLockValue(lockKey);
+    try {
+        return await activateGeneration(redis, redisPrefix, target);
+    } finally {
+        await updateLock.releaseLock(lockKey, lockValue);
+    }
+}
+
+module.exports = {
+    metadataKey,
+    retainedKeys,
+    swapIn,
+    listGenerations,
+    recordGeneration,
+    activateGeneration,
+    switchGeneration
+};
@@ -0,0 +1,296 @@
+'use strict';
+
+const net = require('net');
+
+/**
+ * Width of a fixed-length hex encoded IPv6 address (128 bits)
+ */
+const IPV6_HEX_LENGTH = 32;
+
+/**
+ * Largest IPv6 address as a BigInt
+ */
+const IPV6_MAX = (1n << 128n) - 1n;
+
+/**
+ * Convert IPv4 address to integer
+ * @param {string} ip - IPv4 address string
+ * @returns {number} IP as integer
+ */
+function ip2int(ip) {
+    return ip.split('.').reduce(function(ipInt, octet) { return (ipInt<<8) + parseInt(octet, 10)}, 0) >>> 0;
+}
+
+/**
+ * Convert integer to IPv4 address
+ * @param {number} value - IP as integer
+ * @returns {string} IPv4 address string
+ */
+function int2ip(value) {
+    return [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+}
+
+/**
+ * Convert IPv6 address to BigInt
+ * Supports zero compression (::) and embedded IPv4 (::ffff:1.2.3.4)
+ * @param {string} ip - IPv6 address string
+ * @returns {bigint} IP as 128-bit integer
+ * @throws {Error} If the address is not a valid IPv6 address
+ */
+function ipv6ToBigInt(ip) {
+    if (!net.isIPv6(ip)) {
+        throw new Error(`Invalid IPv6 address: ${ip}`);
+    }
+
+    let address = ip.split('%')[0];
+
+    // Replace embedded IPv4 tail with two hex groups
+    const v4Match = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (v4Match) {
+        const v4 = ip2int(v4Match[1]);
+        address = address.slice(0, -v4Match[1].length) +
+            ((v4 >>> 16) & 0xffff).toString(16) + ':' + (v4 & 0xffff).toString(16);
+    }
+
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = 8 - headGroups.length - tailGroups.length;
+    const groups = address.includes('::')
+        ? [...headGroups, ...new Array(missing).fill('0'), ...tailGroups]
+        : headGroups;
+
+    return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Convert BigInt to compressed IPv6 address
+ * @param {bigint} value - IP as 128-bit integer
+ * @returns {string} IPv6 address string
+ */
+function bigIntToIpv6(value) {
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+        groups.push(Number((value >> shift) & 0xffffn));
+    }
+
+    // Find the longest run of zero groups (length >= 2) to compress
+    let bestStart = -1, bestLength = 0;
+    for (let i = 0; i < groups.length; i++) {
+        if (groups[i] !== 0) continue;
+        let j = i;
+        while (j < groups.length && groups[j] === 0) j++;
+        if (j - i > bestLength && j - i > 1) {
+            bestStart = i;
+            bestLength = j - i;
+        }
+        i = j;
+    }
+
+    const hex = groups.map(g => g.toString(16));
+    if (bestStart === -1) {
+        return hex.join(':');
+    }
+    const head = hex.slice(0, bestStart).join(':');
+    const tail = hex.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+}
+
+/**
+ * Parse an IP address into its version and integer value
+ * IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are returned as IPv4
+ * @param {string} ip - IP address string
+ * @returns {{version: number, value: (number|bigint)}|null} Parsed address, or null if invalid
+ */
+function parseIP(ip) {
+    if (typeof ip !== 'string') {
+        return null;
+    }
+    const address = ip.trim();
+
+    if (net.isIPv4(address)) {
+        return { version: 4, value: ip2int(address) };
+    }
+
+    if (net.isIPv6(address)) {
+        const value = ipv6ToBigInt(address);
+        if ((value >> 32n) === 0xffffn) {
+            return { version: 4, value: Number(value & 0xffffffffn) };
+        }
+        return { version: 6, value };
+    }
+
+    return null;
+}
+
+/**
+ * Format a parsed address value back into its string form
+ * @param {number|bigint} value - IP as integer
+ * @param {number} version - IP version (4 or 6)
+ * @returns {string} IP address string
+ */
+function formatIP(value, version) {
+    return version === 6 ? bigIntToIpv6(BigInt(value)) : int2ip(Number(value));
+}
+
+/**
+ * Convert a CIDR block (or single address) to an inclusive integer range
+ * The full block is returned, including network and broadcast addresses
+ * @param {string} cidr - CIDR notation (e.g. 2001:db8::/32) or single address
+ * @returns {{version: number, start: (number|bigint), end: (number|bigint)}} Range
+ * @throws {Error} If the CIDR is invalid
+ */
+function cidrToRange(cidr) {
+    const [address, bits] = String(cidr).trim().split('/');
+    const isV6 = address.includes(':');
+    if (isV6 ? !net.isIPv6(address) : !net.isIPv4(address)) {
+        throw new Error(`Invalid CIDR: ${cidr}`);
+    }
+
+    const width = isV6 ? 128 : 32;
+    if (bits !== undefined && !/^\d+$/.test(bits)) {
+        throw new Error(`Invalid CIDR: ${cidr}`);
+    }
+    const prefix = bits === undefined ? width : parseInt(bits, 10);
+    if (prefix > width) {
+        throw new Error(`Invalid CIDR: ${cidr}`);
+    }
+
+    if (!isV6) {
+        const size = 2 ** (32 - prefix);
+        const start = Math.floor(ip2int(address) / size) * size;
+        return { version: 4, start, end: start + size - 1 };
+    }
+
+    const hostMask = (1n << BigInt(128 - prefix)) - 1n;
+    const start = ipv6ToBigInt(address) & (IPV6_MAX ^ hostMask);
+    return { version: 6, start, end: start | hostMask };
+}
+
+/**
+ * Encode IPv6 integer as fixed-width hex so that lexicographic order matches numeric order
+ * @param {bigint} value - IP as 128-bit integer
+ * @returns {string} 32 character lowercase hex string
+ */
+function toLexKey(value) {
+    return BigInt(value).toString(16).padStart(IPV6_HEX_LENGTH, '0');
+}
+
+/**
+ * Decode fixed-width hex back to an IPv6 integer
+ * @param {string} key - Hex string produced by toLexKey()
+ * @returns {bigint} IP as 128-bit integer
+ */
+function fromLexKey(key) {
+    return BigInt('0x' + key);
+}
+
+/**
+ * Parse a range bound from a staging file
+ * IPv4 bounds are written as integers, IPv6 bounds as address strings
+ * @param {string|number} bound - Bound value from the staging file
+ * @returns {{version: number, value: (number|bigint)}|null} Parsed bound, or null if invalid
+ */
+function parseBound(bound) {
+    const text = String(bound).trim();
+    if (text.includes(':')) {
+        return net.isIPv6(text) ? { version: 6, value: ipv6ToBigInt(text) } : null;
+    }
+    if (!/^\d+$/.test(text)) {
+        return null;
+    }
+    const value = parseInt(text, 10);
+    if (value > 0xffffffff) {
+        return null;
+    }
+    return { version: 4, value };
+}
+
+/**
+ * Split a stored range member ("start|end|json") into its parts
+ * Only the first two delimiters are significant; the JSON may contain "|"
+ * @param {string} member - Sorted set member
+ * @returns {{start: string, end: string, data: string}} Member parts
+ */
+function splitMember(member) {
+    const first = member.indexOf('|');
+    const second = member.indexOf('|', first + 1);
+    return {
+        start: member.slice(0, first),
+        end: member.slice(first + 1, second),
+        data: member.slice(second + 1)
+    };
+}
+
+/**
+ * Index of IP ranges for overlap queries
+ * Ranges of each family are sorted by start with a running maximum of their
+ * ends. A query binary-searches the last range starting at or before its end
+ * and walks back only while an earlier range can still reach its start, so
+ * lookups do not scan every range.
+ * @param {Array<{version: number, start: (number|bigint), end: (number|bigint)}>} items - Ranges, with any other fields
+ * @returns {{size: number, overlapping: Function}} `overlapping(version, start, end)` returns the items overlapping the range, in their original order
+ */
+function createRangeIndex(items) {
+    const families = new Map();
+    items.forEach((item, position) => {
+        if (!families.has(item.version)) {
+            families.set(item.version, []);
+        }
+        families.get(item.version).push({ item, position });
+    });
+    for (const nodes of families.values()) {
+        nodes.sort((a, b) => (a.item.start < b.item.start ? -1 : a.item.start > b.item.start ? 1 : a.position - b.position));
+        let maxEnd = null;
+        for (const node of nodes) {
+            maxEnd = maxEnd === null || node.item.end > maxEnd ? node.item.end : maxEnd;
+            node.maxEnd = maxEnd;
+        }
+    }
+
+    return {
+        size: items.length,
+        overlapping(version, start, end) {
+            const nodes = families.get(version);
+            if (!nodes) {
+                return [];
+            }
+            // Last range starting at or before the end of the query
+            let low = 0;
+            let high = nodes.length - 1;
+            let last = -1;
+            while (low <= high) {
+                const middle = (low + high) >> 1;
+                if (nodes[middle].item.start <= end) {
+                    last = middle;
+                    low = middle + 1;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            const found = [];
+            for (let i = last; i >= 0 && nodes[i].maxEnd >= start; i--) {
+                if (nodes[i].item.end >= start) {
+                    found.push(nodes[i]);
+                }
+            }
+            return found.sort((a, b) => a.position - b.position).map(node => node.item);
+        }
+    };
+}
+
+module.exports = {
+    IPV6_MAX,
+    ip2int,
+    int2ip,
+    ipv6ToBigInt,
+    bigIntToIpv6,
+    parseIP,
+    formatIP,
+    cidrToRange,
+    toLexKey,
+    fromLexKey,
+    parseBound,
+    splitMember,
+    createRangeIndex
+};
@@ -5,6 +5,10 @@ const fs = require('fs');
 const Redis = require("ioredis");
 const { format } = require('date-fns');
 const appConfig = require('./config');
+const ipRange = require('./ipRange');
+const { generationKey } = require('./generation');
+const generationHistory = require('./generationHistory');
+const datasetChanges = require('./datasetChanges');
 const logger = require('./logger').child({ module: 'loadToRedis' });
 
 /**
@@ -19,24 +23,119 @@ function forceGC() {
 }
 
 /**
- * Convert IP address to integer
- * @param {string} ip - IP address string
- * @returns {number} IP as integer
+ * Sort range boundaries and flatten them into non-overlapping segments
+ * @param {Redis} redis - Redis connection
+ * @param {Array<Object>} scratch - Range boundaries ({n, a, e})
+ * @param {number|bigint} one - Unit step for the boundary type (1 for IPv4, 1n for IPv6)
+ * @param {Function} addSegment - Called with (pipeline, start, end, data) for each segment
+ * @param {boolean} gc - Enable garbage collection
+ * @returns {Promise<void>}
  */
-function ip2int(ip) {
-    return ip.split('.').reduce(function(ipInt, octet) { return (ipInt<<8) + parseInt(octet, 10)}, 0) >>> 0;
+async function flatten(redis, scratch, one, addSegment, gc) {
+    logger.info({ size: scratch.length }, 'Sorting scratch array...');
+    scratch.sort((a, b) => {
+        if (a.n < b.n) return -1;
+        if (a.n > b.n) return 1;
+        if (a.e < b.e) return -1;
+        if (a.e > b.e) return 1;
+        return 0;
+    });
+    logger.info('Sorting finished');
+
+    let s = [];
+    let n;
+    let m;
+
+    let pipeline = redis.pipeline();
+    const batchSize = 100000;
+
+    for (let k = 0; k < scratch.length - 1; k++) {
+        if (!(k % 10000)) {
+            logger.debug({ processed: k, total: scratch.length }, 'Flattening ranges');
+        }
+
+        if (!(k % batchSize)) {
+            await pipeline.exec();
+            if (gc) {
+                forceGC();
+                logger.debug('Garbage collection triggered');
+            }
+            pipeline = redis.pipeline();
+        }
+
+        const cur = scratch[k];
+        const nex = scratch[k + 1];
+
+        if (cur.e === false) {
+            s.push(cur.a);
+        } else {
+            const index = s.indexOf(cur.a);
+            if (index > -1) s.splice(index, 1);
+        }
+
+        if (cur.e === false) {
+            n = cur.n;
+        } else {
+            n = cur.n + one;
+        }
+
+        if (nex.e === false) {
+            m = nex.n - one;
+        } else {
+            m = nex.n;
+        }
+
+        if (n <= m && s.length) {
+            s = [...new Set(s)];
+
+            const data = {};
+            for (const i of s) {
+                const j = JSON.parse(i);
+                const type = j.type;
+                delete j.type;
+                if (!data[type]) data[type] = [];
+                data[type].push(j);
+            }
+
+            addSegment(pipeline, n, m, data);
+        }
+    }
+
+    // Execute final pipeline
+    const pipelineResults = await pipeline.exec();
+
+    // Check for pipeline errors
+    if (pipelineResults) {
+        const errors = pipelineResults.filter(r => r[0] !== null);
+        if (errors.length > 0) {
+            logger.error({ errors }, 'Pipeline execution errors');
+            throw new Error(`Pipeline errors: ${errors.length} commands failed`);
+        }
+    }
 }
 
 /**
  * Load IP ranges from CSV file into Redis
+ * IPv4 segments are stored in `ranges` scored by their end address.
+ * IPv6 segments are stored in `ranges6` with equal scores and fixed-width
+ * hex bounds, so they are ordered lexicographically with 128-bit precision.
+ * Every load is stamped with a new dataset generation id, set atomically with
+ * the ranges and announced on the generation channel so caches keyed on the
+ * previous generation stop being used immediately. The replaced dataset is
+ * kept under versioned keys (`ranges:<generation>`) until it falls out of the
+ * retention limit, so it can be switched back to.
+ * When change tracking is enabled, the ranges each list gained and lost
+ * against the previous generation are recorded after the swap.
  * @param {string} file - CSV file path
  * @param {string} redisPrefix - Redis key prefix
  * @param {boolean} gc - Enable garbage collection
- * @returns {Promise<void>}
+ * @returns {Promise<string>} Generation id of the loaded dataset
  */
 exports.load = (file, redisPrefix, gc) => {
     let k = 0;
+    let skipped = 0;
     const scratch = [];
+    const scratch6 = [];
     
     return new Promise((resolve, reject) => {
         // Create optimized Redis connection
@@ -67,9 +166,10 @@ exports.load = (file, redisPrefix, gc) => {
         });
 
         const tempKey = 'arfa45e13grh785gEV4wfw$WF7h';
+        const tempKey6 = tempKey + ':6';
         
-        // Delete temp key if it exists
-        redis.del(tempKey).catch(err => {
+        // Delete temp keys if they exist
+        redis.del(tempKey, tempKey6).catch(err => {
             logger.warn({ error: err.message }, 'Error deleting temp key (may not exist)');
         });
 
@@ -89,7 +189,7 @@ exports.load = (file, redisPrefix, gc) => {
                     if (header === 'list') {
                         return value;
                     } else {
-                        return parseInt(value);
+                        return ipRange.parseBound(value);
                     }
                 }
             }))
@@ -98,8 +198,13 @@ exports.load = (file, redisPrefix, gc) => {
                 if (!(k % 10000)) {
                     logger.debug({ lines: k }, 'Reading CSV lines');
                 }
-                scratch.push({n: r.start_int, a: r.list, e: false});
-                scratch.push({n: r.end_int, a: r.list, e: true});
+                if (!r.start_int || !r.end_int || r.start_int.version !== r.end_int.version) {
+                    skipped++;
+                    return;
+                }
+                const target = r.start_int.version === 6 ? scratch6 : scratch;
+                target.push({n: r.start_int.value, a: r.list, e: false});
+                target.push({n: r.end_int.value, a: r.list, e: true});
             })
             .on('error', (err) => {
                 logger.error({ error: err.message }, 'CSV parsing error');
@@ -108,132 +213,123 @@ exports.load = (file, redisPrefix, gc) => {
             })
             .on('end', async () => {
                 try {
-                    logger.info({ lines: k, scratchSize: scratch.length }, 'CSV file successfully processed');
+                    logger.info({
+                        lines: k,
+                        skipped,
+                        scratchSize: scratch.length,
+                        scratch6Size: scratch6.length
+                    }, 'CSV file successfully processed');
 
                     // Store metadata
+                    const generation = String(await redis.incr(redisPrefix + 'generation_seq'));
                     const lists = await redis.smembers(redisPrefix + 'lists');
                     await redis.lpush(redisPrefix + 'ipListSize', JSON.stringify({
                         date: format(new Date(), 'yyyy-MM-dd HH:mm:ss'),
                         size: k,
-                        lists: lists
+                        lists: lists,
+                        generation
                     }));
 
-                    logger.info('Sorting scratch array...');
-                    scratch.sort((a, b) => {
-                        if (a.n < b.n) return -1;
-                        if (a.n > b.n) return 1;
-                        if (a.e < b.e) return -1;
-                        if (a.e > b.e) return 1;
-                        return 0;
-                    });
-                    logger.info('Sorting finished');
+                    const trackChanges = appConfig.changes.enabled;
+                    const coverage = trackChanges ? new datasetChanges.Coverage() : null;
 
-                    let s = [];
-                    let n;
-                    let m;
+                    await flatten(redis, scratch, 1, (pipeline, n, m, data) => {
+                        pipeline.zadd(tempKey, m, `${n}|${m}|${JSON.stringify(data)}`);
+                        if (coverage) coverage.add(4, n, m, data);
+                    }, gc);
+                    scratch.length = 0;
 
-                    let pipeline = redis.pipeline();
-                    const batchSize = 100000;
+                    await flatten(redis, scratch6, 1n, (pipeline, n, m, data) => {
+                        pipeline.zadd(tempKey6, 0, `${ipRange.toLexKey(n)}|${ipRange.toLexKey(m)}|${JSON.stringify(data)}`);
+                        if (coverage) coverage.add(6, n, m, data);
+                    }, gc);
+                    scratch6.length = 0;
                     
-                    for (let k = 0; k < scratch.length - 1; k++) {
-                        if (!(k % 10000)) {
-                            logger.debug({ processed: k, total: scratch.length }, 'Flattening ranges');
-                        }
-                        
-                        if (!(k % batchSize)) {
-                            await pipeline.exec();
-                            if (gc) {
-                                forceGC();
-                                logger.debug('Garbage collection triggered');
-                            }
-                            pipeline = redis.pipeline();
-                        }
-                        
-                        const cur = scratch[k];
-                        const nex = scratch[k + 1];
-                        
-                        if (cur.e === false) {
-                            s.push(cur.a);
-                        } else {
-                            const index = s.indexOf(cur.a);
-                            if (index > -1) s.splice(index, 1);
-                        }
-                        
-                        if (cur.e === false) {
-                            n = cur.n;
-                        } else {
-                            n = cur.n + 1;
-                        }
-                        
-                        if (nex.e === false) {
-                            m = nex.n - 1;
-                        } else {
-                            m = nex.n;
-                        }
-
-                        if (n <= m && s.length) {
-                            s = [...new Set(s)];
-
-                            const data = {};
-                            for (const i of s) {
-                                const j = JSON.parse(i);
-                                const type = j.type;
-                                delete j.type;
-                                if (!data[type]) data[type] = [];
-                                data[type].push(j);
-                            }
-
-                            pipeline.zadd(tempKey, m, `${n}|${m}|${JSON.stringify(data)}`);
-                        }
-                    }
-                    
-                    // Execute final pipeline
-                    const pipelineResults = await pipeline.exec();
-                    
-                    // Check for pipeline errors
-                    if (pipelineResults) {
-                        const errors = pipelineResults.filter(r => r[0] !== null);
-                        if (errors.length > 0) {
-                            logger.error({ errors }, 'Pipeline execution errors');
-                            throw new Error(`Pipeline errors: ${errors.length} commands failed`);
-                        }
-                    }
-                    
-                    // Check if temp key has data before renaming
+                    // Check if temp keys have data before renaming
                     const tempKeySize = await redis.zcard(tempKey);
-                    if (tempKeySize === 0) {
+                    const tempKey6Size = await redis.zcard(tempKey6);
+                    if (tempKeySize === 0 && tempKey6Size === 0) {
                         logger.warn('Temp key is empty, aborting rename');
                         throw new Error('No data to load - temp key is empty');
                     }
                     
-                    logger.info({ tempKeySize }, 'Temp key populated, proceeding with atomic rename');
+                    logger.info({ tempKeySize, tempKey6Size }, 'Temp keys populated, proceeding with atomic rename');
+
+                    // Capture the outgoing dataset before it is replaced
+                    let previousGeneration = null;
+                    let previousCoverage = null;
+                    if (trackChanges) {
+                        try {
+                            previousGeneration = await redis.get(generationKey(redisPrefix));
+                            if (previousGeneration !== null) {
+                                previousCoverage = await datasetChanges.readCoverage(redis, redisPrefix);
+                            }
+                        } catch (error) {
+                            logger.warn({ error: error.message }, 'Failed to read previous dataset, changes will not be recorded');
+                            previousCoverage = null;
+                        }
+                    }
                     
-                    // Atomically rename temp key to final key
-                    // This is atomic - either succeeds or fails, no partial state
-                    await redis.rename(tempKey, redisPrefix + 'ranges');
+                    // Atomically swap both families into place in a single script
+                    // so lookups never see IPv4 and IPv6 data from different loads
+                    const retain = appConfig.generations.retain;
+                    const replaced = await generationHistory.swapIn(redis, redisPrefix, {
+                        generation,
+                        ranges: tempKey,
+                        ranges6: tempKey6,
+                        retain: retain > 1
+                    });
                     
                     // Verify the rename succeeded
                     const finalKeySize = await redis.zcard(redisPrefix + 'ranges');
-                    if (finalKeySize !== tempKeySize) {
-                        logger.error({ tempKeySize, finalKeySize }, 'Key size mismatch after rename');
+                    const finalKey6Size = await redis.zcard(redisPrefix + 'ranges6');
+                    if (finalKeySize !== tempKeySize || finalKey6Size !== tempKey6Size) {
+                        logger.error({ tempKeySize, finalKeySize, tempKey6Size, finalKey6Size }, 'Key size mismatch after rename');
                         throw new Error('Key size mismatch after rename - possible corruption');
                     }
                     
-                    // Clean up temp key (shouldn't exist after rename, but just in case)
-                    await redis.del(tempKey).catch(() => {});
+                    // Clean up temp keys (shouldn't exist after rename, but just in case)
+                    await redis.del(tempKey, tempKey6).catch(() => {});
+
+                    await generationHistory.recordGeneration(redis, redisPrefix, {
+                        generation,
+                        loadedAt: new Date().toISOString(),
+                        file,
+                        lines: k,
+                        skipped,
+                        ranges: finalKeySize,
+                        ranges6: finalKey6Size
+                    }, retain, replaced);
+
+                    if (trackChanges) {
+                        // The load already succeeded; failing to record changes only loses history
+                        try {
+                            await datasetChanges.recordChanges(redis, redisPrefix, {
+                                generation,
+                                previousGeneration,
+                                diff: previousCoverage
+                                    ? datasetChanges.diffCoverage(previousCoverage, coverage, { maxEntries: appConfig.changes.maxEntries })
+                                    : null,
+                                maxLoads: appConfig.changes.maxLoads,
+                                maxEntries: appConfig.changes.maxEntries
+                            });
+                        } catch (error) {
+                            logger.warn({ error: error.message, generation }, 'Failed to record dataset changes');
+                        }
+                    }
 
-                    logger.info({ finalKeySize }, 'Loading to Redis completed successfully');
+                    logger.info({ finalKeySize, finalKey6Size, generation }, 'Loading to Redis completed successfully');
                     
                     await redis.quit();
-                    resolve();
+                    resolve(generation);
                 } catch (error) {
                     logger.error({ error: error.message, stack: error.stack }, 'Error during Redis loading');
                     
-                    // Clean up temp key on error to prevent leaving orphaned data
+                    // Clean up temp keys on error to prevent leaving orphaned data
                     try {
-                        const tempKeyExists = await redis.exists(tempKey);
+                        const tempKeyExists = await redis.exists(tempKey, tempKey6);
                         if (tempKeyExists) {
-                            await redis.del(tempKey);
+                            await redis.del(tempKey, tempKey6);
                             logger.info('Cleaned up temp key after error');
                         }
                     } catch (cleanupError) {
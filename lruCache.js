@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Size-bounded in-memory LRU cache with optional TTL and hit/miss counters
+ * Relies on Map preserving insertion order: the first key is the least recently used.
+ */
+class LRUCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.maxSize - Maximum number of entries
+     * @param {number} [options.ttlMs=0] - Entry time-to-live in ms (0 disables expiry)
+     */
+    constructor({ maxSize, ttlMs = 0 }) {
+        if (!(maxSize > 0)) {
+            throw new Error('LRU cache maxSize must be greater than 0');
+        }
+        this.maxSize = maxSize;
+        this.ttlMs = ttlMs;
+        this._entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    /**
+     * Get a value, marking it as most recently used
+     * @param {string} key - Cache key
+     * @returns {*} Cached value, or undefined on miss
+     */
+    get(key) {
+        const entry = this._entries.get(key);
+        if (entry === undefined) {
+            this.misses++;
+            return undefined;
+        }
+        if (this.ttlMs > 0 && entry.expires <= Date.now()) {
+            this._entries.delete(key);
+            this.misses++;
+            return undefined;
+        }
+        // Move to most recently used position
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        this.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Set a value, evicting the least recently used entry when full
+     * @param {string} key - Cache key
+     * @param {*} value - Value to cache
+     */
+    set(key, value) {
+        if (this._entries.has(key)) {
+            this._entries.delete(key);
+        } else if (this._entries.size >= this.maxSize) {
+            this._entries.delete(this._entries.keys().next().value);
+            this.evictions++;
+        }
+        this._entries.set(key, {
+            value,
+            expires: this.ttlMs > 0 ? Date.now() + this.ttlMs : 0
+        });
+    }
+
+    /**
+     * Remove every entry (counters are kept)
+     */
+    clear() {
+        this._entries.clear();
+    }
+
+    /**
+     * Number of cached entries
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Size, limits and hit/miss counters
+     */
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            size: this._entries.size,
+            maxSize: this.maxSize,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            hitRatio: lookups === 0 ? 0 : Number((this.hits / lookups).toFixed(4))
+        };
+    }
+}
+
+module.exports = {
+    LRUCache
+};
@@ -0,0 +1,272 @@
+'use strict';
+
+const fs = require('fs');
+const client = require('prom-client');
+const logger = require('./logger').child({ module: 'metrics' });
+
+/**
+ * Prefix of every metric name
+ */
+const PREFIX = 'ip_denylist_';
+
+/**
+ * Registry served on /metrics
+ */
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+// Latency buckets (seconds) for lookups, which are mostly served in a few milliseconds
+const lookupBuckets = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+const httpDuration = new client.Histogram({
+    name: `${PREFIX}http_request_duration_seconds`,
+    help: 'HTTP request latency by route',
+    labelNames: ['method', 'route', 'status'],
+    buckets: lookupBuckets,
+    registers: [registry]
+});
+
+const wsDuration = new client.Histogram({
+    name: `${PREFIX}ws_message_duration_seconds`,
+    help: 'WebSocket message handling latency by message type',
+    labelNames: ['type'],
+    buckets: lookupBuckets,
+    registers: [registry]
+});
+
+const cacheLookups = new client.Counter({
+    name: `${PREFIX}cache_lookups_total`,
+    help: 'Result cache reads by tier (memory, redis) and result (hit, miss)',
+    labelNames: ['tier', 'result'],
+    registers: [registry]
+});
+
+const dnsblDuration = new client.Histogram({
+    name: `${PREFIX}dnsbl_query_duration_seconds`,
+    help: 'DNSBL query latency by provider',
+    labelNames: ['provider'],
+    buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2, 5],
+    registers: [registry]
+});
+
+const dnsblErrors = new client.Counter({
+    name: `${PREFIX}dnsbl_query_errors_total`,
+    help: 'DNSBL queries that failed (timeouts, refused queries), by provider and error code',
+    labelNames: ['provider', 'code'],
+    registers: [registry]
+});
+
+const pluginDuration = new client.Gauge({
+    name: `${PREFIX}plugin_duration_seconds`,
+    help: 'Duration of the last run of each plugin',
+    labelNames: ['plugin'],
+    registers: [registry]
+});
+
+const pluginRows = new client.Gauge({
+    name: `${PREFIX}plugin_rows`,
+    help: 'Rows staged by the last successful run of each plugin',
+    labelNames: ['plugin'],
+    registers: [registry]
+});
+
+const pluginRuns = new client.Counter({
+    name: `${PREFIX}plugin_runs_total`,
+    help: 'Plugin runs by outcome (success, failure)',
+    labelNames: ['plugin', 'outcome'],
+    registers: [registry]
+});
+
+/**
+ * Record an HTTP request once it has finished
+ * @param {string} method - HTTP method
+ * @param {string} route - Matched route pattern, e.g. `/:ip`
+ * @param {number} status - Response status
+ * @param {number} seconds - Duration
+ */
+function observeHttpRequest(method, route, status, seconds) {
+    httpDuration.observe({ method, route, status: String(status) }, seconds);
+}
+
+/**
+ * Record a handled WebSocket message
+ * @param {string} type - Message type
+ * @param {number} seconds - Duration
+ */
+function observeWsMessage(type, seconds) {
+    wsDuration.observe({ type }, seconds);
+}
+
+/**
+ * Record a result cache read
+ * @param {string} tier - `memory` or `redis`
+ * @param {boolean} hit - Whether the entry was found
+ */
+function countCacheLookup(tier, hit) {
+    cacheLookups.inc({ tier, result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * Record a DNSBL query
+ * @param {string} provider - Provider name
+ * @param {number} seconds - Duration
+ * @param {string|null} [errorCode] - DNS error code if the query failed
+ */
+function observeDnsblQuery(provider, seconds, errorCode = null) {
+    dnsblDuration.observe({ provider }, seconds);
+    if (errorCode) {
+        dnsblErrors.inc({ provider, code: errorCode });
+    }
+}
+
+/**
+ * Count the rows of a staging file
+ * @param {string} file - Staging file
+ * @returns {Promise<number>} Number of lines
+ */
+function countRows(file) {
+    return new Promise((resolve, reject) => {
+        let rows = 0;
+        fs.createReadStream(file)
+            .on('data', chunk => {
+                for (let i = 0; i < chunk.length; i++) {
+                    if (chunk[i] === 10) rows++;
+                }
+            })
+            .on('end', () => resolve(rows))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Run a plugin and record its duration, staged rows and outcome
+ * @param {Object} plugin - Plugin wrapper from buildPlugins()
+ * @param {Object} [options] - Options passed to the plugin's load()
+ * @returns {Promise<{result: any, rows: (number|null)}>} Plugin load result and staged rows (null without a staging file)
+ */
+async function runPlugin(plugin, options) {
+    const end = pluginDuration.startTimer({ plugin: plugin.name });
+    try {
+        const result = await plugin.load(options);
+        end();
+        pluginRuns.inc({ plugin: plugin.name, outcome: 'success' });
+        let rows = null;
+        if (plugin.outputFile && fs.existsSync(plugin.outputFile)) {
+            rows = await countRows(plugin.outputFile);
+            pluginRows.set({ plugin: plugin.name }, rows);
+        }
+        return { result, rows };
+    } catch (error) {
+        end();
+        pluginRuns.inc({ plugin: plugin.name, outcome: 'failure' });
+        throw error;
+    }
+}
+
+/**
+ * Express middleware timing requests by matched route
+ * Requests that match no route are reported as `unmatched` so that arbitrary
+ * paths do not create new series.
+ * @param {express.Request} req - Express request
+ * @param {express.Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function httpMiddleware(req, res, next) {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        observeHttpRequest(req.method, route, res.statusCode, Number(process.hrtime.bigint() - start) / 1e9);
+    });
+    next();
+}
+
+let datasetCollectorsRegistered = false;
+
+/**
+ * Register gauges read from Redis on every scrape: range counts, dataset age
+ * and update lock state
+ * Only the first call registers; later calls are ignored.
+ * @param {Object} options - Collector options
+ * @param {Function} options.getRedis - Returns the Redis connection
+ * @param {Function} options.getRedisPrefix - Returns the Redis key prefix
+ * @param {Object} options.updateLock - Update lock module
+ */
+function registerDatasetCollectors({ getRedis, getRedisPrefix, updateLock }) {
+    if (datasetCollectorsRegistered) {
+        return;
+    }
+    datasetCollectorsRegistered = true;
+
+    new client.Gauge({
+        name: `${PREFIX}dataset_ranges`,
+        help: 'Segments in the active dataset by address family',
+        labelNames: ['family'],
+        registers: [registry],
+        async collect() {
+            const prefix = getRedisPrefix();
+            try {
+                const [ranges, ranges6] = await Promise.all([
+                    getRedis().zcard(prefix + 'ranges'),
+                    getRedis().zcard(prefix + 'ranges6')
+                ]);
+                this.set({ family: '4' }, ranges);
+                this.set({ family: '6' }, ranges6);
+            } catch (error) {
+                logger.warn({ error: error.message }, 'Failed to collect range counts');
+            }
+        }
+    });
+
+    new client.Gauge({
+        name: `${PREFIX}dataset_age_seconds`,
+        help: 'Seconds since the active dataset generation was loaded',
+        registers: [registry],
+        async collect() {
+            const prefix = getRedisPrefix();
+            try {
+                const redis = getRedis();
+                const generation = await redis.get(prefix + 'generation');
+                const meta = generation ? await redis.hget(prefix + 'generations', generation) : null;
+                const loadedAt = meta ? Date.parse(JSON.parse(meta).loadedAt) : NaN;
+                // Generations loaded before metadata was recorded have no age
+                if (!Number.isNaN(loadedAt)) {
+                    this.set((Date.now() - loadedAt) / 1000);
+                }
+            } catch (error) {
+                logger.warn({ error: error.message }, 'Failed to collect dataset age');
+            }
+        }
+    });
+
+    new client.Gauge({
+        name: `${PREFIX}update_lock`,
+        help: 'Update lock state: held (1 while an update runs) and stale (1 if held by a dead process)',
+        labelNames: ['state'],
+        registers: [registry],
+        async collect() {
+            const lockKey = getRedisPrefix() + 'update_lock';
+            try {
+                const held = await updateLock.isLocked(lockKey);
+                const stale = held ? await updateLock.isLockStale(lockKey) : false;
+                this.set({ state: 'held' }, held && !stale ? 1 : 0);
+                this.set({ state: 'stale' }, stale ? 1 : 0);
+            } catch (error) {
+                // An unknown lock state is left out rather than reported from an earlier scrape
+                this.reset();
+                logger.warn({ error: error.message }, 'Failed to collect update lock state');
+            }
+        }
+    });
+}
+
+module.exports = {
+    registry,
+    observeHttpRequest,
+    observeWsMessage,
+    countCacheLookup,
+    observeDnsblQuery,
+    countRows,
+    runPlugin,
+    httpMiddleware,
+    registerDatasetCollectors
+};
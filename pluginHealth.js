@@ -0,0 +1,112 @@
+'use strict';
+
+const logger = require('./logger').child({ module: 'pluginHealth' });
+
+/**
+ * Run outcomes that count as a successful run
+ */
+const SUCCESS_OUTCOMES = ['success', 'unchanged'];
+
+/**
+ * Redis key of a plugin's run history (newest first)
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {string} name - Plugin name
+ * @returns {string} Key name
+ */
+function runsKey(redisPrefix, name) {
+    return `${redisPrefix}plugin_runs:${name}`;
+}
+
+/**
+ * Redis hash of the last successful run of each plugin
+ * Kept apart from the history so a plugin failing for longer than the
+ * history reaches still shows when it last worked.
+ * @param {string} redisPrefix - Redis key prefix
+ * @returns {string} Key name
+ */
+function lastSuccessKey(redisPrefix) {
+    return redisPrefix + 'plugin_last_success';
+}
+
+/**
+ * Store a plugin run
+ * @param {Redis} redis - Redis connection
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {Object} run - Run record (`plugin`, `outcome`, `startedAt`, `endedAt`, `durationMs`, `rows`, `fileSize`, `error`, `retries`, ...)
+ * @param {number} historySize - Runs kept per plugin
+ * @returns {Promise<void>}
+ */
+async function recordRun(redis, redisPrefix, run, historySize) {
+    const raw = JSON.stringify(run);
+    const pipeline = redis.pipeline()
+        .lpush(runsKey(redisPrefix, run.plugin), raw)
+        .ltrim(runsKey(redisPrefix, run.plugin), 0, historySize - 1);
+    if (SUCCESS_OUTCOMES.includes(run.outcome)) {
+        pipeline.hset(lastSuccessKey(redisPrefix), run.plugin, raw);
+    }
+    await pipeline.exec();
+}
+
+/**
+ * Whether a plugin has gone too long without a successful run
+ * @param {Object|null} lastSuccess - Last successful run
+ * @param {number} maxAgeSeconds - Allowed age
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {boolean} True if it never succeeded or its last success is older than maxAgeSeconds
+ */
+function isStale(lastSuccess, maxAgeSeconds, now = Date.now()) {
+    if (!lastSuccess) {
+        return true;
+    }
+    return now - Date.parse(lastSuccess.endedAt) > maxAgeSeconds * 1000;
+}
+
+/**
+ * Read the run history and staleness of plugins
+ * Only plugins in `entries` are reported, so removed plugins drop out even
+ * though their history stays in Redis until it is deleted.
+ * @param {Redis} redis - Redis connection
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {Array<{name: string, critical: boolean, maxAge: number}>} entries - Enabled plugin entries
+ * @param {Object} [options] - Read options
+ * @param {number} [options.limit=10] - Runs returned per plugin
+ * @param {number} [options.now=Date.now()] - Current time in ms
+ * @returns {Promise<{status: string, stale: Array<string>, plugins: Object<string, Object>}>} `status` is `degraded` if a critical plugin is stale
+ */
+async function readPluginHealth(redis, redisPrefix, entries, { limit = 10, now = Date.now() } = {}) {
+    const lastSuccess = await redis.hgetall(lastSuccessKey(redisPrefix));
+    const plugins = {};
+    for (const entry of entries) {
+        const runs = limit > 0
+            ? (await redis.lrange(runsKey(redisPrefix, entry.name), 0, limit - 1)).map(raw => JSON.parse(raw))
+            : [];
+        const success = lastSuccess[entry.name] ? JSON.parse(lastSuccess[entry.name]) : null;
+        plugins[entry.name] = {
+            critical: entry.critical,
+            maxAge: entry.maxAge,
+            stale: isStale(success, entry.maxAge, now),
+            lastSuccess: success ? success.endedAt : null,
+            lastRun: runs[0] || null,
+            runs
+        };
+    }
+    const stale = Object.keys(plugins).filter(name => plugins[name].stale);
+    const criticalStale = stale.filter(name => plugins[name].critical);
+    if (criticalStale.length > 0) {
+        logger.debug({ plugins: criticalStale }, 'Critical plugins are stale');
+    }
+    return {
+        status: criticalStale.length > 0 ? 'degraded' : 'healthy',
+        stale,
+        plugins
+    };
+}
+
+module.exports = {
+    SUCCESS_OUTCOMES,
+    runsKey,
+    lastSuccessKey,
+    recordRun,
+    isStale,
+    readPluginHealth
+};
@@ -1,109 +1,322 @@
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
-const FireholPlugin = require('./plugins/firehol');
-const SpamhausPlugin = require('./plugins/spamhaus');
-const CloudflarePlugin = require('./plugins/cloudflare');
-const AWSPlugin = require('./plugins/aws');
-const GoogleCloudPlugin = require('./plugins/google_cloud');
-const FastlyPlugin = require('./plugins/fastly');
-// const example = require('ip_denylist_plugin_example');
-// const udger = require('ip_denylist_plugin_udger');
-// const udgerStale = require('ip_denylist_plugin_udger_stale');
-const MaxmindLiteCityPlugin = require('./plugins/maxmind_lite_city');
-const MaxmindLiteASNPlugin = require('./plugins/maxmind_lite_asn');
+const Joi = require('joi');
+const { CronTime } = require('cron');
+const BasePlugin = require('./plugins/base');
+const { SnapshotArchive } = require('./snapshots');
+const { validateStagingFile } = require('./stagingValidation');
+const logger = require('./logger').child({ module: 'plugins' });
+
+/**
+ * Directory where plugins write their staging output
+ */
+const STAGING_DIR = path.join(__dirname, 'staging');
+
+/**
+ * Plugins run when no plugin configuration file exists
+ * udger and example are available but not enabled by default
+ */
+const DEFAULT_PLUGINS = [
+    { name: 'firehol', abortOnFail: true },
+    { name: 'spamhaus' },
+    { name: 'cloudflare' },
+    { name: 'aws' },
+    { name: 'google_cloud' },
+    { name: 'fastly' },
+    { name: 'maxmind_lite_city' },
+    { name: 'maxmind_lite_asn' }
+];
+
+/**
+ * Plugin entry validation schema
+ */
+const pluginSchema = Joi.object({
+    name: Joi.string().pattern(/^[a-z0-9_]+$/).required(),
+    // Bundled plugin implementing the entry; defaults to plugins/<name>
+    type: Joi.string().pattern(/^[a-z0-9_]+$/),
+    // Module to load instead of a bundled plugin
+    module: Joi.string(),
+    enabled: Joi.boolean().default(true),
+    outputFile: Joi.string(),
+    abortOnFail: Joi.boolean().default(false),
+    // Own refresh schedule (cron expression); plugins without one run on IP_CRON
+    schedule: Joi.string().custom((value, helpers) => {
+        try {
+            new CronTime(value);
+        } catch (error) {
+            return helpers.message(`"schedule" is not a valid cron expression: ${value}`);
+        }
+        return value;
+    }),
+    // Maximum random delay (seconds) added to each scheduled run
+    jitter: Joi.number().integer().min(0).default(0),
+    // A stale critical plugin degrades /health (default: abortOnFail)
+    critical: Joi.boolean(),
+    // Seconds after the last successful run before the plugin counts as stale
+    maxAge: Joi.number().integer().min(1),
+    // Largest share of invalid staging rows before the output is rejected (default: STAGING_MAX_ERROR_RATE)
+    maxErrorRate: Joi.number().min(0).max(1),
+    // Largest range a staging row may span, as a prefix length per family
+    maxRangeSize: Joi.object({
+        ipv4: Joi.number().integer().min(0).max(32),
+        ipv6: Joi.number().integer().min(0).max(128)
+    }),
+    listArray: Joi.array().items(Joi.string().uri()).min(1),
+    apiKey: Joi.string(),
+    // Any other plugin-specific options (url, includeIpv6, ...)
+    options: Joi.object().unknown(true).default({})
+});
+
+const pluginsSchema = Joi.array().items(pluginSchema).unique('name');
+
+/**
+ * Load and validate the plugin configuration
+ * @param {string} [file] - Path to a JSON plugin file; DEFAULT_PLUGINS are used if it does not exist
+ * @param {Object} [overrides] - Environment overrides
+ * @param {Array<string>} [overrides.enabled] - Run only these plugins (empty for no restriction)
+ * @param {Array<string>} [overrides.disabled] - Never run these plugins
+ * @param {Object<string, string>} [overrides.apiKeys] - API keys by plugin name
+ * @param {number} [overrides.staleAfterSeconds=172800] - Default `maxAge`
+ * @returns {Array<Object>} Validated plugin entries with outputFile resolved
+ * @throws {Error} If the file is invalid or an override names an unknown plugin
+ */
+function loadPluginConfig(file, overrides = {}) {
+    const { enabled = [], disabled = [], apiKeys = {}, staleAfterSeconds = 172800 } = overrides;
+
+    let raw = DEFAULT_PLUGINS;
+    if (file && fs.existsSync(file)) {
+        try {
+            raw = JSON.parse(fs.readFileSync(file, 'utf8')).plugins;
+        } catch (error) {
+            throw new Error(`Plugin configuration error: ${error.message}`);
+        }
+        logger.info({ file: path.resolve(file) }, 'Loaded plugin configuration');
+    }
+
+    const { error, value } = pluginsSchema.required().validate(raw, { abortEarly: false });
+    if (error) {
+        const errorMessages = error.details.map(detail => detail.message).join(', ');
+        throw new Error(`Plugin configuration error: ${errorMessages}`);
+    }
+
+    const names = new Set(value.map(entry => entry.name));
+    const unknown = [...enabled, ...disabled].filter(name => !names.has(name));
+    if (unknown.length > 0) {
+        throw new Error(`Plugin configuration error: unknown plugin(s) ${unknown.join(', ')}`);
+    }
+
+    return value.map(entry => ({
+        ...entry,
+        enabled: enabled.length > 0 ? enabled.includes(entry.name) : entry.enabled,
+        ...(disabled.includes(entry.name) && { enabled: false }),
+        ...(apiKeys[entry.name] && { apiKey: apiKeys[entry.name] }),
+        critical: entry.critical !== undefined ? entry.critical : entry.abortOnFail,
+        maxAge: entry.maxAge || staleAfterSeconds,
+        outputFile: entry.outputFile
+            ? path.resolve(__dirname, entry.outputFile)
+            : path.join(STAGING_DIR, `${entry.name}.data.txt`)
+    }));
+}
+
+/**
+ * Create the staging row check of a plugin entry
+ * @param {Object} entry - Plugin entry
+ * @param {Object} staging - Staging settings `{validation, maxErrorRate, quarantineDir}`
+ * @returns {Object|null} `{check(file, options), report()}`, or null when validation is disabled. `check` rejects when the output is rejected and nothing replaced it; `report` returns the report of the last check
+ */
+function createStagingCheck(entry, staging) {
+    if (!staging.validation) {
+        return null;
+    }
+    const options = {
+        plugin: entry.name,
+        quarantineDir: path.resolve(__dirname, staging.quarantineDir),
+        maxErrorRate: entry.maxErrorRate !== undefined ? entry.maxErrorRate : staging.maxErrorRate,
+        maxRangeSize: entry.maxRangeSize
+    };
+    let last = null;
+    return {
+        /**
+         * Validate a staging file
+         * @param {string} file - Staging file
+         * @param {Object} [checkOptions] - Check options
+         * @param {Function} [checkOptions.fallback] - Rebuilds the output when it is rejected and no accepted output was kept; resolves to true if it did
+         * @returns {Promise<Object|null>} Validation report, or null if there is no staging file
+         */
+        async check(file, { fallback } = {}) {
+            last = null;
+            if (!fs.existsSync(file)) {
+                return null;
+            }
+            last = await validateStagingFile(file, options);
+            if (!last.passed && !last.kept && fallback && await fallback()) {
+                last.kept = 'snapshot';
+            }
+            if (!last.passed && !last.kept) {
+                throw new Error(`Plugin ${entry.name} staging output rejected: ${last.rejected} of ${last.rows} rows invalid ` +
+                    `(error rate ${last.errorRate} above ${last.maxErrorRate}), see ${path.join(options.quarantineDir, `${entry.name}.report.json`)}`);
+            }
+            return last;
+        },
+        report: () => last
+    };
+}
+
+/**
+ * Rebuild a plugin's staging output from its latest snapshot
+ * Snapshots are only recorded for output that passed validation, so the
+ * latest one is the last accepted output.
+ * @param {BasePlugin} pluginInstance - Plugin instance
+ * @returns {Promise<boolean>} True if the output was rebuilt
+ */
+async function replayLatestSnapshot(pluginInstance) {
+    if (!pluginInstance.snapshots || !pluginInstance.snapshots.readManifest('latest')) {
+        return false;
+    }
+    try {
+        await pluginInstance.init();
+        pluginInstance.useSnapshot('latest');
+        await pluginInstance.load();
+        return true;
+    } catch (error) {
+        logger.warn({ plugin: pluginInstance.name, error: error.message }, 'Failed to rebuild rejected output from snapshot');
+        return false;
+    }
+}
 
 /**
  * Create plugin wrapper for backward compatibility
  * @param {BasePlugin} pluginInstance - Plugin instance
+ * @param {Object|null} [stagingCheck] - Staging row check from createStagingCheck()
  * @returns {Object} Plugin wrapper object
  */
-function createPluginWrapper(pluginInstance) {
+function createPluginWrapper(pluginInstance, stagingCheck = null) {
     return {
         name: pluginInstance.name,
         abortOnFail: pluginInstance.abortOnFail,
-        async load() {
+        outputFile: pluginInstance.outputFile,
+        /**
+         * Run the plugin
+         * @param {Object} [options] - Run options
+         * @param {string} [options.snapshot] - Rebuild the staging output from this snapshot instead of downloading
+         * @param {AbortSignal} [options.signal] - Cancels the plugin's downloads and staging writes
+         * @returns {Promise<any>} Plugin load result
+         */
+        async load({ snapshot, signal } = {}) {
             await pluginInstance.init();
+            pluginInstance.signal = signal || null;
+            if (snapshot) {
+                pluginInstance.useSnapshot(snapshot);
+            }
             const result = await pluginInstance.load();
-            await pluginInstance.validate(result);
+            // Output of an aborted run is neither validated nor remembered
+            pluginInstance.throwIfAborted();
+            // Output kept from an earlier run was checked then
+            const report = pluginInstance.sourceReport();
+            if (stagingCheck && pluginInstance.outputFile && !(report && report.unchanged)) {
+                const validation = await stagingCheck.check(pluginInstance.outputFile, {
+                    fallback: () => replayLatestSnapshot(pluginInstance)
+                });
+                // Rejected output was replaced by earlier output; its sources are downloaded again next run
+                if (validation && !validation.passed) {
+                    return result;
+                }
+            }
+            // Sources are only remembered for output that passed validation
+            if (await pluginInstance.validate(result) !== false) {
+                pluginInstance.commitSources();
+            }
             return result;
         },
+        sourceReport: () => pluginInstance.sourceReport(),
+        stagingReport: () => (stagingCheck ? stagingCheck.report() : null),
+        retryCount: () => pluginInstance.retryCount,
         getMetadata: () => pluginInstance.getMetadata(),
         healthCheck: () => pluginInstance.healthCheck(),
         cleanup: () => pluginInstance.cleanup()
     };
 }
 
-module.exports = [
-    // {
-    //     name: 'example',
-    //     load() {
-    //         return example(path.join(__dirname,'staging','example.data.txt'))
-    //     },
-    //     abortOnFail: false
-    // },
-    // {
-    //     name: 'udger',
-    //     load() {
-    //         return udger(path.join(__dirname,'staging','udger.data.txt'))
-    //     },
-    //     abortOnFail: false
-    // },
-    // {
-    //     name: 'udgerStale',
-    //     load() {
-    //         return udgerStale(path.join(__dirname,'staging','udger_stale.data.txt'))
-    //     },
-    //     abortOnFail: true
-    // },
-    // {
-    //     name: 'maxmindLiteCity',
-    //     load() {
-    //         return maxmindLiteCity(path.join(__dirname,'staging','maxmind_lite_city.data.txt'))
-    //     },
-    //     abortOnFail: false
-    // },
-    // {
-    //    name: 'maxmindLiteASN',
-    //    load() {
-    //        return maxmindLiteASN(path.join(__dirname,'staging','maxmind_lite_asn.data.txt'))
-    //     },
-    //     abortOnFail: false
-    // },
-    createPluginWrapper(new FireholPlugin({
-        outputFile: path.join(__dirname,'staging','firehol.data.txt'),
-        // listArray omitted - uses default lists from plugin
-        // Can override with: listArray: ['custom', 'urls']
-        abortOnFail: true
-    })),
-    createPluginWrapper(new SpamhausPlugin({
-        outputFile: path.join(__dirname,'staging','spamhaus.data.txt'),
-        // listArray omitted - uses default lists from plugin
-        // Can override with: listArray: ['custom', 'urls']
-        abortOnFail: false
-    })),
-    createPluginWrapper(new CloudflarePlugin({
-        outputFile: path.join(__dirname,'staging','cloudflare.data.txt'),
-        abortOnFail: false
-    })),
-    createPluginWrapper(new AWSPlugin({
-        outputFile: path.join(__dirname,'staging','aws.data.txt'),
-        abortOnFail: false
-    })),
-    createPluginWrapper(new GoogleCloudPlugin({
-        outputFile: path.join(__dirname,'staging','google_cloud.data.txt'),
-        abortOnFail: false
-    })),
-    createPluginWrapper(new FastlyPlugin({
-        outputFile: path.join(__dirname,'staging','fastly.data.txt'),
-        abortOnFail: false
-    })),
-    createPluginWrapper(new MaxmindLiteCityPlugin({
-        outputFile: path.join(__dirname,'staging','maxmind_lite_city.data.txt'),
-        abortOnFail: false
-    })),
-    createPluginWrapper(new MaxmindLiteASNPlugin({
-        outputFile: path.join(__dirname,'staging','maxmind_lite_asn.data.txt'),
-        abortOnFail: false
-    }))
-];
+/**
+ * Resolve the module implementing a plugin entry
+ * @param {Object} entry - Plugin entry
+ * @returns {Function} BasePlugin subclass or legacy loader function
+ */
+function requirePlugin(entry) {
+    if (!entry.module) {
+        return require(path.join(__dirname, 'plugins', entry.type || entry.name));
+    }
+    // Relative paths are resolved against the project root; anything else is a package name
+    return require(entry.module.startsWith('.') ? path.resolve(__dirname, entry.module) : entry.module);
+}
+
+/**
+ * Instantiate the enabled plugins
+ * BasePlugin subclasses receive the entry's name and options; legacy plugins
+ * exporting a function are called with the output file and cannot replay
+ * snapshots.
+ * @param {Array<Object>} entries - Entries from loadPluginConfig()
+ * @param {Object} [options] - Build options
+ * @param {Object} [options.snapshots] - Snapshot settings `{enabled, dir, retentionDays}`
+ * @param {Object} [options.staging] - Staging row validation settings `{validation, maxErrorRate, quarantineDir}`
+ * @returns {Array<Object>} Plugin wrappers, in configuration order
+ */
+function buildPlugins(entries, options = {}) {
+    const { snapshots = { enabled: false }, staging = { validation: false } } = options;
+
+    return entries.filter(entry => entry.enabled).map(entry => {
+        const Plugin = requirePlugin(entry);
+        if (typeof Plugin !== 'function') {
+            throw new Error(`Plugin ${entry.name} does not export a plugin class or loader function`);
+        }
+        const schedule = entry.schedule ? { schedule: entry.schedule, jitter: entry.jitter } : {};
+        const stagingCheck = createStagingCheck(entry, staging);
+
+        if (Plugin.prototype instanceof BasePlugin) {
+            const instance = new Plugin({
+                ...entry.options,
+                name: entry.name,
+                outputFile: entry.outputFile,
+                abortOnFail: entry.abortOnFail,
+                ...(entry.listArray && { listArray: entry.listArray }),
+                ...(entry.apiKey && { apiKey: entry.apiKey })
+            });
+            if (snapshots.enabled) {
+                instance.snapshots = new SnapshotArchive({
+                    dir: path.resolve(__dirname, snapshots.dir),
+                    plugin: entry.name,
+                    retentionDays: snapshots.retentionDays
+                });
+            }
+            return { ...createPluginWrapper(instance, stagingCheck), name: entry.name, ...schedule };
+        }
+
+        return {
+            name: entry.name,
+            abortOnFail: entry.abortOnFail,
+            outputFile: entry.outputFile,
+            ...schedule,
+            load: async ({ snapshot } = {}) => {
+                if (snapshot) {
+                    throw new Error(`Plugin ${entry.name} cannot replay snapshots`);
+                }
+                const result = await Plugin(entry.outputFile);
+                if (stagingCheck) {
+                    await stagingCheck.check(entry.outputFile);
+                }
+                return result;
+            },
+            stagingReport: () => (stagingCheck ? stagingCheck.report() : null)
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_PLUGINS,
+    loadPluginConfig,
+    createPluginWrapper,
+    createStagingCheck,
+    buildPlugins
+};
@@ -1,10 +1,10 @@
 'use strict';
 
-const axios = require('axios');
 const fs = require('fs');
 const ip = require('ip-utils');
 const util = require('util');
 const BasePlugin = require('../base');
+const ipRange = require('../../ipRange');
 
 /**
  * Convert IP address to integer
@@ -27,108 +27,129 @@ const AWS_IP_RANGES_URL = 'https://ip-ranges.amazonaws.com/ip-ranges.json';
 class AWSPlugin extends BasePlugin {
     /**
      * @param {Object} options - Plugin options
+     * @param {string} [options.name='aws'] - Plugin name
      * @param {string} options.outputFile - Output file path
      * @param {string} [options.url] - AWS IP ranges URL (defaults to AWS_IP_RANGES_URL)
+     * @param {boolean} [options.includeIpv6=true] - Whether to include IPv6 prefixes
      */
     constructor(options = {}) {
         super({
-            name: 'aws',
+            name: options.name || 'aws',
             version: '1.0.0',
             description: 'Downloads and processes IP ranges from AWS',
             abortOnFail: options.abortOnFail !== false
         });
         this.outputFile = options.outputFile;
         this.url = options.url || AWS_IP_RANGES_URL;
+        this.includeIpv6 = options.includeIpv6 !== false;
         this._interval = null;
     }
 
     /**
      * Download and process AWS IP ranges
+     * The document is downloaded to a hidden file next to the output and
+     * parsed from disk; ranges are written with backpressure.
+     * @param {Function} write - Line writer from writeStaging()
      * @returns {Promise<boolean>}
      */
-    async downloadAndProcess() {
+    async downloadAndProcess(write) {
         this.logger.info({ url: this.url }, 'Starting download');
-        
-        return this.retryWithBackoff(async () => {
-            const response = await axios({
-                method: 'get',
-                url: this.url,
-                responseType: 'json',
-                timeout: 30000,
-                headers: {
-                    'User-Agent': 'IP-Denylist-Lookup/1.0'
-                }
-            });
+        const file = this.sourceFile('ip-ranges.json');
+        let data;
 
-            const data = response.data;
-            if (!data || !data.prefixes || !Array.isArray(data.prefixes)) {
-                throw new Error('Invalid AWS IP ranges JSON structure');
-            }
+        try {
+            // Downloaded in full every run; fetchSource() archives the body when snapshots are enabled
+            await this.fetchSource(this.url, { file, conditional: false });
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+
+        if (!data || !data.prefixes || !Array.isArray(data.prefixes)) {
+            throw new Error('Invalid AWS IP ranges JSON structure');
+        }
+
+        this.logger.info({ prefixCount: data.prefixes.length }, 'Downloaded AWS IP ranges');
 
-            this.logger.info({ prefixCount: data.prefixes.length }, 'Downloaded AWS IP ranges');
+        let processedCount = 0;
 
-            const writer = fs.createWriteStream(this.outputFile, { flags: 'a' });
-            let processedCount = 0;
+        for (const prefix of data.prefixes) {
+            if (!prefix.ip_prefix) {
+                continue;
+            }
 
-            return new Promise((resolve, reject) => {
-                writer.on('error', (err) => {
-                    reject(new Error(`AWS write error: ${err.message}`));
-                });
+            let line;
+            try {
+                const cidrInfo = ip.cidrInfo(prefix.ip_prefix);
+                const meta = {
+                    type: 'cloud',
+                    provider: 'aws',
+                    service: prefix.service || 'unknown',
+                    region: prefix.region || 'unknown',
+                    networkBorderGroup: prefix.network_border_group || null,
+                    source: 'aws'
+                };
+
+                const metadata = JSON.stringify(meta);
+                // Quote the JSON field with ~ if it contains the delimiter |
+                const quotedMetadata = metadata.includes('|') ? `~${metadata}~` : metadata;
+
+                const format = `%s|%s|%s\n`;
+                line = util.format(format,
+                    Math.min(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
+                    Math.max(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
+                    quotedMetadata);
+            } catch (error) {
+                this.logger.warn({ ip_prefix: prefix.ip_prefix, error: error.message }, 'Failed to process IP range');
+                continue;
+            }
+            await write(line);
+            processedCount++;
+        }
 
+        // Handle IPv6 prefixes if present
+        if (this.includeIpv6 && data.ipv6_prefixes && Array.isArray(data.ipv6_prefixes)) {
+            for (const prefix of data.ipv6_prefixes) {
+                if (!prefix.ipv6_prefix) {
+                    continue;
+                }
+
+                let line;
                 try {
-                    for (const prefix of data.prefixes) {
-                        if (!prefix.ip_prefix) {
-                            continue;
-                        }
-
-                        try {
-                            const cidrInfo = ip.cidrInfo(prefix.ip_prefix);
-                            const meta = {
-                                type: 'cloud',
-                                provider: 'aws',
-                                service: prefix.service || 'unknown',
-                                region: prefix.region || 'unknown',
-                                networkBorderGroup: prefix.network_border_group || null,
-                                source: 'aws'
-                            };
-
-                            const metadata = JSON.stringify(meta);
-                            // Quote the JSON field with ~ if it contains the delimiter |
-                            const quotedMetadata = metadata.includes('|') ? `~${metadata}~` : metadata;
-
-                            const format = `%s|%s|%s\n`;
-                            const line = util.format(format,
-                                Math.min(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
-                                Math.max(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
-                                quotedMetadata);
-
-                            writer.write(line);
-                            processedCount++;
-                        } catch (error) {
-                            this.logger.warn({ ip_prefix: prefix.ip_prefix, error: error.message }, 'Failed to process IP range');
-                        }
-                    }
-
-                    // Handle IPv6 prefixes if present
-                    if (data.ipv6_prefixes && Array.isArray(data.ipv6_prefixes)) {
-                        this.logger.debug({ ipv6Count: data.ipv6_prefixes.length }, 'Skipping IPv6 prefixes (IPv4 only)');
-                    }
-
-                    writer.end();
-                    writer.on('finish', () => {
-                        this.logger.info({ processed: processedCount }, 'Finished processing AWS IP ranges');
-                        resolve(true);
-                    });
+                    const range = ipRange.cidrToRange(prefix.ipv6_prefix);
+                    const meta = {
+                        type: 'cloud',
+                        provider: 'aws',
+                        service: prefix.service || 'unknown',
+                        region: prefix.region || 'unknown',
+                        networkBorderGroup: prefix.network_border_group || null,
+                        source: 'aws'
+                    };
+
+                    const metadata = JSON.stringify(meta);
+                    const quotedMetadata = metadata.includes('|') ? `~${metadata}~` : metadata;
+
+                    const format = `%s|%s|%s\n`;
+                    line = util.format(format,
+                        ipRange.formatIP(range.start, 6),
+                        ipRange.formatIP(range.end, 6),
+                        quotedMetadata);
                 } catch (error) {
-                    writer.end();
-                    reject(new Error(`AWS processing error: ${error.message}`));
+                    this.logger.warn({ ipv6_prefix: prefix.ipv6_prefix, error: error.message }, 'Failed to process IPv6 range');
+                    continue;
                 }
-            });
-        });
+                await write(line);
+                processedCount++;
+            }
+        }
+
+        this.logger.info({ processed: processedCount }, 'Finished processing AWS IP ranges');
+        return true;
     }
 
     /**
      * Load plugin data
+     * The previous staging output is only replaced once the ranges are staged.
      * @returns {Promise<string>} Plugin name
      */
     async load() {
@@ -141,29 +162,13 @@ class AWSPlugin extends BasePlugin {
         }, 5000).unref();
 
         try {
-            // Delete output file if it exists
-            try {
-                fs.unlinkSync(this.outputFile);
-            } catch (err) {
-                if (err.code !== 'ENOENT') {
-                    this.logger.warn({ error: err.message }, "Can't delete output file");
-                }
-            }
-
-            await this.downloadAndProcess();
-
-            if (this._interval) {
-                clearInterval(this._interval);
-                this._interval = null;
-            }
-
-            return 'aws';
-        } catch (error) {
+            await this.writeStaging(write => this.downloadAndProcess(write));
+            return this.name;
+        } finally {
             if (this._interval) {
                 clearInterval(this._interval);
                 this._interval = null;
             }
-            throw error;
         }
     }
 
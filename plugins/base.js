@@ -1,5 +1,11 @@
 'use strict';
 
+const crypto = require('crypto');
+const { once } = require('events');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const axios = require('axios');
 const logger = require('../logger');
 
 /**
@@ -25,6 +31,15 @@ class BasePlugin {
         this.abortOnFail = options.abortOnFail || false;
         this.logger = logger.child({ plugin: this.name });
         this._initialized = false;
+        this._sourceState = null;
+        this._sourceRun = new Map();
+        this._replay = null;
+        // Retries made by retryWithBackoff() in the current run
+        this.retryCount = 0;
+        // SnapshotArchive set by the plugin registry when SNAPSHOTS_ENABLED is true
+        this.snapshots = null;
+        // AbortSignal of the current run, set by the plugin registry after init()
+        this.signal = null;
     }
 
     /**
@@ -35,6 +50,11 @@ class BasePlugin {
     async init() {
         this.logger.debug('Plugin init called');
         this._initialized = true;
+        this._sourceState = null;
+        this._sourceRun = new Map();
+        this._replay = null;
+        this.retryCount = 0;
+        this.signal = null;
     }
 
     /**
@@ -97,11 +117,16 @@ class BasePlugin {
 
         let lastError;
         for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            this.throwIfAborted();
             try {
                 return await fn();
             } catch (error) {
                 lastError = error;
+                if (this.signal && this.signal.aborted) {
+                    throw error;
+                }
                 if (attempt < maxRetries) {
+                    this.retryCount++;
                     const delay = Math.min(
                         initialDelay * Math.pow(2, attempt),
                         maxDelay
@@ -117,6 +142,337 @@ class BasePlugin {
         throw lastError;
     }
 
+    /**
+     * Stop the current run if it has been aborted
+     * @throws {Error} The abort reason, if the run's signal has aborted
+     */
+    throwIfAborted() {
+        if (this.signal) {
+            this.signal.throwIfAborted();
+        }
+    }
+
+    /**
+     * File remembering the validators and content hash of each source
+     * Kept next to the staging output as a hidden file, which processing skips.
+     * @returns {string} State file path
+     */
+    get sourceStateFile() {
+        return path.join(path.dirname(this.outputFile), `.${path.basename(this.outputFile)}.sources.json`);
+    }
+
+    /**
+     * Whether the previous staging output can be reused
+     * @returns {boolean} True if the output file exists and is not empty
+     */
+    hasOutput() {
+        try {
+            return fs.statSync(this.outputFile).size > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Hidden file a source is downloaded to before it is staged
+     * Kept next to the staging output, like the source state, so processing
+     * skips it.
+     * @param {string} id - Source name
+     * @returns {string} Download file path
+     */
+    sourceFile(id) {
+        const name = String(id).replace(/[^\w.-]+/g, '_');
+        return path.join(path.dirname(this.outputFile), `.${path.basename(this.outputFile)}.${name}.download`);
+    }
+
+    /**
+     * Read a file line by line
+     * @param {string} file - File path
+     * @returns {AsyncIterable<string>} Lines, without line endings
+     */
+    readLines(file) {
+        return readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    }
+
+    /**
+     * Write the staging output without holding it in memory
+     * `stage` receives a `write(line)` function that resolves once the file
+     * can take more, so large sources are staged at the pace of the disk.
+     * Lines go to a hidden temporary file, which processing skips, and only
+     * replace the output once `stage` has finished. Writing stops, and the
+     * output is left alone, once the run is aborted.
+     * @param {Function} stage - async (write) => result
+     * @returns {Promise<any>} Result of `stage`
+     */
+    async writeStaging(stage) {
+        const tmpFile = path.join(path.dirname(this.outputFile), `.${path.basename(this.outputFile)}.tmp`);
+        const writer = fs.createWriteStream(tmpFile);
+        let writeError = null;
+        writer.on('error', error => { writeError = error; });
+        const write = async (line) => {
+            if (writeError) {
+                throw writeError;
+            }
+            this.throwIfAborted();
+            if (!writer.write(line)) {
+                await once(writer, 'drain');
+            }
+        };
+
+        try {
+            const result = await stage(write);
+            await new Promise((resolve, reject) => {
+                if (writeError) {
+                    return reject(writeError);
+                }
+                writer.once('error', reject);
+                writer.end(resolve);
+            });
+            this.throwIfAborted();
+            fs.renameSync(tmpFile, this.outputFile);
+            return result;
+        } catch (error) {
+            writer.destroy();
+            fs.rmSync(tmpFile, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Read the remembered source state
+     * @returns {Object<string, Object>} State by source id
+     * @private
+     */
+    _readSourceState() {
+        if (!this._sourceState) {
+            try {
+                this._sourceState = JSON.parse(fs.readFileSync(this.sourceStateFile, 'utf8'));
+            } catch (error) {
+                this._sourceState = {};
+            }
+        }
+        return this._sourceState;
+    }
+
+    /**
+     * Download a source with a conditional request
+     * The ETag and Last-Modified from the last committed run are sent as
+     * If-None-Match / If-Modified-Since. A source is unchanged when the server
+     * answers 304 or the body hashes the same as last time. Validators are
+     * only sent while the staging output exists, since an unchanged source is
+     * of no use without it.
+     * With a snapshot archive, every downloaded body is stored in it; while
+     * replaying a snapshot (see useSnapshot()) the body is read from the
+     * archive instead of the network. The request is cancelled, and not
+     * retried, when the run is aborted.
+     * @param {string} url - Source URL
+     * @param {Object} [options] - Fetch options
+     * @param {string} [options.id=url] - Name the source is remembered and reported under; set it when the URL holds a secret
+     * @param {string} [options.file] - Write the body to this file instead of returning it
+     * @param {number} [options.timeout=30000] - Request timeout in ms
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {boolean} [options.conditional=true] - Send the remembered validators
+     * @returns {Promise<{id: string, outcome: string, changed: boolean, body: (Buffer|null)}>} `outcome` is `not_modified`, `unchanged` or `changed`; `body` is null for 304 responses and when `file` is set
+     */
+    async fetchSource(url, options = {}) {
+        const {
+            id = url,
+            file,
+            timeout = 30000,
+            headers = {},
+            conditional = true
+        } = options;
+        if (this._replay) {
+            return this._replaySource(id, file);
+        }
+        const previous = this._readSourceState()[id] || {};
+        // A 304 is only useful if the body it refers to can be archived
+        const useValidators = conditional && this.hasOutput() &&
+            !(this.snapshots && previous.hash && !this.snapshots.hasBlob(previous.hash));
+
+        const response = await this.retryWithBackoff(async () => {
+            const res = await axios({
+                method: 'get',
+                url,
+                responseType: file ? 'stream' : 'arraybuffer',
+                timeout,
+                ...(this.signal && { signal: this.signal }),
+                headers: {
+                    'User-Agent': 'IP-Denylist-Lookup/1.0',
+                    ...(useValidators && previous.etag && { 'If-None-Match': previous.etag }),
+                    ...(useValidators && previous.lastModified && { 'If-Modified-Since': previous.lastModified }),
+                    ...headers
+                },
+                validateStatus: status => (status >= 200 && status < 300) || status === 304
+            });
+            if (res.status === 304 || !file) {
+                return res;
+            }
+            // Stream to the file, hashing on the way
+            const hash = crypto.createHash('sha256');
+            await new Promise((resolve, reject) => {
+                const writer = fs.createWriteStream(file);
+                res.data.on('data', chunk => hash.update(chunk));
+                res.data.on('error', reject);
+                writer.on('finish', resolve);
+                writer.on('error', reject);
+                res.data.pipe(writer);
+            });
+            res.hash = hash.digest('hex');
+            return res;
+        });
+
+        let outcome;
+        let hash = previous.hash;
+        let body = null;
+        if (response.status === 304) {
+            outcome = 'not_modified';
+        } else {
+            body = file ? null : Buffer.from(response.data);
+            hash = response.hash || crypto.createHash('sha256').update(body).digest('hex');
+            outcome = hash === previous.hash && this.hasOutput() ? 'unchanged' : 'changed';
+            if (this.snapshots) {
+                try {
+                    this.snapshots.storeBlob(hash, { body, file });
+                } catch (error) {
+                    this.logger.warn({ source: id, error: error.message }, 'Failed to archive source');
+                }
+            }
+        }
+
+        this._sourceRun.set(id, {
+            outcome,
+            state: {
+                etag: response.headers.etag || (response.status === 304 ? previous.etag : undefined),
+                lastModified: response.headers['last-modified'] || (response.status === 304 ? previous.lastModified : undefined),
+                hash
+            }
+        });
+        this.logger.info({ source: id, outcome }, 'Fetched source');
+        return { id, outcome, changed: outcome === 'changed', body };
+    }
+
+    /**
+     * Replay the sources of an archived run instead of downloading them
+     * Called by the plugin registry after init(); load() then rebuilds the
+     * staging output from the archived bodies.
+     * @param {string} id - Snapshot id, `latest` or a date/time prefix
+     * @returns {Object} Snapshot manifest
+     * @throws {Error} If snapshots are disabled or no snapshot matches
+     */
+    useSnapshot(id) {
+        if (!this.snapshots) {
+            throw new Error(`Plugin ${this.name} has no snapshot archive (SNAPSHOTS_ENABLED is false)`);
+        }
+        const manifest = this.snapshots.readManifest(id);
+        if (!manifest) {
+            throw new Error(`Plugin ${this.name} has no snapshot matching ${id}`);
+        }
+        this._replay = manifest;
+        this.logger.info({ snapshot: manifest.id }, 'Replaying source snapshot');
+        return manifest;
+    }
+
+    /**
+     * Read a source from the snapshot being replayed
+     * @param {string} id - Source id
+     * @param {string} [file] - Copy the body to this file instead of returning it
+     * @returns {{id: string, outcome: string, changed: boolean, body: (Buffer|null)}} Archived source, always `changed`
+     * @private
+     */
+    _replaySource(id, file) {
+        const source = this._replay.sources[id];
+        if (!source || !this.snapshots.hasBlob(source.hash)) {
+            throw new Error(`Snapshot ${this._replay.id} of ${this.name} has no source ${id}`);
+        }
+        const blob = this.snapshots.blobPath(source.hash);
+        let body = null;
+        if (file) {
+            fs.copyFileSync(blob, file);
+        } else {
+            body = fs.readFileSync(blob);
+        }
+        this._sourceRun.set(id, { outcome: 'changed', state: { hash: source.hash } });
+        this.logger.info({ source: id, snapshot: this._replay.id }, 'Read source from snapshot');
+        return { id, outcome: 'changed', changed: true, body };
+    }
+
+    /**
+     * Download several sources, conditionally when possible
+     * If any source changed, the ones answered with 304 are downloaded again
+     * without validators, so every result has its body and the output can be
+     * rebuilt from all of them.
+     * @param {Array<{url: string, id?: string, file?: string, timeout?: number, headers?: Object}>} sources - Sources to fetch
+     * @returns {Promise<{unchanged: boolean, results: Array<Object>}>} `unchanged` is true when no source changed and the previous output can be reused
+     */
+    async fetchSources(sources) {
+        const results = await Promise.all(sources.map(source => this.fetchSource(source.url, source)));
+        if (results.every(result => !result.changed) && this.hasOutput()) {
+            return { unchanged: true, results };
+        }
+        return {
+            unchanged: false,
+            results: await Promise.all(results.map((result, i) => (result.outcome === 'not_modified'
+                ? this.fetchSource(sources[i].url, { ...sources[i], conditional: false })
+                : result)))
+        };
+    }
+
+    /**
+     * Remember the validators and hashes of the sources fetched in this run
+     * Called once the staging output has been written and validated, so a
+     * failed run is never mistaken for an unchanged one next time. With a
+     * snapshot archive the run is also recorded there and old runs are pruned.
+     * After a replay the remembered state no longer describes the output, so
+     * it is dropped and the next run downloads every source in full.
+     * @returns {void}
+     */
+    commitSources() {
+        if (this._sourceRun.size === 0) {
+            return;
+        }
+        if (this._replay) {
+            fs.rmSync(this.sourceStateFile, { force: true });
+            this._sourceState = null;
+            return;
+        }
+        const state = { ...this._readSourceState() };
+        for (const [id, { state: sourceState }] of this._sourceRun) {
+            state[id] = { ...sourceState, checkedAt: new Date().toISOString() };
+        }
+        try {
+            fs.writeFileSync(this.sourceStateFile, JSON.stringify(state, null, 2));
+            this._sourceState = state;
+        } catch (error) {
+            this.logger.warn({ error: error.message }, 'Failed to save source state');
+        }
+        if (this.snapshots) {
+            try {
+                const manifest = this.snapshots.writeManifest(Object.fromEntries([...this._sourceRun]
+                    .map(([id, { outcome, state: { hash } }]) => [id, { hash, outcome }])));
+                this.logger.debug({ snapshot: manifest.id }, 'Recorded source snapshot');
+                this.snapshots.prune();
+            } catch (error) {
+                this.logger.warn({ error: error.message }, 'Failed to record source snapshot');
+            }
+        }
+    }
+
+    /**
+     * Outcome of the sources fetched in this run
+     * @returns {{unchanged: boolean, sources: Object<string, string>}|null} Outcome by source id, or null if nothing was fetched through fetchSource()
+     */
+    sourceReport() {
+        if (this._sourceRun.size === 0) {
+            return null;
+        }
+        const sources = Object.fromEntries([...this._sourceRun].map(([id, { outcome }]) => [id, outcome]));
+        return {
+            unchanged: Object.values(sources).every(outcome => outcome !== 'changed'),
+            sources
+        };
+    }
+
     /**
      * Get plugin metadata
      * @returns {Object} Plugin metadata
@@ -1,8 +1,6 @@
 'use strict';
 
-const axios = require('axios');
 const fs = require('fs');
-const readline = require('readline');
 const ip = require('ip-utils');
 const util = require('util');
 const BasePlugin = require('../base');
@@ -28,12 +26,13 @@ const CLOUDFLARE_IPS_URL = 'https://www.cloudflare.com/ips-v4/';
 class CloudflarePlugin extends BasePlugin {
     /**
      * @param {Object} options - Plugin options
+     * @param {string} [options.name='cloudflare'] - Plugin name
      * @param {string} options.outputFile - Output file path
      * @param {string} [options.url] - Cloudflare IPs URL (defaults to CLOUDFLARE_IPS_URL)
      */
     constructor(options = {}) {
         super({
-            name: 'cloudflare',
+            name: options.name || 'cloudflare',
             version: '1.0.0',
             description: 'Downloads and processes IP ranges from Cloudflare',
             abortOnFail: options.abortOnFail !== false
@@ -44,11 +43,13 @@ class CloudflarePlugin extends BasePlugin {
     }
 
     /**
-     * Download Cloudflare IP ranges
-     * @param {fs.WriteStream} writer - Write stream for output
+     * Download Cloudflare IP ranges and stage them line by line
+     * The list is downloaded to a hidden file next to the output first and
+     * read back from disk.
+     * @param {Function} write - Line writer from writeStaging()
      * @returns {Promise<boolean>}
      */
-    async downloadFile(writer) {
+    async downloadFile(write) {
         this.logger.info({ url: this.url }, 'Starting download');
         const meta = {
             type: "list",
@@ -58,74 +59,61 @@ class CloudflarePlugin extends BasePlugin {
         const metadata = JSON.stringify(meta);
         // Quote the JSON field with ~ if it contains the delimiter |
         const quotedMetadata = metadata.includes('|') ? `~${metadata}~` : metadata;
+        const file = this.sourceFile('ips-v4');
+        let lineCount = 0;
 
-        return this.retryWithBackoff(async () => {
-            const response = await axios({
-                method: 'get',
-                url: this.url,
-                responseType: 'stream',
-                timeout: 30000,
-                headers: {
-                    'User-Agent': 'IP-Denylist-Lookup/1.0'
-                }
-            });
+        try {
+            // Downloaded in full every run; fetchSource() archives the body when snapshots are enabled
+            await this.fetchSource(this.url, { file, conditional: false });
 
-            return new Promise((resolve, reject) => {
-                let error = null;
-                let lineCount = 0;
-                readline.createInterface({
-                    input: response.data
-                }).on('line', data => {
-                    // Skip empty lines
-                    if (!data || data.trim().length === 0) return;
-                    
-                    // Skip comment lines
-                    const trimmed = data.trim();
-                    if (trimmed[0] === '#' || trimmed[0] === ';') return;
-                    
-                    // Extract IP/CIDR part (remove any trailing comments or whitespace)
-                    const ipPart = trimmed.split(/[;\s#]/)[0].trim();
-                    
-                    // Skip if no valid IP/CIDR found
-                    if (!ipPart || ipPart.length === 0) return;
-                    
-                    // Validate it looks like an IP or CIDR
-                    if (!ipPart.match(/^[\d\.\/]+$/)) return;
-                    
-                    try {
-                        let line;
-                        const format = `%s|%s|%s\n`;
-                        if (ipPart.includes('/')) {
-                            const cidrInfo = ip.cidrInfo(ipPart);
-                            line = util.format(format, 
-                                Math.min(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
-                                Math.max(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)), 
-                                quotedMetadata);
-                        } else {
-                            // Single IP address
-                            line = util.format(format, ip2int(ipPart), ip2int(ipPart), quotedMetadata);
-                        }
-                        writer.write(line);
-                        lineCount++;
-                    } catch (error) {
-                        this.logger.warn({ ipPart, error: error.message }, 'Failed to process IP range');
-                    }
-                }).on('error', (e) => {
-                    error = e;
-                    writer.close();
-                    reject(new Error(`cloudflare failure: ${e.message}`));
-                }).on('close', () => {
-                    if (!error) {
-                        this.logger.info({ url: this.url, lineCount }, 'Finished download');
-                        resolve(true);
+            for await (const data of this.readLines(file)) {
+                // Skip empty lines
+                if (!data || data.trim().length === 0) continue;
+                
+                // Skip comment lines
+                const trimmed = data.trim();
+                if (trimmed[0] === '#' || trimmed[0] === ';') continue;
+                
+                // Extract IP/CIDR part (remove any trailing comments or whitespace)
+                const ipPart = trimmed.split(/[;\s#]/)[0].trim();
+                
+                // Skip if no valid IP/CIDR found
+                if (!ipPart || ipPart.length === 0) continue;
+                
+                // Validate it looks like an IP or CIDR
+                if (!ipPart.match(/^[\d\.\/]+$/)) continue;
+                
+                let line;
+                try {
+                    const format = `%s|%s|%s\n`;
+                    if (ipPart.includes('/')) {
+                        const cidrInfo = ip.cidrInfo(ipPart);
+                        line = util.format(format, 
+                            Math.min(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
+                            Math.max(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)), 
+                            quotedMetadata);
+                    } else {
+                        // Single IP address
+                        line = util.format(format, ip2int(ipPart), ip2int(ipPart), quotedMetadata);
                     }
-                });
-            });
-        });
+                } catch (error) {
+                    this.logger.warn({ ipPart, error: error.message }, 'Failed to process IP range');
+                    continue;
+                }
+                await write(line);
+                lineCount++;
+            }
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+
+        this.logger.info({ url: this.url, lineCount }, 'Finished download');
+        return true;
     }
 
     /**
      * Load plugin data
+     * The previous staging output is only replaced once the list is staged.
      * @returns {Promise<string>} Plugin name
      */
     async load() {
@@ -138,44 +126,10 @@ class CloudflarePlugin extends BasePlugin {
         }, 5000).unref();
 
         try {
-            // Delete output file if it exists
-            try {
-                fs.unlinkSync(this.outputFile);
-            } catch (err) {
-                if (err.code !== 'ENOENT') {
-                    this.logger.warn({ error: err.message }, "Can't delete output file");
-                }
-            }
-
-            return new Promise(async (resolve, reject) => {
-                const writer = fs.createWriteStream(this.outputFile, { flags: 'a' });
-                
-                writer.on('close', () => {
-                    this.logger.info('Cloudflare writer closed');
-                    if (this._interval) {
-                        clearInterval(this._interval);
-                        this._interval = null;
-                    }
-                    resolve("cloudflare");
-                });
-                
-                writer.on('error', (err) => {
-                    if (this._interval) {
-                        clearInterval(this._interval);
-                        this._interval = null;
-                    }
-                    this.logger.error({ error: err.message }, 'Cloudflare writer error');
-                    reject(new Error("cloudflare failed"));
-                });
-
-                try {
-                    await this.downloadFile(writer);
-                    writer.close();
-                } catch (e) {
-                    writer.close();
-                    reject(new Error(`cloudflare failure: ${e.message}`));
-                }
-            });
+            await this.writeStaging(write => this.downloadFile(write));
+            return this.name;
+        } catch (e) {
+            throw new Error(`cloudflare failure: ${e.message}`);
         } finally {
             if (this._interval) {
                 clearInterval(this._interval);
@@ -1,10 +1,10 @@
 'use strict';
 
-const axios = require('axios');
 const fs = require('fs');
 const ip = require('ip-utils');
 const util = require('util');
 const BasePlugin = require('../base');
+const ipRange = require('../../ipRange');
 
 /**
  * Convert IP address to integer
@@ -27,111 +27,128 @@ const FASTLY_IPS_URL = 'https://api.fastly.com/public-ip-list';
 class FastlyPlugin extends BasePlugin {
     /**
      * @param {Object} options - Plugin options
+     * @param {string} [options.name='fastly'] - Plugin name
      * @param {string} options.outputFile - Output file path
      * @param {string} [options.url] - Fastly IP ranges URL (defaults to FASTLY_IPS_URL)
+     * @param {boolean} [options.includeIpv6=true] - Whether to include IPv6 addresses
      */
     constructor(options = {}) {
         super({
-            name: 'fastly',
+            name: options.name || 'fastly',
             version: '1.0.0',
             description: 'Downloads and processes IP ranges from Fastly CDN',
             abortOnFail: options.abortOnFail !== false
         });
         this.outputFile = options.outputFile;
         this.url = options.url || FASTLY_IPS_URL;
+        this.includeIpv6 = options.includeIpv6 !== false;
         this._interval = null;
     }
 
     /**
      * Download and process Fastly IP ranges
+     * The document is downloaded to a hidden file next to the output and
+     * parsed from disk; ranges are written with backpressure.
+     * @param {Function} write - Line writer from writeStaging()
      * @returns {Promise<boolean>}
      */
-    async downloadAndProcess() {
+    async downloadAndProcess(write) {
         this.logger.info({ url: this.url }, 'Starting download');
+        const file = this.sourceFile('public-ip-list');
+        let data;
 
-        return this.retryWithBackoff(async () => {
-            const response = await axios({
-                method: 'get',
-                url: this.url,
-                responseType: 'json',
-                timeout: 30000,
-                headers: {
-                    'User-Agent': 'IP-Denylist-Lookup/1.0',
-                    'Accept': 'application/json'
-                }
+        try {
+            // Downloaded in full every run; fetchSource() archives the body when snapshots are enabled
+            await this.fetchSource(this.url, {
+                file,
+                conditional: false,
+                headers: { 'Accept': 'application/json' }
             });
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
 
-            const data = response.data;
-            if (!data) {
-                throw new Error('Invalid Fastly IP ranges JSON structure');
-            }
+        if (!data) {
+            throw new Error('Invalid Fastly IP ranges JSON structure');
+        }
 
-            // Fastly API returns addresses array (IPv4) and ipv6_addresses array (IPv6)
-            const addresses = data.addresses || [];
-            const ipv6Addresses = data.ipv6_addresses || [];
+        // Fastly API returns addresses array (IPv4) and ipv6_addresses array (IPv6)
+        const addresses = data.addresses || [];
+        const ipv6Addresses = data.ipv6_addresses || [];
 
-            this.logger.info({ 
-                ipv4Count: addresses.length, 
-                ipv6Count: ipv6Addresses.length 
-            }, 'Downloaded Fastly IP ranges');
+        this.logger.info({ 
+            ipv4Count: addresses.length, 
+            ipv6Count: ipv6Addresses.length 
+        }, 'Downloaded Fastly IP ranges');
 
-            const writer = fs.createWriteStream(this.outputFile, { flags: 'a' });
-            let processedCount = 0;
+        let processedCount = 0;
 
-            return new Promise((resolve, reject) => {
-                writer.on('error', (err) => {
-                    reject(new Error(`Fastly write error: ${err.message}`));
-                });
+        // Process IPv4 addresses
+        for (const address of addresses) {
+            let line;
+            try {
+                // Fastly returns CIDR notation or single IPs
+                const cidrInfo = ip.cidrInfo(address);
+                const meta = {
+                    type: 'cdn',
+                    provider: 'fastly',
+                    source: 'fastly'
+                };
+
+                const metadata = JSON.stringify(meta);
+                // Quote the JSON field with ~ if it contains the delimiter |
+                const quotedMetadata = metadata.includes('|') ? `~${metadata}~` : metadata;
+
+                const format = `%s|%s|%s\n`;
+                line = util.format(format,
+                    Math.min(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
+                    Math.max(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
+                    quotedMetadata);
+            } catch (error) {
+                this.logger.warn({ address, error: error.message }, 'Failed to process IP range');
+                continue;
+            }
+            await write(line);
+            processedCount++;
+        }
 
+        // Process IPv6 addresses
+        if (this.includeIpv6) {
+            for (const address of ipv6Addresses) {
+                let line;
                 try {
-                    // Process IPv4 addresses
-                    for (const address of addresses) {
-                        try {
-                            // Fastly returns CIDR notation or single IPs
-                            const cidrInfo = ip.cidrInfo(address);
-                            const meta = {
-                                type: 'cdn',
-                                provider: 'fastly',
-                                source: 'fastly'
-                            };
-
-                            const metadata = JSON.stringify(meta);
-                            // Quote the JSON field with ~ if it contains the delimiter |
-                            const quotedMetadata = metadata.includes('|') ? `~${metadata}~` : metadata;
-
-                            const format = `%s|%s|%s\n`;
-                            const line = util.format(format,
-                                Math.min(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
-                                Math.max(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
-                                quotedMetadata);
-
-                            writer.write(line);
-                            processedCount++;
-                        } catch (error) {
-                            this.logger.warn({ address, error: error.message }, 'Failed to process IP range');
-                        }
-                    }
-
-                    // Log IPv6 addresses but skip processing (IPv4 only)
-                    if (ipv6Addresses.length > 0) {
-                        this.logger.debug({ ipv6Count: ipv6Addresses.length }, 'Skipping IPv6 addresses (IPv4 only)');
-                    }
-
-                    writer.end();
-                    writer.on('finish', () => {
-                        this.logger.info({ processed: processedCount }, 'Finished processing Fastly IP ranges');
-                        resolve(true);
-                    });
+                    const range = ipRange.cidrToRange(address);
+                    const meta = {
+                        type: 'cdn',
+                        provider: 'fastly',
+                        source: 'fastly'
+                    };
+
+                    const metadata = JSON.stringify(meta);
+                    const quotedMetadata = metadata.includes('|') ? `~${metadata}~` : metadata;
+
+                    const format = `%s|%s|%s\n`;
+                    line = util.format(format,
+                        ipRange.formatIP(range.start, 6),
+                        ipRange.formatIP(range.end, 6),
+                        quotedMetadata);
                 } catch (error) {
-                    writer.end();
-                    reject(new Error(`Fastly processing error: ${error.message}`));
+                    this.logger.warn({ address, error: error.message }, 'Failed to process IPv6 range');
+                    continue;
                 }
-            });
-        });
+                await write(line);
+                processedCount++;
+            }
+        }
+
+        this.logger.info({ processed: processedCount }, 'Finished processing Fastly IP ranges');
+        return true;
     }
 
     /**
      * Load plugin data
+     * The previous staging output is only replaced once the ranges are staged.
      * @returns {Promise<string>} Plugin name
      */
     async load() {
@@ -144,29 +161,13 @@ class FastlyPlugin extends BasePlugin {
         }, 5000).unref();
 
         try {
-            // Delete output file if it exists
-            try {
-                fs.unlinkSync(this.outputFile);
-            } catch (err) {
-                if (err.code !== 'ENOENT') {
-                    this.logger.warn({ error: err.message }, "Can't delete output file");
-                }
-            }
-
-            await this.downloadAndProcess();
-
-            if (this._interval) {
-                clearInterval(this._interval);
-                this._interval = null;
-            }
-
-            return 'fastly';
-        } catch (error) {
+            await this.writeStaging(write => this.downloadAndProcess(write));
+            return this.name;
+        } finally {
             if (this._interval) {
                 clearInterval(this._interval);
                 this._interval = null;
             }
-            throw error;
         }
     }
 
@@ -1,8 +1,6 @@
 'use strict';
 
-const axios = require('axios');
 const fs = require('fs');
-const readline = require('readline');
 const ip = require('ip-utils');
 const path = require('path');
 const util = require('util');
@@ -40,12 +38,13 @@ const DEFAULT_FIREHOL_LISTS = [
 class FireholPlugin extends BasePlugin {
     /**
      * @param {Object} options - Plugin options
+     * @param {string} [options.name='firehol'] - Plugin name
      * @param {string} options.outputFile - Output file path
      * @param {string[]} [options.listArray] - Array of Firehol list URLs (defaults to DEFAULT_FIREHOL_LISTS)
      */
     constructor(options = {}) {
         super({
-            name: 'firehol',
+            name: options.name || 'firehol',
             version: '1.0.0',
             description: 'Downloads and processes IP lists from Firehol',
             abortOnFail: options.abortOnFail !== false
@@ -56,63 +55,43 @@ class FireholPlugin extends BasePlugin {
     }
 
     /**
-     * Download a single file from Firehol
-     * @param {string} fileUrl - URL to download
-     * @param {fs.WriteStream} writer - Write stream for output
+     * Stage a downloaded Firehol list line by line
+     * @param {string} file - Downloaded list
      * @param {string} tag - Tag name for the list
-     * @returns {Promise<boolean>}
+     * @param {Function} write - Line writer from writeStaging()
+     * @returns {Promise<number>} Lines staged
      */
-    async downloadFile(fileUrl, writer, tag) {
-        this.logger.info({ url: fileUrl, tag }, 'Starting download');
+    async stageList(file, tag, write) {
         const meta = {
             type: "list",
             name: tag,
             source: "firehol"
         };
         const metadata = JSON.stringify(meta);
-
-        return this.retryWithBackoff(async () => {
-            const response = await axios({
-                method: 'get',
-                url: fileUrl,
-                responseType: 'stream',
-                timeout: 30000
-            });
-
-            return new Promise((resolve, reject) => {
-                let error = null;
-                readline.createInterface({
-                    input: response.data
-                }).on('line', data => {
-                    let line;
-                    if(data[0]==='#') return;
-                    const format = `%s|%s|%s\n`;
-                    if(data.includes('/')) {
-                        const cidrInfo = ip.cidrInfo(data);
-                        line = util.format(format, 
-                            Math.min(ip2int(cidrInfo.firstHostAddress),ip2int(cidrInfo.lastHostAddress)),
-                            Math.max(ip2int(cidrInfo.firstHostAddress),ip2int(cidrInfo.lastHostAddress)), 
-                            metadata);
-                    } else {
-                        line = util.format(format, ip2int(data), ip2int(data), metadata);
-                    }
-                    writer.write(line);
-                }).on('error',(e) => {
-                    error = e;
-                    writer.close();
-                    reject(new Error(`firehol failure: ${e.message}`));
-                }).on('close',()=> {
-                    if (!error) {
-                        this.logger.info({ url: fileUrl, tag }, 'Finished download');
-                        resolve(true);
-                    }
-                });
-            });
-        });
+        const format = `%s|%s|%s\n`;
+
+        let count = 0;
+        for await (const data of this.readLines(file)) {
+            if (!data || data[0] === '#') continue;
+            if (data.includes('/')) {
+                const cidrInfo = ip.cidrInfo(data);
+                await write(util.format(format,
+                    Math.min(ip2int(cidrInfo.firstHostAddress),ip2int(cidrInfo.lastHostAddress)),
+                    Math.max(ip2int(cidrInfo.firstHostAddress),ip2int(cidrInfo.lastHostAddress)),
+                    metadata));
+            } else {
+                await write(util.format(format, ip2int(data), ip2int(data), metadata));
+            }
+            count++;
+        }
+        return count;
     }
 
     /**
      * Load plugin data
+     * Lists are downloaded conditionally to hidden files next to the output
+     * and staged from there; when none changed since the last run the
+     * previous staging output is kept.
      * @returns {Promise<string>} Plugin name
      */
     async load() {
@@ -127,47 +106,36 @@ class FireholPlugin extends BasePlugin {
             this.logger.debug('Still working on firehol');
         }, 5000);
 
+        const sources = this.listArray.map(url => ({
+            url,
+            tag: path.posix.basename(url).replace(/\.(?:ip|net)set/,""),
+            file: this.sourceFile(path.posix.basename(url))
+        }));
         try {
-            fs.unlinkSync(this.outputFile);
-        } catch (err) {
-            if (err.code !== 'ENOENT') {
-                this.logger.warn({ error: err.message }, "Can't delete output file");
+            const { unchanged } = await this.fetchSources(sources);
+            if (unchanged) {
+                this.logger.info('Lists unchanged, keeping previous output');
+                return this.name;
             }
-        }
 
-        return new Promise(async (resolve, reject) => {
-            const writer = fs.createWriteStream(this.outputFile, {flags:'a'});
-            
-            writer.on('close', () => {
-                this.logger.info('Firehol writer closed');
-                if (this._interval) {
-                    clearInterval(this._interval);
-                    this._interval = null;
-                }
-                resolve("firehol");
-            });
-            
-            writer.on('error', (err) => {
-                if (this._interval) {
-                    clearInterval(this._interval);
-                    this._interval = null;
+            await this.writeStaging(async (write) => {
+                for (const { url, tag, file } of sources) {
+                    const lines = await this.stageList(file, tag, write);
+                    this.logger.info({ url, tag, lines }, 'Finished download');
                 }
-                this.logger.error({ error: err.message }, 'Firehol writer error');
-                reject(new Error("firehol failed"));
             });
-
-            try {
-                await Promise.all(
-                    this.listArray.map(f => 
-                        this.downloadFile(f, writer, path.posix.basename(f).replace(/\.(?:ip|net)set/,""))
-                    )
-                );
-                writer.close();
-            } catch (e) {
-                writer.close();
-                reject(new Error(`firehol failure: ${e.message}`));
+            return this.name;
+        } catch (e) {
+            throw new Error(`firehol failure: ${e.message}`);
+        } finally {
+            if (this._interval) {
+                clearInterval(this._interval);
+                this._interval = null;
             }
-        });
+            for (const { file } of sources) {
+                fs.rmSync(file, { force: true });
+            }
+        }
     }
 
     /**
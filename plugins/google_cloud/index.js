@@ -1,10 +1,10 @@
 'use strict';
 
-const axios = require('axios');
 const fs = require('fs');
 const ip = require('ip-utils');
 const util = require('util');
 const BasePlugin = require('../base');
+const ipRange = require('../../ipRange');
 
 /**
  * Convert IP address to integer
@@ -28,14 +28,16 @@ const GOOGLE_SERVICES_IPS_URL = 'https://www.gstatic.com/ipranges/goog.json';
 class GoogleCloudPlugin extends BasePlugin {
     /**
      * @param {Object} options - Plugin options
+     * @param {string} [options.name='google_cloud'] - Plugin name
      * @param {string} options.outputFile - Output file path
      * @param {string} [options.cloudUrl] - Google Cloud IP ranges URL (defaults to GOOGLE_CLOUD_IPS_URL)
      * @param {string} [options.servicesUrl] - Google Services IP ranges URL (defaults to GOOGLE_SERVICES_IPS_URL)
      * @param {boolean} [options.includeServices=true] - Whether to include Google Services IPs
+     * @param {boolean} [options.includeIpv6=true] - Whether to include IPv6 prefixes
      */
     constructor(options = {}) {
         super({
-            name: 'google_cloud',
+            name: options.name || 'google_cloud',
             version: '1.0.0',
             description: 'Downloads and processes IP ranges from Google Cloud Platform',
             abortOnFail: options.abortOnFail !== false
@@ -44,54 +46,73 @@ class GoogleCloudPlugin extends BasePlugin {
         this.cloudUrl = options.cloudUrl || GOOGLE_CLOUD_IPS_URL;
         this.servicesUrl = options.servicesUrl || GOOGLE_SERVICES_IPS_URL;
         this.includeServices = options.includeServices !== false;
+        this.includeIpv6 = options.includeIpv6 !== false;
         this._interval = null;
     }
 
     /**
      * Process IP prefixes from Google JSON data
      * @param {Object} data - JSON data from Google
-     * @param {fs.WriteStream} writer - Write stream for output
+     * @param {Function} write - Line writer from writeStaging()
      * @param {string} sourceType - Source type ('gcp' or 'google_services')
-     * @returns {number} Number of processed prefixes
+     * @returns {Promise<number>} Number of processed prefixes
      */
-    processPrefixes(data, writer, sourceType) {
+    async processPrefixes(data, write, sourceType) {
         let processedCount = 0;
         const prefixes = data.prefixes || [];
 
         for (const prefix of prefixes) {
-            if (!prefix.ipv4Prefix && !prefix.ipv4Prefixes) {
-                // Skip IPv6-only prefixes
-                continue;
-            }
+            const meta = {
+                type: 'cloud',
+                provider: 'google',
+                scope: prefix.scope || 'unknown',
+                service: sourceType === 'gcp' ? 'gcp' : (prefix.service || 'google_services'),
+                source: sourceType
+            };
+
+            const metadata = JSON.stringify(meta);
+            // Quote the JSON field with ~ if it contains the delimiter |
+            const quotedMetadata = metadata.includes('|') ? `~${metadata}~` : metadata;
+            const format = `%s|%s|%s\n`;
 
             const ipPrefixes = prefix.ipv4Prefixes || (prefix.ipv4Prefix ? [prefix.ipv4Prefix] : []);
 
             for (const ipPrefix of ipPrefixes) {
+                let line;
                 try {
                     const cidrInfo = ip.cidrInfo(ipPrefix);
-                    const meta = {
-                        type: 'cloud',
-                        provider: 'google',
-                        scope: prefix.scope || 'unknown',
-                        service: sourceType === 'gcp' ? 'gcp' : (prefix.service || 'google_services'),
-                        source: sourceType
-                    };
-
-                    const metadata = JSON.stringify(meta);
-                    // Quote the JSON field with ~ if it contains the delimiter |
-                    const quotedMetadata = metadata.includes('|') ? `~${metadata}~` : metadata;
-
-                    const format = `%s|%s|%s\n`;
-                    const line = util.format(format,
+                    line = util.format(format,
                         Math.min(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
                         Math.max(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
                         quotedMetadata);
-
-                    writer.write(line);
-                    processedCount++;
                 } catch (error) {
                     this.logger.warn({ ipPrefix, error: error.message }, 'Failed to process IP range');
+                    continue;
                 }
+                await write(line);
+                processedCount++;
+            }
+
+            if (!this.includeIpv6) {
+                continue;
+            }
+
+            const ipv6Prefixes = prefix.ipv6Prefixes || (prefix.ipv6Prefix ? [prefix.ipv6Prefix] : []);
+
+            for (const ipPrefix of ipv6Prefixes) {
+                let line;
+                try {
+                    const range = ipRange.cidrToRange(ipPrefix);
+                    line = util.format(format,
+                        ipRange.formatIP(range.start, 6),
+                        ipRange.formatIP(range.end, 6),
+                        quotedMetadata);
+                } catch (error) {
+                    this.logger.warn({ ipPrefix, error: error.message }, 'Failed to process IPv6 range');
+                    continue;
+                }
+                await write(line);
+                processedCount++;
             }
         }
 
@@ -99,81 +120,66 @@ class GoogleCloudPlugin extends BasePlugin {
     }
 
     /**
-     * Download and process Google Cloud IP ranges
+     * Download a JSON document to a hidden file next to the output and parse
+     * it from disk
+     * @param {string} url - Document URL
+     * @param {string} id - Source identifier
+     * @returns {Promise<Object>} Parsed document
+     */
+    async downloadJson(url, id) {
+        const file = this.sourceFile(id);
+        try {
+            // Downloaded in full every run; fetchSource() archives the body when snapshots are enabled
+            await this.fetchSource(url, { file, conditional: false });
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+    }
+
+    /**
+     * Download and process Google Cloud and Google Services IP ranges
+     * @param {Function} write - Line writer from writeStaging()
      * @returns {Promise<boolean>}
      */
-    async downloadAndProcess() {
+    async downloadAndProcess(write) {
         this.logger.info({ cloudUrl: this.cloudUrl, servicesUrl: this.includeServices ? this.servicesUrl : 'skipped' }, 'Starting download');
 
-        const writer = fs.createWriteStream(this.outputFile, { flags: 'a' });
         let totalProcessed = 0;
 
-        return new Promise(async (resolve, reject) => {
-            writer.on('error', (err) => {
-                reject(new Error(`Google Cloud write error: ${err.message}`));
-            });
-
-            try {
-                // Download Google Cloud IP ranges
-                const cloudResponse = await this.retryWithBackoff(async () => {
-                    return await axios({
-                        method: 'get',
-                        url: this.cloudUrl,
-                        responseType: 'json',
-                        timeout: 30000,
-                        headers: {
-                            'User-Agent': 'IP-Denylist-Lookup/1.0'
-                        }
-                    });
-                });
-
-                const cloudData = cloudResponse.data;
-                if (!cloudData) {
-                    throw new Error('Invalid Google Cloud IP ranges JSON structure');
-                }
+        try {
+            // Download Google Cloud IP ranges
+            const cloudData = await this.downloadJson(this.cloudUrl, 'cloud.json');
+            if (!cloudData) {
+                throw new Error('Invalid Google Cloud IP ranges JSON structure');
+            }
 
-                this.logger.info({ prefixCount: (cloudData.prefixes || []).length }, 'Downloaded Google Cloud IP ranges');
-                const cloudProcessed = this.processPrefixes(cloudData, writer, 'gcp');
-                totalProcessed += cloudProcessed;
-                this.logger.info({ processed: cloudProcessed }, 'Processed Google Cloud IP ranges');
-
-                // Download Google Services IP ranges if enabled
-                if (this.includeServices) {
-                    const servicesResponse = await this.retryWithBackoff(async () => {
-                        return await axios({
-                            method: 'get',
-                            url: this.servicesUrl,
-                            responseType: 'json',
-                            timeout: 30000,
-                            headers: {
-                                'User-Agent': 'IP-Denylist-Lookup/1.0'
-                            }
-                        });
-                    });
-
-                    const servicesData = servicesResponse.data;
-                    if (servicesData) {
-                        this.logger.info({ prefixCount: (servicesData.prefixes || []).length }, 'Downloaded Google Services IP ranges');
-                        const servicesProcessed = this.processPrefixes(servicesData, writer, 'google_services');
-                        totalProcessed += servicesProcessed;
-                        this.logger.info({ processed: servicesProcessed }, 'Processed Google Services IP ranges');
-                    }
+            this.logger.info({ prefixCount: (cloudData.prefixes || []).length }, 'Downloaded Google Cloud IP ranges');
+            const cloudProcessed = await this.processPrefixes(cloudData, write, 'gcp');
+            totalProcessed += cloudProcessed;
+            this.logger.info({ processed: cloudProcessed }, 'Processed Google Cloud IP ranges');
+
+            // Download Google Services IP ranges if enabled
+            if (this.includeServices) {
+                const servicesData = await this.downloadJson(this.servicesUrl, 'goog.json');
+                if (servicesData) {
+                    this.logger.info({ prefixCount: (servicesData.prefixes || []).length }, 'Downloaded Google Services IP ranges');
+                    const servicesProcessed = await this.processPrefixes(servicesData, write, 'google_services');
+                    totalProcessed += servicesProcessed;
+                    this.logger.info({ processed: servicesProcessed }, 'Processed Google Services IP ranges');
                 }
-
-                writer.end();
-                writer.on('finish', () => {
-                    this.logger.info({ totalProcessed }, 'Finished processing Google IP ranges');
-                    resolve(true);
-                });
-            } catch (error) {
-                writer.end();
-                reject(new Error(`Google Cloud processing error: ${error.message}`));
             }
-        });
+        } catch (error) {
+            throw new Error(`Google Cloud processing error: ${error.message}`);
+        }
+
+        this.logger.info({ totalProcessed }, 'Finished processing Google IP ranges');
+        return true;
     }
 
     /**
      * Load plugin data
+     * The previous staging output is only replaced once the ranges are staged.
      * @returns {Promise<string>} Plugin name
      */
     async load() {
@@ -186,29 +192,13 @@ class GoogleCloudPlugin extends BasePlugin {
         }, 5000).unref();
 
         try {
-            // Delete output file if it exists
-            try {
-                fs.unlinkSync(this.outputFile);
-            } catch (err) {
-                if (err.code !== 'ENOENT') {
-                    this.logger.warn({ error: err.message }, "Can't delete output file");
-                }
-            }
-
-            await this.downloadAndProcess();
-
-            if (this._interval) {
-                clearInterval(this._interval);
-                this._interval = null;
-            }
-
-            return 'google_cloud';
-        } catch (error) {
+            await this.writeStaging(write => this.downloadAndProcess(write));
+            return this.name;
+        } finally {
             if (this._interval) {
                 clearInterval(this._interval);
                 this._interval = null;
             }
-            throw error;
         }
     }
 
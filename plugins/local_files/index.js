@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const BasePlugin = require('../base');
+const ipRange = require('../../ipRange');
+const { parseRangeQuery } = require('../../rangeQuery');
+
+/**
+ * File extensions read by default
+ */
+const DEFAULT_EXTENSIONS = ['.txt', '.list', '.netset'];
+
+/**
+ * Derive a list name from a file name
+ * @param {string} file - File name
+ * @returns {string} Lowercase name with anything but letters, digits and _ replaced by _
+ */
+function listNameFromFile(file) {
+    return path.basename(file, path.extname(file)).toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+}
+
+/**
+ * Local file list plugin
+ * Reads IPs, CIDR blocks and start-end ranges from a directory of files kept
+ * in version control. Each file becomes a list named after the file; text
+ * after the address on a line is stored as that entry's label.
+ *
+ * Line format: `<ip|cidr|start-end> [label] [# comment]`
+ */
+class LocalFilesPlugin extends BasePlugin {
+    /**
+     * @param {Object} options - Plugin options
+     * @param {string} [options.name='local_files'] - Plugin name, also the default source
+     * @param {string} options.outputFile - Output file path
+     * @param {string} options.directory - Directory containing the list files (relative to the project root)
+     * @param {string[]} [options.extensions] - File extensions to read (defaults to DEFAULT_EXTENSIONS)
+     * @param {string} [options.type='list'] - Result type for every entry
+     * @param {Object<string, string>} [options.fileTypes] - Result type per list name, overriding `type`
+     * @param {string} [options.source] - Source attached to every entry (defaults to the plugin name)
+     */
+    constructor(options = {}) {
+        super({
+            name: options.name || 'local_files',
+            version: '1.0.0',
+            description: 'Reads IP lists from local files',
+            abortOnFail: options.abortOnFail || false
+        });
+        this.outputFile = options.outputFile;
+        this.directory = options.directory;
+        this.extensions = options.extensions || DEFAULT_EXTENSIONS;
+        this.type = options.type || 'list';
+        this.fileTypes = options.fileTypes || {};
+        this.source = options.source || this.name;
+    }
+
+    /**
+     * Stage one list file line by line
+     * @param {string} file - List file
+     * @param {string} listName - List name for the file
+     * @param {Function} write - Line writer from writeStaging()
+     * @returns {Promise<{rows: number, skipped: number}>} Staged rows and count of invalid entries
+     */
+    async stageFile(file, listName, write) {
+        const format = `%s|%s|%s\n`;
+        const type = this.fileTypes[listName] || this.type;
+        let rows = 0;
+        let skipped = 0;
+        let lineNumber = 0;
+
+        for await (const raw of this.readLines(file)) {
+            lineNumber++;
+            const line = raw.replace(/#.*$/, '').trim();
+            if (!line) continue;
+
+            const [entry, ...labelWords] = line.split(/\s+/);
+            const range = parseRangeQuery(entry);
+            if (!range) {
+                skipped++;
+                this.logger.warn({ file, line: lineNumber, entry }, 'Invalid entry, skipping');
+                continue;
+            }
+
+            const meta = { type, name: listName, source: this.source };
+            if (labelWords.length > 0) {
+                meta.label = labelWords.join(' ');
+            }
+            const metadata = JSON.stringify(meta);
+            // Quote the JSON field with ~ if it contains the delimiter |
+            const quotedMetadata = metadata.includes('|') ? `~${metadata}~` : metadata;
+
+            // IPv4 bounds are staged as integers, IPv6 bounds as address strings
+            await write(range.version === 6
+                ? util.format(format, ipRange.formatIP(range.start, 6), ipRange.formatIP(range.end, 6), quotedMetadata)
+                : util.format(format, range.start, range.end, quotedMetadata));
+            rows++;
+        }
+
+        return { rows, skipped };
+    }
+
+    /**
+     * Load plugin data
+     * The previous staging output is only replaced once every file is staged.
+     * @returns {Promise<string>} Plugin name
+     */
+    async load() {
+        if (!this.outputFile) {
+            throw new Error('outputFile is required');
+        }
+        if (!this.directory) {
+            throw new Error('directory is required');
+        }
+
+        // Relative directories are resolved against the project root, like outputFile
+        const directory = path.resolve(__dirname, '..', '..', this.directory);
+        const files = fs.readdirSync(directory)
+            .filter(file => !file.startsWith('.') && this.extensions.includes(path.extname(file).toLowerCase()))
+            .sort();
+
+        const lists = {};
+        await this.writeStaging(async (write) => {
+            for (const file of files) {
+                const listName = listNameFromFile(file);
+                lists[listName] = await this.stageFile(path.join(directory, file), listName, write);
+            }
+        });
+
+        this.logger.info({ directory, lists }, 'Finished reading local lists');
+        return this.name;
+    }
+
+    /**
+     * Validate loaded data
+     * @param {any} data - Data to validate
+     * @returns {Promise<boolean>}
+     */
+    async validate(data) {
+        if (!fs.existsSync(this.outputFile)) {
+            this.logger.error('Output file does not exist');
+            return false;
+        }
+        return true;
+    }
+}
+
+module.exports = LocalFilesPlugin;
+module.exports.listNameFromFile = listNameFromFile;
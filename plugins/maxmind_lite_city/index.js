@@ -1,6 +1,5 @@
 'use strict';
 
-const axios = require('axios');
 const path = require('path');
 const fs = require('fs');
 const csv = require('csv');
@@ -25,12 +24,13 @@ function ip2int(ip) {
 class MaxmindLiteCityPlugin extends BasePlugin {
     /**
      * @param {Object} options - Plugin options
+     * @param {string} [options.name='maxmind_lite_city'] - Plugin name
      * @param {string} options.outputFile - Output file path
      * @param {string} [options.apiKey] - MaxMind API key (defaults to reading from config.json)
      */
     constructor(options = {}) {
         super({
-            name: 'maxmind_lite_city',
+            name: options.name || 'maxmind_lite_city',
             version: '1.0.0',
             description: 'Downloads and processes GeoLite2-City-CSV data from MaxMind',
             abortOnFail: options.abortOnFail !== false
@@ -57,28 +57,22 @@ class MaxmindLiteCityPlugin extends BasePlugin {
 
     /**
      * Download MaxMind GeoLite2-City-CSV zip file
-     * @returns {Promise<void>}
+     * The request is conditional, so an unchanged database does not count
+     * against the license download quota.
+     * @returns {Promise<{changed: boolean}>} Download result from fetchSource()
      * @private
      */
     async _downloadMaxmind() {
         this.logger.info('Downloading MaxMind GeoLite2-City-CSV');
-        const writer = fs.createWriteStream(this.zipFile);
-        
-        return this.retryWithBackoff(async () => {
-            const response = await axios({
-                method: 'get',
-                url: `https://download.maxmind.com/app/geoip_download?edition_id=GeoLite2-City-CSV&license_key=${this.apiKey}&suffix=zip`,
-                responseType: 'stream',
+        return this.fetchSource(
+            `https://download.maxmind.com/app/geoip_download?edition_id=GeoLite2-City-CSV&license_key=${this.apiKey}&suffix=zip`,
+            {
+                // Keeps the license key out of the source state and logs
+                id: 'GeoLite2-City-CSV',
+                file: this.zipFile,
                 timeout: 300000 // 5 minutes
-            });
-            
-            response.data.pipe(writer);
-
-            return new Promise((resolve, reject) => {
-                writer.on('finish', resolve);
-                writer.on('error', reject);
-            });
-        });
+            }
+        );
     }
 
     /**
@@ -194,6 +188,7 @@ class MaxmindLiteCityPlugin extends BasePlugin {
 
     /**
      * Load plugin data
+     * The previous staging output is kept when the database is unchanged.
      * @returns {Promise<string>} Plugin name
      */
     async load() {
@@ -209,7 +204,11 @@ class MaxmindLiteCityPlugin extends BasePlugin {
         }, 5000).unref();
 
         try {
-            await this._downloadMaxmind();
+            const download = await this._downloadMaxmind();
+            if (!download.changed) {
+                this.logger.info({ outcome: download.outcome }, 'Database unchanged, keeping previous output');
+                return this.name;
+            }
             await this._extract();
             const cities = await this._loadCities();
             return await this._processRanges(cities);
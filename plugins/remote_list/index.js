@@ -0,0 +1,288 @@
+'use strict';
+
+const fs = require('fs');
+const { Readable, pipeline } = require('stream');
+const util = require('util');
+const { parse: parseCsv } = require('csv');
+const BasePlugin = require('../base');
+const ipRange = require('../../ipRange');
+const { parseRangeQuery } = require('../../rangeQuery');
+
+/**
+ * Supported feed formats
+ */
+const FORMATS = ['netset', 'plain', 'csv', 'json'];
+
+/**
+ * Line prefixes treated as comments by default
+ */
+const DEFAULT_COMMENT_PREFIXES = ['#', ';', '//'];
+
+/**
+ * Resolve a path expression against parsed JSON
+ * Segments are separated by dots; `*` (or `[*]`) expands every element of an
+ * array or value of an object, numeric segments index into arrays.
+ * Example: `prefixes[*].ip_prefix` or `data.*.cidrs.*`
+ * @param {any} data - Parsed JSON
+ * @param {string} expression - Path expression
+ * @returns {Array<any>} Matching values
+ */
+function resolveJsonPath(data, expression) {
+    const segments = expression
+        .replace(/\[(\*|\d+)\]/g, '.$1')
+        .split('.')
+        .filter(segment => segment.length > 0);
+
+    let current = [data];
+    for (const segment of segments) {
+        const next = [];
+        for (const value of current) {
+            if (value === null || typeof value !== 'object') continue;
+            if (segment === '*') {
+                next.push(...(Array.isArray(value) ? value : Object.values(value)));
+            } else if (segment in value) {
+                next.push(value[segment]);
+            }
+        }
+        current = next;
+    }
+    // A path ending on an array yields its items
+    return current.flatMap(value => (Array.isArray(value) ? value : [value]));
+}
+
+/**
+ * Generic remote list plugin
+ * Downloads a feed in netset/plain, CSV or JSON format and stages every
+ * IP, CIDR or start-end range it contains with the configured metadata.
+ */
+class RemoteListPlugin extends BasePlugin {
+    /**
+     * @param {Object} options - Plugin options
+     * @param {string} options.name - Plugin name, also the default list name and source
+     * @param {string} options.outputFile - Output file path
+     * @param {string} options.url - Feed URL
+     * @param {string} [options.format='netset'] - Feed format: netset/plain, csv or json
+     * @param {string[]} [options.commentPrefixes] - Line prefixes treated as comments (netset/plain and csv)
+     * @param {boolean} [options.inlineComments=true] - Ignore anything after the first token on netset/plain lines
+     * @param {Object} [options.csv] - CSV options
+     * @param {string} [options.csv.delimiter=','] - Column delimiter
+     * @param {boolean} [options.csv.header=false] - Whether the first row names the columns
+     * @param {Object} [options.csv.columns={ip: 0}] - Column mapping: `ip` (IP, CIDR or range) or `start` and `end`; header names, or zero-based indexes without a header
+     * @param {string} [options.jsonPath] - Path expression selecting IP, CIDR or range strings (json format)
+     * @param {Object} [options.meta] - Metadata attached to every entry (`type`, `name`, `source`, ...)
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {number} [options.timeout=30000] - Request timeout in ms
+     */
+    constructor(options = {}) {
+        super({
+            name: options.name || 'remote_list',
+            version: '1.0.0',
+            description: `Downloads and processes ${options.url || 'a remote list'}`,
+            abortOnFail: options.abortOnFail || false
+        });
+        this.outputFile = options.outputFile;
+        this.url = options.url;
+        this.format = options.format || 'netset';
+        this.commentPrefixes = options.commentPrefixes || DEFAULT_COMMENT_PREFIXES;
+        this.inlineComments = options.inlineComments !== false;
+        this.csv = {
+            delimiter: ',',
+            header: false,
+            columns: { ip: 0 },
+            ...options.csv
+        };
+        this.jsonPath = options.jsonPath;
+        this.meta = {
+            type: 'list',
+            name: this.name,
+            source: this.name,
+            ...options.meta
+        };
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 30000;
+
+        if (!FORMATS.includes(this.format)) {
+            throw new Error(`Unsupported format ${this.format}, expected one of ${FORMATS.join(', ')}`);
+        }
+        if (this.format === 'json' && !this.jsonPath) {
+            throw new Error('jsonPath is required for json format');
+        }
+    }
+
+    /**
+     * Check whether a line is a comment
+     * @param {string} line - Trimmed line
+     * @returns {boolean} True if the line starts with a comment prefix
+     * @private
+     */
+    _isComment(line) {
+        return this.commentPrefixes.some(prefix => line.startsWith(prefix));
+    }
+
+    /**
+     * Read IP, CIDR or range strings from a downloaded netset/plain feed
+     * @param {string} file - Downloaded feed
+     * @returns {AsyncGenerator<string>} Entries
+     * @private
+     */
+    async *_readLines(file) {
+        for await (const raw of this.readLines(file)) {
+            const line = raw.trim();
+            if (!line || this._isComment(line)) continue;
+            // Format: "1.10.16.0/20 ; SBL256894" or "192.0.2.1 # note"
+            yield this.inlineComments ? line.split(/[;#\s]/)[0] : line;
+        }
+    }
+
+    /**
+     * Read the lines of a downloaded feed that are not comments
+     * @param {string} file - Downloaded feed
+     * @returns {AsyncGenerator<string>} Lines, with line endings
+     * @private
+     */
+    async *_uncommentedLines(file) {
+        for await (const line of this.readLines(file)) {
+            if (!this._isComment(line.trim())) {
+                yield `${line}\n`;
+            }
+        }
+    }
+
+    /**
+     * Read IP, CIDR or range strings from a downloaded CSV feed
+     * @param {string} file - Downloaded feed
+     * @returns {AsyncGenerator<string>} Entries
+     * @private
+     */
+    async *_readCsv(file) {
+        const { delimiter, header, columns } = this.csv;
+        const parser = parseCsv({
+            delimiter,
+            columns: header,
+            skip_empty_lines: true,
+            relax_column_count: true,
+            trim: true
+        });
+        // Drop comment lines first so they can't be taken for the header row;
+        // read errors surface through the parser
+        pipeline(Readable.from(this._uncommentedLines(file)), parser, () => {});
+
+        for await (const row of parser) {
+            if (columns.ip !== undefined) {
+                if (row[columns.ip]) yield row[columns.ip];
+            } else if (row[columns.start]) {
+                yield `${row[columns.start]}-${row[columns.end] || row[columns.start]}`;
+            }
+        }
+    }
+
+    /**
+     * Read IP, CIDR or range strings from a downloaded JSON feed
+     * The document is parsed whole; only the selected values are staged.
+     * @param {string} file - Downloaded feed
+     * @returns {AsyncGenerator<string>} Entries
+     * @private
+     */
+    async *_readJson(file) {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const value of resolveJsonPath(data, this.jsonPath)) {
+            if (typeof value === 'string') yield value.trim();
+        }
+    }
+
+    /**
+     * Stage a downloaded feed entry by entry
+     * @param {string} file - Downloaded feed
+     * @param {Function} write - Line writer from writeStaging()
+     * @returns {Promise<{rows: number, skipped: number}>} Staged rows and count of unparseable entries
+     */
+    async stage(file, write) {
+        let entries;
+        if (this.format === 'csv') {
+            entries = this._readCsv(file);
+        } else if (this.format === 'json') {
+            entries = this._readJson(file);
+        } else {
+            entries = this._readLines(file);
+        }
+
+        const metadata = JSON.stringify(this.meta);
+        // Quote the JSON field with ~ if it contains the delimiter |
+        const quotedMetadata = metadata.includes('|') ? `~${metadata}~` : metadata;
+        const format = `%s|%s|%s\n`;
+
+        let rows = 0;
+        let skipped = 0;
+        for await (const entry of entries) {
+            const range = parseRangeQuery(entry);
+            if (!range) {
+                skipped++;
+                this.logger.debug({ entry }, 'Skipping unparseable entry');
+                continue;
+            }
+            // IPv4 bounds are staged as integers, IPv6 bounds as address strings
+            await write(range.version === 6
+                ? util.format(format, ipRange.formatIP(range.start, 6), ipRange.formatIP(range.end, 6), quotedMetadata)
+                : util.format(format, range.start, range.end, quotedMetadata));
+            rows++;
+        }
+        return { rows, skipped };
+    }
+
+    /**
+     * Load plugin data
+     * The feed is downloaded conditionally to a hidden file next to the
+     * output and staged from there; when it has not changed since the last
+     * run the previous staging output is kept.
+     * @returns {Promise<string>} Plugin name
+     */
+    async load() {
+        if (!this.outputFile) {
+            throw new Error('outputFile is required');
+        }
+        if (!this.url) {
+            throw new Error('url is required');
+        }
+
+        this.logger.info({ url: this.url, format: this.format }, 'Starting download');
+        const file = this.sourceFile('feed');
+        try {
+            const { changed, outcome } = await this.fetchSource(this.url, {
+                file,
+                timeout: this.timeout,
+                headers: this.headers
+            });
+            if (!changed) {
+                this.logger.info({ url: this.url, outcome }, 'Feed unchanged, keeping previous output');
+                return this.name;
+            }
+
+            const { rows, skipped } = await this.writeStaging(write => this.stage(file, write));
+            this.logger.info({ url: this.url, rows, skipped }, 'Finished download');
+            return this.name;
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+    }
+
+    /**
+     * Validate loaded data
+     * @param {any} data - Data to validate
+     * @returns {Promise<boolean>}
+     */
+    async validate(data) {
+        if (!fs.existsSync(this.outputFile)) {
+            this.logger.error('Output file does not exist');
+            return false;
+        }
+        const stats = fs.statSync(this.outputFile);
+        if (stats.size === 0) {
+            this.logger.warn('Output file is empty');
+            return false;
+        }
+        return true;
+    }
+}
+
+module.exports = RemoteListPlugin;
+module.exports.resolveJsonPath = resolveJsonPath;
@@ -1,10 +1,7 @@
 'use strict';
 
-const axios = require('axios');
 const fs = require('fs');
-const readline = require('readline');
 const ip = require('ip-utils');
-const path = require('path');
 const util = require('util');
 const BasePlugin = require('../base');
 
@@ -32,12 +29,13 @@ const DEFAULT_SPAMHAUS_LISTS = [
 class SpamhausPlugin extends BasePlugin {
     /**
      * @param {Object} options - Plugin options
+     * @param {string} [options.name='spamhaus'] - Plugin name
      * @param {string} options.outputFile - Output file path
      * @param {string[]} [options.listArray] - Array of Spamhaus list URLs (defaults to DEFAULT_SPAMHAUS_LISTS)
      */
     constructor(options = {}) {
         super({
-            name: 'spamhaus',
+            name: options.name || 'spamhaus',
             version: '1.0.0',
             description: 'Downloads and processes IP lists from Spamhaus DROP',
             abortOnFail: options.abortOnFail !== false
@@ -48,13 +46,15 @@ class SpamhausPlugin extends BasePlugin {
     }
 
     /**
-     * Download a single file from Spamhaus
+     * Download a single file from Spamhaus and stage it line by line
+     * The list is downloaded to a hidden file next to the output first, so it
+     * is archived and read back without being held in memory.
      * @param {string} fileUrl - URL to download
-     * @param {fs.WriteStream} writer - Write stream for output
+     * @param {Function} write - Line writer from writeStaging()
      * @param {string} tag - Tag name for the list (e.g., "drop" or "edrop")
      * @returns {Promise<boolean>}
      */
-    async downloadFile(fileUrl, writer, tag) {
+    async downloadFile(fileUrl, write, tag) {
         this.logger.info({ url: fileUrl, tag }, 'Starting download');
         const meta = {
             type: "list",
@@ -62,85 +62,71 @@ class SpamhausPlugin extends BasePlugin {
             source: "spamhaus"
         };
         const metadata = JSON.stringify(meta);
+        const file = this.sourceFile(tag);
 
-        return this.retryWithBackoff(async () => {
-            const response = await axios({
-                method: 'get',
-                url: fileUrl,
-                responseType: 'stream',
-                timeout: 30000,
-                headers: {
-                    'User-Agent': 'IP-Denylist-Lookup/1.0'
-                }
-            });
-
-            return new Promise((resolve, reject) => {
-                let error = null;
-                readline.createInterface({
-                    input: response.data
-                }).on('line', data => {
-                    // Skip empty lines
-                    if (!data || data.trim().length === 0) return;
-                    
-                    // Skip comment lines (Spamhaus uses ; or # for comments at start of line)
-                    const trimmed = data.trim();
-                    if (trimmed[0] === ';' || trimmed[0] === '#') return;
-                    
-                    // Extract IP/CIDR part (before semicolon or space, which may have comments after)
-                    // Format: "1.10.16.0/20 ; SBL256894" or "1.19.0.0/16 ; SBL434604"
-                    const ipPart = trimmed.split(/[;\s]/)[0].trim();
-                    
-                    // Skip if no valid IP/CIDR found
-                    if (!ipPart || ipPart.length === 0) return;
-                    
-                    // Validate it looks like an IP or CIDR
-                    if (!ipPart.match(/^[\d\.\/]+$/)) return;
-                    
-                    let line;
-                    const format = `%s|%s|%s\n`;
-                    
-                    if (ipPart.includes('/')) {
-                        // CIDR block
-                        try {
-                            const cidrInfo = ip.cidrInfo(ipPart);
-                            line = util.format(format, 
-                                Math.min(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
-                                Math.max(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)), 
-                                metadata);
-                        } catch (e) {
-                            this.logger.warn({ line: ipPart, error: e.message }, 'Failed to parse CIDR');
-                            return; // Skip invalid CIDR
-                        }
-                    } else {
-                        // Single IP address
-                        try {
-                            if (!ip.isValidIpv4(ipPart)) {
-                                this.logger.warn({ ip: ipPart }, 'Invalid IP address, skipping');
-                                return;
-                            }
-                            line = util.format(format, ip2int(ipPart), ip2int(ipPart), metadata);
-                        } catch (e) {
-                            this.logger.warn({ line: ipPart, error: e.message }, 'Failed to parse IP');
-                            return; // Skip invalid IP
-                        }
+        try {
+            // Downloaded in full every run; fetchSource() archives the body when snapshots are enabled
+            await this.fetchSource(fileUrl, { file, conditional: false });
+
+            for await (const data of this.readLines(file)) {
+                // Skip empty lines
+                if (!data || data.trim().length === 0) continue;
+                
+                // Skip comment lines (Spamhaus uses ; or # for comments at start of line)
+                const trimmed = data.trim();
+                if (trimmed[0] === ';' || trimmed[0] === '#') continue;
+                
+                // Extract IP/CIDR part (before semicolon or space, which may have comments after)
+                // Format: "1.10.16.0/20 ; SBL256894" or "1.19.0.0/16 ; SBL434604"
+                const ipPart = trimmed.split(/[;\s]/)[0].trim();
+                
+                // Skip if no valid IP/CIDR found
+                if (!ipPart || ipPart.length === 0) continue;
+                
+                // Validate it looks like an IP or CIDR
+                if (!ipPart.match(/^[\d\.\/]+$/)) continue;
+                
+                let line;
+                const format = `%s|%s|%s\n`;
+                
+                if (ipPart.includes('/')) {
+                    // CIDR block
+                    try {
+                        const cidrInfo = ip.cidrInfo(ipPart);
+                        line = util.format(format, 
+                            Math.min(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)),
+                            Math.max(ip2int(cidrInfo.firstHostAddress), ip2int(cidrInfo.lastHostAddress)), 
+                            metadata);
+                    } catch (e) {
+                        this.logger.warn({ line: ipPart, error: e.message }, 'Failed to parse CIDR');
+                        continue; // Skip invalid CIDR
                     }
-                    writer.write(line);
-                }).on('error', (e) => {
-                    error = e;
-                    writer.close();
-                    reject(new Error(`spamhaus failure: ${e.message}`));
-                }).on('close', () => {
-                    if (!error) {
-                        this.logger.info({ url: fileUrl, tag }, 'Finished download');
-                        resolve(true);
+                } else {
+                    // Single IP address
+                    try {
+                        if (!ip.isValidIpv4(ipPart)) {
+                            this.logger.warn({ ip: ipPart }, 'Invalid IP address, skipping');
+                            continue;
+                        }
+                        line = util.format(format, ip2int(ipPart), ip2int(ipPart), metadata);
+                    } catch (e) {
+                        this.logger.warn({ line: ipPart, error: e.message }, 'Failed to parse IP');
+                        continue; // Skip invalid IP
                     }
-                });
-            });
-        });
+                }
+                await write(line);
+            }
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+
+        this.logger.info({ url: fileUrl, tag }, 'Finished download');
+        return true;
     }
 
     /**
      * Load plugin data
+     * The previous staging output is only replaced once every list is staged.
      * @returns {Promise<string>} Plugin name
      */
     async load() {
@@ -156,51 +142,25 @@ class SpamhausPlugin extends BasePlugin {
         }, 5000);
 
         try {
-            fs.unlinkSync(this.outputFile);
-        } catch (err) {
-            if (err.code !== 'ENOENT') {
-                this.logger.warn({ error: err.message }, "Can't delete output file");
-            }
-        }
-
-        return new Promise(async (resolve, reject) => {
-            const writer = fs.createWriteStream(this.outputFile, {flags:'a'});
-            
-            writer.on('close', () => {
-                this.logger.info('Spamhaus writer closed');
-                if (this._interval) {
-                    clearInterval(this._interval);
-                    this._interval = null;
+            await this.writeStaging(async (write) => {
+                // Lists are staged one after the other into the same output
+                for (const f of this.listArray) {
+                    // Extract list name from URL (drop or edrop)
+                    const urlParts = f.split('/');
+                    const filename = urlParts[urlParts.length - 1];
+                    const tag = filename.replace(/\.txt$/, '').toLowerCase();
+                    await this.downloadFile(f, write, tag);
                 }
-                resolve("spamhaus");
             });
-            
-            writer.on('error', (err) => {
-                if (this._interval) {
-                    clearInterval(this._interval);
-                    this._interval = null;
-                }
-                this.logger.error({ error: err.message }, 'Spamhaus writer error');
-                reject(new Error("spamhaus failed"));
-            });
-
-            try {
-                // Download all lists in parallel
-                await Promise.all(
-                    this.listArray.map(f => {
-                        // Extract list name from URL (drop or edrop)
-                        const urlParts = f.split('/');
-                        const filename = urlParts[urlParts.length - 1];
-                        const tag = filename.replace(/\.txt$/, '').toLowerCase();
-                        return this.downloadFile(f, writer, tag);
-                    })
-                );
-                writer.close();
-            } catch (e) {
-                writer.close();
-                reject(new Error(`spamhaus failure: ${e.message}`));
+            return this.name;
+        } catch (e) {
+            throw new Error(`spamhaus failure: ${e.message}`);
+        } finally {
+            if (this._interval) {
+                clearInterval(this._interval);
+                this._interval = null;
             }
-        });
+        }
     }
 
     /**
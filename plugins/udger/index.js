@@ -1,103 +1,287 @@
 // https://udger.com/ - datacenter IP database
 
 'use strict';
-const axios = require('axios');
+
 const fs = require('fs');
-const config = require('./config.json');
-const sqlite3 = require('sqlite3').verbose();
-const ip = require('ip-utils');
-const dbFile = __dirname + '/' + 'udgerdb_v3.dat';
-const pluginName = 'udger';
-
-const downloadUdger = async () => {
-    console.log("downloading " + pluginName);
-    const writer = fs.createWriteStream(dbFile);
-    const response = await axios({
-        method: 'get',
-        url: `http://data.udger.com/${config.apiKey}/udgerdb_v3.dat`,
-        responseType: 'stream'
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const BasePlugin = require('../base');
+const ipRange = require('../../ipRange');
+
+/**
+ * Datacenter IPv4 ranges with the name of their datacenter
+ */
+const DATACENTER_QUERY = 'SELECT r.iplong_from `from`, r.iplong_to `to`, l.name FROM udger_datacenter_range r ' +
+    'INNER JOIN udger_datacenter_list l ON r.datacenter_id = l.id';
+
+/**
+ * Classified IPs with their location
+ */
+const IP_QUERY = 'SELECT l.ip, c.ip_classification_code code, l.ip_country_code country, l.ip_city city FROM udger_ip_list l ' +
+    'INNER JOIN udger_ip_class c ON l.class_id = c.id';
+
+/**
+ * Format a staging line
+ * @param {number|string} start - First address (IPv4 integer or IPv6 address)
+ * @param {number|string} end - Last address (IPv4 integer or IPv6 address)
+ * @param {Object} meta - Row metadata
+ * @returns {string} Staging line
+ */
+function formatLine(start, end, meta) {
+    const metadata = JSON.stringify(meta);
+    // Quote the JSON field with ~ if it contains the delimiter |
+    const quotedMetadata = metadata.includes('|') ? `~${metadata}~` : metadata;
+    return `${start}|${end}|${quotedMetadata}\n`;
+}
+
+/**
+ * Open a SQLite database read-only
+ * @param {string} file - Database file
+ * @returns {Promise<sqlite3.Database>} Open database
+ */
+function openDatabase(file) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(file, sqlite3.OPEN_READONLY, error => (error ? reject(error) : resolve(db)));
     });
-    response.data.pipe(writer);
+}
 
+/**
+ * Run a query, calling onRow for every row
+ * @param {sqlite3.Database} db - Open database
+ * @param {string} sql - Query
+ * @param {Function} onRow - Row callback
+ * @returns {Promise<number>} Rows read
+ */
+function eachRow(db, sql, onRow) {
     return new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
+        let rowError = null;
+        db.each(sql, (error, row) => {
+            if (error || rowError) {
+                rowError = rowError || error;
+                return;
+            }
+            try {
+                onRow(row);
+            } catch (callbackError) {
+                rowError = callbackError;
+            }
+        }, (error, count) => (error || rowError ? reject(error || rowError) : resolve(count)));
     });
-};
-
-module.exports = async (outputFile, download) => {
-    const interval = setInterval(()=>console.log("still working on " + pluginName),5000);
-    try {
-        if(download===undefined || download==true) download = true;
-        if(download) await downloadUdger().catch(e=>{
-            console.error(pluginName + ' download error.');
-            clearInterval(interval);
-            throw "udger failed: " + e.message;
+}
+
+/**
+ * Udger IP list plugin
+ * Downloads the Udger database (SQLite) and stages its datacenter ranges and
+ * classified IPs. With `reuseDatabase` it stages a database already on disk
+ * instead of downloading one, e.g. the one a run with `keepDatabase` left.
+ */
+class UdgerPlugin extends BasePlugin {
+    /**
+     * @param {Object} options - Plugin options
+     * @param {string} [options.name='udger'] - Plugin name
+     * @param {string} options.outputFile - Output file path
+     * @param {string} [options.apiKey] - Udger client key (defaults to reading from config.json; not needed with reuseDatabase)
+     * @param {string} [options.databaseFile] - Database file, relative to the project root (default: `plugins/udger/udgerdb_v3.dat`)
+     * @param {boolean} [options.keepDatabase=false] - Keep the downloaded database after the run
+     * @param {boolean} [options.reuseDatabase=false] - Stage the existing database instead of downloading
+     * @param {number} [options.timeout=600000] - Download timeout in ms
+     */
+    constructor(options = {}) {
+        super({
+            name: options.name || 'udger',
+            version: '2.0.0',
+            description: 'Downloads and processes the Udger datacenter and IP classification database',
+            abortOnFail: options.abortOnFail || false
         });
-        console.log('finished downloading ' + pluginName);
-        console.log('extracting datacenter IPs');
-        const tempFile = __dirname + '/' + 'rth595hg34G4gsdfgnu7865y';
-        const writer = fs.createWriteStream(tempFile);
-        const db = new sqlite3.Database(dbFile);
-        await Promise.all([
-            new Promise((resolve, reject) => {
-                db.each("SELECT iplong_from `from`, iplong_to `to`, name from udger_datacenter_range r " +
-                    "inner join udger_datacenter_list l on r.datacenter_id=l.id limit -1", function (err, row) {
-                    const meta = {
-                        type: "list",
-                        source: "udger",
-                        name: "datacenter",
-                        meta: {
-                            "datacenter_name": row.name
-                        }
-                    };
-                    const metadata = JSON.stringify(meta);
-
-                    //let dcName = row.name.replace(/"/g, '\"');
-                    //dcName = dcName.replace(/,/g, '');
-                    const csv = row.from + "|" + row.to + "|" + metadata + "\n"; // -${row.name}
-                    writer.write(csv);
-                }, resolve);
-            }),
-            new Promise((resolve, reject) => {
-                db.each("SELECT l.ip, c.ip_classification_code code, l.ip_country_code country, l.ip_city city from udger_ip_list l " +
-                    "inner join udger_ip_class c on l.class_id=c.id limit -1", function (err, row) {
-                    const meta = {
-                        type: "geo",
-                        country: row.country,
-                        city: row.city,
-                        source: "udger"
-                    };
-                    let metadata = JSON.stringify(meta);
-                    let csv = `${ip.toLong(row.ip)}|${ip.toLong(row.ip)}|` + metadata + "\n";
-                    writer.write(csv);
-
-                    delete meta.country;
-                    delete meta.city;
-                    delete meta.region;
-                    meta.type = "list";
-                    meta.source = "udger";
-                    meta.name = row.code;
-                    metadata = JSON.stringify(meta);
-                    csv = `${ip.toLong(row.ip)}|${ip.toLong(row.ip)}|` + metadata + "\n";
-                    writer.write(csv);
-                }, resolve);
-            })
-        ]);
-        writer.close();
-
-        return new Promise((resolve, reject) => {
-            writer.on('finish', () => {
-                console.log('finished extracting datacenter IPs');
-                fs.renameSync(tempFile, outputFile);
-                clearInterval(interval);
-                resolve(pluginName);
+        this.outputFile = options.outputFile;
+        this.databaseFile = options.databaseFile
+            ? path.resolve(__dirname, '..', '..', options.databaseFile)
+            : path.join(__dirname, 'udgerdb_v3.dat');
+        this.keepDatabase = options.keepDatabase === true;
+        this.reuseDatabase = options.reuseDatabase === true;
+        this.timeout = options.timeout || 600000;
+        this.apiKey = options.apiKey || (this.reuseDatabase ? null : this._loadApiKey());
+        this._interval = null;
+    }
+
+    /**
+     * Load API key from config.json
+     * @returns {string} API key
+     * @private
+     */
+    _loadApiKey() {
+        try {
+            const config = require('./config.json');
+            return config.apiKey;
+        } catch (error) {
+            throw new Error('Udger API key not found. Please provide apiKey option or create config.json with apiKey field.');
+        }
+    }
+
+    /**
+     * Download the Udger database
+     * The body is written next to the database and only moved over it once
+     * complete, so a failed download never replaces a kept database.
+     * @returns {Promise<{changed: boolean}>} Download result from fetchSource()
+     * @private
+     */
+    async _downloadDatabase() {
+        this.logger.info('Downloading Udger database');
+        const downloadFile = `${this.databaseFile}.download`;
+        try {
+            const download = await this.fetchSource(`http://data.udger.com/${this.apiKey}/udgerdb_v3.dat`, {
+                // Keeps the client key out of the source state and logs
+                id: 'udgerdb_v3.dat',
+                file: downloadFile,
+                timeout: this.timeout
             });
-            writer.on('error', () => {
-                clearInterval(interval);
-                console.error(pluginName + ' error.');
-                reject(pluginName + " failed");
+            if (download.outcome !== 'not_modified') {
+                fs.renameSync(downloadFile, this.databaseFile);
+            }
+            return download;
+        } finally {
+            fs.rmSync(downloadFile, { force: true });
+        }
+    }
+
+    /**
+     * Delete the downloaded database, unless it is kept or was not downloaded
+     * @private
+     */
+    _removeDatabase() {
+        if (this.keepDatabase || this.reuseDatabase) {
+            return;
+        }
+        try {
+            fs.rmSync(this.databaseFile, { force: true });
+        } catch (error) {
+            this.logger.warn({ file: this.databaseFile, error: error.message }, 'Failed to clean up database');
+        }
+    }
+
+    /**
+     * Stage the datacenter ranges and classified IPs of the database
+     * Lines are written to a hidden temporary file, which processing skips,
+     * and moved over the output once complete.
+     * @returns {Promise<{datacenters: number, ips: number, skipped: number}>} Rows staged and skipped
+     * @private
+     */
+    async _extract() {
+        this.logger.info('Extracting datacenter ranges and classified IPs');
+        const tmpFile = path.join(path.dirname(this.outputFile), `.${path.basename(this.outputFile)}.tmp`);
+        const counts = { datacenters: 0, ips: 0, skipped: 0 };
+        const db = await openDatabase(this.databaseFile);
+        const writer = fs.createWriteStream(tmpFile);
+
+        try {
+            counts.datacenters = await eachRow(db, DATACENTER_QUERY, row => {
+                writer.write(formatLine(row.from, row.to, {
+                    type: 'list',
+                    source: 'udger',
+                    name: 'datacenter',
+                    meta: { datacenter_name: row.name }
+                }));
             });
-        });
-    } finally {}
+            await eachRow(db, IP_QUERY, row => {
+                const address = ipRange.parseIP(row.ip);
+                if (!address) {
+                    counts.skipped++;
+                    return;
+                }
+                // IPv4 bounds are staged as integers, IPv6 bounds as address strings
+                const bound = address.version === 6 ? ipRange.formatIP(address.value, 6) : address.value;
+                writer.write(formatLine(bound, bound, { type: 'geo', country: row.country, city: row.city, source: 'udger' }));
+                writer.write(formatLine(bound, bound, { type: 'list', source: 'udger', name: row.code }));
+                counts.ips++;
+            });
+            await new Promise((resolve, reject) => {
+                writer.on('error', reject);
+                writer.end(resolve);
+            });
+        } catch (error) {
+            writer.destroy();
+            fs.rmSync(tmpFile, { force: true });
+            throw new Error(`${this.name} failed: ${error.message}`);
+        } finally {
+            await new Promise(resolve => db.close(() => resolve()));
+        }
+
+        fs.renameSync(tmpFile, this.outputFile);
+        this.logger.info(counts, 'Extraction complete');
+        return counts;
+    }
+
+    /**
+     * Load plugin data
+     * The previous staging output is kept when the database is unchanged.
+     * @returns {Promise<string>} Plugin name
+     */
+    async load() {
+        if (!this.outputFile) {
+            throw new Error('outputFile is required');
+        }
+
+        this._interval = setInterval(() => {
+            this.logger.debug(`Still working on ${this.name}`);
+        }, 5000).unref();
+
+        try {
+            if (this.reuseDatabase) {
+                if (!fs.existsSync(this.databaseFile)) {
+                    throw new Error(`${this.name} failed: database ${this.databaseFile} not found`);
+                }
+                this.logger.info({ file: this.databaseFile }, 'Reusing existing Udger database');
+            } else {
+                if (!this.apiKey) {
+                    throw new Error('Udger API key is required');
+                }
+                const download = await this._downloadDatabase();
+                if (!download.changed) {
+                    this.logger.info({ outcome: download.outcome }, 'Database unchanged, keeping previous output');
+                    return this.name;
+                }
+            }
+            await this._extract();
+            return this.name;
+        } finally {
+            if (this._interval) {
+                clearInterval(this._interval);
+                this._interval = null;
+            }
+            this._removeDatabase();
+        }
+    }
+
+    /**
+     * Validate loaded data
+     * @param {any} data - Data to validate
+     * @returns {Promise<boolean>}
+     */
+    async validate(data) {
+        if (!fs.existsSync(this.outputFile)) {
+            this.logger.error('Output file does not exist');
+            return false;
+        }
+        const stats = fs.statSync(this.outputFile);
+        if (stats.size === 0) {
+            this.logger.warn('Output file is empty');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Cleanup plugin resources
+     * @returns {Promise<void>}
+     */
+    async cleanup() {
+        if (this._interval) {
+            clearInterval(this._interval);
+            this._interval = null;
+        }
+        this._removeDatabase();
+        await super.cleanup();
+    }
 }
+
+module.exports = UdgerPlugin;
@@ -0,0 +1,240 @@
+'use strict';
+
+const ipRange = require('./ipRange');
+
+/**
+ * Parse a range query into inclusive integer bounds
+ * Accepts CIDR notation (10.0.0.0/24), a start-end pair (10.0.0.1-10.0.0.50)
+ * or a single address, for either address family.
+ * @param {string} query - Range query string
+ * @returns {{version: number, start: (number|bigint), end: (number|bigint)}|null} Range, or null if invalid
+ */
+function parseRangeQuery(query) {
+    if (typeof query !== 'string' || !query.trim()) {
+        return null;
+    }
+    const text = query.trim();
+
+    if (text.includes('/')) {
+        try {
+            return ipRange.cidrToRange(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const [first, last, extra] = text.split('-');
+    if (extra !== undefined) {
+        return null;
+    }
+    const start = ipRange.parseIP(first);
+    const end = last === undefined ? start : ipRange.parseIP(last);
+    if (!start || !end || start.version !== end.version || start.value > end.value) {
+        return null;
+    }
+    return { version: start.version, start: start.value, end: end.value };
+}
+
+/**
+ * Convert an address count to a JSON-safe value
+ * Counts beyond Number.MAX_SAFE_INTEGER (large IPv6 blocks) are returned as strings
+ * @param {number|bigint} count - Address count
+ * @returns {number|string} JSON-safe count
+ */
+function toJsonCount(count) {
+    const big = BigInt(count);
+    return big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big.toString();
+}
+
+/**
+ * Fetch the raw segments overlapping a range
+ * @param {Redis} redisClient - Redis instance
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {Object} range - Range from parseRangeQuery()
+ * @param {number} limit - Maximum number of segments
+ * @returns {Promise<{segments: Array<Object>, truncated: boolean}>} Segments ordered by start
+ */
+async function fetchSegments(redisClient, redisPrefix, range, limit) {
+    const segments = [];
+    let members;
+    let tail;
+
+    if (range.version === 6) {
+        const key = redisPrefix + 'ranges6';
+        const startKey = ipRange.toLexKey(range.start);
+        const endKey = ipRange.toLexKey(range.end);
+        // Segment starting at or before the range start, then every segment starting inside it
+        const [head, inside] = await Promise.all([
+            redisClient.zrevrangebylex(key, `(${startKey}~`, '-', 'LIMIT', 0, 1),
+            redisClient.zrangebylex(key, `(${startKey}~`, `(${endKey}~`, 'LIMIT', 0, limit + 1)
+        ]);
+        members = [...head, ...inside];
+        for (const member of members) {
+            const segment = ipRange.splitMember(member);
+            segments.push({
+                start: ipRange.fromLexKey(segment.start),
+                end: ipRange.fromLexKey(segment.end),
+                data: segment.data
+            });
+        }
+    } else {
+        const key = redisPrefix + 'ranges';
+        // Segments are scored by their end: every segment ending inside the range,
+        // plus the first one ending after it (which may start inside it)
+        [members, tail] = await Promise.all([
+            redisClient.zrangebyscore(key, range.start, range.end, 'LIMIT', 0, limit + 1),
+            redisClient.zrangebyscore(key, `(${range.end}`, '+inf', 'LIMIT', 0, 1)
+        ]);
+        for (const member of [...members, ...tail]) {
+            const segment = ipRange.splitMember(member);
+            segments.push({
+                start: parseInt(segment.start),
+                end: parseInt(segment.end),
+                data: segment.data
+            });
+        }
+    }
+
+    const overlapping = segments.filter(s => s.end >= range.start && s.start <= range.end);
+    return {
+        segments: overlapping.slice(0, limit),
+        truncated: overlapping.length > limit
+    };
+}
+
+/**
+ * Apply overriding entries (custom lists, allowlist) to clipped segments
+ * Segments are split where an entry starts or ends, so each piece is either
+ * fully covered by an entry or not at all. Pieces covered by entries get the
+ * data returned by `apply`; gaps between segments are only kept when that
+ * adds list memberships. Pieces of one segment that end up alike are merged
+ * back together.
+ * @param {Array<{start, end, data: Object}>} segments - Clipped segments ordered by start
+ * @param {{version: number, start: (number|bigint)}} range - Queried range
+ * @param {(number|bigint)} until - Last address the segments cover (end of the range unless truncated)
+ * @param {Object} overrides - Overrides
+ * @param {Array<{start, end}>} overrides.entries - Entries with their bounds
+ * @param {Function} overrides.apply - `(data, entries)` returning the data of a piece covered by `entries`; `data` is a copy, `{list: [], geo: []}` in gaps
+ * @returns {Array<{start, end, data: Object}>} Pieces ordered by start
+ */
+function applyOverrides(segments, range, until, { entries, apply }) {
+    const one = range.version === 6 ? 1n : 1;
+    const bounds = [range.start, until + one];
+    for (const item of [...segments, ...entries]) {
+        bounds.push(item.start, item.end + one);
+    }
+    const points = [...new Set(bounds)]
+        .filter(point => point >= range.start && point <= until + one)
+        .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    const pieces = [];
+    let next = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+        const start = points[i];
+        const end = points[i + 1] - one;
+        while (next < segments.length && segments[next].end < start) next++;
+        const segment = next < segments.length && segments[next].start <= start ? segments[next] : null;
+        const covering = entries.filter(entry => entry.start <= start && entry.end >= end);
+
+        let data = segment ? segment.data : null;
+        if (covering.length > 0) {
+            data = apply(segment ? JSON.parse(JSON.stringify(segment.data)) : { list: [], geo: [] }, covering);
+        }
+        if (!data || (!segment && !(data.list && data.list.length > 0))) {
+            continue;
+        }
+
+        const last = pieces[pieces.length - 1];
+        if (last && last.segment === segment && last.end + one === start && JSON.stringify(last.data) === JSON.stringify(data)) {
+            last.end = end;
+        } else {
+            pieces.push({ start, end, data, segment });
+        }
+    }
+    return pieces.map(({ start, end, data }) => ({ start, end, data }));
+}
+
+/**
+ * Query every flattened segment overlapping a range and summarise list coverage
+ * @param {Redis} redisClient - Redis instance
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {Object} range - Range from parseRangeQuery()
+ * @param {Object} [options] - Query options
+ * @param {number} [options.limit=1000] - Maximum number of segments to return
+ * @param {Object} [options.overrides] - Custom list and allowlist entries to apply, see applyOverrides()
+ * @returns {Promise<Object>} Segments clipped to the range, with a coverage summary
+ */
+async function queryRange(redisClient, redisPrefix, range, options = {}) {
+    const { limit = 1000, overrides = null } = options;
+    const one = range.version === 6 ? 1n : 1;
+    const fetched = await fetchSegments(redisClient, redisPrefix, range, limit);
+
+    // Clip segments to the queried range
+    let segments = fetched.segments.map(segment => ({
+        start: segment.start > range.start ? segment.start : range.start,
+        end: segment.end < range.end ? segment.end : range.end,
+        data: JSON.parse(segment.data)
+    }));
+    let truncated = fetched.truncated;
+    if (overrides && overrides.entries.length > 0) {
+        // A truncated result stops at its last segment
+        const until = truncated && segments.length > 0 ? segments[segments.length - 1].end : range.end;
+        segments = applyOverrides(segments, range, until, overrides);
+        if (segments.length > limit) {
+            segments = segments.slice(0, limit);
+            truncated = true;
+        }
+    }
+
+    let listed = 0n;
+    const sources = {};
+    const lists = {};
+    const result = [];
+
+    for (const { start, end, data } of segments) {
+        const size = BigInt(end - start + one);
+
+        if (data.list && data.list.length > 0) {
+            listed += size;
+            for (const source of new Set(data.list.map(l => l.source))) {
+                sources[source] = (sources[source] || 0n) + size;
+            }
+            for (const name of new Set(data.list.map(l => l.name))) {
+                lists[name] = (lists[name] || 0n) + size;
+            }
+        }
+
+        result.push({
+            start: ipRange.formatIP(start, range.version),
+            end: ipRange.formatIP(end, range.version),
+            size: toJsonCount(size),
+            ...data
+        });
+    }
+
+    const total = BigInt(range.end - range.start + one);
+    const toCounts = (counts) => Object.fromEntries(
+        Object.entries(counts).map(([name, count]) => [name, toJsonCount(count)])
+    );
+
+    return {
+        version: range.version,
+        start: ipRange.formatIP(range.start, range.version),
+        end: ipRange.formatIP(range.end, range.version),
+        size: toJsonCount(total),
+        segments: result,
+        truncated,
+        summary: {
+            listed: toJsonCount(listed),
+            listedRatio: Number((listed * 1000000n) / total) / 1000000,
+            sources: toCounts(sources),
+            lists: toCounts(lists)
+        }
+    };
+}
+
+module.exports = {
+    parseRangeQuery,
+    applyOverrides,
+    queryRange
+};
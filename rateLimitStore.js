@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * Count a hit and start the window on the first one
+ * KEYS: counter
+ * ARGV: window in milliseconds
+ * Returns the hit count and the milliseconds left in the window.
+ */
+const INCREMENT_SCRIPT = `
+    local hits = redis.call('INCR', KEYS[1])
+    local ttl = redis.call('PTTL', KEYS[1])
+    if ttl < 0 then
+        redis.call('PEXPIRE', KEYS[1], ARGV[1])
+        ttl = tonumber(ARGV[1])
+    end
+    return {hits, ttl}
+`;
+
+/**
+ * Fixed-window hit counter shared by every instance through Redis
+ * Implements the express-rate-limit store interface, and is used directly
+ * for WebSocket messages. Errors are passed to the caller, which decides
+ * whether to let the request through.
+ */
+class RedisRateLimitStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {Function} options.getRedis - Returns the Redis connection
+     * @param {Function} options.getRedisPrefix - Returns the Redis key prefix
+     * @param {string} options.name - Counter namespace, e.g. `http` or `ws`
+     * @param {number} [options.windowMs=60000] - Window length (replaced by init() under express-rate-limit)
+     */
+    constructor({ getRedis, getRedisPrefix, name, windowMs = 60000 }) {
+        this.getRedis = getRedis;
+        this.getRedisPrefix = getRedisPrefix;
+        this.name = name;
+        this.windowMs = windowMs;
+        // Counters are shared, so express-rate-limit must not treat keys as process-local
+        this.localKeys = false;
+    }
+
+    /**
+     * Redis key counting hits for a client
+     * @param {string} key - Client identity
+     * @returns {string} Key name
+     */
+    _key(key) {
+        return `${this.getRedisPrefix()}ratelimit:${this.name}:${key}`;
+    }
+
+    /**
+     * Receive the limiter options (express-rate-limit)
+     * @param {Object} options - Limiter options
+     */
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    /**
+     * Count a hit
+     * @param {string} key - Client identity
+     * @returns {Promise<{totalHits: number, resetTime: Date}>} Hits in the current window and when it ends
+     */
+    async increment(key) {
+        const [hits, ttl] = await this.getRedis().eval(INCREMENT_SCRIPT, 1, this._key(key), this.windowMs);
+        return { totalHits: Number(hits), resetTime: new Date(Date.now() + Number(ttl)) };
+    }
+
+    /**
+     * Take back a hit (express-rate-limit, for skipped responses)
+     * @param {string} key - Client identity
+     */
+    async decrement(key) {
+        await this.getRedis().decr(this._key(key));
+    }
+
+    /**
+     * Clear a client's counter
+     * @param {string} key - Client identity
+     */
+    async resetKey(key) {
+        await this.getRedis().del(this._key(key));
+    }
+}
+
+/**
+ * Fixed-window hit counter kept in process memory
+ * Same interface as RedisRateLimitStore, for single-instance deployments.
+ */
+class MemoryRateLimitStore {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {number} [options.windowMs=60000] - Window length
+     */
+    constructor({ windowMs = 60000 } = {}) {
+        this.localKeys = true;
+        this.hits = new Map();
+        this.cleanupTimer = null;
+        this.init({ windowMs });
+    }
+
+    /**
+     * Receive the limiter options (express-rate-limit)
+     * @param {Object} options - Limiter options
+     */
+    init(options) {
+        this.windowMs = options.windowMs;
+        this.stop();
+        // Drop finished windows so idle clients do not accumulate
+        this.cleanupTimer = setInterval(() => this._cleanup(), this.windowMs);
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * Remove counters whose window has ended
+     */
+    _cleanup() {
+        const now = Date.now();
+        for (const [key, entry] of this.hits) {
+            if (entry.resetTime.getTime() <= now) {
+                this.hits.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Count a hit
+     * @param {string} key - Client identity
+     * @returns {Promise<{totalHits: number, resetTime: Date}>} Hits in the current window and when it ends
+     */
+    async increment(key) {
+        const now = Date.now();
+        let entry = this.hits.get(key);
+        if (!entry || entry.resetTime.getTime() <= now) {
+            entry = { totalHits: 0, resetTime: new Date(now + this.windowMs) };
+            this.hits.set(key, entry);
+        }
+        entry.totalHits++;
+        return { ...entry };
+    }
+
+    /**
+     * Take back a hit (express-rate-limit, for skipped responses)
+     * @param {string} key - Client identity
+     */
+    async decrement(key) {
+        const entry = this.hits.get(key);
+        if (entry && entry.totalHits > 0) {
+            entry.totalHits--;
+        }
+    }
+
+    /**
+     * Clear a client's counter
+     * @param {string} key - Client identity
+     */
+    async resetKey(key) {
+        this.hits.delete(key);
+    }
+
+    /**
+     * Stop the cleanup timer
+     */
+    stop() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+    }
+}
+
+/**
+ * Create the store for one rate limiter
+ * @param {Object} options - Store options
+ * @param {string} options.type - `redis` (shared by every instance) or `memory` (per process)
+ * @param {string} options.name - Counter namespace, e.g. `http` or `ws`
+ * @param {number} options.windowMs - Window length
+ * @param {Function} [options.getRedis] - Returns the Redis connection (redis stores)
+ * @param {Function} [options.getRedisPrefix] - Returns the Redis key prefix (redis stores)
+ * @returns {RedisRateLimitStore|MemoryRateLimitStore} Store
+ */
+function createRateLimitStore({ type, name, windowMs, getRedis, getRedisPrefix }) {
+    if (type === 'memory') {
+        return new MemoryRateLimitStore({ windowMs });
+    }
+    return new RedisRateLimitStore({ getRedis, getRedisPrefix, name, windowMs });
+}
+
+module.exports = {
+    RedisRateLimitStore,
+    MemoryRateLimitStore,
+    createRateLimitStore
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+const EventEmitter = require('events');
+const logger = require('./logger').child({ module: 'redisMirror' });
+
+/**
+ * Base class for state kept in Redis and mirrored in-process
+ * Subclasses implement refresh() to reload the mirror and name the pub/sub
+ * channel announcing changes. Each instance reloads on a message, with
+ * periodic polling as a fallback for missed messages.
+ */
+class RedisMirror extends EventEmitter {
+    /**
+     * @param {Object} options - Mirror options
+     * @param {Redis} options.redis - Redis connection
+     * @param {string} options.redisPrefix - Redis key prefix
+     * @param {string} options.name - Name used in logs
+     * @param {number} [options.refreshMs=5000] - Polling interval in ms
+     */
+    constructor({ redis, redisPrefix, name, refreshMs = 5000 }) {
+        super();
+        this.redis = redis;
+        this.redisPrefix = redisPrefix;
+        this.name = name;
+        this.refreshMs = refreshMs;
+        this.logger = logger.child({ mirror: name });
+        this._subscriber = null;
+        this._interval = null;
+        this._ready = null;
+    }
+
+    /**
+     * Pub/sub channel announcing changes
+     * @returns {string} Channel name
+     */
+    get channel() {
+        throw new Error(`${this.constructor.name} must define its channel`);
+    }
+
+    /**
+     * Reload the mirror from Redis
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        throw new Error(`${this.constructor.name} must implement refresh()`);
+    }
+
+    /**
+     * Handle a change announcement
+     * @param {string} message - Published message
+     * @protected
+     */
+    _onMessage(message) {
+        this.refresh().catch(() => {});
+    }
+
+    /**
+     * Handle a failed first load
+     * @param {Error} error - Load error
+     * @protected
+     */
+    _onLoadError(error) {
+        this.logger.warn({ error: error.message }, 'Failed to load mirror');
+    }
+
+    /**
+     * Start mirroring: load, subscribe and poll
+     * @returns {Promise<void>} Resolves once the first load completes
+     */
+    start() {
+        if (this._ready) {
+            return this._ready;
+        }
+
+        try {
+            this._subscriber = this.redis.duplicate();
+            this._subscriber.on('error', (err) => {
+                this.logger.warn({ error: err.message }, 'Mirror subscriber error');
+            });
+            this._subscriber.on('message', (channel, message) => {
+                if (channel === this.channel) {
+                    this._onMessage(message);
+                }
+            });
+            this._subscriber.subscribe(this.channel).catch(err => {
+                this.logger.warn({ error: err.message }, 'Failed to subscribe to mirror channel, relying on polling');
+            });
+        } catch (error) {
+            this.logger.warn({ error: error.message }, 'Mirror subscriber unavailable, relying on polling');
+            this._subscriber = null;
+        }
+
+        this._interval = setInterval(() => {
+            this.refresh().catch(() => {});
+        }, this.refreshMs).unref();
+
+        this._ready = this.refresh().catch(err => this._onLoadError(err));
+        return this._ready;
+    }
+
+    /**
+     * Wait for the first load
+     * @returns {Promise<void>}
+     */
+    async ready() {
+        await this.start();
+    }
+
+    /**
+     * Bump the change counter (stored under the channel name), publish it and
+     * reload the local mirror
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _changed() {
+        const version = await this.redis.incr(this.channel);
+        await this.redis.publish(this.channel, String(version)).catch(err => {
+            this.logger.warn({ error: err.message }, 'Failed to publish mirror change');
+        });
+        await this.refresh(true);
+    }
+
+    /**
+     * Stop polling and close the subscriber connection
+     */
+    stop() {
+        if (this._interval) {
+            clearInterval(this._interval);
+            this._interval = null;
+        }
+        if (this._subscriber) {
+            try {
+                this._subscriber.removeAllListeners();
+                this._subscriber.disconnect(false);
+            } catch (e) {
+                // Ignore errors
+            }
+            this._subscriber = null;
+        }
+        this.removeAllListeners();
+        this._ready = null;
+    }
+}
+
+module.exports = {
+    RedisMirror
+};
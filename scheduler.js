@@ -0,0 +1,203 @@
+'use strict';
+
+const { CronJob } = require('cron');
+const update = require('./update');
+const logger = require('./logger').child({ module: 'scheduler' });
+
+/**
+ * Create the scheduler for plugins with their own refresh schedule
+ * Each scheduled plugin is downloaded on its cron schedule, after a random
+ * delay of up to its `jitter`, as a download-only update job. A successful
+ * download requests a rebuild (process and load); the rebuild waits for
+ * `rebuildDelayMs` of quiet so plugins finishing close together share one
+ * load. Jobs run one at a time and take the update lock like every other
+ * update; while another update holds the lock, pending work is retried after
+ * `retryMs`.
+ * @param {Object} options - Scheduler options
+ * @param {Array<Object>} options.plugins - Plugin wrappers; those without `schedule` are ignored
+ * @param {string} options.redisPrefix - Redis key prefix
+ * @param {string} [options.timezone='UTC'] - Timezone of the schedules
+ * @param {number} [options.rebuildDelayMs=60000] - Quiet period before a rebuild
+ * @param {number} [options.retryMs=60000] - Delay before retrying while the lock is held
+ * @param {boolean} [options.collectGarbage=false] - Collect garbage while loading
+ * @param {Function} [options.startUpdate] - Starts an update job (default: update.startUpdate)
+ * @param {Function} [options.random] - Random number source for jitter (default: Math.random)
+ * @returns {Object} Scheduler with `start`, `stop`, `due` and `pending`
+ */
+function createPluginScheduler({
+    plugins,
+    redisPrefix,
+    timezone = 'UTC',
+    rebuildDelayMs = 60000,
+    retryMs = 60000,
+    collectGarbage = false,
+    startUpdate = update.startUpdate,
+    random = Math.random
+}) {
+    const scheduled = plugins.filter(p => p.schedule);
+    const jobs = scheduled.map(plugin => new CronJob(
+        plugin.schedule,
+        () => due(plugin),
+        null,
+        false,
+        timezone
+    ));
+    const jitterTimers = new Set();
+    const downloads = new Set();
+    let rebuildRequested = false;
+    let rebuildTimer = null;
+    let retryTimer = null;
+    let running = false;
+    let stopped = true;
+
+    /**
+     * Queue a plugin download after its jitter
+     * @param {Object} plugin - Plugin wrapper
+     */
+    function due(plugin) {
+        const delay = Math.floor(random() * (plugin.jitter || 0) * 1000);
+        logger.info({ plugin: plugin.name, delayMs: delay }, 'Plugin refresh due');
+        const timer = setTimeout(() => {
+            jitterTimers.delete(timer);
+            downloads.add(plugin.name);
+            drain();
+        }, delay);
+        timer.unref();
+        jitterTimers.add(timer);
+    }
+
+    /**
+     * Run a job, retrying later while another update holds the lock
+     * @param {Object} options - startUpdate() options
+     * @returns {Promise<boolean|null>} True if the job completed, false if it failed, null if it was not started
+     */
+    async function runJob(options) {
+        let job;
+        try {
+            job = await startUpdate({ redisPrefix, collectGarbage, trigger: 'schedule', ...options });
+        } catch (error) {
+            if (error.code !== 'LOCKED') {
+                logger.error({ error: error.message }, 'Failed to start scheduled update');
+            } else {
+                logger.info({ runningJobId: error.jobId, retryMs }, 'Update in progress, retrying scheduled work later');
+            }
+            retryTimer = setTimeout(() => {
+                retryTimer = null;
+                drain();
+            }, retryMs);
+            retryTimer.unref();
+            return null;
+        }
+        try {
+            await job.done;
+            return true;
+        } catch (error) {
+            logger.warn({ error: error.message, jobId: job.jobId }, 'Scheduled update failed');
+            return false;
+        }
+    }
+
+    /**
+     * Wait for the quiet period, then rebuild
+     */
+    function requestRebuild() {
+        rebuildRequested = true;
+        clearTimeout(rebuildTimer);
+        rebuildTimer = setTimeout(() => {
+            rebuildTimer = null;
+            drain();
+        }, rebuildDelayMs);
+        rebuildTimer.unref();
+    }
+
+    /**
+     * Run pending work one job at a time: downloads first, then a rebuild
+     * once no download is pending and the quiet period has passed
+     * @returns {Promise<void>}
+     */
+    async function drain() {
+        if (running || stopped || retryTimer) {
+            return;
+        }
+        running = true;
+        try {
+            while (!stopped && !retryTimer) {
+                const plugin = scheduled.find(p => downloads.has(p.name));
+                if (plugin) {
+                    // A failed download aborts the job, so nothing is rebuilt without it
+                    const result = await runJob({
+                        plugins: [{ ...plugin, abortOnFail: true }],
+                        process: false,
+                        load: false
+                    });
+                    if (result !== null) {
+                        downloads.delete(plugin.name);
+                    }
+                    if (result === true) {
+                        requestRebuild();
+                    }
+                    continue;
+                }
+                if (rebuildRequested && !rebuildTimer) {
+                    const result = await runJob({ download: false });
+                    if (result !== null) {
+                        rebuildRequested = false;
+                    }
+                    continue;
+                }
+                break;
+            }
+        } finally {
+            running = false;
+        }
+    }
+
+    /**
+     * Start the plugin schedules
+     */
+    function start() {
+        stopped = false;
+        for (const job of jobs) {
+            job.start();
+        }
+        if (scheduled.length > 0) {
+            logger.info({
+                plugins: scheduled.map(p => ({ name: p.name, schedule: p.schedule, jitter: p.jitter || 0 }))
+            }, 'Plugin schedules started');
+        }
+    }
+
+    /**
+     * Stop the schedules and drop pending work
+     */
+    function stop() {
+        stopped = true;
+        for (const job of jobs) {
+            job.stop();
+        }
+        for (const timer of jitterTimers) {
+            clearTimeout(timer);
+        }
+        jitterTimers.clear();
+        clearTimeout(rebuildTimer);
+        clearTimeout(retryTimer);
+        rebuildTimer = null;
+        retryTimer = null;
+        downloads.clear();
+        rebuildRequested = false;
+    }
+
+    /**
+     * Work waiting to run
+     * @returns {{downloads: Array<string>, rebuild: boolean}} Pending downloads and whether a rebuild is pending
+     */
+    function pending() {
+        return { downloads: [...downloads], rebuild: rebuildRequested };
+    }
+
+    return { start, stop, due, pending };
+}
+
+module.exports = {
+    createPluginScheduler
+};
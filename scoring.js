@@ -0,0 +1,143 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const logger = require('./logger').child({ module: 'scoring' });
+
+/**
+ * Default weights, used when no scoring file is present
+ * List weights take precedence over source weights
+ */
+const DEFAULT_WEIGHTS = {
+    defaultListWeight: 10,
+    maxScore: 100,
+    sources: {
+        firehol: 20,
+        spamhaus: 60,
+        dronebl: 40,
+        zen: 50,
+        abusix: 40,
+        spamcop: 30,
+        udger: 10
+    },
+    lists: {
+        firehol_level1: 80,
+        firehol_level2: 50,
+        firehol_level3: 40,
+        firehol_level4: 20,
+        firehol_abusers_1d: 40,
+        firehol_abusers_30d: 30,
+        firehol_anonymous: 20,
+        firehol_webclient: 20,
+        firehol_webserver: 15,
+        cloudflare: 0
+    },
+    modifiers: {
+        cloud: 10,
+        cdn: -20
+    },
+    thresholds: {
+        review: 30,
+        deny: 70
+    }
+};
+
+/**
+ * Scoring file validation schema
+ */
+const weightsSchema = Joi.object({
+    defaultListWeight: Joi.number().default(DEFAULT_WEIGHTS.defaultListWeight),
+    maxScore: Joi.number().min(1).default(DEFAULT_WEIGHTS.maxScore),
+    sources: Joi.object().pattern(Joi.string(), Joi.number()).default(DEFAULT_WEIGHTS.sources),
+    lists: Joi.object().pattern(Joi.string(), Joi.number()).default(DEFAULT_WEIGHTS.lists),
+    modifiers: Joi.object().pattern(Joi.string(), Joi.number()).default(DEFAULT_WEIGHTS.modifiers),
+    thresholds: Joi.object({
+        review: Joi.number().min(0).required(),
+        deny: Joi.number().min(Joi.ref('review')).required()
+    }).default(DEFAULT_WEIGHTS.thresholds)
+});
+
+/**
+ * Load and validate scoring weights
+ * @param {string} [file] - Path to a JSON weights file; defaults are used if it does not exist
+ * @returns {Object} Validated weights
+ * @throws {Error} If the file exists but is invalid
+ */
+function loadWeights(file) {
+    let raw = {};
+    if (file && fs.existsSync(file)) {
+        try {
+            raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Scoring configuration error: ${error.message}`);
+        }
+        logger.info({ file: path.resolve(file) }, 'Loaded scoring weights');
+    }
+
+    const { error, value } = weightsSchema.validate(raw, { abortEarly: false });
+    if (error) {
+        const errorMessages = error.details.map(detail => detail.message).join(', ');
+        throw new Error(`Scoring configuration error: ${errorMessages}`);
+    }
+    return value;
+}
+
+/**
+ * Create a scorer for lookup results
+ * @param {Object} weights - Weights from loadWeights()
+ * @returns {Function} Function taking a lookup result and returning {score, verdict, contributions}
+ */
+function createScorer(weights) {
+    return function score(result) {
+        const contributions = [];
+        const seen = new Set();
+
+        for (const entry of (result && result.list) || []) {
+            // Memberships overridden by the allowlist are reported but never scored
+            if (entry.override) continue;
+            const key = `${entry.source}:${entry.name}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            let weight = weights.defaultListWeight;
+            if (entry.name in weights.lists) {
+                weight = weights.lists[entry.name];
+            } else if (entry.source in weights.sources) {
+                weight = weights.sources[entry.source];
+            }
+            contributions.push({ type: 'list', name: entry.name, source: entry.source, weight });
+        }
+
+        // Membership in other result types (cloud, cdn, ...) applies once per type
+        for (const type of Object.keys(weights.modifiers)) {
+            const entries = result && result[type];
+            if (Array.isArray(entries) && entries.length > 0) {
+                const provider = entries[0].provider || entries[0].source;
+                contributions.push({ type, provider, weight: weights.modifiers[type] });
+            }
+        }
+
+        const total = contributions.reduce((sum, c) => sum + c.weight, 0);
+        const clamped = Math.max(0, Math.min(weights.maxScore, total));
+
+        let verdict = 'allow';
+        if (clamped >= weights.thresholds.deny) {
+            verdict = 'deny';
+        } else if (clamped >= weights.thresholds.review) {
+            verdict = 'review';
+        }
+
+        return {
+            score: clamped,
+            verdict,
+            contributions: contributions.filter(c => c.weight !== 0)
+        };
+    };
+}
+
+module.exports = {
+    DEFAULT_WEIGHTS,
+    loadWeights,
+    createScorer
+};
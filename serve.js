@@ -1,6 +1,20 @@
 'use strict';
 
-const ipTools = require('ip-utils');
+const ipRange = require('./ipRange');
+const { parseRangeQuery, queryRange } = require('./rangeQuery');
+const scoring = require('./scoring');
+const dnsbl = require('./dnsbl');
+const { GenerationTracker } = require('./generation');
+const { LRUCache } = require('./lruCache');
+const { CustomListStore, toMemberships } = require('./customLists');
+const { AllowlistStore, loadAllowlistFile, applyAllowlist } = require('./allowlist');
+const { createAdminAuth, extractToken } = require('./adminAuth');
+const { createAdminRouter } = require('./admin');
+const { loadClientKeysFile, createClientAccess } = require('./clientKeys');
+const { createRateLimitStore } = require('./rateLimitStore');
+const metrics = require('./metrics');
+const pluginHealth = require('./pluginHealth');
+const { loadPluginConfig } = require('./plugins');
 const Redis = require("ioredis");
 const appConfig = require("./config");
 const logger = require('./logger');
@@ -8,9 +22,9 @@ const express = require('express');
 const stringify = require('csv').stringify;
 const fileUpload = require('express-fileupload');
 const rateLimit = require('express-rate-limit');
+const proxyaddr = require('proxy-addr');
 const { createWebSocketServer } = require('./websocket');
 const http = require('http');
-const dns = require('dns').promises;
 
 const app = express();
 const router = express.Router();
@@ -20,6 +34,51 @@ const maxUpload = 10 * 1024 * 1024; // 10MB
 let redis = null;
 let redisPrefix = null;
 let serverInstance = null; // Track server instance to prevent multiple calls
+let generationTracker = null;
+let customLists = null;
+let allowlist = null;
+
+// Allowlist entries from the file (API entries are read from Redis)
+const allowlistFileEntries = loadAllowlistFile(appConfig.allowlist.file);
+
+// Admin authentication for /admin endpoints and privileged WebSocket messages
+const adminAuth = createAdminAuth({ keys: appConfig.admin.keys });
+
+// Client API keys with per-key quotas for lookup endpoints
+const clientAccess = createClientAccess({
+    keys: loadClientKeysFile(appConfig.clients.keysFile),
+    getRedis,
+    getRedisPrefix: () => redisPrefix,
+    windowMs: appConfig.clients.windowMs,
+    allowAnonymous: appConfig.clients.anonymous,
+    retentionDays: appConfig.clients.usageRetentionDays
+});
+
+// In-process result cache in front of Redis (null when disabled)
+const memoryCache = appConfig.cache.memory.enabled
+    ? new LRUCache({ maxSize: appConfig.cache.memory.maxEntries, ttlMs: appConfig.cache.memory.ttlMs })
+    : null;
+
+// Risk scorer (null when scoring is disabled)
+const scorer = appConfig.scoring.enabled
+    ? scoring.createScorer(scoring.loadWeights(appConfig.scoring.configFile))
+    : null;
+
+// Enabled plugins reported by /health/plugins (the update process rejects an invalid file)
+const pluginEntries = (() => {
+    try {
+        return loadPluginConfig(appConfig.plugins.configFile, appConfig.plugins).filter(entry => entry.enabled);
+    } catch (error) {
+        logger.warn({ error: error.message }, 'Plugin configuration unavailable, plugin health is not reported');
+        return [];
+    }
+})();
+
+// DNSBL providers available for per-request selection
+const dnsblClient = dnsbl.createClient(dnsbl.loadProviders(appConfig.dnsbl.configFile), {
+    servers: appConfig.dnsbl.servers,
+    timeoutMs: appConfig.dnsbl.timeoutMs
+});
 
 /**
  * Initialize Redis connection pool
@@ -61,10 +120,75 @@ function getRedis() {
     return redis;
 }
 
+/**
+ * Get the dataset generation tracker, starting it on first use
+ * @returns {GenerationTracker} Generation tracker
+ */
+function getGenerationTracker() {
+    if (!generationTracker) {
+        generationTracker = new GenerationTracker({
+            redis: getRedis(),
+            redisPrefix,
+            refreshMs: appConfig.cache.generationRefreshMs
+        });
+        if (memoryCache) {
+            // Results from the previous dataset can never be served again
+            generationTracker.on('change', () => memoryCache.clear());
+        }
+        generationTracker.start();
+    }
+    return generationTracker;
+}
+
+/**
+ * Get the custom list store, starting it on first use
+ * @returns {CustomListStore} Custom list store
+ */
+function getCustomLists() {
+    if (!customLists) {
+        customLists = new CustomListStore({
+            redis: getRedis(),
+            redisPrefix,
+            refreshMs: appConfig.customLists.refreshMs
+        });
+        customLists.start();
+    }
+    return customLists;
+}
+
+/**
+ * Get the allowlist store, starting it on first use
+ * @returns {AllowlistStore} Allowlist store
+ */
+function getAllowlist() {
+    if (!allowlist) {
+        allowlist = new AllowlistStore({
+            redis: getRedis(),
+            redisPrefix,
+            fileEntries: allowlistFileEntries,
+            refreshMs: appConfig.customLists.refreshMs
+        });
+        allowlist.start();
+    }
+    return allowlist;
+}
+
 /**
  * Close Redis connection (for testing)
  */
 function closeRedis() {
+    if (generationTracker) {
+        generationTracker.stop();
+        generationTracker = null;
+    }
+    if (customLists) {
+        customLists.stop();
+        customLists = null;
+    }
+    if (allowlist) {
+        allowlist.stop();
+        allowlist = null;
+    }
     if (redis) {
         try {
             // Remove all event listeners to prevent handles from staying open
@@ -79,36 +203,12 @@ function closeRedis() {
 }
 
 /**
- * DroneBL type code to category mapping
- * Based on https://dronebl.org/docs/howtouse
- */
-const DRONEBL_CATEGORIES = {
-    2: 'Sample',
-    3: 'IRC Drone',
-    5: 'Bottler',
-    6: 'Unknown spambot or drone',
-    7: 'DDOS Drone',
-    8: 'SOCKS Proxy',
-    9: 'HTTP Proxy',
-    10: 'ProxyChain',
-    11: 'Web Page Proxy',
-    12: 'Open DNS Resolver',
-    13: 'Brute force attackers',
-    14: 'Open Wingate Proxy',
-    15: 'Compromised router / gateway',
-    16: 'Autorooting worms',
-    17: 'Automatically determined botnet IPs (experimental)',
-    18: 'DNS/MX type hostname detected on IRC',
-    255: 'Unknown'
-};
-
-/**
- * Check if DroneBL lookup should be enabled based on query parameter
+ * Get the DNSBL providers requested by a query
  * @param {Object} query - Request query object
- * @returns {boolean} True if DroneBL should be included
+ * @returns {Array<string>} Requested provider names
  */
-function shouldIncludeDroneBL(query) {
-    return [1, '1', true, 'true'].includes(query.dronebl);
+function getDnsblSelection(query) {
+    return dnsbl.parseSelection(query.dnsbl, query.dronebl);
 }
 
 /**
@@ -122,75 +222,91 @@ function shouldSkipCache(query) {
 }
 
 /**
- * Lookup IP address in DroneBL via DNS
- * @param {string} ip - IP address to lookup
- * @returns {Promise<Object|null>} DroneBL result with type code and category, or null if not listed
+ * Find the flattened segment containing an address
+ * IPv4 segments are scored by their end address in `ranges`; IPv6 segments
+ * are ordered lexicographically by their fixed-width hex start in `ranges6`.
+ * @param {Redis} redisClient - Redis instance
+ * @param {{version: number, value: (number|bigint)}} parsed - Parsed IP address
+ * @returns {Promise<Object|null>} Segment lists, or null if not listed
  */
-const lookupDroneBL = async (ip) => {
-    if (!ipTools.isValidIpv4(ip)) {
+const lookupRanges = async (redisClient, parsed) => {
+    if (parsed.version === 6) {
+        const key = ipRange.toLexKey(parsed.value);
+        // '~' sorts after '|', so this returns the segment with the greatest start <= ip
+        const answer = await redisClient.zrevrangebylex(
+            redisPrefix + 'ranges6',
+            `(${key}~`,
+            '-',
+            'LIMIT',
+            0,
+            1
+        );
+        if (answer && answer.length > 0) {
+            const segment = ipRange.splitMember(answer[0]);
+            if (parsed.value <= ipRange.fromLexKey(segment.end)) {
+                return JSON.parse(segment.data);
+            }
+        }
         return null;
     }
 
-    try {
-        // Reverse the IP octets: 193.46.255.99 -> 99.255.46.193
-        const parts = ip.split('.');
-        const reversedIP = parts.reverse().join('.');
-        const dnsblHostname = `${reversedIP}.dnsbl.dronebl.org`;
-
-        // Query DNS A record
-        const addresses = await dns.resolve4(dnsblHostname);
-        
-        if (addresses && addresses.length > 0) {
-            // DroneBL returns an IP address where the last octet is the type code
-            // Extract the type code from the first A record
-            const typeIP = addresses[0];
-            const typeParts = typeIP.split('.');
-            const typeCode = parseInt(typeParts[typeParts.length - 1], 10);
-            
-            const category = DRONEBL_CATEGORIES[typeCode] || 'Unknown';
-            
-            return {
-                name: `dronebl_type_${typeCode}`,
-                source: 'dronebl',
-                type: typeCode,
-                category: category
-            };
-        }
-        
-        return null;
-    } catch (error) {
-        // ENOTFOUND or ENODATA means IP is not listed (this is normal)
-        if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
-            return null;
+    const answer = await redisClient.zrangebyscore(
+        redisPrefix + 'ranges', 
+        parsed.value, 
+        '+inf', 
+        'LIMIT', 
+        0, 
+        1
+    );
+    if (answer && answer.length > 0) {
+        const segment = ipRange.splitMember(answer[0]);
+        if (parsed.value >= parseInt(segment.start) && parsed.value <= parseInt(segment.end)) {
+            return JSON.parse(segment.data);
         }
-        // Log other DNS errors but don't fail the lookup
-        logger.warn({ error: error.message, ip, code: error.code }, 'DroneBL DNS lookup error');
-        return null;
     }
+    return null;
 };
 
 /**
- * Lookup IP address in Redis and optionally DroneBL
- * @param {string} ip - IP address to lookup
- * @param {boolean} includeDroneBL - Whether to include DroneBL DNS lookup (default: false)
+ * Lookup IP address in Redis and optionally DNSBL providers
+ * @param {string} ip - IPv4 or IPv6 address to lookup
+ * @param {Array<string>} dnsblSelection - DNSBL providers to query, from dnsbl.parseSelection() (default: none)
  * @param {boolean} skipCache - Whether to skip cache lookup and perform fresh lookup (default: false)
  * @returns {Promise<Object|null|false>} Lookup result
  */
-const lookupIP = async (ip, includeDroneBL = false, skipCache = false) => {
-    if (!ipTools.isValidIpv4(ip)) {
+const lookupLists = async (ip, dnsblSelection = [], skipCache = false) => {
+    const parsed = ipRange.parseIP(ip);
+    if (!parsed) {
         return false;
     }
 
+    const providers = dnsblClient.resolve(dnsblSelection);
+
     try {
         const redisClient = getRedis();
-        // Include DroneBL flag in cache key so cached results are separate
-        const cacheKey = redisPrefix + 'cache:' + ip + (includeDroneBL ? ':dronebl' : '');
+        // Cache entries are tied to the dataset generation; entries from previous
+        // generations are never read again and simply expire
+        const generation = await getGenerationTracker().current();
+        // Include queried DNSBL providers in cache key so cached results are separate
+        const cacheKey = redisPrefix + 'cache:' + generation + ':' + ip +
+            (providers.length > 0 ? ':dnsbl=' + providers.join(',') : '');
         const cacheTTL = 48 * 60 * 60; // 48 hours in seconds
 
         // Check cache first (unless skipCache is true)
         if (!skipCache) {
-            const cachedResult = await redisClient.get(cacheKey);
+            // In-process tier holds the serialized value, so every caller gets its own copy
+            const memoryResult = memoryCache ? memoryCache.get(cacheKey) : undefined;
+            if (memoryCache) {
+                metrics.countCacheLookup('memory', memoryResult !== undefined);
+            }
+            const cachedResult = memoryResult !== undefined ? memoryResult : await redisClient.get(cacheKey);
+            if (memoryResult === undefined) {
+                metrics.countCacheLookup('redis', cachedResult !== null);
+            }
             if (cachedResult !== null) {
+                if (memoryCache && memoryResult === undefined) {
+                    memoryCache.set(cacheKey, cachedResult);
+                }
                 // Cache hit - return immediately without Redis skip list or DNS lookup
                 // Handle both null (not found) and result object
                 if (cachedResult === 'null') {
@@ -206,40 +322,15 @@ const lookupIP = async (ip, includeDroneBL = false, skipCache = false) => {
         }
 
         // Cache miss or skipCache=true - perform fresh lookup
-        const long = ipTools.toLong(ip);
-        
-        // Query Redis skip list and optionally DroneBL in parallel
-        const queries = [
-            redisClient.zrangebyscore(
-                redisPrefix + 'ranges', 
-                long, 
-                '+inf', 
-                'LIMIT', 
-                0, 
-                1
-            )
-        ];
-        
-        if (includeDroneBL) {
-            queries.push(lookupDroneBL(ip));
-        }
-        
-        const results = await Promise.all(queries);
-        const answer = results[0];
-        const droneblResult = includeDroneBL ? results[1] : null;
-
-        let redisResult = null;
-        if (answer && answer.length > 0) {
-            const item = answer[0];
-            const [startInt, endInt, lists] = item.split('|');
-            if (long >= parseInt(startInt) && long <= parseInt(endInt)) {
-                redisResult = JSON.parse(lists);
-            }
-        }
+        // Query Redis skip list and DNSBL providers in parallel
+        const [redisResult, dnsblEntries] = await Promise.all([
+            lookupRanges(redisClient, parsed),
+            dnsblClient.lookup(ip, providers)
+        ]);
 
         // Merge results
         let result = null;
-        if (redisResult === null && droneblResult === null) {
+        if (redisResult === null && dnsblEntries.length === 0) {
             result = null;
         } else {
             // Initialize result object
@@ -250,15 +341,16 @@ const lookupIP = async (ip, includeDroneBL = false, skipCache = false) => {
                 result.list = [];
             }
 
-            // Add DroneBL result if found
-            if (droneblResult) {
-                result.list.push(droneblResult);
-            }
+            // Add DNSBL listings
+            result.list.push(...dnsblEntries);
         }
 
         // Store result in cache with 48-hour TTL
         // Store 'null' as string for null results, JSON stringify for objects
         const cacheValue = result === null ? 'null' : JSON.stringify(result);
+        if (memoryCache) {
+            memoryCache.set(cacheKey, cacheValue);
+        }
         await redisClient.setex(cacheKey, cacheTTL, cacheValue).catch(err => {
             // Log cache write errors but don't fail the lookup
             logger.warn({ error: err.message, ip }, 'Failed to write to cache');
@@ -271,8 +363,119 @@ const lookupIP = async (ip, includeDroneBL = false, skipCache = false) => {
     }
 };
 
+/**
+ * Lookup IP address, merge custom list entries, apply allowlist overrides and attach its risk score
+ * Custom lists, overrides and the score are applied on every call (never cached)
+ * so admin changes and weight changes apply immediately
+ * @param {string} ip - IPv4 or IPv6 address to lookup
+ * @param {Array<string>} dnsblSelection - DNSBL providers to query, from dnsbl.parseSelection() (default: none)
+ * @param {boolean} skipCache - Whether to skip cache lookup and perform fresh lookup (default: false)
+ * @returns {Promise<Object|null|false>} Lookup result with `risk` when scoring is enabled
+ */
+const lookupIP = async (ip, dnsblSelection = [], skipCache = false) => {
+    let result = await lookupLists(ip, dnsblSelection, skipCache);
+    if (result === false) {
+        return result;
+    }
+
+    const store = getCustomLists();
+    await store.ready();
+    const customEntries = store.match(ip);
+    if (customEntries.length > 0) {
+        result = result || { list: [], geo: [] };
+        result.list = (result.list || []).concat(customEntries);
+    }
+
+    const overrides = getAllowlist();
+    await overrides.ready();
+    applyAllowlist(result, overrides.match(ip), appConfig.allowlist.mode);
+
+    if (result && scorer) {
+        result.risk = scorer(result);
+    }
+    return result;
+};
+
+/**
+ * CSV columns for the risk score
+ * @returns {string[]} Risk columns, or empty when scoring is disabled
+ */
+function riskColumns() {
+    return scorer ? ['score', 'verdict'] : [];
+}
+
+/**
+ * CSV cells for the risk score of a lookup result
+ * @param {Object|null} result - Lookup result
+ * @returns {Array} Score and verdict, or empty when scoring is disabled
+ */
+function riskCells(result) {
+    if (!scorer) {
+        return [];
+    }
+    const risk = (result && result.risk) || scorer(null);
+    return [risk.score, risk.verdict];
+}
+
+/**
+ * Custom list and allowlist entries overlapping a range, for queryRange()
+ * Segments covered by them get the same memberships and overrides as
+ * lookupIP() gives a single address.
+ * @param {Object} range - Range from parseRangeQuery()
+ * @returns {Promise<Object>} `{entries, apply}` for queryRange()
+ */
+async function rangeOverrides(range) {
+    const store = getCustomLists();
+    const overrides = getAllowlist();
+    await Promise.all([store.ready(), overrides.ready()]);
+    const custom = store.matchRange(range);
+    const allowed = overrides.matchRange(range);
+
+    return {
+        entries: [...custom, ...allowed],
+        apply(data, covering) {
+            const memberships = toMemberships(custom.filter(entry => covering.includes(entry)));
+            data.list = (data.list || []).concat(memberships);
+            return applyAllowlist(data, allowed.filter(entry => covering.includes(entry)), appConfig.allowlist.mode);
+        }
+    };
+}
+
+/**
+ * Lookup every flattened segment overlapping a CIDR or start-end range
+ * Custom list entries and allowlist overrides are applied like in lookupIP()
+ * @param {string} query - CIDR (10.0.0.0/24), start-end pair or single IP
+ * @param {number} [limit] - Maximum number of segments (capped at RANGE_MAX_SEGMENTS)
+ * @returns {Promise<Object|false>} Range result, or false if the query is invalid
+ */
+const lookupRange = async (query, limit) => {
+    const range = parseRangeQuery(query);
+    if (!range) {
+        return false;
+    }
+
+    const maxSegments = appConfig.range.maxSegments;
+    const requested = parseInt(limit, 10);
+    const segmentLimit = requested > 0 ? Math.min(requested, maxSegments) : maxSegments;
+
+    try {
+        const result = await queryRange(getRedis(), redisPrefix, range, {
+            limit: segmentLimit,
+            overrides: await rangeOverrides(range)
+        });
+        return { query, ...result };
+    } catch (error) {
+        logger.error({ error: error.message, query }, 'Lookup range error');
+        throw error;
+    }
+};
+
 /**
  * Create rate limiter middleware
+ * Requests are counted per API key client, or per client address (as seen
+ * through TRUST_PROXY) without a key, in the configured store; with the Redis
+ * store the limit holds across every instance. Requests are let through if
+ * the store cannot be reached.
  * @param {Object} config - Rate limit configuration
  * @returns {Function} Rate limiter middleware
  */
@@ -282,14 +485,27 @@ function createRateLimiter(config) {
         max: config.maxRequests,
         standardHeaders: true,
         legacyHeaders: false,
+        store: createRateLimitStore({
+            type: config.store,
+            name: 'http',
+            windowMs: config.windowMs,
+            getRedis,
+            getRedisPrefix: () => redisPrefix
+        }),
+        keyGenerator: (req) => {
+            const client = clientAccess.authenticate(extractToken(req.headers));
+            return client ? `client:${client.name}` : `ip:${req.ip}`;
+        },
+        passOnStoreError: true,
         skip: (req) => {
-            // Skip rate limiting for health checks
-            return req.path === '/health' || req.path.endsWith('/health');
+            // Skip rate limiting for health checks and metrics scrapes
+            return req.path === '/health' || req.path.endsWith('/health') || req.path.endsWith('/health/plugins') ||
+                req.path.endsWith('/metrics');
         },
         handler: (req, res) => {
             logger.warn({ 
                 ip: req.ip, 
-                path: req.path 
+                path: req.path
             }, 'Rate limit exceeded');
             res.status(429).json({
                 error: 'Too many requests',
@@ -317,6 +533,17 @@ function requestLogger(req, res, next) {
     next();
 }
 
+/**
+ * Dataset generation header middleware
+ */
+function generationHeader(req, res, next) {
+    const generation = getGenerationTracker().generation;
+    if (generation !== null) {
+        res.set('X-Dataset-Generation', generation);
+    }
+    next();
+}
+
 /**
  * Error handling middleware
  */
@@ -360,23 +587,34 @@ exports.serve = (port, rp, prefix) => {
 
     logger.info({ requestedPort: port }, `Starting server on port ${port}...`);
 
-    // Initialize Redis connection
+    // Initialize Redis connection and generation tracking
     getRedis();
+    getGenerationTracker();
+
+    // Client addresses come from X-Forwarded-For only through trusted proxies
+    app.set('trust proxy', appConfig.app.trustProxy);
 
     // Middleware
     app.use(requestLogger);
+    if (appConfig.metrics.enabled) {
+        app.use(metrics.httpMiddleware);
+    }
+    app.use(generationHeader);
     app.use(express.json({ limit: '10mb' }));
     app.use(express.text({ limit: '10mb' }));
     app.use(fileUpload({
         limits: { fileSize: maxUpload }
     }));
 
-    // Rate limiting
+    // Rate limiting per API key client or address, then client quotas (whose
+    // RateLimit-* headers replace the rate limiter's for key holders)
     const rateLimiter = createRateLimiter({
         windowMs: appConfig.rateLimit.windowMs,
-        maxRequests: appConfig.rateLimit.maxRequests
+        maxRequests: appConfig.rateLimit.maxRequests,
+        store: appConfig.rateLimit.store
     });
     app.use(rateLimiter);
+    app.use(clientAccess.middleware);
 
     // Routes
     router.get('/', (req, res) => res.redirect('/myip'));
@@ -392,6 +630,27 @@ exports.serve = (port, rp, prefix) => {
 
     router.get('/favicon.ico', (req, res) => res.status(204).end());
 
+    // Prometheus metrics
+    if (appConfig.metrics.enabled) {
+        metrics.registerDatasetCollectors({
+            getRedis,
+            getRedisPrefix: () => redisPrefix,
+            updateLock: require('./updateLock')
+        });
+        router.get('/metrics', async (req, res) => {
+            try {
+                res.set('Content-Type', metrics.registry.contentType);
+                res.end(await metrics.registry.metrics());
+            } catch (error) {
+                logger.error({ error: error.message }, 'Failed to collect metrics');
+                res.status(500).end();
+            }
+        });
+    }
+
+    // Every /admin endpoint requires an admin key (read-only for GET, operator otherwise)
+    router.use('/admin', adminAuth.middleware);
+
     // Cleanup stale lock endpoint (admin/debugging)
     router.post('/admin/cleanup-stale-lock', async (req, res) => {
         try {
@@ -457,16 +716,31 @@ exports.serve = (port, rp, prefix) => {
                 isStale = await updateLock.isLockStale(lockKey).catch(() => false);
             }
 
+            const generation = await getGenerationTracker().current();
+            const plugins = await pluginHealth.readPluginHealth(redisClient, redisPrefix, pluginEntries, { limit: 0 });
+
             const health = {
                 status: 'healthy',
                 timestamp: new Date().toISOString(),
                 redis: 'connected',
+                dataset: {
+                    generation
+                },
+                cache: {
+                    memory: memoryCache ? { enabled: true, ...memoryCache.stats() } : { enabled: false }
+                },
+                dnsbl: {
+                    providers: dnsblClient.enabled()
+                },
                 update: {
                     inProgress: isLocked && !isStale,
                     lockStale: isStale,
                     status: updateStatus?.status || 'unknown',
                     lastUpdate: lastUpdate?.date || null,
                     dataSize: lastUpdate?.size || null
+                },
+                plugins: {
+                    stale: plugins.stale
                 }
             };
             
@@ -482,6 +756,12 @@ exports.serve = (port, rp, prefix) => {
                 health.update.error = updateStatus.error;
             }
 
+            // A critical plugin without a recent successful run leaves part of the dataset outdated
+            if (plugins.status === 'degraded') {
+                health.status = 'degraded';
+                health.plugins.warning = 'Critical plugin data is stale, see /health/plugins';
+            }
+
             res.json(health);
         } catch (error) {
             logger.error({ error: error.message }, 'Health check failed');
@@ -494,6 +774,21 @@ exports.serve = (port, rp, prefix) => {
         }
     });
 
+    // Plugin run history and staleness
+    router.get('/health/plugins', async (req, res) => {
+        const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 0 || limit > appConfig.plugins.historySize) {
+            return res.status(422).json({ error: `limit must be an integer between 0 and ${appConfig.plugins.historySize}` });
+        }
+        try {
+            const plugins = await pluginHealth.readPluginHealth(getRedis(), redisPrefix, pluginEntries, { limit });
+            res.json({ timestamp: new Date().toISOString(), ...plugins });
+        } catch (error) {
+            logger.error({ error: error.message }, 'Plugin health check failed');
+            res.status(503).json({ status: 'unhealthy', error: error.message });
+        }
+    });
+
     router.post('/', async (req, res) => {
         try {
             const response = {};
@@ -513,10 +808,10 @@ exports.serve = (port, rp, prefix) => {
                 ips = req.body.split(/,|\r?\n/).filter(ip => ip.trim());
             }
 
-            const includeDroneBL = shouldIncludeDroneBL(req.query);
+            const dnsblSelection = getDnsblSelection(req.query);
             const skipCache = shouldSkipCache(req.query);
             await Promise.all(ips.map(async ip => {
-                const list = await lookupIP(ip, includeDroneBL, skipCache);
+                const list = await lookupIP(ip, dnsblSelection, skipCache);
                 response[ip] = (list === null) ? [] : list;
             }));
 
@@ -528,7 +823,7 @@ exports.serve = (port, rp, prefix) => {
             } else {
                 res.header('Content-Type', 'text/plain');
                 const header = (![0, '0', false, 'false'].includes(req.query.header));
-                const columns = ['ip', 'list', 'country'];
+                const columns = ['ip', 'list', 'country', ...riskColumns()];
                 const stringifier = stringify({ columns: columns, header: header });
 
                 stringifier.on('readable', function() {
@@ -551,7 +846,7 @@ exports.serve = (port, rp, prefix) => {
                     let lists = '', countries = '';
                     if (response[ip].list) lists = response[ip].list.map(l => l.name).join('|');
                     if (response[ip].geo) countries = response[ip].geo.map(l => l.country).join('|');
-                    stringifier.write([ip, lists, countries]);
+                    stringifier.write([ip, lists, countries, ...riskCells(response[ip])]);
                 }
                 stringifier.end();
             }
@@ -611,7 +906,7 @@ exports.serve = (port, rp, prefix) => {
                 contentType = 'text/csv';
                 fileName = 'ips.csv';
                 const header = (![0, '0', false, 'false'].includes(req.query.header));
-                const columns = ['ip', 'list', 'country'];
+                const columns = ['ip', 'list', 'country', ...riskColumns()];
                 stringifier = stringify({ columns: columns, header: header });
 
                 stringifier.on('readable', function() {
@@ -634,16 +929,16 @@ exports.serve = (port, rp, prefix) => {
             res.header('Content-Type', contentType);
             res.attachment(fileName);
 
-            const includeDroneBL = shouldIncludeDroneBL(req.query);
+            const dnsblSelection = getDnsblSelection(req.query);
             await Promise.all(ips.map(async ip => {
-                const list = await lookupIP(ip, includeDroneBL);
+                const list = await lookupIP(ip, dnsblSelection);
                 response[ip] = (list === null) ? [] : list;
 
                 if (fileType === 'csv') {
                     let lists = '', countries = '';
                     if (response[ip].list) lists = response[ip].list.map(l => l.name).join('|');
                     if (response[ip].geo) countries = response[ip].geo.map(l => l.country).join('|');
-                    stringifier.write([ip, lists, countries]);
+                    stringifier.write([ip, lists, countries, ...riskCells(response[ip])]);
                 }
             }));
 
@@ -660,21 +955,21 @@ exports.serve = (port, rp, prefix) => {
 
     router.get('/myip', async (req, res) => {
         try {
-            const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
+            const ip = req.ip;
             const response = { ip };
-            const includeDroneBL = shouldIncludeDroneBL(req.query);
+            const dnsblSelection = getDnsblSelection(req.query);
             const skipCache = shouldSkipCache(req.query);
-            const ipLists = await lookupIP(ip, includeDroneBL, skipCache);
+            const ipLists = await lookupIP(ip, dnsblSelection, skipCache);
             response.result = ipLists || {};
 
             if ([1, '1', true, 'true'].includes(req.query.csv)) {
                 const header = (![0, '0', false, 'false'].includes(req.query.header));
                 res.header('Content-Type', 'text/plain');
-                const columns = ['ip', 'list', 'country'];
+                const columns = ['ip', 'list', 'country', ...riskColumns()];
                 let lists = '', countries = '';
                 if (ipLists && ipLists.list) lists = ipLists.list.map(l => l.name).join('|');
                 if (ipLists && ipLists.geo) countries = ipLists.geo.map(l => l.country).join('|');
-                stringify([[ip, lists, countries]], { columns: columns, header: header }, (err, output) => {
+                stringify([[ip, lists, countries, ...riskCells(ipLists)]], { columns: columns, header: header }, (err, output) => {
                     if (err) {
                         logger.error({ error: err.message }, 'CSV stringify error');
                         return res.status(500).end();
@@ -690,15 +985,60 @@ exports.serve = (port, rp, prefix) => {
         }
     });
 
+    router.get('/range/*', async (req, res) => {
+        try {
+            const query = req.params[0];
+            const result = await lookupRange(query, req.query.limit);
+
+            if (result === false) {
+                return res.status(422).json({ error: 'invalid range' });
+            }
+
+            if ([1, '1', true, 'true'].includes(req.query.csv)) {
+                const header = (![0, '0', false, 'false'].includes(req.query.header));
+                res.header('Content-Type', 'text/plain');
+                const columns = ['start', 'end', 'size', 'list', 'country'];
+                const rows = result.segments.map(segment => [
+                    segment.start,
+                    segment.end,
+                    segment.size,
+                    segment.list ? segment.list.map(l => l.name).join('|') : '',
+                    segment.geo ? segment.geo.map(l => l.country).join('|') : ''
+                ]);
+                stringify(rows, { columns: columns, header: header }, (err, output) => {
+                    if (err) {
+                        logger.error({ error: err.message }, 'CSV stringify error');
+                        return res.status(500).end();
+                    }
+                    res.send(output);
+                });
+            } else {
+                res.json(result);
+            }
+        } catch (error) {
+            logger.error({ error: error.message }, 'GET /range error');
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Authenticated admin endpoints (custom lists, allowlist, dataset changes, usage)
+    router.use(createAdminRouter({
+        getCustomLists,
+        getAllowlist,
+        getRedis,
+        getRedisPrefix: () => redisPrefix,
+        clientAccess
+    }));
+
     router.get('/:ip', async (req, res) => {
         try {
             const ip = req.params.ip;
-            const includeDroneBL = shouldIncludeDroneBL(req.query);
+            const dnsblSelection = getDnsblSelection(req.query);
             const skipCache = shouldSkipCache(req.query);
-            const ipLists = await lookupIP(ip, includeDroneBL, skipCache);
+            const ipLists = await lookupIP(ip, dnsblSelection, skipCache);
 
             if (ipLists === false) {
-                return res.status(422).json({ error: 'invalid ipv4' });
+                return res.status(422).json({ error: 'invalid ip' });
             } else if (ipLists === null) {
                 return res.status(404).json({ error: 'IP not found' });
             }
@@ -706,11 +1046,11 @@ exports.serve = (port, rp, prefix) => {
             if ([1, '1', true, 'true'].includes(req.query.csv)) {
                 const header = (![0, '0', false, 'false'].includes(req.query.header));
                 res.header('Content-Type', 'text/plain');
-                const columns = ['list', 'country'];
+                const columns = ['list', 'country', ...riskColumns()];
                 let lists = '', countries = '';
                 if (ipLists.list) lists = ipLists.list.map(l => l.name).join('|');
                 if (ipLists.geo) countries = ipLists.geo.map(l => l.country).join('|');
-                stringify([[lists, countries]], { columns: columns, header: header }, (err, output) => {
+                stringify([[lists, countries, ...riskCells(ipLists)]], { columns: columns, header: header }, (err, output) => {
                     if (err) {
                         logger.error({ error: err.message }, 'CSV stringify error');
                         return res.status(500).end();
@@ -738,6 +1078,18 @@ exports.serve = (port, rp, prefix) => {
         createWebSocketServer({
             server,
             lookupIP,
+            lookupRange,
+            adminAuth,
+            clientAccess,
+            clientAddress: (req) => proxyaddr(req, app.get('trust proxy fn')),
+            rateLimitStore: createRateLimitStore({
+                type: appConfig.rateLimit.store,
+                name: 'ws',
+                windowMs: appConfig.rateLimit.windowMs,
+                getRedis,
+                getRedisPrefix: () => redisPrefix
+            }),
+            getCustomLists,
             config: appConfig
         });
         logger.info('WebSocket server enabled');
@@ -883,23 +1235,34 @@ exports.createApp = (rp, prefix) => {
     redisPrefix = rp;
     prefix = prefix || '/';
 
-    // Initialize Redis connection
+    // Initialize Redis connection and generation tracking
     getRedis();
+    getGenerationTracker();
+
+    // Client addresses come from X-Forwarded-For only through trusted proxies
+    app.set('trust proxy', appConfig.app.trustProxy);
 
     // Middleware
     app.use(requestLogger);
+    if (appConfig.metrics.enabled) {
+        app.use(metrics.httpMiddleware);
+    }
+    app.use(generationHeader);
     app.use(express.json({ limit: '10mb' }));
     app.use(express.text({ limit: '10mb' }));
     app.use(fileUpload({
         limits: { fileSize: maxUpload }
     }));
 
-    // Rate limiting
+    // Rate limiting per API key client or address, then client quotas (whose
+    // RateLimit-* headers replace the rate limiter's for key holders)
     const rateLimiter = createRateLimiter({
         windowMs: appConfig.rateLimit.windowMs,
-        maxRequests: appConfig.rateLimit.maxRequests
+        maxRequests: appConfig.rateLimit.maxRequests,
+        store: appConfig.rateLimit.store
     });
     app.use(rateLimiter);
+    app.use(clientAccess.middleware);
 
     // Routes (same as serve function)
     // ... routes would be duplicated here, but for now we'll use a different approach
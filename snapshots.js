@@ -0,0 +1,169 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger').child({ module: 'snapshots' });
+
+/**
+ * Snapshot id for a date, safe to use as a file name
+ * @param {Date} [date] - Snapshot time (default: now)
+ * @returns {string} Id such as `2024-01-02T03-00-12.345Z`
+ */
+function snapshotId(date = new Date()) {
+    return date.toISOString().replace(/:/g, '-');
+}
+
+/**
+ * Raw source archive of one plugin
+ * Downloaded bodies are stored once per content hash under `blobs/`; each
+ * successful run writes a manifest `<id>.json` naming the hash of every
+ * source it used, so a run can be replayed even when a source answered 304
+ * and its body was stored by an earlier run.
+ */
+class SnapshotArchive {
+    /**
+     * @param {Object} options - Archive options
+     * @param {string} options.dir - Archive root directory
+     * @param {string} options.plugin - Plugin name
+     * @param {number} [options.retentionDays=30] - Days manifests are kept; the newest is always kept
+     */
+    constructor({ dir, plugin, retentionDays = 30 }) {
+        this.dir = path.join(dir, plugin);
+        this.plugin = plugin;
+        this.retentionDays = retentionDays;
+    }
+
+    /**
+     * Path of a stored body
+     * @param {string} hash - SHA-256 hex digest
+     * @returns {string} Blob path
+     */
+    blobPath(hash) {
+        return path.join(this.dir, 'blobs', hash);
+    }
+
+    /**
+     * Whether a body is stored
+     * @param {string} hash - SHA-256 hex digest
+     * @returns {boolean} True if the blob exists
+     */
+    hasBlob(hash) {
+        return fs.existsSync(this.blobPath(hash));
+    }
+
+    /**
+     * Store a downloaded body, unless a body with the same hash is stored
+     * @param {string} hash - SHA-256 hex digest of the body
+     * @param {Object} source - Body to store
+     * @param {Buffer} [source.body] - Body in memory
+     * @param {string} [source.file] - File holding the body
+     */
+    storeBlob(hash, { body, file }) {
+        if (this.hasBlob(hash)) {
+            return;
+        }
+        const target = this.blobPath(hash);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        // Write under a temporary name so a crash never leaves a truncated blob
+        const tmp = `${target}.tmp`;
+        if (file) {
+            fs.copyFileSync(file, tmp);
+        } else {
+            fs.writeFileSync(tmp, body);
+        }
+        fs.renameSync(tmp, target);
+    }
+
+    /**
+     * Record a run
+     * @param {Object<string, {hash: string, outcome: string}>} sources - Sources by id
+     * @returns {Object} Manifest written
+     */
+    writeManifest(sources) {
+        const createdAt = new Date();
+        const manifest = {
+            id: snapshotId(createdAt),
+            plugin: this.plugin,
+            createdAt: createdAt.toISOString(),
+            sources
+        };
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, `${manifest.id}.json`), JSON.stringify(manifest, null, 2));
+        return manifest;
+    }
+
+    /**
+     * Ids of the recorded runs, oldest first
+     * @returns {Array<string>} Snapshot ids
+     */
+    list() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length))
+            .sort();
+    }
+
+    /**
+     * Read a run's manifest
+     * @param {string} id - Snapshot id, `latest`, or a date/time prefix (`2024-01-02`) selecting the newest run it matches
+     * @returns {Object|null} Manifest, or null if no run matches
+     */
+    readManifest(id) {
+        const ids = this.list();
+        const match = id === 'latest'
+            ? ids[ids.length - 1]
+            : ids.filter(candidate => candidate.startsWith(id.replace(/:/g, '-'))).pop();
+        if (!match) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(path.join(this.dir, `${match}.json`), 'utf8'));
+    }
+
+    /**
+     * Delete runs older than the retention period, then bodies no remaining
+     * run refers to
+     * @returns {{manifests: number, blobs: number}} Deleted counts
+     */
+    prune() {
+        const ids = this.list();
+        const cutoff = Date.now() - this.retentionDays * 86400000;
+        const removed = { manifests: 0, blobs: 0 };
+        const referenced = new Set();
+
+        ids.forEach((id, index) => {
+            const file = path.join(this.dir, `${id}.json`);
+            const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (index < ids.length - 1 && Date.parse(manifest.createdAt) < cutoff) {
+                fs.unlinkSync(file);
+                removed.manifests++;
+                return;
+            }
+            for (const { hash } of Object.values(manifest.sources)) {
+                referenced.add(hash);
+            }
+        });
+
+        const blobDir = path.join(this.dir, 'blobs');
+        if (fs.existsSync(blobDir)) {
+            for (const hash of fs.readdirSync(blobDir)) {
+                if (!referenced.has(hash)) {
+                    fs.unlinkSync(path.join(blobDir, hash));
+                    removed.blobs++;
+                }
+            }
+        }
+
+        if (removed.manifests > 0 || removed.blobs > 0) {
+            logger.info({ plugin: this.plugin, ...removed }, 'Pruned source snapshots');
+        }
+        return removed;
+    }
+}
+
+module.exports = {
+    snapshotId,
+    SnapshotArchive
+};
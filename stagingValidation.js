@@ -0,0 +1,183 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+const ipRange = require('./ipRange');
+const logger = require('./logger').child({ module: 'stagingValidation' });
+
+/**
+ * Metadata fields every row needs; `list` rows also need `name`, which
+ * scoring, the allowlist and change tracking key on
+ */
+const REQUIRED_FIELDS = ['type', 'source'];
+
+/**
+ * Check one staging row
+ * @param {string} line - Row text (`start|end|metadata`)
+ * @param {Object<string, number>} [maxRangeSize] - Largest range allowed, as a prefix length per family (`ipv4`, `ipv6`)
+ * @returns {string|null} Rejection reason, or null if the row is valid
+ */
+function checkRow(line, maxRangeSize = {}) {
+    const delimiter = line.indexOf('|');
+    if (delimiter === -1 || line.indexOf('|', delimiter + 1) === -1) {
+        return 'malformed';
+    }
+    const { start, end, data } = ipRange.splitMember(line);
+    const first = ipRange.parseBound(start);
+    const last = ipRange.parseBound(end);
+    if (!first || !last) {
+        return 'invalid_bound';
+    }
+    if (first.version !== last.version) {
+        return 'mixed_family';
+    }
+    if (first.value > last.value) {
+        return 'start_after_end';
+    }
+
+    // Metadata containing the delimiter is quoted with ~
+    const quoted = data.length > 1 && data.startsWith('~') && data.endsWith('~');
+    if (!quoted && data.includes('|')) {
+        return 'unquoted_delimiter';
+    }
+    let meta;
+    try {
+        meta = JSON.parse(quoted ? data.slice(1, -1) : data);
+    } catch (error) {
+        return 'invalid_json';
+    }
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+        return 'invalid_json';
+    }
+    for (const field of meta.type === 'list' ? [...REQUIRED_FIELDS, 'name'] : REQUIRED_FIELDS) {
+        if (typeof meta[field] !== 'string' || meta[field] === '') {
+            return `missing_${field}`;
+        }
+    }
+
+    const prefix = maxRangeSize[first.version === 6 ? 'ipv6' : 'ipv4'];
+    if (prefix !== undefined) {
+        const tooLarge = first.version === 6
+            ? last.value - first.value + 1n > 1n << BigInt(128 - prefix)
+            : last.value - first.value + 1 > Math.pow(2, 32 - prefix);
+        if (tooLarge) {
+            return 'range_too_large';
+        }
+    }
+    return null;
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * @param {fs.WriteStream} stream - Output stream
+ * @param {string} text - Text to write
+ * @returns {Promise<void>}
+ */
+async function writeLine(stream, text) {
+    if (!stream.write(text)) {
+        await once(stream, 'drain');
+    }
+}
+
+/**
+ * Validate every row of a plugin's staging file
+ * Invalid rows are removed from the file and written to
+ * `<quarantineDir>/<plugin>.rows.jsonl`, and a report to
+ * `<quarantineDir>/<plugin>.report.json`. Output that passes is copied to a
+ * hidden `.<file>.accepted` file. When the share of invalid rows exceeds
+ * `maxErrorRate` the output is rejected as a whole: it is moved aside to a
+ * hidden `.<file>.rejected` file, and the last accepted output, if any, is
+ * put back in its place. Processing skips hidden files.
+ * @param {string} file - Staging file
+ * @param {Object} options - Validation options
+ * @param {string} options.plugin - Plugin name
+ * @param {string} options.quarantineDir - Directory for quarantined rows and reports
+ * @param {number} [options.maxErrorRate=0.01] - Largest share of invalid rows accepted (0-1)
+ * @param {Object<string, number>} [options.maxRangeSize] - Largest range allowed, as a prefix length per family (`ipv4`, `ipv6`)
+ * @returns {Promise<Object>} Report `{plugin, checkedAt, rows, rejected, errorRate, maxErrorRate, passed, kept, reasons}`. `kept` is `previous` when rejected output was replaced by the last accepted one, otherwise null
+ */
+async function validateStagingFile(file, { plugin, quarantineDir, maxErrorRate = 0.01, maxRangeSize }) {
+    const dir = path.dirname(file);
+    const base = path.basename(file);
+    // Hidden, so an interrupted run never leaves it to be processed
+    const cleanFile = path.join(dir, `.${base}.validating`);
+    const acceptedFile = path.join(dir, `.${base}.accepted`);
+    const rowsFile = path.join(quarantineDir, `${plugin}.rows.jsonl`);
+    const reasons = {};
+    let rows = 0;
+    let rejected = 0;
+
+    fs.mkdirSync(quarantineDir, { recursive: true });
+    const clean = fs.createWriteStream(cleanFile);
+    let quarantine = null;
+    let lineNumber = 0;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+        lineNumber++;
+        if (line.trim() === '') {
+            continue;
+        }
+        rows++;
+        const reason = checkRow(line, maxRangeSize);
+        if (!reason) {
+            await writeLine(clean, line + '\n');
+            continue;
+        }
+        rejected++;
+        reasons[reason] = (reasons[reason] || 0) + 1;
+        if (!quarantine) {
+            quarantine = fs.createWriteStream(rowsFile);
+        }
+        await writeLine(quarantine, JSON.stringify({ line: lineNumber, reason, row: line }) + '\n');
+    }
+    await Promise.all([clean, quarantine].filter(Boolean).map(stream => new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.end(resolve);
+    })));
+
+    const errorRate = rows > 0 ? rejected / rows : 0;
+    const report = {
+        plugin,
+        checkedAt: new Date().toISOString(),
+        rows,
+        rejected,
+        errorRate: Math.round(errorRate * 1e6) / 1e6,
+        maxErrorRate,
+        passed: errorRate <= maxErrorRate,
+        kept: null,
+        reasons
+    };
+
+    if (rejected === 0) {
+        fs.unlinkSync(cleanFile);
+        fs.rmSync(rowsFile, { force: true });
+    } else if (report.passed) {
+        fs.renameSync(cleanFile, file);
+    } else {
+        fs.unlinkSync(cleanFile);
+        fs.renameSync(file, path.join(dir, `.${base}.rejected`));
+        if (fs.existsSync(acceptedFile)) {
+            fs.copyFileSync(acceptedFile, file);
+            report.kept = 'previous';
+        }
+    }
+    if (report.passed) {
+        fs.copyFileSync(file, acceptedFile);
+    }
+    fs.writeFileSync(path.join(quarantineDir, `${plugin}.report.json`), JSON.stringify(report, null, 2));
+
+    if (rejected > 0) {
+        logger[report.passed ? 'warn' : 'error']({
+            plugin, rows, rejected, errorRate: report.errorRate, maxErrorRate, kept: report.kept, reasons
+        }, report.passed ? 'Quarantined invalid staging rows' : 'Rejected staging output');
+    }
+    return report;
+}
+
+module.exports = {
+    checkRow,
+    validateStagingFile
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+const dgram = require('dgram');
+
+/**
+ * Minimal UDP DNS server answering A queries from a fixed table
+ * Names missing from the table get NXDOMAIN; names mapped to null are never
+ * answered (to exercise timeouts).
+ * @param {Object<string, Array<string>|null>} records - Query name to A record addresses
+ * @returns {Promise<{address: string, queries: Array<string>, close: Function}>} Running server
+ */
+function startDnsServer(records) {
+    const socket = dgram.createSocket('udp4');
+    const queries = [];
+
+    socket.on('message', (msg, rinfo) => {
+        // Question name starts after the 12-byte header
+        const labels = [];
+        let offset = 12;
+        while (msg[offset] !== 0) {
+            labels.push(msg.toString('ascii', offset + 1, offset + 1 + msg[offset]));
+            offset += msg[offset] + 1;
+        }
+        const questionEnd = offset + 5; // null label, QTYPE, QCLASS
+        const name = labels.join('.').toLowerCase();
+        queries.push(name);
+
+        const answers = records[name];
+        if (answers === null) {
+            return;
+        }
+
+        const header = Buffer.alloc(12);
+        msg.copy(header, 0, 0, 2); // ID
+        header.writeUInt16BE(answers ? 0x8180 : 0x8183, 2); // response, RD, RA, NOERROR/NXDOMAIN
+        header.writeUInt16BE(1, 4); // QDCOUNT
+        header.writeUInt16BE(answers ? answers.length : 0, 6); // ANCOUNT
+
+        const answerRecords = (answers || []).map(address => {
+            const record = Buffer.alloc(16);
+            record.writeUInt16BE(0xc00c, 0); // pointer to question name
+            record.writeUInt16BE(1, 2); // TYPE A
+            record.writeUInt16BE(1, 4); // CLASS IN
+            record.writeUInt32BE(60, 6); // TTL
+            record.writeUInt16BE(4, 10); // RDLENGTH
+            address.split('.').forEach((octet, i) => record.writeUInt8(parseInt(octet, 10), 12 + i));
+            return record;
+        });
+
+        socket.send(Buffer.concat([header, msg.subarray(12, questionEnd), ...answerRecords]), rinfo.port, rinfo.address);
+    });
+
+    return new Promise((resolve) => {
+        socket.bind(0, '127.0.0.1', () => {
+            resolve({
+                address: `127.0.0.1:${socket.address().port}`,
+                queries,
+                close: () => new Promise(done => socket.close(done))
+            });
+        });
+    });
+}
+
+module.exports = {
+    startDnsServer
+};
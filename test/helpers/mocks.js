@@ -1,14 +1,21 @@
 'use strict';
 
+const EventEmitter = require('events');
+
 /**
  * Mock implementations for testing
  */
 
 /**
  * Mock Redis client
+ * Every instance shares one data store, as connections to one server do.
+ * Strings are kept as strings, hashes and sorted sets as Maps, lists as
+ * arrays and sets as Sets. Connections made with duplicate() receive what
+ * publish() sends to the channels they subscribed to.
  */
-class MockRedis {
+class MockRedis extends EventEmitter {
     constructor() {
+        super();
         // Use a shared data store that can be reset
         if (!MockRedis.sharedData) {
             MockRedis.sharedData = new Map();
@@ -16,8 +23,13 @@ class MockRedis {
         if (!MockRedis.timeouts) {
             MockRedis.timeouts = new Map();
         }
+        if (!MockRedis.subscribers) {
+            MockRedis.subscribers = new Set();
+        }
         this.data = MockRedis.sharedData;
         this.pipelineCommands = [];
+        this.channels = new Set();
+        this.duplicates = [];
     }
     
     static reset() {
@@ -29,6 +41,17 @@ class MockRedis {
             MockRedis.timeouts.clear();
         }
         MockRedis.sharedData = new Map();
+        MockRedis.subscribers = new Set();
+    }
+
+    /**
+     * Value of a key, created with `create()` when missing
+     */
+    _value(key, create) {
+        if (!this.data.has(key)) {
+            this.data.set(key, create());
+        }
+        return this.data.get(key);
     }
 
     async get(key) {
@@ -82,13 +105,23 @@ class MockRedis {
         return keys.filter(k => this.data.has(k)).length;
     }
 
-    async zadd(key, score, member) {
-        if (!this.data.has(key)) {
-            this.data.set(key, new Map());
+    async zadd(key, ...pairs) {
+        const sortedSet = this._value(key, () => new Map());
+        let added = 0;
+        for (let i = 0; i < pairs.length; i += 2) {
+            added += sortedSet.has(pairs[i + 1]) ? 0 : 1;
+            sortedSet.set(pairs[i + 1], Number(pairs[i]));
         }
+        return added;
+    }
+
+    async zrange(key, start, stop) {
         const sortedSet = this.data.get(key);
-        sortedSet.set(member, score);
-        return 1;
+        if (!(sortedSet instanceof Map)) {
+            return [];
+        }
+        const members = [...sortedSet.keys()].sort((a, b) => sortedSet.get(a) - sortedSet.get(b));
+        return members.slice(start, stop < 0 ? members.length + stop + 1 : stop + 1);
     }
 
     async zrangebyscore(key, min, max, ...args) {
@@ -135,10 +168,100 @@ class MockRedis {
             this.data.set(key, []);
         }
         const list = this.data.get(key);
-        list.unshift(...values);
+        // Each value is pushed onto the head in turn, so the last ends up first
+        list.unshift(...values.reverse());
         return list.length;
     }
 
+    async lrange(key, start, stop) {
+        const list = this.data.get(key);
+        if (!Array.isArray(list)) {
+            return [];
+        }
+        return list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1);
+    }
+
+    async ltrim(key, start, stop) {
+        const list = this.data.get(key);
+        if (Array.isArray(list)) {
+            this.data.set(key, list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1));
+        }
+        return 'OK';
+    }
+
+    async hset(key, ...fields) {
+        const hash = this._value(key, () => new Map());
+        const pairs = typeof fields[0] === 'object' ? Object.entries(fields[0]).flat() : fields;
+        let added = 0;
+        for (let i = 0; i < pairs.length; i += 2) {
+            added += hash.has(pairs[i]) ? 0 : 1;
+            hash.set(pairs[i], String(pairs[i + 1]));
+        }
+        return added;
+    }
+
+    async hsetnx(key, field, value) {
+        const hash = this._value(key, () => new Map());
+        if (hash.has(field)) {
+            return 0;
+        }
+        hash.set(field, String(value));
+        return 1;
+    }
+
+    async hget(key, field) {
+        const hash = this.data.get(key);
+        return hash instanceof Map && hash.has(field) ? hash.get(field) : null;
+    }
+
+    async hgetall(key) {
+        const hash = this.data.get(key);
+        return hash instanceof Map ? Object.fromEntries(hash) : {};
+    }
+
+    async hdel(key, ...fields) {
+        const hash = this.data.get(key);
+        return hash instanceof Map ? fields.filter(field => hash.delete(field)).length : 0;
+    }
+
+    async hlen(key) {
+        const hash = this.data.get(key);
+        return hash instanceof Map ? hash.size : 0;
+    }
+
+    async hincrby(key, field, increment) {
+        const hash = this._value(key, () => new Map());
+        const value = Number(hash.get(field) || 0) + Number(increment);
+        hash.set(field, String(value));
+        return value;
+    }
+
+    async incrby(key, increment) {
+        const value = Number(this.data.get(key) || 0) + Number(increment);
+        this.data.set(key, String(value));
+        return value;
+    }
+
+    async incr(key) {
+        return this.incrby(key, 1);
+    }
+
+    async decr(key) {
+        return this.incrby(key, -1);
+    }
+
+    async mget(...keys) {
+        return keys.flat().map(key => (this.data.has(key) ? this.data.get(key) : null));
+    }
+
+    async expire() {
+        return 1;
+    }
+
+    async pexpire() {
+        return 1;
+    }
+
     async lindex(key, index) {
         const list = this.data.get(key);
         if (!Array.isArray(list)) {
@@ -147,6 +270,18 @@ class MockRedis {
         return list[index] || null;
     }
 
+    async sadd(key, ...members) {
+        const set = this._value(key, () => new Set());
+        const before = set.size;
+        members.flat().forEach(member => set.add(member));
+        return set.size - before;
+    }
+
+    async srem(key, ...members) {
+        const set = this.data.get(key);
+        return set instanceof Set ? members.flat().filter(member => set.delete(member)).length : 0;
+    }
+
     async smembers(key) {
         const set = this.data.get(key);
         if (!set || !(set instanceof Set)) {
@@ -185,36 +320,72 @@ class MockRedis {
         return 1;
     }
 
+    /**
+     * Queue commands, run in order by exec()
+     */
     pipeline() {
-        return {
-            zadd: (key, score, member) => {
-                this.pipelineCommands.push(['zadd', key, score, member]);
-                return this;
-            },
+        const commands = [];
+        const chain = {
             exec: async () => {
                 const results = [];
-                for (const cmd of this.pipelineCommands) {
-                    const [method, ...args] = cmd;
-                    await this[method](...args);
-                    results.push([null, 'OK']);
+                for (const [method, ...args] of commands) {
+                    try {
+                        results.push([null, await this[method](...args)]);
+                    } catch (error) {
+                        results.push([error, null]);
+                    }
                 }
-                this.pipelineCommands = [];
                 return results;
             }
         };
+        for (const method of Object.getOwnPropertyNames(MockRedis.prototype)) {
+            if (!['constructor', 'pipeline', 'multi', 'duplicate'].includes(method) && !method.startsWith('_')) {
+                chain[method] = (...args) => {
+                    commands.push([method, ...args]);
+                    return chain;
+                };
+            }
+        }
+        return chain;
     }
 
-    async quit() {
-        return 'OK';
+    multi() {
+        return this.pipeline();
+    }
+
+    /**
+     * New connection to the same data, e.g. for subscribing
+     */
+    duplicate() {
+        const connection = new MockRedis();
+        this.duplicates.push(connection);
+        return connection;
+    }
+
+    async subscribe(...channels) {
+        channels.forEach(channel => this.channels.add(channel));
+        MockRedis.subscribers.add(this);
+        return this.channels.size;
     }
 
-    async disconnect() {
+    async publish(channel, message) {
+        let received = 0;
+        for (const subscriber of MockRedis.subscribers) {
+            if (subscriber.channels.has(channel)) {
+                subscriber.emit('message', channel, message);
+                received++;
+            }
+        }
+        return received;
+    }
+
+    async quit() {
         return 'OK';
     }
 
-    on() {
-        // Mock event emitter
-        return this;
+    disconnect() {
+        MockRedis.subscribers.delete(this);
+        return 'OK';
     }
 }
 
@@ -0,0 +1,60 @@
+'use strict';
+
+const { createAdminRouter } = require('../../admin');
+const update = require('../../update');
+
+/**
+ * Handler of a router's GET route
+ */
+function routeHandler(router, path) {
+    const layer = router.stack.find(l => l.route && l.route.path === path && l.route.methods.get);
+    return layer.route.stack[0].handle;
+}
+
+describe('Admin router', () => {
+    describe('GET /admin/update/:id as an event stream', () => {
+        let getJob;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            getJob = jest.spyOn(update, 'getJob');
+        });
+
+        afterEach(() => {
+            getJob.mockRestore();
+            jest.useRealTimers();
+        });
+
+        test('should stop polling when the client disconnects mid-poll', async () => {
+            const running = { jobId: 'j1', status: 'in_progress', stage: 'downloading' };
+            let resolvePoll;
+            getJob
+                .mockResolvedValueOnce(running)
+                .mockReturnValueOnce(new Promise(resolve => { resolvePoll = resolve; }))
+                .mockResolvedValue({ ...running, stage: 'loading' });
+
+            const listeners = {};
+            const req = {
+                params: { id: 'j1' },
+                accepts: () => 'text/event-stream',
+                on: (event, listener) => { listeners[event] = listener; }
+            };
+            const res = { set: jest.fn(), flushHeaders: jest.fn(), write: jest.fn(), end: jest.fn() };
+            const router = createAdminRouter({ getRedis: () => ({}), getRedisPrefix: () => 'p:' });
+
+            await routeHandler(router, '/admin/update/:id')(req, res);
+            expect(res.write).toHaveBeenCalledTimes(1);
+
+            // The poll is waiting on Redis when the client goes away
+            await jest.advanceTimersByTimeAsync(1000);
+            expect(getJob).toHaveBeenCalledTimes(2);
+            listeners.close();
+            resolvePoll({ ...running, stage: 'processing' });
+            await jest.advanceTimersByTimeAsync(20000);
+
+            expect(res.write).toHaveBeenCalledTimes(1);
+            expect(res.end).not.toHaveBeenCalled();
+            expect(getJob).toHaveBeenCalledTimes(2);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const { extractToken, requiredRole, createAdminAuth } = require('../../adminAuth');
+
+const keys = [
+    { name: 'grafana', role: 'read-only', key: 'ro-key' },
+    { name: 'alice', role: 'operator', key: 'op-key' }
+];
+
+/**
+ * Run the middleware against a fake request
+ */
+function run(auth, method, headers) {
+    const listeners = {};
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+        on(event, fn) { listeners[event] = fn; }
+    };
+    const req = { headers, method, baseUrl: '/admin', path: '/lists', query: {}, ip: '127.0.0.1' };
+    const next = jest.fn();
+    auth.middleware(req, res, next);
+    return { req, res, next, finish: () => listeners.finish && listeners.finish() };
+}
+
+describe('Admin auth', () => {
+    describe('extractToken', () => {
+        test('should read bearer tokens and API key headers', () => {
+            expect(extractToken({ authorization: 'Bearer abc' })).toBe('abc');
+            expect(extractToken({ authorization: 'bearer  abc ' })).toBe('abc');
+            expect(extractToken({ 'x-api-key': 'def' })).toBe('def');
+        });
+
+        test('should return null without credentials', () => {
+            expect(extractToken({})).toBeNull();
+            expect(extractToken({ authorization: 'Basic Zm9v' })).toBeNull();
+        });
+    });
+
+    test('should require operator for anything but reads', () => {
+        expect(requiredRole('GET')).toBe('read-only');
+        expect(requiredRole('POST')).toBe('operator');
+        expect(requiredRole('DELETE')).toBe('operator');
+    });
+
+    describe('createAdminAuth', () => {
+        test('should identify callers by key', () => {
+            const auth = createAdminAuth({ keys });
+
+            expect(auth.authenticate('ro-key')).toEqual({ name: 'grafana', role: 'read-only' });
+            expect(auth.authenticate('op-key')).toEqual({ name: 'alice', role: 'operator' });
+            expect(auth.authenticate('wrong')).toBeNull();
+            expect(auth.authenticate('')).toBeNull();
+        });
+
+        test('should rank operator above read-only', () => {
+            const auth = createAdminAuth({ keys });
+
+            expect(auth.authorize({ role: 'operator' }, 'read-only')).toBe(true);
+            expect(auth.authorize({ role: 'read-only' }, 'operator')).toBe(false);
+            expect(auth.authorize(null, 'read-only')).toBe(false);
+        });
+
+        test('should reject everything when no key is configured', () => {
+            const auth = createAdminAuth();
+
+            expect(auth.enabled).toBe(false);
+            const { res, next } = run(auth, 'GET', { 'x-api-key': 'anything' });
+            expect(res.statusCode).toBe(403);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        test('should reject a wrong key', () => {
+            const auth = createAdminAuth({ keys });
+
+            const { res, next } = run(auth, 'GET', { authorization: 'Bearer wrong' });
+            expect(res.statusCode).toBe(401);
+            expect(res.body).toEqual({ error: 'unauthorized' });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        test('should forbid changes with a read-only key', () => {
+            const auth = createAdminAuth({ keys });
+
+            const { res, next } = run(auth, 'POST', { 'x-api-key': 'ro-key' });
+            expect(res.statusCode).toBe(403);
+            expect(res.body).toEqual({ error: 'operator role required' });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        test('should attach the caller identity for allowed requests', () => {
+            const auth = createAdminAuth({ keys });
+
+            const read = run(auth, 'GET', { 'x-api-key': 'ro-key' });
+            expect(read.next).toHaveBeenCalled();
+            expect(read.req.admin).toEqual({ name: 'grafana', role: 'read-only' });
+
+            const write = run(auth, 'DELETE', { 'x-api-key': 'op-key' });
+            expect(write.next).toHaveBeenCalled();
+            expect(write.req.admin).toEqual({ name: 'alice', role: 'operator' });
+            expect(() => write.finish()).not.toThrow();
+        });
+    });
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockRedis } = require('../helpers/mocks');
+const {
+    loadAllowlistFile,
+    validateAddRequest,
+    validateRemoveRequest,
+    applyAllowlist,
+    AllowlistStore
+} = require('../../allowlist');
+
+const partner = { entry: '192.0.2.0/24', reason: 'Partner NAT gateway', owner: 'net-team' };
+
+/**
+ * Build a lookup result listed on firehol level 3 and 4
+ */
+function listedResult() {
+    return {
+        list: [
+            { name: 'firehol_level4', source: 'firehol' },
+            { name: 'firehol_level3', source: 'firehol' }
+        ],
+        geo: [{ country: 'NL' }]
+    };
+}
+
+describe('Allowlist', () => {
+    describe('loadAllowlistFile', () => {
+        let file;
+
+        beforeEach(() => {
+            file = path.join(os.tmpdir(), `allowlist-${process.pid}.json`);
+        });
+
+        afterEach(() => {
+            fs.rmSync(file, { force: true });
+        });
+
+        test('should return no entries when the file is missing', () => {
+            expect(loadAllowlistFile(path.join(os.tmpdir(), 'does-not-exist.json'))).toEqual([]);
+        });
+
+        test('should load valid entries', () => {
+            fs.writeFileSync(file, JSON.stringify([partner, { ...partner, entry: '2001:db8::/48', lists: ['zen_type_2'] }]));
+
+            expect(loadAllowlistFile(file)).toHaveLength(2);
+        });
+
+        test('should reject entries without reason or owner', () => {
+            fs.writeFileSync(file, JSON.stringify([{ entry: '192.0.2.1' }]));
+
+            expect(() => loadAllowlistFile(file)).toThrow(/Allowlist configuration error: .*reason/);
+        });
+
+        test('should reject invalid networks', () => {
+            fs.writeFileSync(file, JSON.stringify([{ ...partner, entry: '192.0.2.0/33' }]));
+
+            expect(() => loadAllowlistFile(file)).toThrow('Allowlist configuration error: invalid entries: 192.0.2.0/33');
+        });
+    });
+
+    describe('request validation', () => {
+        test('should require reason and owner when adding', () => {
+            expect(validateAddRequest({ entries: [partner] }).error).toBeNull();
+            expect(validateAddRequest({ entries: [{ entry: '192.0.2.1' }] }).error).toMatch(/reason/);
+        });
+
+        test('should reject invalid entries when removing', () => {
+            expect(validateRemoveRequest({ entries: ['bogus'] }).error).toBe('invalid entries: bogus');
+        });
+    });
+
+    describe('applyAllowlist', () => {
+        const matches = [{ ...partner, origin: 'file' }];
+
+        test('should remove overridden memberships and report the override', () => {
+            const result = applyAllowlist(listedResult(), matches, 'remove');
+
+            expect(result.list).toEqual([]);
+            expect(result.geo).toEqual([{ country: 'NL' }]);
+            expect(result.overrides).toEqual([{ ...partner, origin: 'file', suppressed: ['firehol_level4', 'firehol_level3'] }]);
+        });
+
+        test('should annotate overridden memberships', () => {
+            const result = applyAllowlist(listedResult(), matches, 'annotate');
+
+            expect(result.list).toHaveLength(2);
+            expect(result.list[0].override).toEqual(partner);
+            expect(result.overrides[0].suppressed).toEqual(['firehol_level4', 'firehol_level3']);
+        });
+
+        test('should only override the lists an entry names', () => {
+            const result = applyAllowlist(listedResult(), [{ ...partner, origin: 'api', lists: ['firehol_level4'] }]);
+
+            expect(result.list).toEqual([{ name: 'firehol_level3', source: 'firehol' }]);
+            expect(result.overrides[0].suppressed).toEqual(['firehol_level4']);
+        });
+
+        test('should leave results untouched when nothing applies', () => {
+            const result = applyAllowlist(listedResult(), [{ ...partner, origin: 'api', lists: ['other'] }]);
+
+            expect(result.list).toHaveLength(2);
+            expect(result.overrides).toBeUndefined();
+            expect(applyAllowlist(null, matches)).toBeNull();
+        });
+    });
+
+    describe('AllowlistStore', () => {
+        let store;
+
+        beforeEach(() => {
+            MockRedis.reset();
+        });
+
+        afterEach(() => {
+            store.stop();
+        });
+
+        test('should match file entries and API entries', async () => {
+            store = new AllowlistStore({ redis: new MockRedis(), redisPrefix: 'p:', fileEntries: [partner] });
+            await store.ready();
+            await store.add({ entries: [{ entry: '198.51.100.7', reason: 'monitoring', owner: 'sre', ttl: 60 }] });
+
+            expect(store.match('192.0.2.10')).toMatchObject([{ origin: 'file', owner: 'net-team' }]);
+            expect(store.match('198.51.100.7')).toMatchObject([{ origin: 'api', owner: 'sre' }]);
+            expect(store.matchRange({ version: 4, start: 3221226239, end: 3325256711 }).map(e => e.origin)).toEqual(['file', 'api']);
+            expect(store.match('198.51.100.8')).toEqual([]);
+            expect(store.entries().map(e => e.origin)).toEqual(['file', 'api']);
+        });
+
+        test('should only remove API entries', async () => {
+            store = new AllowlistStore({ redis: new MockRedis(), redisPrefix: 'p:', fileEntries: [partner] });
+            await store.ready();
+            await store.add({ entries: [{ entry: '198.51.100.7', reason: 'monitoring', owner: 'sre' }] });
+
+            expect(await store.remove({ entries: ['198.51.100.7/32', '192.0.2.0/24'] })).toEqual({ removed: 1 });
+            expect(store.match('198.51.100.7')).toEqual([]);
+            expect(store.match('192.0.2.1')).toHaveLength(1);
+        });
+    });
+});
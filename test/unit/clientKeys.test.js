@@ -0,0 +1,187 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockRedis } = require('../helpers/mocks');
+const { loadClientKeysFile, lookupCost, createClientAccess } = require('../../clientKeys');
+
+const keys = [
+    { name: 'batch', key: 'batch-key-0123456789', maxRequests: 2 },
+    { name: 'scoring', key: 'scoring-key-0123456789', maxRequests: 100, windowMs: 3600000 }
+];
+
+/**
+ * Run the middleware against a fake request
+ */
+async function run(access, headers, reqPath = '/1.2.3.4', request = {}) {
+    const res = {
+        statusCode: 200,
+        body: null,
+        headers: {},
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+        set(values) { Object.assign(this.headers, values); return this; }
+    };
+    const req = { method: 'GET', headers, path: reqPath, ip: '127.0.0.1', ...request };
+    const next = jest.fn();
+    await access.middleware(req, res, next);
+    return { req, res, next };
+}
+
+describe('Client keys', () => {
+    describe('loadClientKeysFile', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-keys-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should return no keys for a missing file', () => {
+            expect(loadClientKeysFile(path.join(dir, 'missing.json'))).toEqual([]);
+        });
+
+        test('should load valid keys', () => {
+            const file = path.join(dir, 'keys.json');
+            fs.writeFileSync(file, JSON.stringify(keys));
+
+            expect(loadClientKeysFile(file)).toEqual(keys);
+        });
+
+        test('should reject short keys, reserved names and duplicates', () => {
+            const file = path.join(dir, 'keys.json');
+
+            fs.writeFileSync(file, JSON.stringify([{ name: 'a', key: 'short', maxRequests: 1 }]));
+            expect(() => loadClientKeysFile(file)).toThrow(/Client key configuration error/);
+
+            fs.writeFileSync(file, JSON.stringify([{ ...keys[0], name: 'anonymous' }]));
+            expect(() => loadClientKeysFile(file)).toThrow(/Client key configuration error/);
+
+            fs.writeFileSync(file, JSON.stringify([keys[0], { ...keys[1], key: keys[0].key }]));
+            expect(() => loadClientKeysFile(file)).toThrow('Client key configuration error: duplicate key');
+        });
+    });
+
+    describe('createClientAccess', () => {
+        let redis;
+
+        beforeEach(() => {
+            MockRedis.reset();
+            redis = new MockRedis();
+            jest.spyOn(redis, 'hincrby');
+        });
+
+        /**
+         * Create access helpers backed by the mock Redis
+         */
+        function createAccess(options = {}) {
+            return createClientAccess({ keys, getRedis: () => redis, getRedisPrefix: () => 'p:', ...options });
+        }
+
+        test('should identify clients by key', () => {
+            const access = createAccess();
+
+            expect(access.authenticate('batch-key-0123456789')).toEqual({ name: 'batch', maxRequests: 2, windowMs: 60000 });
+            expect(access.authenticate('scoring-key-0123456789').windowMs).toBe(3600000);
+            expect(access.authenticate('nope')).toBeNull();
+        });
+
+        test('should enforce each key quota and count usage', async () => {
+            const access = createAccess();
+            const headers = { 'x-api-key': 'batch-key-0123456789' };
+
+            expect((await run(access, headers)).next).toHaveBeenCalled();
+            const second = await run(access, headers);
+            expect(second.req.apiClient.name).toBe('batch');
+            expect(second.res.headers['RateLimit-Remaining']).toBe('0');
+
+            const third = await run(access, headers);
+            expect(third.res.statusCode).toBe(429);
+            expect(third.next).not.toHaveBeenCalled();
+
+            // Another key has its own quota
+            expect((await run(access, { 'x-api-key': 'scoring-key-0123456789' })).next).toHaveBeenCalled();
+
+            const report = await access.usage({ days: 1 });
+            expect(report.clients.map(c => [c.name, c.used, c.remaining])).toEqual([['batch', 3, 0], ['scoring', 1, 99]]);
+            expect(report.daily[0].clients.batch).toEqual({ requests: 3, rejected: 1 });
+        });
+
+        test('should charge batch lookups by their number of IPs', async () => {
+            const access = createAccess();
+            const headers = { 'x-api-key': 'scoring-key-0123456789' };
+
+            const batch = await run(access, headers, '/', { method: 'POST', body: Array.from({ length: 60 }, (_, i) => `10.0.0.${i}`) });
+            expect(batch.next).toHaveBeenCalled();
+            expect(batch.res.headers['RateLimit-Remaining']).toBe('40');
+
+            const text = await run(access, headers, '/', { method: 'POST', body: Array.from({ length: 41 }, (_, i) => `10.0.1.${i}`).join('\n') });
+            expect(text.res.statusCode).toBe(429);
+            expect(text.next).not.toHaveBeenCalled();
+
+            const report = await access.usage({ days: 1 });
+            expect(report.clients.find(c => c.name === 'scoring').used).toBe(101);
+            expect(report.daily[0].clients.scoring).toEqual({ requests: 2, rejected: 1 });
+        });
+
+        test('should charge uploads by the number of IPs in the uploaded file', async () => {
+            const access = createAccess();
+            const headers = { 'x-api-key': 'scoring-key-0123456789' };
+            const upload = (name, text) => ({ method: 'POST', path: '/upload', body: {}, files: { ipList: { name, data: Buffer.from(text) } } });
+
+            const csv = await run(access, headers, '/upload', upload('ips.csv', Array.from({ length: 70 }, (_, i) => `10.0.0.${i}`).join('\n')));
+            expect(csv.next).toHaveBeenCalled();
+            expect(csv.res.headers['RateLimit-Remaining']).toBe('30');
+
+            const json = await run(access, headers, '/upload', upload('ips.json', JSON.stringify(Array.from({ length: 31 }, (_, i) => `10.0.1.${i}`))));
+            expect(json.res.statusCode).toBe(429);
+            expect(json.next).not.toHaveBeenCalled();
+        });
+
+        test('should count at least one IP per request', () => {
+            expect(lookupCost(['1.2.3.4', '5.6.7.8'])).toBe(2);
+            expect(lookupCost('1.2.3.4, 5.6.7.8\n9.9.9.9\n')).toBe(3);
+            expect(lookupCost([])).toBe(1);
+            expect(lookupCost({})).toBe(1);
+        });
+
+        test('should reject unknown keys', async () => {
+            const { res, next } = await run(createAccess(), { authorization: 'Bearer wrong' });
+
+            expect(res.statusCode).toBe(401);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        test('should count anonymous requests and reject them when disabled', async () => {
+            const open = await run(createAccess(), {});
+            expect(open.next).toHaveBeenCalled();
+            expect(open.req.apiClient).toBeUndefined();
+            expect(redis.hincrby).toHaveBeenCalledWith(expect.stringMatching(/^p:usage:daily:/), 'anonymous:requests', 1);
+
+            const closed = await run(createAccess({ allowAnonymous: false }), {});
+            expect(closed.res.statusCode).toBe(401);
+            expect(closed.res.body).toEqual({ error: 'API key required' });
+        });
+
+        test('should leave admin and health requests alone', async () => {
+            const access = createAccess({ allowAnonymous: false });
+
+            expect((await run(access, { 'x-api-key': 'admin-key' }, '/admin/lists')).next).toHaveBeenCalled();
+            expect((await run(access, {}, '/health')).next).toHaveBeenCalled();
+        });
+
+        test('should allow requests when Redis fails', async () => {
+            jest.spyOn(redis, 'multi').mockImplementation(() => {
+                throw new Error('connection lost');
+            });
+
+            const quota = await createAccess().consume({ name: 'batch', maxRequests: 2, windowMs: 60000 });
+
+            expect(quota.allowed).toBe(true);
+        });
+    });
+});
@@ -154,5 +154,62 @@ describe('Config', () => {
         expect(typeof config.app.cronTimezone).toBe('string');
         expect(config.app.cronTimezone.length).toBeGreaterThan(0);
     });
-});
 
+    test('should parse admin keys and the legacy admin token', () => {
+        process.env.ADMIN_KEYS = 'grafana:read-only:ro-key, alice@example.com:operator:op-key';
+        process.env.ADMIN_TOKEN = 'legacy-key';
+
+        let config;
+        jest.isolateModules(() => {
+            config = require('../../config');
+        });
+
+        expect(config.admin.keys).toEqual([
+            { name: 'grafana', role: 'read-only', key: 'ro-key' },
+            { name: 'alice@example.com', role: 'operator', key: 'op-key' },
+            { name: 'admin', role: 'operator', key: 'legacy-key' }
+        ]);
+    });
+
+    test('should reject admin keys with an unknown role', () => {
+        process.env.ADMIN_KEYS = 'bob:superuser:key';
+
+        expect(() => jest.isolateModules(() => require('../../config'))).toThrow(/ADMIN_KEYS/);
+    });
+
+    test('should parse the trusted proxy setting', () => {
+        const trustProxy = (value) => {
+            process.env.TRUST_PROXY = value;
+            let config;
+            jest.isolateModules(() => {
+                config = require('../../config');
+            });
+            return config.app.trustProxy;
+        };
+
+        expect(trustProxy('')).toBe(false);
+        expect(trustProxy('true')).toBe(true);
+        expect(trustProxy('2')).toBe(2);
+        expect(trustProxy('loopback, 10.0.0.0/8')).toEqual(['loopback', '10.0.0.0/8']);
+    });
+
+    test('should only serve metrics when explicitly enabled', () => {
+        const metricsEnabled = (value) => {
+            if (value === undefined) {
+                delete process.env.METRICS_ENABLED;
+            } else {
+                process.env.METRICS_ENABLED = value;
+            }
+            let config;
+            jest.isolateModules(() => {
+                config = require('../../config');
+            });
+            return config.metrics.enabled;
+        };
+
+        expect(metricsEnabled(undefined)).toBe(false);
+        expect(metricsEnabled('')).toBe(false);
+        expect(metricsEnabled('false')).toBe(false);
+        expect(metricsEnabled('true')).toBe(true);
+    });
+});
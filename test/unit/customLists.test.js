@@ -0,0 +1,128 @@
+'use strict';
+
+const { MockRedis } = require('../helpers/mocks');
+const {
+    normalizeEntry,
+    validateAddRequest,
+    validateRemoveRequest,
+    CustomListStore
+} = require('../../customLists');
+
+describe('Custom lists', () => {
+    describe('normalizeEntry', () => {
+        test('should canonicalize IPs, CIDRs and ranges', () => {
+            expect(normalizeEntry('10.0.0.1').key).toBe('10.0.0.1-10.0.0.1');
+            expect(normalizeEntry('10.0.0.0/24').key).toBe('10.0.0.0-10.0.0.255');
+            expect(normalizeEntry('10.0.0.5-10.0.0.9').key).toBe('10.0.0.5-10.0.0.9');
+            expect(normalizeEntry('2001:db8::/127').key).toBe('2001:db8::-2001:db8::1');
+        });
+
+        test('should reject invalid entries', () => {
+            expect(normalizeEntry('not-an-ip')).toBeNull();
+        });
+    });
+
+    describe('request validation', () => {
+        test('should accept strings and objects with label and ttl', () => {
+            const { error, value } = validateAddRequest('blocked', {
+                entries: ['10.0.0.1', { entry: '10.0.1.0/24', label: 'scanner', ttl: 60 }],
+                ttl: 3600
+            });
+
+            expect(error).toBeNull();
+            expect(value.entries).toHaveLength(2);
+        });
+
+        test('should reject invalid list names', () => {
+            expect(validateAddRequest('Bad Name', { entries: ['10.0.0.1'] }).error).toMatch(/list name/);
+        });
+
+        test('should report invalid entries', () => {
+            expect(validateAddRequest('blocked', { entries: ['10.0.0.1', 'bogus'] }).error)
+                .toBe('invalid entries: bogus');
+        });
+
+        test('should require entries', () => {
+            expect(validateRemoveRequest('blocked', {}).error).toMatch(/entries/);
+            expect(validateRemoveRequest('blocked', { entries: [] }).error).toMatch(/entries/);
+        });
+    });
+
+    describe('CustomListStore', () => {
+        let store;
+        let redis;
+
+        beforeEach(async () => {
+            MockRedis.reset();
+            redis = new MockRedis();
+            jest.spyOn(redis, 'publish');
+            jest.spyOn(redis, 'hdel');
+            store = new CustomListStore({ redis, redisPrefix: 'p:' });
+            await store.ready();
+        });
+
+        afterEach(() => {
+            store.stop();
+        });
+
+        test('should match added entries immediately', async () => {
+            await store.add('blocked', { entries: ['10.0.0.0/24'], label: 'abuse' });
+
+            expect(store.match('10.0.0.42')).toEqual([{ name: 'blocked', source: 'custom', label: 'abuse' }]);
+            expect(store.match('10.0.1.1')).toEqual([]);
+            expect(redis.publish).toHaveBeenCalledWith('p:custom:version', '1');
+        });
+
+        test('should report one entry per list', async () => {
+            await store.add('blocked', { entries: ['10.0.0.0/24', '10.0.0.1'] });
+            await store.add('watch', { entries: ['2001:db8::/32'] });
+            await store.add('watch', { entries: ['10.0.0.1'] });
+
+            expect(store.match('10.0.0.1').map(e => e.name).sort()).toEqual(['blocked', 'watch']);
+            expect(store.match('2001:db8::1').map(e => e.name)).toEqual(['watch']);
+        });
+
+        test('should ignore and prune expired entries', async () => {
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+            await store.add('temp', { entries: [{ entry: '192.0.2.1', ttl: 60 }] });
+            expect(store.match('192.0.2.1')).toHaveLength(1);
+
+            Date.now.mockReturnValue(now + 61 * 1000);
+            expect(store.match('192.0.2.1')).toEqual([]);
+
+            await store.refresh(true);
+            expect(redis.hdel).toHaveBeenCalledWith('p:custom:list:temp', '192.0.2.1-192.0.2.1');
+            Date.now.mockRestore();
+        });
+
+        test('should remove entries and drop empty lists', async () => {
+            await store.add('blocked', { entries: ['10.0.0.1'] });
+            const result = await store.remove('blocked', { entries: ['10.0.0.1/32', '10.0.0.2'] });
+
+            expect(result).toEqual({ list: 'blocked', removed: 1 });
+            expect(store.match('10.0.0.1')).toEqual([]);
+            expect(await store.lists()).toEqual({});
+        });
+
+        test('should reload when another instance publishes a change', async () => {
+            const onChange = jest.fn();
+            store.on('change', onChange);
+            const other = new CustomListStore({ redis: new MockRedis(), redisPrefix: 'p:' });
+            await other.add('shared', { entries: ['198.51.100.7'] });
+            other.stop();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(onChange).toHaveBeenCalledWith('1');
+            expect(store.match('198.51.100.7')).toEqual([{ name: 'shared', source: 'custom' }]);
+        });
+
+        test('should list entries sorted by key', async () => {
+            await store.add('blocked', { entries: ['10.0.0.2', '10.0.0.1'] });
+
+            const entries = await store.entries('blocked');
+            expect(entries.map(e => e.key)).toEqual(['10.0.0.1-10.0.0.1', '10.0.0.2-10.0.0.2']);
+            expect(await store.lists()).toEqual({ blocked: 2 });
+        });
+    });
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+const { MockRedis } = require('../helpers/mocks');
+const {
+    Coverage,
+    readCoverage,
+    subtractRanges,
+    diffCoverage,
+    recordChanges,
+    readChanges
+} = require('../../datasetChanges');
+
+/**
+ * Build a coverage from [version, start, end, listNames] tuples
+ */
+function coverageOf(segments) {
+    const coverage = new Coverage();
+    for (const [version, start, end, names] of segments) {
+        coverage.add(version, start, end, { list: names.map(name => ({ name, source: 't' })) });
+    }
+    return coverage;
+}
+
+describe('Dataset changes', () => {
+    beforeEach(() => {
+        MockRedis.reset();
+    });
+
+    describe('subtractRanges', () => {
+        test('should return the uncovered parts of each range', () => {
+            expect(subtractRanges([[0, 100]], [[10, 20], [50, 60]], 1)).toEqual([[0, 9], [21, 49], [61, 100]]);
+            expect(subtractRanges([[0, 10], [20, 30]], [[5, 25]], 1)).toEqual([[0, 4], [26, 30]]);
+            expect(subtractRanges([[0, 10]], [[0, 10]], 1)).toEqual([]);
+            expect(subtractRanges([[0, 10]], [], 1)).toEqual([[0, 10]]);
+        });
+
+        test('should work with bigint bounds', () => {
+            expect(subtractRanges([[0n, 2n ** 64n]], [[1n, 2n ** 64n]], 1n)).toEqual([[0n, 0n]]);
+        });
+    });
+
+    describe('Coverage', () => {
+        test('should merge adjacent segments per list', () => {
+            const coverage = coverageOf([
+                [4, 0, 9, ['a']],
+                [4, 10, 19, ['a', 'b']],
+                [4, 25, 30, ['a']]
+            ]);
+
+            expect(coverage.families[4].get('a')).toEqual([[0, 19], [25, 30]]);
+            expect(coverage.families[4].get('b')).toEqual([[10, 19]]);
+            expect(coverage.size).toBe(3);
+        });
+
+        test('should read coverage from stored ranges in chunks', async () => {
+            const redis = new MockRedis();
+            await redis.zadd('p:ranges',
+                0, '0|9|{"list":[{"name":"a"}]}',
+                10, '10|19|{"list":[{"name":"a"}],"geo":[{"country":"NL"}]}',
+                30, '30|39|{"geo":[{"country":"NL"}]}');
+            await redis.zadd('p:ranges6', 0, '00000000000000000000000000000000|000000000000000000000000000000ff|{"list":[{"name":"v6"}]}');
+            jest.spyOn(redis, 'zrange');
+
+            const coverage = await readCoverage(redis, 'p:', 2);
+
+            expect(coverage.families[4].get('a')).toEqual([[0, 19]]);
+            expect(coverage.families[6].get('v6')).toEqual([[0n, 255n]]);
+            expect(redis.zrange).toHaveBeenCalledWith('p:ranges', 2, 3);
+        });
+    });
+
+    describe('diffCoverage', () => {
+        test('should report added and removed ranges per list with formatted bounds', () => {
+            const previous = coverageOf([[4, 167772160, 167772415, ['a']], [6, 0n, 15n, ['v6']]]);
+            const next = coverageOf([[4, 167772160, 167772671, ['a']], [4, 167772672, 167772672, ['b']]]);
+
+            expect(diffCoverage(previous, next)).toEqual({
+                changes: [
+                    { list: 'a', change: 'added', start: '10.0.1.0', end: '10.0.1.255' },
+                    { list: 'b', change: 'added', start: '10.0.2.0', end: '10.0.2.0' },
+                    { list: 'v6', change: 'removed', start: '::', end: '::f' }
+                ],
+                added: 2,
+                removed: 1,
+                lists: { a: { added: 1, removed: 0 }, b: { added: 1, removed: 0 }, v6: { added: 0, removed: 1 } },
+                truncated: false
+            });
+        });
+
+        test('should stop collecting detail at maxEntries and keep counting', () => {
+            const previous = coverageOf([]);
+            const next = coverageOf([[4, 1, 1, ['a']], [4, 3, 3, ['a']], [4, 5, 5, ['a']], [4, 7, 7, ['b']]]);
+
+            const diff = diffCoverage(previous, next, { maxEntries: 2 });
+            expect(diff.changes.map(c => c.start)).toEqual(['0.0.0.1', '0.0.0.3']);
+            expect(diff).toMatchObject({ added: 4, removed: 0, truncated: true, lists: { a: { added: 3, removed: 0 }, b: { added: 1, removed: 0 } } });
+        });
+    });
+
+    describe('recordChanges and readChanges', () => {
+        const added = { list: 'a', change: 'added', start: '10.0.0.1', end: '10.0.0.1' };
+        const removed = { list: 'b', change: 'removed', start: '10.0.0.2', end: '10.0.0.2' };
+        const diffOf = changes => ({
+            changes,
+            added: changes.filter(c => c.change === 'added').length,
+            removed: changes.filter(c => c.change === 'removed').length,
+            lists: Object.fromEntries(changes.map(c => [c.list, { added: 0, removed: 0, [c.change]: 1 }])),
+            truncated: false
+        });
+
+        test('should store summaries and bounded detail newest first', async () => {
+            const redis = new MockRedis();
+            await recordChanges(redis, 'p:', { generation: '1', previousGeneration: null, diff: null, maxLoads: 10, maxEntries: 3 });
+            const summary = await recordChanges(redis, 'p:', {
+                generation: '2', previousGeneration: '1', diff: diffOf([added, removed]), maxLoads: 10, maxEntries: 3
+            });
+            await recordChanges(redis, 'p:', {
+                generation: '3', previousGeneration: '2', diff: diffOf([removed, added]), maxLoads: 10, maxEntries: 3
+            });
+
+            expect(summary).toMatchObject({ initial: false, added: 1, removed: 1, lists: { a: { added: 1, removed: 0 } } });
+            const result = await readChanges(redis, 'p:');
+            expect(result.summaries.map(s => s.generation)).toEqual(['3', '2', '1']);
+            expect(result.changes.map(c => `${c.generation}:${c.list}`)).toEqual(['3:b', '3:a', '2:a']);
+        });
+
+        test('should flag truncated detail', async () => {
+            const redis = new MockRedis();
+            const summary = await recordChanges(redis, 'p:', {
+                generation: '2', previousGeneration: '1', diff: diffOf([added, removed]), maxLoads: 10, maxEntries: 1
+            });
+
+            expect(summary.detailTruncated).toBe(true);
+            expect(summary.removed).toBe(1);
+        });
+
+        test('should filter by generation, list and limit', async () => {
+            const redis = new MockRedis();
+            for (const generation of ['2', '3']) {
+                await recordChanges(redis, 'p:', {
+                    generation, previousGeneration: String(generation - 1), diff: diffOf([added, removed]), maxLoads: 10, maxEntries: 100
+                });
+            }
+
+            const since = await readChanges(redis, 'p:', { since: '2', chunkSize: 1 });
+            expect(since.summaries.map(s => s.generation)).toEqual(['3']);
+            expect(since.changes).toHaveLength(2);
+
+            const byList = await readChanges(redis, 'p:', { list: 'a' });
+            expect(byList.changes.map(c => c.generation)).toEqual(['3', '2']);
+            expect(byList.summaries[0].lists).toEqual({ a: { added: 1, removed: 0 } });
+
+            const limited = await readChanges(redis, 'p:', { limit: 3 });
+            expect(limited.changes).toHaveLength(3);
+            expect(limited.truncated).toBe(true);
+        });
+
+        test('should filter by date and reject invalid since values', async () => {
+            const redis = new MockRedis();
+            await recordChanges(redis, 'p:', { generation: '2', previousGeneration: '1', diff: diffOf([added]), maxLoads: 10, maxEntries: 10 });
+
+            expect((await readChanges(redis, 'p:', { since: '2000-01-01T00:00:00Z' })).changes).toHaveLength(1);
+            expect((await readChanges(redis, 'p:', { since: '2999-01-01' })).changes).toHaveLength(0);
+            expect(await readChanges(redis, 'p:', { since: 'yesterday' })).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const { loadProviders, parseSelection, queryName, createClient } = require('../../dnsbl');
+const ipRange = require('../../ipRange');
+const { startDnsServer } = require('../helpers/dnsServer');
+
+describe('dnsbl', () => {
+    test('should parse provider selections', () => {
+        expect(parseSelection('dronebl, ZEN')).toEqual(['dronebl', 'zen']);
+        expect(parseSelection(['zen'], 'true')).toEqual(['zen', 'dronebl']);
+        expect(parseSelection('1')).toEqual(['*']);
+        expect(parseSelection(undefined, undefined)).toEqual([]);
+    });
+
+    test('should build reversed query names', () => {
+        expect(queryName(ipRange.parseIP('192.0.2.99'), 'dnsbl.example')).toBe('99.2.0.192.dnsbl.example');
+        expect(queryName(ipRange.parseIP('2001:db8::1'), 'dnsbl.example'))
+            .toBe('1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.dnsbl.example');
+    });
+
+    test('should use built-in providers when no file exists', () => {
+        const providers = loadProviders('/nonexistent/dnsbl.json');
+        expect(providers.dronebl.enabled).toBe(true);
+        expect(providers.zen.enabled).toBe(false);
+    });
+
+    describe('against a stub DNS server', () => {
+        let server;
+        let client;
+
+        beforeAll(async () => {
+            server = await startDnsServer({
+                '2.0.0.10.dnsbl.test': ['127.0.0.8'],
+                '2.0.0.10.zen.test': ['127.0.0.4', '127.0.0.10'],
+                '3.0.0.10.zen.test': ['127.255.255.254'],
+                '4.0.0.10.dnsbl.test': null
+            });
+            client = createClient({
+                dronebl: { enabled: true, zone: 'dnsbl.test', ipv6: false, categories: { 8: 'SOCKS Proxy' } },
+                zen: { enabled: true, zone: 'zen.test', ipv6: true, categories: { 4: 'XBL' } },
+                off: { enabled: false, zone: 'off.test', ipv6: false, categories: {} }
+            }, { servers: [server.address], timeoutMs: 200 });
+        });
+
+        afterAll(async () => {
+            await server.close();
+        });
+
+        test('should resolve selections to enabled providers', () => {
+            expect(client.resolve(['*'])).toEqual(['dronebl', 'zen']);
+            expect(client.resolve(['zen', 'off', 'missing'])).toEqual(['zen']);
+            expect(client.resolve([])).toEqual([]);
+        });
+
+        test('should map return codes to list entries from every provider', async () => {
+            const entries = await client.lookup('10.0.0.2', ['dronebl', 'zen']);
+            expect(entries).toEqual([
+                { name: 'dronebl_type_8', source: 'dronebl', type: 8, category: 'SOCKS Proxy' },
+                { name: 'zen_type_4', source: 'zen', type: 4, category: 'XBL' },
+                { name: 'zen_type_10', source: 'zen', type: 10, category: 'Unknown' }
+            ]);
+        });
+
+        test('should treat NXDOMAIN and error answers as not listed', async () => {
+            expect(await client.lookup('10.0.0.1', ['dronebl'])).toEqual([]);
+            expect(await client.lookup('10.0.0.3', ['zen'])).toEqual([]);
+        });
+
+        test('should give up on providers that time out', async () => {
+            expect(await client.lookup('10.0.0.4', ['dronebl'])).toEqual([]);
+        });
+
+        test('should skip providers without IPv6 support', async () => {
+            server.queries.length = 0;
+            await client.lookup('2001:db8::1', ['dronebl', 'zen']);
+            expect(server.queries).toHaveLength(1);
+            expect(server.queries[0].endsWith('.zen.test')).toBe(true);
+        });
+    });
+});
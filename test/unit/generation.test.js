@@ -0,0 +1,59 @@
+'use strict';
+
+const { MockRedis } = require('../helpers/mocks');
+const { GenerationTracker, generationKey } = require('../../generation');
+
+/**
+ * Mock Redis holding the given generation
+ */
+function createRedis(initial) {
+    MockRedis.reset();
+    const redis = new MockRedis();
+    if (initial) redis.data.set(generationKey('p:'), initial);
+    return redis;
+}
+
+describe('GenerationTracker', () => {
+    let tracker;
+
+    afterEach(() => {
+        if (tracker) tracker.stop();
+        tracker = null;
+    });
+
+    test('should default to initial generation when none is stored', async () => {
+        tracker = new GenerationTracker({ redis: createRedis(), redisPrefix: 'p:' });
+
+        expect(await tracker.current()).toBe('0');
+    });
+
+    test('should read stored generation on start', async () => {
+        tracker = new GenerationTracker({ redis: createRedis('7'), redisPrefix: 'p:' });
+
+        expect(await tracker.current()).toBe('7');
+    });
+
+    test('should switch generation on pub/sub message and emit change', async () => {
+        const redis = createRedis('1');
+        tracker = new GenerationTracker({ redis, redisPrefix: 'p:' });
+        await tracker.current();
+
+        const onChange = jest.fn();
+        tracker.on('change', onChange);
+        await redis.publish('p:generation', '2');
+
+        expect(await tracker.current()).toBe('2');
+        expect(onChange).toHaveBeenCalledWith('2', '1');
+    });
+
+    test('should pick up generation changes when polling', async () => {
+        const redis = createRedis('1');
+        tracker = new GenerationTracker({ redis, redisPrefix: 'p:' });
+        await tracker.current();
+
+        await redis.set(generationKey('p:'), '3');
+        await tracker.refresh();
+
+        expect(tracker.generation).toBe('3');
+    });
+});
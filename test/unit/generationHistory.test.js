@@ -0,0 +1,140 @@
+'use strict';
+
+const { MockRedis } = require('../helpers/mocks');
+const {
+    metadataKey,
+    retainedKeys,
+    swapIn,
+    listGenerations,
+    recordGeneration,
+    activateGeneration
+} = require('../../generationHistory');
+
+/**
+ * Redis holding the active generation and metadata and the retained keys of
+ * each listed generation; the swap script is stubbed to make the target
+ * generation active
+ */
+async function seedRedis({ active = null, generations = [] } = {}) {
+    MockRedis.reset();
+    const redis = new MockRedis();
+    if (active) await redis.set('p:generation', active);
+    for (const generation of generations) {
+        await redis.hset('p:generations', generation, JSON.stringify({ generation }));
+        await redis.zadd(`p:ranges:${generation}`, 0, 'range');
+        await redis.zadd(`p:ranges6:${generation}`, 0, 'range');
+    }
+    jest.spyOn(redis, 'eval').mockImplementation(async (script, numKeys, ...args) => {
+        const previous = await redis.get('p:generation');
+        await redis.set('p:generation', args[numKeys]);
+        return previous;
+    });
+    jest.spyOn(redis, 'publish');
+    return redis;
+}
+
+describe('Generation history', () => {
+    test('should name retained keys by generation', () => {
+        expect(metadataKey('p:')).toBe('p:generations');
+        expect(retainedKeys('p:', '7')).toEqual({ ranges: 'p:ranges:7', ranges6: 'p:ranges6:7' });
+    });
+
+    test('should swap through the script and publish the new generation', async () => {
+        const redis = await seedRedis({ active: '4' });
+
+        const previous = await swapIn(redis, 'p:', { generation: '5', ranges: 'tmp', ranges6: 'tmp:6', retain: true });
+
+        expect(previous).toBe('4');
+        expect(redis.eval).toHaveBeenCalledWith(
+            expect.any(String), 7, 'p:ranges', 'p:ranges6', 'p:generation', 'tmp', 'tmp:6', 'p:ranges:4', 'p:ranges6:4', '5', '4'
+        );
+        expect(redis.publish).toHaveBeenCalledWith('p:generation', '5');
+    });
+
+    test('should only declare the outgoing keys when they are retained', async () => {
+        const redis = await seedRedis();
+
+        await swapIn(redis, 'p:', { generation: '1', ranges: 'tmp', ranges6: 'tmp:6', retain: true });
+
+        expect(redis.eval).toHaveBeenCalledWith(
+            expect.any(String), 5, 'p:ranges', 'p:ranges6', 'p:generation', 'tmp', 'tmp:6', '1', ''
+        );
+    });
+
+    test('should retry when the active generation changes during the swap', async () => {
+        const redis = await seedRedis({ active: '4' });
+        redis.eval.mockRejectedValueOnce(new Error('STALE active generation changed'));
+
+        expect(await swapIn(redis, 'p:', { generation: '5', ranges: 'tmp', ranges6: 'tmp:6', retain: false })).toBe('4');
+        expect(redis.eval).toHaveBeenCalledTimes(2);
+    });
+
+    test('should list generations newest first and flag the active one', async () => {
+        const redis = await seedRedis({ active: '9', generations: ['8', '10', '9'] });
+
+        const { active, generations } = await listGenerations(redis, 'p:');
+
+        expect(active).toBe('9');
+        expect(generations.map(g => [g.generation, g.active])).toEqual([['10', false], ['9', true], ['8', false]]);
+    });
+
+    describe('recordGeneration', () => {
+        test('should keep the active generation and the newest others', async () => {
+            const redis = await seedRedis({ active: '6', generations: ['3', '4', '5'] });
+
+            const dropped = await recordGeneration(redis, 'p:', { generation: '6', loadedAt: 'now' }, 2, '5');
+
+            expect(dropped).toEqual(['4', '3']);
+            expect(Object.keys(await redis.hgetall('p:generations')).sort()).toEqual(['5', '6']);
+            expect([...redis.data.keys()].filter(key => key.startsWith('p:ranges')).sort()).toEqual(['p:ranges6:5', 'p:ranges:5']);
+        });
+
+        test('should keep a rolled back active generation', async () => {
+            const redis = await seedRedis({ active: '2', generations: ['1', '2', '3', '4'] });
+
+            await recordGeneration(redis, 'p:', { generation: '4' }, 2);
+
+            expect(Object.keys(await redis.hgetall('p:generations')).sort()).toEqual(['2', '4']);
+        });
+
+        test('should add metadata for a replaced generation loaded before retention', async () => {
+            const redis = await seedRedis({ active: '8', generations: [] });
+
+            await recordGeneration(redis, 'p:', { generation: '8' }, 3, '7');
+
+            expect(JSON.parse((await redis.hgetall('p:generations'))['7'])).toEqual({ generation: '7' });
+        });
+    });
+
+    describe('activateGeneration', () => {
+        test('should switch to the previous generation', async () => {
+            const redis = await seedRedis({ active: '5', generations: ['3', '4', '5'] });
+
+            expect(await activateGeneration(redis, 'p:', 'previous')).toEqual({ generation: '4', previous: '5' });
+            expect(redis.eval.mock.calls[0].slice(5, 11)).toEqual(['p:ranges:4', 'p:ranges6:4', 'p:ranges:5', 'p:ranges6:5', '4', '5']);
+            expect(JSON.parse((await redis.hgetall('p:generations'))['4']).activatedAt).toBeDefined();
+        });
+
+        test('should switch forward to a newer generation', async () => {
+            const redis = await seedRedis({ active: '4', generations: ['4', '5'] });
+
+            expect(await activateGeneration(redis, 'p:', '5')).toEqual({ generation: '5', previous: '4' });
+        });
+
+        test('should reject active and unknown generations', async () => {
+            const redis = await seedRedis({ active: '5', generations: ['5'] });
+
+            await expect(activateGeneration(redis, 'p:', '5')).rejects.toMatchObject({ code: 'ALREADY_ACTIVE' });
+            await expect(activateGeneration(redis, 'p:', '2')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+            await expect(activateGeneration(redis, 'p:', 'previous')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+            expect(redis.eval).not.toHaveBeenCalled();
+        });
+
+        test('should report a generation whose keys are gone', async () => {
+            const redis = await seedRedis({ active: '5', generations: ['4', '5'] });
+            redis.eval.mockRejectedValue(new Error('ERR no data for generation 4'));
+
+            await expect(activateGeneration(redis, 'p:', '4')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+        });
+    });
+});
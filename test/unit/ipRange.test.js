@@ -0,0 +1,94 @@
+'use strict';
+
+const ipRange = require('../../ipRange');
+
+describe('ipRange', () => {
+    test('should parse IPv4 address', () => {
+        expect(ipRange.parseIP('10.0.0.1')).toEqual({ version: 4, value: 167772161 });
+    });
+
+    test('should parse IPv6 address with 128-bit precision', () => {
+        const parsed = ipRange.parseIP('2001:db8::1');
+
+        expect(parsed.version).toBe(6);
+        expect(parsed.value).toBe(0x20010db8000000000000000000000001n);
+    });
+
+    test('should treat IPv4-mapped IPv6 as IPv4', () => {
+        expect(ipRange.parseIP('::ffff:10.0.0.1')).toEqual({ version: 4, value: 167772161 });
+    });
+
+    test('should reject invalid addresses', () => {
+        expect(ipRange.parseIP('256.1.1.1')).toBeNull();
+        expect(ipRange.parseIP('not.an.ip')).toBeNull();
+        expect(ipRange.parseIP('2001:db8::g')).toBeNull();
+        expect(ipRange.parseIP(undefined)).toBeNull();
+    });
+
+    test('should format IPv6 with zero compression', () => {
+        expect(ipRange.bigIntToIpv6(0n)).toBe('::');
+        expect(ipRange.bigIntToIpv6(1n)).toBe('::1');
+        expect(ipRange.bigIntToIpv6(ipRange.ipv6ToBigInt('2001:0db8:0000:0000:0001:0000:0000:0001')))
+            .toBe('2001:db8::1:0:0:1');
+    });
+
+    test('should convert CIDR to full range', () => {
+        expect(ipRange.cidrToRange('10.0.0.0/24')).toEqual({ version: 4, start: 167772160, end: 167772415 });
+
+        const range = ipRange.cidrToRange('2001:db8::/32');
+        expect(ipRange.formatIP(range.start, 6)).toBe('2001:db8::');
+        expect(ipRange.formatIP(range.end, 6)).toBe('2001:db8:ffff:ffff:ffff:ffff:ffff:ffff');
+    });
+
+    test('should reject invalid CIDR', () => {
+        expect(() => ipRange.cidrToRange('10.0.0.0/33')).toThrow('Invalid CIDR');
+        expect(() => ipRange.cidrToRange('2001:db8::/129')).toThrow('Invalid CIDR');
+        expect(() => ipRange.cidrToRange('nope/8')).toThrow('Invalid CIDR');
+    });
+
+    test('should keep lexicographic order equal to numeric order', () => {
+        const low = ipRange.toLexKey(ipRange.ipv6ToBigInt('2001:db8::ff'));
+        const high = ipRange.toLexKey(ipRange.ipv6ToBigInt('2001:db8::100'));
+
+        expect(low.length).toBe(32);
+        expect(low < high).toBe(true);
+        expect(ipRange.fromLexKey(high)).toBe(ipRange.ipv6ToBigInt('2001:db8::100'));
+    });
+
+    test('should parse staging bounds', () => {
+        expect(ipRange.parseBound('167772160')).toEqual({ version: 4, value: 167772160 });
+        expect(ipRange.parseBound('2001:db8::')).toEqual({ version: 6, value: 0x20010db8n << 96n });
+        expect(ipRange.parseBound('4294967296')).toBeNull();
+        expect(ipRange.parseBound('abc')).toBeNull();
+    });
+
+    test('should split members containing the delimiter in JSON', () => {
+        const member = '1|2|{"list":[{"name":"a|b"}]}';
+
+        expect(ipRange.splitMember(member)).toEqual({
+            start: '1',
+            end: '2',
+            data: '{"list":[{"name":"a|b"}]}'
+        });
+    });
+
+    test('should find indexed ranges overlapping an address or range', () => {
+        const v6 = ipRange.cidrToRange('2001:db8::/32');
+        const index = ipRange.createRangeIndex([
+            { name: 'wide', version: 4, start: 0, end: 1000 },
+            { name: 'a', version: 4, start: 10, end: 20 },
+            { name: 'b', version: 4, start: 15, end: 15 },
+            { name: 'c', version: 4, start: 500, end: 600 },
+            { name: 'v6', ...v6 }
+        ]);
+        const names = (version, start, end) => index.overlapping(version, start, end).map(item => item.name);
+
+        expect(index.size).toBe(5);
+        expect(names(4, 15, 15)).toEqual(['wide', 'a', 'b']);
+        expect(names(4, 21, 499)).toEqual(['wide']);
+        expect(names(4, 550, 2000)).toEqual(['wide', 'c']);
+        expect(names(4, 1001, 2000)).toEqual([]);
+        expect(names(6, v6.start + 5n, v6.start + 5n)).toEqual(['v6']);
+        expect(names(6, 0n, 1n)).toEqual([]);
+    });
+});
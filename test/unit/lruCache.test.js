@@ -0,0 +1,57 @@
+'use strict';
+
+const { LRUCache } = require('../../lruCache');
+
+describe('LRUCache', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should count hits and misses', () => {
+        const cache = new LRUCache({ maxSize: 10 });
+        cache.set('a', '1');
+
+        expect(cache.get('a')).toBe('1');
+        expect(cache.get('b')).toBeUndefined();
+        expect(cache.stats()).toMatchObject({ size: 1, hits: 1, misses: 1, hitRatio: 0.5 });
+    });
+
+    test('should evict the least recently used entry', () => {
+        const cache = new LRUCache({ maxSize: 2 });
+        cache.set('a', '1');
+        cache.set('b', '2');
+        cache.get('a');
+        cache.set('c', '3');
+
+        expect(cache.get('b')).toBeUndefined();
+        expect(cache.get('a')).toBe('1');
+        expect(cache.get('c')).toBe('3');
+        expect(cache.stats().evictions).toBe(1);
+    });
+
+    test('should expire entries after ttl', () => {
+        jest.useFakeTimers();
+        const cache = new LRUCache({ maxSize: 10, ttlMs: 1000 });
+        cache.set('a', '1');
+
+        jest.advanceTimersByTime(999);
+        expect(cache.get('a')).toBe('1');
+        jest.advanceTimersByTime(1);
+        expect(cache.get('a')).toBeUndefined();
+        expect(cache.size).toBe(0);
+    });
+
+    test('should clear entries but keep counters', () => {
+        const cache = new LRUCache({ maxSize: 10 });
+        cache.set('a', '1');
+        cache.get('a');
+        cache.clear();
+
+        expect(cache.get('a')).toBeUndefined();
+        expect(cache.stats()).toMatchObject({ size: 0, hits: 1, misses: 1 });
+    });
+
+    test('should reject a non-positive size', () => {
+        expect(() => new LRUCache({ maxSize: 0 })).toThrow('maxSize');
+    });
+});
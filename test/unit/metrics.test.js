@@ -0,0 +1,103 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const metrics = require('../../metrics');
+
+/**
+ * Values of a counter or gauge, keyed by its joined label values
+ */
+async function valuesOf(name) {
+    const { values } = await metrics.registry.getSingleMetric(`ip_denylist_${name}`).get();
+    return Object.fromEntries(values.map(v => [Object.values(v.labels).join(','), v.value]));
+}
+
+describe('Metrics', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should count staged rows and plugin outcomes', async () => {
+        const outputFile = path.join(dir, 'a.data.txt');
+        await metrics.runPlugin({
+            name: 'rows_test',
+            outputFile,
+            load: async () => fs.writeFileSync(outputFile, '1|2|{}\n3|4|{}\n')
+        });
+        await expect(metrics.runPlugin({
+            name: 'rows_test',
+            outputFile,
+            load: async () => { throw new Error('download failed'); }
+        })).rejects.toThrow('download failed');
+
+        expect((await valuesOf('plugin_rows')).rows_test).toBe(2);
+        const runs = await valuesOf('plugin_runs_total');
+        expect(runs['rows_test,success']).toBe(1);
+        expect(runs['rows_test,failure']).toBe(1);
+        expect((await valuesOf('plugin_duration_seconds')).rows_test).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should label requests by matched route', async () => {
+        const res = new EventEmitter();
+        res.statusCode = 404;
+        const next = jest.fn();
+
+        metrics.httpMiddleware({ method: 'GET', baseUrl: '', route: { path: '/:ip' } }, res, next);
+        res.emit('finish');
+        res.removeAllListeners();
+        metrics.httpMiddleware({ method: 'GET' }, res, next);
+        res.emit('finish');
+
+        const output = await metrics.registry.metrics();
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(output).toContain('ip_denylist_http_request_duration_seconds_count{method="GET",route="/:ip",status="404"} 1');
+        expect(output).toContain('ip_denylist_http_request_duration_seconds_count{method="GET",route="unmatched",status="404"} 1');
+    });
+
+    test('should count cache reads and DNSBL errors', async () => {
+        metrics.countCacheLookup('redis', true);
+        metrics.countCacheLookup('redis', false);
+        metrics.observeDnsblQuery('test_provider', 0.05, 'ETIMEOUT');
+
+        const cache = await valuesOf('cache_lookups_total');
+        expect(cache['redis,hit']).toBeGreaterThanOrEqual(1);
+        expect(cache['redis,miss']).toBeGreaterThanOrEqual(1);
+        expect((await valuesOf('dnsbl_query_errors_total'))['test_provider,ETIMEOUT']).toBe(1);
+    });
+
+    test('should read dataset and lock state on scrape', async () => {
+        const loadedAt = new Date(Date.now() - 60000).toISOString();
+        const redis = {
+            zcard: async (key) => (key === 'p:ranges' ? 120 : 7),
+            get: async () => '5',
+            hget: async () => JSON.stringify({ generation: '5', loadedAt })
+        };
+        const updateLock = { isLocked: async () => true, isLockStale: async () => false };
+        metrics.registerDatasetCollectors({
+            getRedis: () => redis,
+            getRedisPrefix: () => 'p:',
+            updateLock
+        });
+
+        const output = await metrics.registry.metrics();
+
+        expect(output).toContain('ip_denylist_dataset_ranges{family="4"} 120');
+        expect(output).toContain('ip_denylist_dataset_ranges{family="6"} 7');
+        expect(output).toContain('ip_denylist_update_lock{state="held"} 1');
+        expect(output).toMatch(/ip_denylist_dataset_age_seconds (5\d|6\d)(\.\d+)?\n/);
+
+        // A failing lock check leaves the gauge out instead of failing the scrape
+        updateLock.isLocked = async () => { throw new Error('connection lost'); };
+        const degraded = await metrics.registry.metrics();
+        expect(degraded).toContain('ip_denylist_dataset_ranges{family="4"} 120');
+        expect(degraded).not.toContain('ip_denylist_update_lock{');
+    });
+});
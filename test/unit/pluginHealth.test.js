@@ -0,0 +1,62 @@
+'use strict';
+
+const { MockRedis } = require('../helpers/mocks');
+const pluginHealth = require('../../pluginHealth');
+
+describe('Plugin health', () => {
+    let redis;
+    const now = Date.parse('2024-01-10T00:00:00.000Z');
+
+    /**
+     * Run record ending `hoursAgo` hours before `now`
+     */
+    function run(plugin, outcome, hoursAgo, extra = {}) {
+        const endedAt = new Date(now - hoursAgo * 3600000).toISOString();
+        return { plugin, outcome, startedAt: endedAt, endedAt, durationMs: 0, rows: 1, fileSize: 10, retries: 0, ...extra };
+    }
+
+    beforeEach(() => {
+        MockRedis.reset();
+        redis = new MockRedis();
+    });
+
+    afterAll(() => {
+        MockRedis.reset();
+    });
+
+    test('should keep a bounded history and the last success', async () => {
+        await pluginHealth.recordRun(redis, 'p:', run('firehol', 'success', 3), 2);
+        await pluginHealth.recordRun(redis, 'p:', run('firehol', 'unchanged', 2), 2);
+        await pluginHealth.recordRun(redis, 'p:', run('firehol', 'failed', 1, { error: '404', retries: 3 }), 2);
+
+        const runs = (await redis.lrange('p:plugin_runs:firehol', 0, -1)).map(raw => JSON.parse(raw));
+        expect(runs.map(r => r.outcome)).toEqual(['failed', 'unchanged']);
+        expect(JSON.parse((await redis.hgetall('p:plugin_last_success')).firehol).outcome).toBe('unchanged');
+    });
+
+    test('should degrade only when a critical plugin is stale', async () => {
+        await pluginHealth.recordRun(redis, 'p:', run('firehol', 'success', 30), 10);
+        await pluginHealth.recordRun(redis, 'p:', run('firehol', 'failed', 1, { error: '404' }), 10);
+        await pluginHealth.recordRun(redis, 'p:', run('aws', 'success', 1), 10);
+        const entries = [
+            { name: 'firehol', critical: false, maxAge: 86400 },
+            { name: 'aws', critical: true, maxAge: 86400 },
+            { name: 'spamhaus', critical: false, maxAge: 86400 }
+        ];
+
+        const health = await pluginHealth.readPluginHealth(redis, 'p:', entries, { limit: 1, now });
+
+        expect(health.status).toBe('healthy');
+        expect(health.stale).toEqual(['firehol', 'spamhaus']);
+        expect(health.plugins.firehol).toMatchObject({
+            stale: true,
+            lastSuccess: new Date(now - 30 * 3600000).toISOString(),
+            lastRun: { outcome: 'failed', error: '404' }
+        });
+        expect(health.plugins.firehol.runs).toHaveLength(1);
+        expect(health.plugins.spamhaus).toMatchObject({ stale: true, lastSuccess: null, lastRun: null, runs: [] });
+
+        entries[0].critical = true;
+        expect((await pluginHealth.readPluginHealth(redis, 'p:', entries, { now })).status).toBe('degraded');
+    });
+});
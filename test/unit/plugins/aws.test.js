@@ -0,0 +1,56 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const AWSPlugin = require('../../../plugins/aws');
+
+describe('AWS plugin', () => {
+    let server;
+    let tmpDir;
+    let body;
+
+    beforeEach(async () => {
+        body = JSON.stringify({
+            prefixes: [{ ip_prefix: '192.0.2.0/30', region: 'eu-west-1', service: 'EC2', network_border_group: 'eu-west-1' }],
+            ipv6_prefixes: [{ ipv6_prefix: '2001:db8::/127', region: 'eu-west-1', service: 'EC2', network_border_group: 'eu-west-1' }]
+        });
+        server = http.createServer((req, res) => res.end(body));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-'));
+    });
+
+    afterEach(() => {
+        server.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should stage the ranges from the downloaded document and remove the download', async () => {
+        const outputFile = path.join(tmpDir, 'aws.data.txt');
+        const plugin = new AWSPlugin({ outputFile, url: `http://127.0.0.1:${server.address().port}/ip-ranges.json` });
+        await plugin.init();
+
+        expect(await plugin.load()).toBe('aws');
+
+        const meta = '{"type":"cloud","provider":"aws","service":"EC2","region":"eu-west-1","networkBorderGroup":"eu-west-1","source":"aws"}';
+        expect(fs.readFileSync(outputFile, 'utf8').split('\n').filter(Boolean)).toEqual([
+            `3221225985|3221225986|${meta}`,
+            `2001:db8::|2001:db8::1|${meta}`
+        ]);
+        expect(fs.readdirSync(tmpDir)).toEqual(['aws.data.txt']);
+    });
+
+    test('should keep the previous output when the document is not valid JSON', async () => {
+        body = '{"prefixes": [';
+        const outputFile = path.join(tmpDir, 'aws.data.txt');
+        fs.writeFileSync(outputFile, 'previous\n');
+        const plugin = new AWSPlugin({ outputFile, url: `http://127.0.0.1:${server.address().port}/ip-ranges.json` });
+        await plugin.init();
+
+        await expect(plugin.load()).rejects.toThrow();
+
+        expect(fs.readFileSync(outputFile, 'utf8')).toBe('previous\n');
+        expect(fs.readdirSync(tmpDir)).toEqual(['aws.data.txt']);
+    });
+});
@@ -1,6 +1,11 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
 const BasePlugin = require('../../../plugins/base');
+const { SnapshotArchive } = require('../../../snapshots');
 
 describe('BasePlugin', () => {
     test('should create plugin instance', () => {
@@ -73,6 +78,7 @@ describe('BasePlugin', () => {
         
         expect(result).toBe('success');
         expect(fn).toHaveBeenCalledTimes(2);
+        expect(plugin.retryCount).toBe(1);
     });
 
     test('should fail after max retries', async () => {
@@ -106,5 +112,219 @@ describe('BasePlugin', () => {
             abortOnFail: true
         });
     });
-});
 
+    describe('conditional downloads', () => {
+        let server;
+        let baseUrl;
+        let tmpDir;
+        let bodies;
+        let requests;
+
+        beforeEach(async () => {
+            bodies = { '/etag': '192.0.2.1\n', '/plain': '192.0.2.1\n' };
+            requests = [];
+            // /etag honours If-None-Match; /plain sends no validators
+            server = http.createServer((req, res) => {
+                requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] });
+                // /hang never answers
+                if (req.url === '/hang') {
+                    return;
+                }
+                const body = bodies[req.url];
+                const etag = `"${Buffer.from(body).toString('hex')}"`;
+                if (req.url === '/etag') {
+                    if (req.headers['if-none-match'] === etag) {
+                        res.statusCode = 304;
+                        return res.end();
+                    }
+                    res.setHeader('ETag', etag);
+                }
+                res.end(body);
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'base-plugin-'));
+        });
+
+        afterEach(() => {
+            server.close();
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        /**
+         * Plugin run: init, fetch, write output and commit like the plugin wrapper
+         */
+        async function run(urls, { snapshots = null, snapshot } = {}) {
+            const plugin = new BasePlugin({ name: 'test-plugin' });
+            plugin.outputFile = path.join(tmpDir, 'test.data.txt');
+            plugin.snapshots = snapshots;
+            await plugin.init();
+            if (snapshot) {
+                plugin.useSnapshot(snapshot);
+            }
+            const result = await plugin.fetchSources(urls.map(url => ({ url: baseUrl + url })));
+            if (!result.unchanged) {
+                fs.writeFileSync(plugin.outputFile, result.results.map(r => r.body.toString()).join(''));
+            }
+            plugin.commitSources();
+            return { plugin, result };
+        }
+
+        test('should send remembered ETags and reuse the output on 304', async () => {
+            await run(['/etag']);
+            const { plugin, result } = await run(['/etag']);
+
+            expect(requests[1].ifNoneMatch).toMatch(/^"/);
+            expect(result.unchanged).toBe(true);
+            expect(plugin.sourceReport()).toEqual({ unchanged: true, sources: { [`${baseUrl}/etag`]: 'not_modified' } });
+            expect(fs.existsSync(path.join(tmpDir, '.test.data.txt.sources.json'))).toBe(true);
+        });
+
+        test('should compare content hashes when the server sends no validators', async () => {
+            await run(['/plain']);
+            expect((await run(['/plain'])).result.unchanged).toBe(true);
+
+            bodies['/plain'] = '192.0.2.2\n';
+            const { plugin, result } = await run(['/plain']);
+            expect(result.unchanged).toBe(false);
+            expect(plugin.sourceReport().sources[`${baseUrl}/plain`]).toBe('changed');
+        });
+
+        test('should download not-modified sources again when another source changed', async () => {
+            await run(['/etag', '/plain']);
+            requests = [];
+            bodies['/plain'] = '192.0.2.3\n';
+
+            const { plugin, result } = await run(['/etag', '/plain']);
+
+            expect(result.unchanged).toBe(false);
+            expect(requests.filter(r => r.url === '/etag').map(r => r.ifNoneMatch !== undefined)).toEqual([true, false]);
+            expect(plugin.sourceReport().sources[`${baseUrl}/etag`]).toBe('unchanged');
+            expect(fs.readFileSync(path.join(tmpDir, 'test.data.txt'), 'utf8')).toBe('192.0.2.1\n192.0.2.3\n');
+        });
+
+        test('should not send validators without previous output', async () => {
+            await run(['/etag']);
+            fs.unlinkSync(path.join(tmpDir, 'test.data.txt'));
+
+            const { result } = await run(['/etag']);
+
+            expect(requests[1].ifNoneMatch).toBeUndefined();
+            expect(result.unchanged).toBe(false);
+        });
+
+        test('should archive every run and rebuild the output from a snapshot offline', async () => {
+            const snapshots = new SnapshotArchive({ dir: path.join(tmpDir, 'snapshots'), plugin: 'test-plugin' });
+            await run(['/etag', '/plain'], { snapshots });
+            const [first] = snapshots.list();
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await run(['/etag', '/plain'], { snapshots });
+            expect(snapshots.readManifest('latest').sources[`${baseUrl}/etag`].outcome).toBe('not_modified');
+
+            bodies['/plain'] = '192.0.2.4\n';
+            await run(['/etag', '/plain'], { snapshots });
+            server.close();
+            requests = [];
+
+            const { plugin } = await run(['/etag', '/plain'], { snapshots, snapshot: first });
+
+            expect(requests).toHaveLength(0);
+            expect(plugin.sourceReport().unchanged).toBe(false);
+            expect(fs.readFileSync(path.join(tmpDir, 'test.data.txt'), 'utf8')).toBe('192.0.2.1\n192.0.2.1\n');
+            // Replays are not recorded, and the next run downloads in full
+            expect(snapshots.list()).toHaveLength(3);
+            expect(fs.existsSync(path.join(tmpDir, '.test.data.txt.sources.json'))).toBe(false);
+        });
+
+        test('should cancel the download without retrying once the run is aborted', async () => {
+            const plugin = new BasePlugin({ name: 'test-plugin' });
+            plugin.outputFile = path.join(tmpDir, 'test.data.txt');
+            await plugin.init();
+            const controller = new AbortController();
+            plugin.signal = controller.signal;
+
+            const fetching = plugin.fetchSource(baseUrl + '/hang');
+            while (requests.length === 0) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            controller.abort();
+
+            await expect(fetching).rejects.toThrow('canceled');
+            expect(requests).toHaveLength(1);
+            expect(plugin.retryCount).toBe(0);
+        });
+
+        test('should refuse to replay without an archive or a matching snapshot', async () => {
+            const plugin = new BasePlugin({ name: 'test-plugin' });
+            expect(() => plugin.useSnapshot('latest')).toThrow('has no snapshot archive');
+
+            plugin.snapshots = new SnapshotArchive({ dir: tmpDir, plugin: 'test-plugin' });
+            expect(() => plugin.useSnapshot('2020-01-01')).toThrow('has no snapshot matching 2020-01-01');
+        });
+    });
+
+    describe('staging output', () => {
+        let tmpDir;
+        let plugin;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'base-plugin-'));
+            plugin = new BasePlugin({ name: 'test-plugin' });
+            plugin.outputFile = path.join(tmpDir, 'test.data.txt');
+        });
+
+        afterEach(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test('should name hidden download files after the source', () => {
+            expect(plugin.sourceFile('https://example.com/a list.txt'))
+                .toBe(path.join(tmpDir, '.test.data.txt.https_example.com_a_list.txt.download'));
+        });
+
+        test('should stream lines from a file into the output', async () => {
+            const source = plugin.sourceFile('source');
+            fs.writeFileSync(source, '192.0.2.1\r\n192.0.2.2\n');
+
+            const count = await plugin.writeStaging(async (write) => {
+                let lines = 0;
+                for await (const line of plugin.readLines(source)) {
+                    await write(`${line}|${line}|{}\n`);
+                    lines++;
+                }
+                return lines;
+            });
+
+            expect(count).toBe(2);
+            expect(fs.readFileSync(plugin.outputFile, 'utf8')).toBe('192.0.2.1|192.0.2.1|{}\n192.0.2.2|192.0.2.2|{}\n');
+            expect(fs.readdirSync(tmpDir).filter(file => file.endsWith('.tmp'))).toEqual([]);
+        });
+
+        test('should keep the previous output when staging fails', async () => {
+            fs.writeFileSync(plugin.outputFile, 'previous\n');
+
+            await expect(plugin.writeStaging(async (write) => {
+                await write('partial\n');
+                throw new Error('parse error');
+            })).rejects.toThrow('parse error');
+
+            expect(fs.readFileSync(plugin.outputFile, 'utf8')).toBe('previous\n');
+            expect(fs.readdirSync(tmpDir)).toEqual(['test.data.txt']);
+        });
+
+        test('should stop writing and keep the previous output once the run is aborted', async () => {
+            fs.writeFileSync(plugin.outputFile, 'previous\n');
+            const controller = new AbortController();
+            plugin.signal = controller.signal;
+
+            await expect(plugin.writeStaging(async (write) => {
+                await write('partial\n');
+                controller.abort(new Error('Download timeout exceeded'));
+                await write('late\n');
+            })).rejects.toThrow('Download timeout exceeded');
+
+            expect(fs.readFileSync(plugin.outputFile, 'utf8')).toBe('previous\n');
+            expect(fs.readdirSync(tmpDir)).toEqual(['test.data.txt']);
+        });
+    });
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const FireholPlugin = require('../../../plugins/firehol');
+
+describe('Firehol plugin', () => {
+    let server;
+    let baseUrl;
+    let tmpDir;
+    let bodies;
+
+    beforeEach(async () => {
+        bodies = {
+            '/firehol_level1.netset': '# comment\n192.0.2.0/30\n198.51.100.7\n',
+            '/firehol_abusers_1d.netset': '203.0.113.9\r\n'
+        };
+        server = http.createServer((req, res) => res.end(bodies[req.url]));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'firehol-'));
+    });
+
+    afterEach(() => {
+        server.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should stage every list from its downloaded file and remove the downloads', async () => {
+        const outputFile = path.join(tmpDir, 'firehol.data.txt');
+        const plugin = new FireholPlugin({ outputFile, listArray: Object.keys(bodies).map(file => baseUrl + file) });
+        await plugin.init();
+
+        expect(await plugin.load()).toBe('firehol');
+
+        expect(fs.readFileSync(outputFile, 'utf8').split('\n').filter(Boolean)).toEqual([
+            '3221225985|3221225986|{"type":"list","name":"firehol_level1","source":"firehol"}',
+            '3325256711|3325256711|{"type":"list","name":"firehol_level1","source":"firehol"}',
+            '3405803785|3405803785|{"type":"list","name":"firehol_abusers_1d","source":"firehol"}'
+        ]);
+        expect(fs.readdirSync(tmpDir)).toEqual(['firehol.data.txt']);
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalFilesPlugin = require('../../../plugins/local_files');
+const { listNameFromFile } = require('../../../plugins/local_files');
+
+describe('LocalFilesPlugin', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-files-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should derive list names from file names', () => {
+        expect(listNameFromFile('Office-VPN.txt')).toBe('office_vpn');
+        expect(listNameFromFile('partners.list')).toBe('partners');
+    });
+
+    test('should stage entries with labels and comments', async () => {
+        const plugin = new LocalFilesPlugin({ directory: tmpDir });
+        const file = path.join(tmpDir, 'office.txt');
+        fs.writeFileSync(file, [
+            '# Office networks',
+            '10.8.0.0/30 office VPN',
+            '10.9.0.1-10.9.0.2   # no label here',
+            '2001:db8::1 lab',
+            'bogus entry'
+        ].join('\n'));
+        const lines = [];
+
+        const { rows, skipped } = await plugin.stageFile(file, 'office', async line => lines.push(line));
+
+        expect(lines).toEqual([
+            '168296448|168296451|{"type":"list","name":"office","source":"local_files","label":"office VPN"}\n',
+            '168361985|168361986|{"type":"list","name":"office","source":"local_files"}\n',
+            '2001:db8::1|2001:db8::1|{"type":"list","name":"office","source":"local_files","label":"lab"}\n'
+        ]);
+        expect(rows).toBe(3);
+        expect(skipped).toBe(1);
+    });
+
+    test('should stage every list file in the directory', async () => {
+        const listDir = path.join(tmpDir, 'lists');
+        fs.mkdirSync(listDir);
+        fs.writeFileSync(path.join(listDir, 'pentest.txt'), '192.0.2.0/31 Q3 pentest\n');
+        fs.writeFileSync(path.join(listDir, 'partners.list'), '198.51.100.7 partner X\n');
+        fs.writeFileSync(path.join(listDir, 'README.md'), '10.0.0.1\n');
+        const outputFile = path.join(tmpDir, 'local.data.txt');
+
+        const plugin = new LocalFilesPlugin({
+            directory: listDir,
+            outputFile,
+            fileTypes: { partners: 'network' }
+        });
+        await expect(plugin.load()).resolves.toBe('local_files');
+
+        expect(fs.readFileSync(outputFile, 'utf8').split('\n').filter(Boolean)).toEqual([
+            '3325256711|3325256711|{"type":"network","name":"partners","source":"local_files","label":"partner X"}',
+            '3221225984|3221225985|{"type":"list","name":"pentest","source":"local_files","label":"Q3 pentest"}'
+        ]);
+        expect(fs.readdirSync(tmpDir).sort()).toEqual(['lists', 'local.data.txt']);
+    });
+
+    test('should fail when the directory does not exist', async () => {
+        const plugin = new LocalFilesPlugin({ directory: path.join(tmpDir, 'missing'), outputFile: path.join(tmpDir, 'out') });
+        await expect(plugin.load()).rejects.toThrow('ENOENT');
+    });
+});
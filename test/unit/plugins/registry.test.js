@@ -0,0 +1,157 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_PLUGINS, loadPluginConfig, buildPlugins } = require('../../../plugins');
+
+describe('Plugin registry', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Write a plugin configuration file
+     */
+    function writeConfig(plugins) {
+        const file = path.join(tmpDir, 'plugins.json');
+        fs.writeFileSync(file, JSON.stringify({ plugins }));
+        return file;
+    }
+
+    test('should use default plugins when no file exists', () => {
+        const entries = loadPluginConfig(path.join(tmpDir, 'missing.json'));
+
+        expect(entries.map(e => e.name)).toEqual(DEFAULT_PLUGINS.map(p => p.name));
+        expect(entries.find(e => e.name === 'firehol').abortOnFail).toBe(true);
+        expect(entries.find(e => e.name === 'aws').outputFile).toMatch(/staging[\\/]aws\.data\.txt$/);
+    });
+
+    test('should reject invalid configuration', () => {
+        expect(() => loadPluginConfig(writeConfig([{ name: 'Bad Name' }]))).toThrow('Plugin configuration error');
+        expect(() => loadPluginConfig(writeConfig([{ name: 'a' }, { name: 'a' }]))).toThrow('Plugin configuration error');
+        expect(() => loadPluginConfig(writeConfig([{ name: 'a', listArray: ['not a url'] }]))).toThrow('Plugin configuration error');
+        expect(() => loadPluginConfig(writeConfig([{ name: 'a', schedule: 'hourly' }]))).toThrow('not a valid cron expression');
+    });
+
+    test('should pass schedules to the plugin wrappers', () => {
+        const file = writeConfig([
+            { name: 'spamhaus', schedule: '15 * * * *', jitter: 300 },
+            { name: 'aws' }
+        ]);
+
+        const plugins = buildPlugins(loadPluginConfig(file));
+
+        expect(plugins[0]).toMatchObject({ name: 'spamhaus', schedule: '15 * * * *', jitter: 300 });
+        expect(plugins[1].schedule).toBeUndefined();
+    });
+
+    test('should treat abortOnFail plugins as critical unless configured otherwise', () => {
+        const file = writeConfig([
+            { name: 'a', abortOnFail: true },
+            { name: 'b', abortOnFail: true, critical: false, maxAge: 7200 },
+            { name: 'c', critical: true }
+        ]);
+
+        const entries = loadPluginConfig(file, { staleAfterSeconds: 3600 });
+
+        expect(entries.map(e => [e.name, e.critical, e.maxAge])).toEqual([
+            ['a', true, 3600],
+            ['b', false, 7200],
+            ['c', true, 3600]
+        ]);
+    });
+
+    test('should apply environment overrides', () => {
+        const file = writeConfig([{ name: 'a' }, { name: 'b', enabled: false }, { name: 'c' }]);
+
+        const only = loadPluginConfig(file, { enabled: ['b'] });
+        expect(only.filter(e => e.enabled).map(e => e.name)).toEqual(['b']);
+
+        const without = loadPluginConfig(file, { disabled: ['c'], apiKeys: { a: 'secret' } });
+        expect(without.filter(e => e.enabled).map(e => e.name)).toEqual(['a']);
+        expect(without[0].apiKey).toBe('secret');
+
+        expect(() => loadPluginConfig(file, { disabled: ['missing'] })).toThrow('unknown plugin(s) missing');
+    });
+
+    test('should fail plugins whose staging output is mostly invalid', async () => {
+        const loader = path.join(tmpDir, 'badLoader.js');
+        fs.writeFileSync(loader, `module.exports = async (outputFile) => require('fs').writeFileSync(outputFile, 'bad\\n1|2|{}\\n');`);
+        const staging = { validation: true, maxErrorRate: 0.01, quarantineDir: path.join(tmpDir, 'quarantine') };
+        const [plugin] = buildPlugins(loadPluginConfig(writeConfig([
+            { name: 'bad', module: loader, outputFile: path.join(tmpDir, 'bad.data.txt') }
+        ])), { staging });
+
+        await expect(plugin.load()).rejects.toThrow('Plugin bad staging output rejected: 2 of 2 rows invalid');
+        expect(plugin.stagingReport().reasons).toEqual({ malformed: 1, missing_type: 1 });
+        expect(fs.existsSync(path.join(tmpDir, '.bad.data.txt.rejected'))).toBe(true);
+    });
+
+    test('should keep the last accepted output of a plugin whose staging output is rejected', async () => {
+        const outputFile = path.join(tmpDir, 'flaky.data.txt');
+        const classModule = path.join(tmpDir, 'flakyPlugin.js');
+        fs.writeFileSync(classModule, `
+            const fs = require('fs');
+            const BasePlugin = require(${JSON.stringify(path.resolve(__dirname, '../../../plugins/base'))});
+            module.exports = class extends BasePlugin {
+                constructor(options) { super({ name: 'flaky' }); this.outputFile = options.outputFile; this.body = options.body; }
+                async load() { fs.writeFileSync(this.outputFile, this.body); return 'flaky'; }
+            };
+        `);
+        const staging = { validation: true, maxErrorRate: 0.01, quarantineDir: path.join(tmpDir, 'quarantine') };
+        const build = body => buildPlugins(loadPluginConfig(writeConfig([
+            { name: 'flaky', module: classModule, outputFile, options: { body } }
+        ])), { staging })[0];
+        const good = '1|2|{"type":"geo","source":"flaky"}\n';
+
+        await build(good).load();
+        const plugin = build('bad\n');
+
+        await expect(plugin.load()).resolves.toBe('flaky');
+        expect(plugin.stagingReport()).toMatchObject({ passed: false, kept: 'previous' });
+        expect(fs.readFileSync(outputFile, 'utf8')).toBe(good);
+        expect(fs.readFileSync(path.join(tmpDir, '.flaky.data.txt.rejected'), 'utf8')).toBe('bad\n');
+    });
+
+    test('should keep the entry name of bundled plugins reused through type', () => {
+        const plugins = buildPlugins(loadPluginConfig(writeConfig([
+            { name: 'firehol' },
+            { name: 'abusers_hourly', type: 'firehol', listArray: ['https://example.com/firehol_abusers_1d.netset'] }
+        ])));
+
+        expect(plugins.map(p => [p.name, p.getMetadata().name, path.basename(p.outputFile)])).toEqual([
+            ['firehol', 'firehol', 'firehol.data.txt'],
+            ['abusers_hourly', 'abusers_hourly', 'abusers_hourly.data.txt']
+        ]);
+    });
+
+    test('should build BasePlugin subclasses and legacy loader functions', async () => {
+        const classModule = path.join(tmpDir, 'classPlugin.js');
+        fs.writeFileSync(classModule, `
+            const BasePlugin = require(${JSON.stringify(path.resolve(__dirname, '../../../plugins/base'))});
+            module.exports = class extends BasePlugin {
+                constructor(options) { super({ name: 'cls', abortOnFail: options.abortOnFail }); this.options = options; }
+                async load() { return this.options; }
+            };
+        `);
+        const legacyModule = path.join(tmpDir, 'legacyPlugin.js');
+        fs.writeFileSync(legacyModule, 'module.exports = async (outputFile) => outputFile;');
+
+        const plugins = buildPlugins(loadPluginConfig(writeConfig([
+            { name: 'cls', module: classModule, abortOnFail: true, apiKey: 'k', options: { includeIpv6: false } },
+            { name: 'legacy', module: legacyModule, outputFile: '/tmp/legacy.txt' },
+            { name: 'off', module: legacyModule, enabled: false }
+        ])));
+
+        expect(plugins.map(p => [p.name, p.abortOnFail])).toEqual([['cls', true], ['legacy', false]]);
+        await expect(plugins[0].load()).resolves.toMatchObject({ name: 'cls', apiKey: 'k', includeIpv6: false, abortOnFail: true });
+        await expect(plugins[1].load()).resolves.toBe('/tmp/legacy.txt');
+    });
+});
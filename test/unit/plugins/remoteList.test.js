@@ -0,0 +1,107 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const RemoteListPlugin = require('../../../plugins/remote_list');
+const { resolveJsonPath } = require('../../../plugins/remote_list');
+
+describe('RemoteListPlugin', () => {
+    const meta = '{"type":"list","name":"feed","source":"feed"}';
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'remote-list-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Stage a feed body as if it had been downloaded
+     */
+    async function stage(plugin, body) {
+        const file = path.join(tmpDir, 'feed.download');
+        fs.writeFileSync(file, body);
+        const lines = [];
+        const { rows, skipped } = await plugin.stage(file, async line => lines.push(line));
+        expect(rows).toBe(lines.length);
+        return { lines, skipped };
+    }
+
+    test('should parse netset feeds with comments', async () => {
+        const plugin = new RemoteListPlugin({ name: 'feed', url: 'http://example.test' });
+        const { lines, skipped } = await stage(plugin, [
+            '# header comment',
+            '; another',
+            '10.0.0.0/30 ; SBL1',
+            '10.0.1.1 # note',
+            '10.0.2.1-10.0.2.5',
+            '2001:db8::/126',
+            'not-an-ip',
+            ''
+        ].join('\n'));
+
+        expect(lines).toEqual([
+            `167772160|167772163|${meta}\n`,
+            `167772417|167772417|${meta}\n`,
+            `167772673|167772677|${meta}\n`,
+            `2001:db8::|2001:db8::3|${meta}\n`
+        ]);
+        expect(skipped).toBe(1);
+    });
+
+    test('should map CSV columns by header name', async () => {
+        const plugin = new RemoteListPlugin({
+            name: 'feed',
+            url: 'http://example.test',
+            format: 'csv',
+            csv: { header: true, columns: { start: 'first', end: 'last' } },
+            meta: { type: 'list', name: 'custom', source: 'inhouse' }
+        });
+        const { lines } = await stage(plugin, '# exported\nfirst,last,note\n10.0.0.1,10.0.0.2,a\n10.0.0.9,,b\n');
+
+        expect(lines).toEqual([
+            '167772161|167772162|{"type":"list","name":"custom","source":"inhouse"}\n',
+            '167772169|167772169|{"type":"list","name":"custom","source":"inhouse"}\n'
+        ]);
+    });
+
+    test('should select JSON values with a path expression', async () => {
+        const data = { prefixes: [{ cidr: '10.0.0.0/31' }, { cidr: '10.0.0.8/31' }], other: { a: ['x'] } };
+        expect(resolveJsonPath(data, 'prefixes[*].cidr')).toEqual(['10.0.0.0/31', '10.0.0.8/31']);
+        expect(resolveJsonPath(data, 'prefixes.1.cidr')).toEqual(['10.0.0.8/31']);
+        expect(resolveJsonPath(data, 'other.*')).toEqual(['x']);
+
+        const plugin = new RemoteListPlugin({ name: 'feed', url: 'http://example.test', format: 'json', jsonPath: 'prefixes[*].cidr' });
+        expect((await stage(plugin, JSON.stringify(data))).lines).toHaveLength(2);
+    });
+
+    test('should reject invalid format options', () => {
+        expect(() => new RemoteListPlugin({ name: 'feed', format: 'xml' })).toThrow('Unsupported format');
+        expect(() => new RemoteListPlugin({ name: 'feed', format: 'json' })).toThrow('jsonPath is required');
+    });
+
+    test('should download and stage a feed', async () => {
+        const server = http.createServer((req, res) => res.end('192.0.2.0/31\n'));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const outputFile = path.join(tmpDir, 'feed.data.txt');
+
+        try {
+            const plugin = new RemoteListPlugin({
+                name: 'feed',
+                url: `http://127.0.0.1:${server.address().port}/list.netset`,
+                outputFile
+            });
+            await expect(plugin.load()).resolves.toBe('feed');
+            expect(fs.readFileSync(outputFile, 'utf8')).toBe(`3221225984|3221225985|${meta}\n`);
+            await expect(plugin.validate()).resolves.toBe(true);
+            // The downloaded feed is removed once staged
+            expect(fs.readdirSync(tmpDir)).toEqual(['feed.data.txt']);
+        } finally {
+            server.close();
+        }
+    });
+});
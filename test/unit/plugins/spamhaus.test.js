@@ -0,0 +1,61 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const SpamhausPlugin = require('../../../plugins/spamhaus');
+
+describe('Spamhaus plugin', () => {
+    let server;
+    let baseUrl;
+    let tmpDir;
+    let bodies;
+
+    beforeEach(async () => {
+        bodies = {
+            '/drop.txt': '; Spamhaus DROP List\n192.0.2.0/30 ; SBL1\n',
+            '/edrop.txt': '198.51.100.7 ; SBL2\r\n'
+        };
+        server = http.createServer((req, res) => {
+            if (!(req.url in bodies)) {
+                res.statusCode = 500;
+            }
+            res.end(bodies[req.url]);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spamhaus-'));
+    });
+
+    afterEach(() => {
+        server.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should stage every list from its downloaded file and remove the downloads', async () => {
+        const outputFile = path.join(tmpDir, 'spamhaus.data.txt');
+        const plugin = new SpamhausPlugin({ outputFile, listArray: Object.keys(bodies).map(file => baseUrl + file) });
+        await plugin.init();
+
+        expect(await plugin.load()).toBe('spamhaus');
+
+        expect(fs.readFileSync(outputFile, 'utf8').split('\n').filter(Boolean)).toEqual([
+            '3221225985|3221225986|{"type":"list","name":"drop","source":"spamhaus"}',
+            '3325256711|3325256711|{"type":"list","name":"edrop","source":"spamhaus"}'
+        ]);
+        expect(fs.readdirSync(tmpDir)).toEqual(['spamhaus.data.txt']);
+    });
+
+    test('should keep the previous output when a list fails to download', async () => {
+        const outputFile = path.join(tmpDir, 'spamhaus.data.txt');
+        fs.writeFileSync(outputFile, 'previous\n');
+        const plugin = new SpamhausPlugin({ outputFile, listArray: [`${baseUrl}/drop.txt`, `${baseUrl}/missing.txt`] });
+        await plugin.init();
+
+        await expect(plugin.load()).rejects.toThrow('spamhaus failure');
+
+        expect(fs.readFileSync(outputFile, 'utf8')).toBe('previous\n');
+        expect(fs.readdirSync(tmpDir)).toEqual(['spamhaus.data.txt']);
+    });
+});
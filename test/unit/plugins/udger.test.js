@@ -0,0 +1,106 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const UdgerPlugin = require('../../../plugins/udger');
+
+/**
+ * Create a small Udger database
+ */
+function createDatabase(file) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(file);
+        db.exec(`
+            CREATE TABLE udger_datacenter_list (id INTEGER PRIMARY KEY, name TEXT);
+            CREATE TABLE udger_datacenter_range (datacenter_id INTEGER, iplong_from INTEGER, iplong_to INTEGER);
+            CREATE TABLE udger_ip_class (id INTEGER PRIMARY KEY, ip_classification_code TEXT);
+            CREATE TABLE udger_ip_list (ip TEXT, class_id INTEGER, ip_country_code TEXT, ip_city TEXT);
+            INSERT INTO udger_datacenter_list VALUES (1, 'Hosting | Example');
+            INSERT INTO udger_datacenter_range VALUES (1, 167772160, 167772415);
+            INSERT INTO udger_ip_class VALUES (1, 'crawler');
+            INSERT INTO udger_ip_list VALUES ('192.0.2.1', 1, 'NL', 'Amsterdam');
+            INSERT INTO udger_ip_list VALUES ('2001:db8::1', 1, 'US', NULL);
+            INSERT INTO udger_ip_list VALUES ('not an ip', 1, 'US', NULL);
+        `, error => db.close(() => (error ? reject(error) : resolve())));
+    });
+}
+
+describe('UdgerPlugin', () => {
+    let tmpDir;
+    let fixture;
+    let outputFile;
+
+    beforeEach(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'udger-'));
+        fixture = path.join(tmpDir, 'fixture.dat');
+        outputFile = path.join(tmpDir, 'udger.data.txt');
+        await createDatabase(fixture);
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Plugin whose download copies the fixture database
+     */
+    function downloading(options = {}) {
+        const plugin = new UdgerPlugin({ outputFile, apiKey: 'key', databaseFile: path.join(tmpDir, 'udgerdb_v3.dat'), ...options });
+        jest.spyOn(plugin, 'fetchSource').mockImplementation(async (url, { file }) => {
+            fs.copyFileSync(fixture, file);
+            return { outcome: 'changed', changed: true };
+        });
+        return plugin;
+    }
+
+    test('should stage datacenter ranges and classified IPs from an existing database', async () => {
+        const plugin = new UdgerPlugin({ name: 'udger_stale', outputFile, databaseFile: fixture, reuseDatabase: true });
+
+        await expect(plugin.load()).resolves.toBe('udger_stale');
+
+        expect(fs.readFileSync(outputFile, 'utf8').split('\n').filter(Boolean)).toEqual([
+            '167772160|167772415|~{"type":"list","source":"udger","name":"datacenter","meta":{"datacenter_name":"Hosting | Example"}}~',
+            '3221225985|3221225985|{"type":"geo","country":"NL","city":"Amsterdam","source":"udger"}',
+            '3221225985|3221225985|{"type":"list","source":"udger","name":"crawler"}',
+            '2001:db8::1|2001:db8::1|{"type":"geo","country":"US","city":null,"source":"udger"}',
+            '2001:db8::1|2001:db8::1|{"type":"list","source":"udger","name":"crawler"}'
+        ]);
+        expect(fs.existsSync(fixture)).toBe(true);
+        expect(await plugin.validate()).toBe(true);
+    });
+
+    test('should fail when the database to reuse is missing', async () => {
+        const plugin = new UdgerPlugin({ outputFile, databaseFile: path.join(tmpDir, 'missing.dat'), reuseDatabase: true });
+
+        await expect(plugin.load()).rejects.toThrow(/database .*missing\.dat not found/);
+        expect(fs.existsSync(outputFile)).toBe(false);
+    });
+
+    test('should delete the downloaded database after staging it', async () => {
+        const plugin = downloading();
+
+        await plugin.load();
+
+        expect(plugin.fetchSource).toHaveBeenCalledWith('http://data.udger.com/key/udgerdb_v3.dat', expect.objectContaining({ id: 'udgerdb_v3.dat' }));
+        expect(fs.readFileSync(outputFile, 'utf8').split('\n').filter(Boolean)).toHaveLength(5);
+        expect(fs.readdirSync(tmpDir).sort()).toEqual(['fixture.dat', 'udger.data.txt']);
+    });
+
+    test('should keep the downloaded database when asked to', async () => {
+        await downloading({ keepDatabase: true }).load();
+
+        expect(fs.existsSync(path.join(tmpDir, 'udgerdb_v3.dat'))).toBe(true);
+    });
+
+    test('should keep the previous output when the database is unchanged', async () => {
+        fs.writeFileSync(outputFile, 'previous\n');
+        const plugin = new UdgerPlugin({ outputFile, apiKey: 'key', databaseFile: path.join(tmpDir, 'udgerdb_v3.dat') });
+        jest.spyOn(plugin, 'fetchSource').mockResolvedValue({ outcome: 'not_modified', changed: false });
+
+        await plugin.load();
+
+        expect(fs.readFileSync(outputFile, 'utf8')).toBe('previous\n');
+    });
+});
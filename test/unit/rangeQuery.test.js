@@ -0,0 +1,91 @@
+'use strict';
+
+const { parseRangeQuery, queryRange } = require('../../rangeQuery');
+const { applyAllowlist } = require('../../allowlist');
+const { toMemberships } = require('../../customLists');
+
+describe('rangeQuery', () => {
+    test('should parse CIDR, start-end pair and single IP', () => {
+        expect(parseRangeQuery('10.0.0.0/24')).toEqual({ version: 4, start: 167772160, end: 167772415 });
+        expect(parseRangeQuery('10.0.0.1-10.0.0.2')).toEqual({ version: 4, start: 167772161, end: 167772162 });
+        expect(parseRangeQuery('10.0.0.1')).toEqual({ version: 4, start: 167772161, end: 167772161 });
+        expect(parseRangeQuery('2001:db8::/126').version).toBe(6);
+    });
+
+    test('should reject invalid ranges', () => {
+        expect(parseRangeQuery('10.0.0.0/33')).toBeNull();
+        expect(parseRangeQuery('10.0.0.2-10.0.0.1')).toBeNull();
+        expect(parseRangeQuery('10.0.0.1-2001:db8::1')).toBeNull();
+        expect(parseRangeQuery('')).toBeNull();
+    });
+
+    test('should clip segments and summarise listed addresses', async () => {
+        const redis = {
+            zrangebyscore: jest.fn()
+                .mockResolvedValueOnce([
+                    '167772150|167772169|{"list":[{"name":"a","source":"firehol"}]}',
+                    '167772170|167772200|{"geo":[{"country":"ES","source":"maxmind_lite"}]}'
+                ])
+                .mockResolvedValueOnce([
+                    '167772201|167772500|{"list":[{"name":"b","source":"spamhaus"}]}'
+                ])
+        };
+
+        const result = await queryRange(redis, 'p:', { version: 4, start: 167772160, end: 167772415 });
+
+        expect(result.size).toBe(256);
+        expect(result.segments.map(s => [s.start, s.end, s.size])).toEqual([
+            ['10.0.0.0', '10.0.0.9', 10],
+            ['10.0.0.10', '10.0.0.40', 31],
+            ['10.0.0.41', '10.0.0.255', 215]
+        ]);
+        expect(result.summary.listed).toBe(225);
+        expect(result.summary.sources).toEqual({ firehol: 10, spamhaus: 215 });
+        expect(result.truncated).toBe(false);
+    });
+
+    test('should flag truncated results', async () => {
+        const redis = {
+            zrangebyscore: jest.fn()
+                .mockResolvedValueOnce([
+                    '167772160|167772160|{"list":[{"name":"a","source":"t"}]}',
+                    '167772161|167772161|{"list":[{"name":"b","source":"t"}]}'
+                ])
+                .mockResolvedValueOnce([])
+        };
+
+        const result = await queryRange(redis, 'p:', { version: 4, start: 167772160, end: 167772415 }, { limit: 1 });
+
+        expect(result.segments).toHaveLength(1);
+        expect(result.truncated).toBe(true);
+    });
+
+    test('should apply custom list entries and allowlist overrides to segments', async () => {
+        const redis = {
+            zrangebyscore: jest.fn()
+                .mockResolvedValueOnce(['167772160|167772169|{"list":[{"name":"a","source":"firehol"}]}'])
+                .mockResolvedValueOnce([])
+        };
+        const custom = [{ list: 'blocked', version: 4, start: 167772168, end: 167772179 }];
+        const allowed = [{ entry: '10.0.0.0/30', reason: 'partner', owner: 'sre', origin: 'api', version: 4, start: 167772160, end: 167772163 }];
+        const overrides = {
+            entries: [...custom, ...allowed],
+            apply(data, covering) {
+                data.list = data.list.concat(toMemberships(custom.filter(entry => covering.includes(entry))));
+                return applyAllowlist(data, allowed.filter(entry => covering.includes(entry)), 'remove');
+            }
+        };
+
+        const result = await queryRange(redis, 'p:', { version: 4, start: 167772160, end: 167772415 }, { overrides });
+
+        expect(result.segments.map(s => [s.start, s.end, s.list.map(l => l.name)])).toEqual([
+            ['10.0.0.0', '10.0.0.3', []],
+            ['10.0.0.4', '10.0.0.7', ['a']],
+            ['10.0.0.8', '10.0.0.9', ['a', 'blocked']],
+            ['10.0.0.10', '10.0.0.19', ['blocked']]
+        ]);
+        expect(result.segments[0].overrides).toMatchObject([{ entry: '10.0.0.0/30', suppressed: ['a'] }]);
+        expect(result.summary.lists).toEqual({ a: 6, blocked: 12 });
+        expect(result.summary.sources).toEqual({ firehol: 6, custom: 12 });
+    });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const { MockRedis } = require('../helpers/mocks');
+const { RedisRateLimitStore, MemoryRateLimitStore, createRateLimitStore } = require('../../rateLimitStore');
+
+/**
+ * Mock Redis whose `eval` counts hits like the increment script
+ */
+function createRedis() {
+    MockRedis.reset();
+    const redis = new MockRedis();
+    jest.spyOn(redis, 'eval').mockImplementation(async (script, numKeys, key, windowMs) => [await redis.incr(key), Number(windowMs)]);
+    return redis;
+}
+
+describe('Rate limit stores', () => {
+    describe('RedisRateLimitStore', () => {
+        test('should count hits per key under the store namespace', async () => {
+            const redis = createRedis();
+            const store = new RedisRateLimitStore({ getRedis: () => redis, getRedisPrefix: () => 'p:', name: 'http' });
+            store.init({ windowMs: 30000 });
+
+            await store.increment('ip:10.0.0.1');
+            const { totalHits, resetTime } = await store.increment('ip:10.0.0.1');
+
+            expect(totalHits).toBe(2);
+            expect(resetTime.getTime()).toBeGreaterThan(Date.now() + 25000);
+            expect(redis.eval).toHaveBeenCalledWith(expect.any(String), 1, 'p:ratelimit:http:ip:10.0.0.1', 30000);
+            expect(store.localKeys).toBe(false);
+        });
+
+        test('should decrement and reset counters', async () => {
+            const redis = createRedis();
+            const store = new RedisRateLimitStore({ getRedis: () => redis, getRedisPrefix: () => 'p:', name: 'ws' });
+
+            await store.increment('ip:10.0.0.1');
+            await store.increment('ip:10.0.0.1');
+            await store.decrement('ip:10.0.0.1');
+            expect(await redis.get('p:ratelimit:ws:ip:10.0.0.1')).toBe('1');
+
+            await store.resetKey('ip:10.0.0.1');
+            expect(await redis.exists('p:ratelimit:ws:ip:10.0.0.1')).toBe(0);
+        });
+
+        test('should pass Redis errors to the caller', async () => {
+            const redis = createRedis();
+            redis.eval.mockRejectedValue(new Error('connection lost'));
+            const store = new RedisRateLimitStore({ getRedis: () => redis, getRedisPrefix: () => 'p:', name: 'http' });
+
+            await expect(store.increment('ip:10.0.0.1')).rejects.toThrow('connection lost');
+        });
+    });
+
+    describe('MemoryRateLimitStore', () => {
+        test('should start a new window once the previous one ends', async () => {
+            const store = new MemoryRateLimitStore({ windowMs: 1000 });
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+            try {
+                await store.increment('a');
+                expect((await store.increment('a')).totalHits).toBe(2);
+                expect((await store.increment('b')).totalHits).toBe(1);
+
+                now.mockReturnValue(1001000);
+                expect((await store.increment('a')).totalHits).toBe(1);
+
+                now.mockReturnValue(1002000);
+                store._cleanup();
+                expect(store.hits.size).toBe(0);
+            } finally {
+                now.mockRestore();
+                store.stop();
+            }
+        });
+    });
+
+    test('should create the configured store type', () => {
+        const memory = createRateLimitStore({ type: 'memory', name: 'http', windowMs: 1000 });
+        expect(memory).toBeInstanceOf(MemoryRateLimitStore);
+        memory.stop();
+
+        expect(createRateLimitStore({ type: 'redis', name: 'http', windowMs: 1000 })).toBeInstanceOf(RedisRateLimitStore);
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const { MockRedis } = require('../helpers/mocks');
+const { RedisMirror } = require('../../redisMirror');
+
+/**
+ * Mirror of the counter under p:things
+ */
+class CounterMirror extends RedisMirror {
+    constructor(options) {
+        super({ ...options, name: 'things' });
+        this.value = null;
+    }
+
+    get channel() {
+        return this.redisPrefix + 'things';
+    }
+
+    async refresh() {
+        this.value = await this.redis.get(this.channel);
+    }
+}
+
+describe('RedisMirror', () => {
+    let mirror;
+    let redis;
+
+    beforeEach(() => {
+        MockRedis.reset();
+        redis = new MockRedis();
+        jest.spyOn(redis, 'publish');
+        jest.spyOn(redis, 'get');
+    });
+
+    afterEach(() => {
+        if (mirror) mirror.stop();
+        mirror = null;
+    });
+
+    test('should load on start and reload on messages for its channel', async () => {
+        mirror = new CounterMirror({ redis, redisPrefix: 'p:' });
+        await mirror.ready();
+
+        const [subscriber] = redis.duplicates;
+        expect([...subscriber.channels]).toEqual(['p:things']);
+        expect(mirror.value).toBeNull();
+
+        await redis.incr('p:things');
+        subscriber.emit('message', 'p:other', '1');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(mirror.value).toBeNull();
+
+        await redis.publish('p:things', '1');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(mirror.value).toBe('1');
+    });
+
+    test('should bump, publish and reload on a local change', async () => {
+        mirror = new CounterMirror({ redis, redisPrefix: 'p:' });
+        await mirror.ready();
+
+        await mirror._changed();
+
+        expect(redis.publish).toHaveBeenCalledWith('p:things', '1');
+        expect(mirror.value).toBe('1');
+    });
+
+    test('should stop polling and close the subscriber', async () => {
+        mirror = new CounterMirror({ redis, redisPrefix: 'p:', refreshMs: 10 });
+        await mirror.ready();
+
+        const disconnect = jest.spyOn(redis.duplicates[0], 'disconnect');
+        mirror.stop();
+        const calls = redis.get.mock.calls.length;
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        expect(disconnect).toHaveBeenCalled();
+        expect(redis.get.mock.calls.length).toBe(calls);
+        mirror = null;
+    });
+});
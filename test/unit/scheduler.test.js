@@ -0,0 +1,108 @@
+'use strict';
+
+const { createPluginScheduler } = require('../../scheduler');
+
+/**
+ * Wait for timers and queued jobs
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until a condition holds
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+    const start = Date.now();
+    while (!condition() && Date.now() - start < timeoutMs) {
+        await sleep(10);
+    }
+}
+
+describe('Plugin scheduler', () => {
+    let scheduler;
+    let calls;
+
+    /**
+     * Scheduler with a recording startUpdate
+     */
+    function create(startUpdate, options = {}) {
+        calls = [];
+        scheduler = createPluginScheduler({
+            plugins: [
+                { name: 'firehol', schedule: '0 * * * *', jitter: 0, load: async () => {} },
+                { name: 'aws', schedule: '0 3 * * *', jitter: 0, load: async () => {} },
+                { name: 'spamhaus', load: async () => {} }
+            ],
+            redisPrefix: 'p:',
+            rebuildDelayMs: 30,
+            retryMs: 20,
+            startUpdate: async (job) => {
+                calls.push(job);
+                return startUpdate(job);
+            },
+            ...options
+        });
+        scheduler.start();
+        return scheduler;
+    }
+
+    afterEach(() => {
+        scheduler.stop();
+    });
+
+    test('should download due plugins one at a time and coalesce the rebuild', async () => {
+        create(async () => ({ jobId: 'j', done: sleep(5) }));
+
+        scheduler.due({ name: 'firehol', jitter: 0 });
+        scheduler.due({ name: 'aws', jitter: 0 });
+        await waitFor(() => calls.length === 3);
+        await sleep(50);
+
+        expect(calls.map(c => [c.download, c.plugins && c.plugins.map(p => p.name), c.process, c.load])).toEqual([
+            [undefined, ['firehol'], false, false],
+            [undefined, ['aws'], false, false],
+            [false, undefined, undefined, undefined]
+        ]);
+        expect(calls[0].plugins[0].abortOnFail).toBe(true);
+        expect(calls.every(c => c.trigger === 'schedule')).toBe(true);
+        expect(scheduler.pending()).toEqual({ downloads: [], rebuild: false });
+    });
+
+    test('should retry while another update holds the lock', async () => {
+        let locked = 2;
+        create(async () => {
+            if (locked-- > 0) {
+                throw Object.assign(new Error('Update already in progress'), { code: 'LOCKED' });
+            }
+            return { jobId: 'j', done: Promise.resolve() };
+        });
+
+        scheduler.due({ name: 'firehol', jitter: 0 });
+        await waitFor(() => calls.length === 4);
+        await sleep(50);
+
+        // Two refused attempts, the download, then the rebuild
+        expect(calls).toHaveLength(4);
+        expect(calls[3].download).toBe(false);
+    });
+
+    test('should not rebuild after a failed download', async () => {
+        create(async () => ({ jobId: 'j', done: Promise.reject(new Error('404')) }));
+
+        scheduler.due({ name: 'firehol', jitter: 0 });
+        await sleep(80);
+
+        expect(calls).toHaveLength(1);
+        expect(scheduler.pending()).toEqual({ downloads: [], rebuild: false });
+    });
+
+    test('should delay each run by up to the plugin jitter', async () => {
+        create(async () => ({ jobId: 'j', done: Promise.resolve() }), { random: () => 0.5, rebuildDelayMs: 10000 });
+
+        scheduler.due({ name: 'firehol', jitter: 0.1 });
+        await sleep(20);
+        expect(calls).toHaveLength(0);
+
+        await waitFor(() => calls.length === 1);
+        expect(calls).toHaveLength(1);
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scoring = require('../../scoring');
+
+describe('Scoring', () => {
+    const weights = scoring.loadWeights();
+    const score = scoring.createScorer(weights);
+
+    test('should load default weights when file is missing', () => {
+        const loaded = scoring.loadWeights(path.join(os.tmpdir(), 'does-not-exist.json'));
+
+        expect(loaded.thresholds).toEqual(scoring.DEFAULT_WEIGHTS.thresholds);
+    });
+
+    test('should prefer list weight over source weight', () => {
+        const result = score({ list: [{ name: 'firehol_level1', source: 'firehol' }] });
+
+        expect(result.score).toBe(80);
+        expect(result.verdict).toBe('deny');
+        expect(result.contributions).toEqual([
+            { type: 'list', name: 'firehol_level1', source: 'firehol', weight: 80 }
+        ]);
+    });
+
+    test('should fall back to source weight and default weight', () => {
+        const result = score({
+            list: [
+                { name: 'dronebl_type_8', source: 'dronebl' },
+                { name: 'unknown_list', source: 'unknown' }
+            ]
+        });
+
+        expect(result.score).toBe(50);
+        expect(result.verdict).toBe('review');
+    });
+
+    test('should apply cloud and cdn modifiers and clamp the score', () => {
+        const cdn = score({ list: [{ name: 'firehol_level4', source: 'firehol' }], cdn: [{ provider: 'fastly', source: 'fastly' }] });
+        const cloud = score({ cloud: [{ provider: 'aws', source: 'aws' }] });
+
+        expect(cdn.score).toBe(0);
+        expect(cdn.contributions).toContainEqual({ type: 'cdn', provider: 'fastly', weight: -20 });
+        expect(cloud.score).toBe(10);
+        expect(cloud.verdict).toBe('allow');
+    });
+
+    test('should not score memberships overridden by the allowlist', () => {
+        const result = score({
+            list: [
+                { name: 'firehol_level4', source: 'firehol', override: { entry: '192.0.2.0/24', reason: 'partner', owner: 'net' } },
+                { name: 'firehol_level3', source: 'firehol' }
+            ]
+        });
+
+        expect(result.score).toBe(40);
+        expect(result.contributions).toHaveLength(1);
+    });
+
+    test('should score empty results as allow', () => {
+        expect(score(null)).toEqual({ score: 0, verdict: 'allow', contributions: [] });
+    });
+
+    test('should reject invalid weights file', () => {
+        const file = path.join(os.tmpdir(), `scoring-${process.pid}.json`);
+        fs.writeFileSync(file, JSON.stringify({ thresholds: { review: 80, deny: 10 } }));
+
+        try {
+            expect(() => scoring.loadWeights(file)).toThrow('Scoring configuration error');
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+});
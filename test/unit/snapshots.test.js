@@ -0,0 +1,85 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { snapshotId, SnapshotArchive } = require('../../snapshots');
+
+/**
+ * SHA-256 of a string
+ */
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+describe('Snapshots', () => {
+    let tmpDir;
+    let archive;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+        archive = new SnapshotArchive({ dir: tmpDir, plugin: 'firehol', retentionDays: 30 });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Write a manifest dated `daysAgo` days back
+     */
+    function manifest(daysAgo, sources) {
+        const createdAt = new Date(Date.now() - daysAgo * 86400000);
+        const id = snapshotId(createdAt);
+        fs.mkdirSync(archive.dir, { recursive: true });
+        fs.writeFileSync(path.join(archive.dir, `${id}.json`), JSON.stringify({
+            id, plugin: 'firehol', createdAt: createdAt.toISOString(), sources
+        }));
+        return id;
+    }
+
+    test('should make file name safe ids', () => {
+        expect(snapshotId(new Date('2024-05-06T07:08:09.010Z'))).toBe('2024-05-06T07-08-09.010Z');
+    });
+
+    test('should store each body once and record runs', () => {
+        archive.storeBlob(sha256('a'), { body: Buffer.from('a') });
+        const file = path.join(tmpDir, 'download.zip');
+        fs.writeFileSync(file, 'b');
+        archive.storeBlob(sha256('b'), { file });
+        archive.storeBlob(sha256('a'), { body: Buffer.from('changed') });
+
+        expect(fs.readFileSync(archive.blobPath(sha256('a')), 'utf8')).toBe('a');
+        expect(fs.readFileSync(archive.blobPath(sha256('b')), 'utf8')).toBe('b');
+
+        const written = archive.writeManifest({ level1: { hash: sha256('a'), outcome: 'changed' } });
+        expect(archive.list()).toEqual([written.id]);
+        expect(archive.readManifest('latest')).toEqual(written);
+    });
+
+    test('should select the newest snapshot matching a date prefix', () => {
+        const older = manifest(3, {});
+        const newer = manifest(2, {});
+        manifest(1, {});
+
+        expect(archive.readManifest(older.slice(0, 10)).id).toBe(older);
+        expect(archive.readManifest(newer).id).toBe(newer);
+        expect(archive.readManifest('1999-01-01')).toBeNull();
+    });
+
+    test('should prune expired runs and unreferenced bodies but keep the newest run', () => {
+        for (const body of ['old', 'shared', 'new']) {
+            archive.storeBlob(sha256(body), { body: Buffer.from(body) });
+        }
+        manifest(40, { a: { hash: sha256('old') }, b: { hash: sha256('shared') } });
+        const kept = manifest(1, { b: { hash: sha256('shared') }, c: { hash: sha256('new') } });
+
+        expect(archive.prune()).toEqual({ manifests: 1, blobs: 1 });
+        expect(archive.list()).toEqual([kept]);
+        expect(archive.hasBlob(sha256('old'))).toBe(false);
+        expect(archive.hasBlob(sha256('shared'))).toBe(true);
+
+        // The only run left is kept however old it is
+        const alone = new SnapshotArchive({ dir: tmpDir, plugin: 'firehol', retentionDays: 0.00001 });
+        expect(alone.prune()).toEqual({ manifests: 0, blobs: 0 });
+    });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkRow, validateStagingFile } = require('../../stagingValidation');
+
+const LIST = '{"type":"list","name":"level1","source":"firehol"}';
+const GEO = '{"type":"geo","country":"NL","source":"maxmind_lite"}';
+
+describe('Staging validation', () => {
+    let tmpDir;
+    let quarantineDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'staging-'));
+        quarantineDir = path.join(tmpDir, 'quarantine');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should accept valid IPv4 and IPv6 rows', () => {
+        expect(checkRow(`167772160|167772415|${LIST}`)).toBeNull();
+        expect(checkRow(`2001:db8::|2001:db8::ffff|${GEO}`)).toBeNull();
+        expect(checkRow('1|2|~{"type":"geo","source":"a|b"}~')).toBeNull();
+    });
+
+    test('should name what is wrong with a row', () => {
+        expect(checkRow('167772160')).toBe('malformed');
+        expect(checkRow(`10.0.0.0|10.0.0.255|${LIST}`)).toBe('invalid_bound');
+        expect(checkRow(`4294967296|4294967296|${LIST}`)).toBe('invalid_bound');
+        expect(checkRow(`1|2001:db8::|${LIST}`)).toBe('mixed_family');
+        expect(checkRow(`2|1|${LIST}`)).toBe('start_after_end');
+        expect(checkRow('1|2|{"type":"list"')).toBe('invalid_json');
+        expect(checkRow('1|2|{"type":"geo","source":"a|b"}')).toBe('unquoted_delimiter');
+        expect(checkRow('1|2|{"source":"firehol"}')).toBe('missing_type');
+        expect(checkRow('1|2|{"type":"geo"}')).toBe('missing_source');
+        expect(checkRow('1|2|{"type":"list","source":"firehol"}')).toBe('missing_name');
+    });
+
+    test('should limit range sizes per family', () => {
+        const limits = { ipv4: 16, ipv6: 48 };
+
+        expect(checkRow(`0|65535|${LIST}`, limits)).toBeNull();
+        expect(checkRow(`0|65536|${LIST}`, limits)).toBe('range_too_large');
+        expect(checkRow(`2001:db8::|2001:db8:0:ffff:ffff:ffff:ffff:ffff|${GEO}`, limits)).toBeNull();
+        expect(checkRow(`2001:db8::|2001:db8:1::|${GEO}`, limits)).toBe('range_too_large');
+    });
+
+    test('should quarantine invalid rows and keep the valid ones', async () => {
+        const file = path.join(tmpDir, 'firehol.data.txt');
+        const valid = Array.from({ length: 99 }, (_, i) => `${i * 2}|${i * 2 + 1}|${LIST}`);
+        fs.writeFileSync(file, [...valid.slice(0, 50), `9|8|${LIST}`, ...valid.slice(50), ''].join('\n'));
+
+        const report = await validateStagingFile(file, { plugin: 'firehol', quarantineDir, maxErrorRate: 0.01 });
+
+        expect(report).toMatchObject({ rows: 100, rejected: 1, errorRate: 0.01, passed: true, reasons: { start_after_end: 1 } });
+        expect(fs.readFileSync(file, 'utf8')).toBe(valid.join('\n') + '\n');
+        expect(fs.readFileSync(path.join(quarantineDir, 'firehol.rows.jsonl'), 'utf8'))
+            .toBe(JSON.stringify({ line: 51, reason: 'start_after_end', row: `9|8|${LIST}` }) + '\n');
+        expect(JSON.parse(fs.readFileSync(path.join(quarantineDir, 'firehol.report.json'), 'utf8')).passed).toBe(true);
+        expect(fs.readdirSync(tmpDir).sort()).toEqual(['.firehol.data.txt.accepted', 'firehol.data.txt', 'quarantine']);
+        expect(fs.readFileSync(path.join(tmpDir, '.firehol.data.txt.accepted'), 'utf8')).toBe(valid.join('\n') + '\n');
+    });
+
+    test('should reject the whole output above the error rate', async () => {
+        const file = path.join(tmpDir, 'aws.data.txt');
+        fs.writeFileSync(file, `1|2|${GEO}\nbroken\n`);
+
+        const report = await validateStagingFile(file, { plugin: 'aws', quarantineDir, maxErrorRate: 0.1 });
+
+        expect(report).toMatchObject({ rows: 2, rejected: 1, errorRate: 0.5, passed: false, kept: null });
+        expect(fs.existsSync(file)).toBe(false);
+        expect(fs.readFileSync(path.join(tmpDir, '.aws.data.txt.rejected'), 'utf8')).toBe(`1|2|${GEO}\nbroken\n`);
+    });
+
+    test('should put the last accepted output back when the output is rejected', async () => {
+        const file = path.join(tmpDir, 'aws.data.txt');
+        fs.writeFileSync(file, `1|2|${GEO}\n`);
+        await validateStagingFile(file, { plugin: 'aws', quarantineDir, maxErrorRate: 0.1 });
+        fs.writeFileSync(file, `3|4|${GEO}\nbroken\n`);
+
+        const report = await validateStagingFile(file, { plugin: 'aws', quarantineDir, maxErrorRate: 0.1 });
+
+        expect(report).toMatchObject({ passed: false, kept: 'previous' });
+        expect(fs.readFileSync(file, 'utf8')).toBe(`1|2|${GEO}\n`);
+        expect(fs.readFileSync(path.join(tmpDir, '.aws.data.txt.rejected'), 'utf8')).toBe(`3|4|${GEO}\nbroken\n`);
+    });
+
+    test('should quarantine more rows than the write buffer holds', async () => {
+        const file = path.join(tmpDir, 'remote.data.txt');
+        const rows = Array.from({ length: 5000 }, (_, i) => `${i}|${i}|{"type":"list","source":"remote"}`);
+        fs.writeFileSync(file, rows.join('\n') + '\n');
+
+        const report = await validateStagingFile(file, { plugin: 'remote', quarantineDir, maxErrorRate: 1 });
+
+        expect(report).toMatchObject({ rows: 5000, rejected: 5000, passed: true, reasons: { missing_name: 5000 } });
+        const quarantined = fs.readFileSync(path.join(quarantineDir, 'remote.rows.jsonl'), 'utf8').trim().split('\n');
+        expect(quarantined).toHaveLength(5000);
+        expect(JSON.parse(quarantined[4999])).toEqual({ line: 5000, reason: 'missing_name', row: rows[4999] });
+    });
+});
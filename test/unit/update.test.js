@@ -0,0 +1,153 @@
+'use strict';
+
+const { MockRedis } = require('../helpers/mocks');
+
+// Mock ioredis
+jest.mock('ioredis', () => {
+    return jest.fn().mockImplementation(() => {
+        return new MockRedis();
+    });
+});
+
+const update = require('../../update');
+const updateLock = require('../../updateLock');
+
+const redis = new MockRedis();
+
+/**
+ * Plugin wrapper stand-in
+ */
+function plugin(name, load, abortOnFail = false) {
+    return { name, abortOnFail, load };
+}
+
+describe('Update', () => {
+    beforeEach(() => {
+        MockRedis.reset();
+        redis.data = MockRedis.sharedData;
+    });
+
+    afterAll(() => {
+        MockRedis.reset();
+    });
+
+    describe('validateUpdateRequest', () => {
+        test('should default every stage to on', () => {
+            expect(update.validateUpdateRequest(undefined)).toEqual({
+                error: null,
+                value: { download: true, process: true, load: true }
+            });
+        });
+
+        test('should reject bad options', () => {
+            expect(update.validateUpdateRequest({ load: 'maybe' }).error).toMatch(/"load" must be a boolean/);
+            expect(update.validateUpdateRequest({ plugins: [] }).error).toMatch(/"plugins" must contain at least 1 items/);
+            expect(update.validateUpdateRequest({ download: false, plugins: ['firehol'] }).error).toBe('plugins requires download');
+        });
+    });
+
+    describe('selectPlugins', () => {
+        test('should make named plugins abort the update on failure', () => {
+            const plugins = update.selectPlugins(['spamhaus']);
+
+            expect(plugins.map(p => [p.name, p.abortOnFail])).toEqual([['spamhaus', true]]);
+        });
+
+        test('should reject unknown plugins', () => {
+            expect(() => update.selectPlugins(['nope'])).toThrow(expect.objectContaining({ code: 'INVALID_PLUGINS' }));
+        });
+    });
+
+    test('should record plugin progress under the job and release the lock', async () => {
+        const job = await update.startUpdate({
+            redisPrefix: 'p:',
+            process: false,
+            load: false,
+            plugins: [
+                plugin('good', async () => 'ok'),
+                plugin('flaky', async () => { throw new Error('timeout'); }),
+                { ...plugin('cached', async () => 'ok'), sourceReport: () => ({ unchanged: true, sources: { feed: 'not_modified' } }) }
+            ],
+            trigger: 'api',
+            requestedBy: 'ops'
+        });
+        await job.done;
+
+        const status = await update.getJob(redis, 'p:', job.jobId);
+        expect(status).toMatchObject({
+            status: 'completed',
+            jobId: job.jobId,
+            trigger: 'api',
+            requestedBy: 'ops',
+            options: { download: true, process: false, load: false, plugins: ['good', 'flaky', 'cached'] },
+            plugins: { good: 'success', flaky: 'failed', cached: 'unchanged' }
+        });
+        expect(JSON.parse(await redis.get('p:update_status')).jobId).toBe(job.jobId);
+        expect(await updateLock.isLocked('p:update_lock')).toBe(false);
+
+        const [flakyRun] = (await redis.lrange('p:plugin_runs:flaky', 0, -1)).map(raw => JSON.parse(raw));
+        expect(flakyRun).toMatchObject({ plugin: 'flaky', outcome: 'failed', error: 'timeout', jobId: job.jobId, trigger: 'api' });
+        expect(flakyRun.durationMs).toBeGreaterThanOrEqual(0);
+        expect(Object.keys(await redis.hgetall('p:plugin_last_success')).sort()).toEqual(['cached', 'good']);
+    });
+
+    test('should fail the job when an abortOnFail plugin fails', async () => {
+        const job = await update.startUpdate({
+            redisPrefix: 'p:',
+            process: false,
+            load: false,
+            plugins: [plugin('firehol', async () => { throw new Error('404'); }, true)]
+        });
+
+        await expect(job.done).rejects.toThrow('Abort: plugin [firehol]');
+        const status = await update.getJob(redis, 'p:', job.jobId);
+        expect(status.status).toBe('failed');
+        expect(status.error).toMatch(/abort process on fail/);
+        expect(await updateLock.isLocked('p:update_lock')).toBe(false);
+    });
+
+    test('should abort plugins that outlast the download timeout and wait for them to stop', async () => {
+        let stopped = false;
+        const slow = plugin('slow', ({ signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => setTimeout(() => {
+                stopped = true;
+                reject(signal.reason);
+            }, 20));
+        }));
+        const runs = [];
+
+        await expect(update.runPlugins([slow], { timeoutMs: 20, onRun: run => runs.push(run) }))
+            .rejects.toThrow('Download timeout exceeded');
+
+        expect(stopped).toBe(true);
+        expect(runs).toEqual([expect.objectContaining({ plugin: 'slow', outcome: 'failed', error: expect.stringMatching(/Download timeout exceeded/) })]);
+    });
+
+    test('should record plugins whose output was rejected and replaced as rejected', async () => {
+        const validation = { rows: 2, rejected: 2, errorRate: 1, passed: false, kept: 'previous', reasons: { malformed: 2 } };
+        const rejected = { ...plugin('bad', async () => 'bad'), stagingReport: () => validation };
+        const runs = [];
+
+        await update.runPlugins([rejected], { onRun: run => runs.push(run) });
+
+        expect(runs).toEqual([expect.objectContaining({ plugin: 'bad', outcome: 'rejected', validation })]);
+    });
+
+    test('should refuse to start while another update holds the lock', async () => {
+        let finish;
+        const running = await update.startUpdate({
+            redisPrefix: 'p:',
+            process: false,
+            load: false,
+            plugins: [plugin('slow', () => new Promise(resolve => { finish = resolve; }))]
+        });
+
+        await expect(update.startUpdate({ redisPrefix: 'p:', download: false })).rejects.toMatchObject({
+            code: 'LOCKED',
+            jobId: running.jobId
+        });
+
+        finish();
+        await running.done;
+    });
+});
@@ -0,0 +1,612 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const appConfig = require('./config');
+const logger = require('./logger').child({ module: 'update' });
+const updateLock = require('./updateLock');
+const ipRange = require('./ipRange');
+const metrics = require('./metrics');
+const Joi = require('joi');
+const { loadPluginConfig, buildPlugins } = require('./plugins');
+const pluginHealth = require('./pluginHealth');
+
+const STAGING_DIR = path.join(__dirname, 'staging');
+
+/**
+ * Statuses after which a job does not change anymore
+ */
+const FINAL_STATUSES = ['completed', 'failed', 'skipped'];
+
+/**
+ * How long job records are kept after their last change (seconds)
+ */
+const JOB_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * Redis key holding the status of the latest update
+ * @param {string} redisPrefix - Redis key prefix
+ * @returns {string} Key name
+ */
+function statusKey(redisPrefix) {
+    return redisPrefix + 'update_status';
+}
+
+/**
+ * Redis key holding the status of one update job
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {string} jobId - Job id
+ * @returns {string} Key name
+ */
+function jobKey(redisPrefix, jobId) {
+    return `${redisPrefix}update_job:${jobId}`;
+}
+
+/**
+ * Get Redis connection for status updates
+ * @returns {Redis} Redis instance
+ */
+function getStatusRedis() {
+    return new Redis({
+        host: appConfig.redis.host,
+        port: appConfig.redis.port,
+        family: appConfig.redis.family,
+        password: appConfig.redis.password,
+        db: appConfig.redis.db
+    });
+}
+
+/**
+ * Update status in Redis
+ * The status of a job is also kept under its own key so it can be read after
+ * later updates replace `update_status`.
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {string} status - Status value
+ * @param {Object} metadata - Additional metadata (including `jobId` for job updates)
+ * @returns {Promise<void>}
+ */
+async function updateStatus(redisPrefix, status, metadata = {}) {
+    try {
+        const redis = getStatusRedis();
+        const statusData = JSON.stringify({
+            status,
+            timestamp: new Date().toISOString(),
+            pid: process.pid,
+            ...metadata
+        });
+        await redis.set(statusKey(redisPrefix), statusData);
+        if (metadata.jobId) {
+            await redis.set(jobKey(redisPrefix, metadata.jobId), statusData, 'EX', JOB_TTL);
+        }
+        await redis.quit();
+    } catch (error) {
+        logger.warn({ error: error.message, status }, 'Failed to update status');
+    }
+}
+
+/**
+ * Read the status of an update job
+ * @param {Redis} redis - Redis connection
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object|null>} Job status, or null if unknown or expired
+ */
+async function getJob(redis, redisPrefix, jobId) {
+    const raw = await redis.get(jobKey(redisPrefix, jobId));
+    return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Store a plugin run record
+ * @param {string} redisPrefix - Redis key prefix
+ * @param {Object} run - Run record
+ * @returns {Promise<void>}
+ */
+async function recordPluginRun(redisPrefix, run) {
+    try {
+        const redis = getStatusRedis();
+        await pluginHealth.recordRun(redis, redisPrefix, run, appConfig.plugins.historySize);
+        await redis.quit();
+    } catch (error) {
+        logger.warn({ error: error.message, plugin: run.plugin }, 'Failed to record plugin run');
+    }
+}
+
+/**
+ * Validate CSV file before loading
+ * @param {string} file - CSV file path
+ * @returns {Promise<boolean>} True if valid
+ */
+async function validateCsvFile(file) {
+    try {
+        if (!fs.existsSync(file)) {
+            logger.error({ file }, 'CSV file does not exist');
+            return false;
+        }
+
+        const stats = fs.statSync(file);
+        if (stats.size === 0) {
+            logger.error({ file }, 'CSV file is empty');
+            return false;
+        }
+
+        // Check minimum expected size (header line)
+        if (stats.size < 20) {
+            logger.error({ file, size: stats.size }, 'CSV file too small');
+            return false;
+        }
+
+        // Read first few lines to validate format
+        const readline = require('readline');
+        const stream = fs.createReadStream(file, { encoding: 'utf8' });
+        const rl = readline.createInterface({ input: stream });
+
+        let lineCount = 0;
+        let headerFound = false;
+
+        for await (const line of rl) {
+            lineCount++;
+            if (lineCount === 1) {
+                // Check header
+                if (line.includes('start_int') && line.includes('end_int') && line.includes('list')) {
+                    headerFound = true;
+                }
+            } else if (lineCount <= 10) {
+                // Validate a few data lines
+                const parts = line.split('|');
+                if (parts.length !== 3) {
+                    logger.error({ file, line, lineCount }, 'Invalid CSV format');
+                    rl.close();
+                    return false;
+                }
+                // Check that first two parts are IPv4 integers or IPv6 addresses
+                if (!ipRange.parseBound(parts[0]) || !ipRange.parseBound(parts[1])) {
+                    logger.error({ file, line, lineCount }, 'Invalid range bounds in CSV');
+                    rl.close();
+                    return false;
+                }
+            } else {
+                break; // Only check first 10 lines
+            }
+        }
+
+        rl.close();
+
+        if (!headerFound) {
+            logger.error({ file }, 'CSV header not found');
+            return false;
+        }
+
+        if (lineCount < 2) {
+            logger.error({ file }, 'CSV file has no data rows');
+            return false;
+        }
+
+        logger.info({ file, size: stats.size, lines: lineCount }, 'CSV file validation passed');
+        return true;
+    } catch (error) {
+        logger.error({ error: error.message, file }, 'CSV validation error');
+        return false;
+    }
+}
+
+const concat = async (sourceFile, destination) => {
+    logger.info({ sourceFile }, 'Concatenating file');
+    return new Promise((resolve, reject) => {
+        const source = fs.createReadStream(sourceFile);
+        source.on('close', function() {
+            logger.info({ sourceFile }, 'Finished writing file');
+            resolve();
+        });
+        source.on('error', (err) => {
+            logger.error({ error: err.message, sourceFile }, 'Error reading file');
+            reject(err);
+        });
+        source.pipe(destination);
+    });
+};
+
+/**
+ * Error raised when an update cannot start
+ * @param {string} message - Error message
+ * @param {string} code - Error code (LOCKED, INVALID_PLUGINS)
+ * @param {Object} [details] - Extra fields
+ * @returns {Error} Error with `code`
+ */
+function updateError(message, code, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+/**
+ * Build the plugins for an update
+ * Naming plugins refreshes just those sources: the CSV is rebuilt from their
+ * new staging files plus the existing staging files of the others. A named
+ * plugin that fails aborts the update, so a refresh never loads a dataset
+ * missing the source it was meant to refresh.
+ * @param {Array<string>|null} [names] - Plugins to run (default: every enabled plugin)
+ * @returns {Array<Object>} Plugin wrappers
+ * @throws {Error} With code INVALID_PLUGINS if the configuration is invalid or a name is unknown or disabled
+ */
+function selectPlugins(names = null) {
+    if (!names || names.length === 0) {
+        try {
+            return buildPlugins(loadPluginConfig(appConfig.plugins.configFile, appConfig.plugins), appConfig);
+        } catch (error) {
+            throw updateError(error.message, 'INVALID_PLUGINS');
+        }
+    }
+
+    let plugins;
+    try {
+        plugins = buildPlugins(
+            loadPluginConfig(appConfig.plugins.configFile, { ...appConfig.plugins, enabled: names }),
+            appConfig
+        );
+    } catch (error) {
+        throw updateError(error.message, 'INVALID_PLUGINS');
+    }
+    const disabled = names.filter(name => !plugins.some(p => p.name === name));
+    if (disabled.length > 0) {
+        throw updateError(`Plugin(s) disabled by PLUGINS_DISABLED: ${disabled.join(', ')}`, 'INVALID_PLUGINS');
+    }
+    return plugins.map(p => ({ ...p, abortOnFail: true }));
+}
+
+const requestSchema = Joi.object({
+    download: Joi.boolean().default(true),
+    process: Joi.boolean().default(true),
+    load: Joi.boolean().default(true),
+    // Plugins to run (default: every enabled plugin)
+    plugins: Joi.array().items(Joi.string().pattern(/^[\w-]+$/)).min(1).unique(),
+    // Rebuild staging files from archived sources: snapshot id, date prefix or `latest`
+    snapshot: Joi.string().pattern(/^[\w:.-]+$/)
+});
+
+/**
+ * Validate an update request from the admin API
+ * @param {Object} body - `{download?, process?, load?, plugins?, snapshot?}`
+ * @returns {{error: (string|null), value: Object}} Validation result
+ */
+function validateUpdateRequest(body) {
+    const { error, value } = requestSchema.validate(body || {}, { abortEarly: false });
+    if (error) {
+        return { error: error.details.map(detail => detail.message).join(', ') };
+    }
+    if (value.plugins && !value.download) {
+        return { error: 'plugins requires download' };
+    }
+    if (value.snapshot && !value.download) {
+        return { error: 'snapshot requires download' };
+    }
+    return { error: null, value };
+}
+
+/**
+ * Describe a finished plugin run
+ * @param {Object} plugin - Plugin wrapper
+ * @param {Object} run - What runPlugins() saw
+ * @param {Date} run.startedAt - Start time
+ * @param {string} run.outcome - `success`, `unchanged`, `rejected` or `failed`
+ * @param {number|null} run.rows - Staged rows after a successful run
+ * @param {string} [run.error] - Failure message
+ * @returns {Object} Run record for pluginHealth.recordRun()
+ */
+function describeRun(plugin, { startedAt, outcome, rows, error }) {
+    const endedAt = new Date();
+    let fileSize = null;
+    try {
+        fileSize = plugin.outputFile ? fs.statSync(plugin.outputFile).size : null;
+    } catch (statError) {
+        // No staging file
+    }
+    const validation = plugin.stagingReport ? plugin.stagingReport() : null;
+    return {
+        plugin: plugin.name,
+        ...(plugin.getMetadata && { version: plugin.getMetadata().version }),
+        outcome,
+        startedAt: startedAt.toISOString(),
+        endedAt: endedAt.toISOString(),
+        durationMs: endedAt - startedAt,
+        rows: outcome === 'failed' ? null : rows,
+        fileSize,
+        retries: plugin.retryCount ? plugin.retryCount() : 0,
+        ...(validation && {
+            validation: {
+                rows: validation.rows,
+                rejected: validation.rejected,
+                errorRate: validation.errorRate,
+                passed: validation.passed,
+                kept: validation.kept,
+                reasons: validation.reasons
+            }
+        }),
+        ...(error && { error })
+    };
+}
+
+/**
+ * Time allowed for all plugins to finish downloading
+ */
+const DOWNLOAD_TIMEOUT_MS = 600000;
+
+/**
+ * Run the plugins, failing if one marked abortOnFail fails
+ * Past the timeout, the plugins still running are aborted and waited for
+ * before this rejects, so none of them writes staging files after the
+ * update lock is released.
+ * @param {Array<Object>} plugins - Plugin wrappers
+ * @param {Object} [options] - Run options
+ * @param {Object} [options.loadOptions] - Options passed to each plugin's load()
+ * @param {Function} [options.onProgress] - Called with per-plugin states whenever a plugin finishes
+ * @param {Function} [options.onRun] - Called with the run record (see describeRun()) of each plugin once it finishes
+ * @param {number} [options.timeoutMs=600000] - Time allowed for all plugins to finish
+ * @returns {Promise<void>}
+ * @throws {Error} If an abortOnFail plugin fails or the plugins run past the timeout
+ */
+async function runPlugins(plugins, { loadOptions, onProgress = () => {}, onRun = () => {}, timeoutMs = DOWNLOAD_TIMEOUT_MS } = {}) {
+    const states = Object.fromEntries(plugins.map(p => [p.name, 'running']));
+
+    // Cancels the plugins still running once the timeout passes
+    const controller = new AbortController();
+    // Overall timeout for downloads, raced against the plugins so it rejects
+    // the update instead of throwing from the timer
+    let downloadTimeout;
+    const timedOut = new Promise((resolve, reject) => {
+        downloadTimeout = setTimeout(() => {
+            logger.error({ timeoutMs }, 'Download timeout exceeded');
+            reject(new Error(`Download timeout exceeded (${timeoutMs / 60000} minutes)`));
+        }, timeoutMs);
+    });
+
+    const settled = Promise.allSettled(plugins.map(async (p) => {
+        const startedAt = new Date();
+        let rows = null;
+        let error;
+        try {
+            const run = await metrics.runPlugin(p, { ...loadOptions, signal: controller.signal });
+            rows = run.rows;
+            // Plugins using conditional downloads report whether they reused their previous output
+            const report = p.sourceReport ? p.sourceReport() : null;
+            // Rejected output was replaced by the last accepted one
+            const validation = p.stagingReport ? p.stagingReport() : null;
+            if (validation && !validation.passed) {
+                states[p.name] = 'rejected';
+            } else {
+                states[p.name] = report && report.unchanged ? 'unchanged' : 'success';
+            }
+            if (report) {
+                logger.info({ plugin: p.name, ...report }, 'Plugin sources checked');
+            }
+            return run.result;
+        } catch (err) {
+            states[p.name] = 'failed';
+            error = err.message;
+            throw err;
+        } finally {
+            onProgress({ ...states });
+            onRun(describeRun(p, { startedAt, outcome: states[p.name], rows, error }));
+        }
+    }));
+
+    try {
+        let results;
+        try {
+            results = await Promise.race([timedOut, settled]);
+        } catch (error) {
+            // Stop the plugins still running and wait for them to settle
+            controller.abort(error);
+            await settled;
+            throw error;
+        }
+
+        let k = 0;
+        for (const result of results) {
+            if (result.status === 'rejected' && plugins[k].abortOnFail === true) {
+                logger.error({
+                    plugin: plugins[k].name,
+                    error: result.reason
+                }, 'Plugin failed and abortOnFail is true');
+                throw new Error(`Abort: plugin [${plugins[k].name}] has been set to abort process on fail.`);
+            }
+            if (result.status === 'rejected') {
+                logger.warn({
+                    plugin: plugins[k].name,
+                    error: result.reason
+                }, 'Plugin failed but continuing');
+            }
+            k++;
+        }
+        logger.info({ results: results.map(r => ({
+            status: r.status,
+            ...(r.status === 'rejected' && { reason: r.reason })
+        })) }, 'Plugins done');
+    } finally {
+        clearTimeout(downloadTimeout);
+    }
+}
+
+/**
+ * Start an update: download (run plugins), process (concatenate staging
+ * files into the CSV) and load it into Redis
+ * The update lock is acquired before this resolves, so callers know at once
+ * whether the update runs. The returned `done` promise settles when it ends;
+ * progress is written to `update_status` and the job's own key.
+ * @param {Object} options - Update options
+ * @param {string} options.redisPrefix - Redis key prefix
+ * @param {boolean} [options.download=true] - Run plugins
+ * @param {boolean} [options.process=true] - Rebuild the CSV from the staging files
+ * @param {boolean} [options.load=true] - Load the CSV into Redis
+ * @param {Array<Object>} [options.plugins] - Plugin wrappers to run (default: selectPlugins())
+ * @param {string} [options.snapshot] - Plugins rebuild their staging files from this snapshot instead of downloading
+ * @param {boolean} [options.collectGarbage=false] - Collect garbage while loading
+ * @param {string} [options.trigger='startup'] - What started the update: startup, cron, cli or api
+ * @param {string} [options.requestedBy] - Admin key name for API triggered updates
+ * @returns {Promise<{jobId: string, done: Promise<void>}>} Job id and completion
+ * @throws {Error} With code LOCKED (and `jobId` of the running update, if known) while another update runs
+ */
+async function startUpdate({
+    redisPrefix,
+    download = true,
+    process: processStaging = true,
+    load = true,
+    plugins = null,
+    snapshot,
+    collectGarbage = false,
+    trigger = 'startup',
+    requestedBy
+}) {
+    const selected = download ? (plugins || selectPlugins()) : [];
+    const lockKey = redisPrefix + 'update_lock';
+    const jobId = crypto.randomUUID();
+    const csvFile = appConfig.app.downloadLocation;
+    const tempCsvFile = csvFile + '.tmp';
+
+    // Acquire distributed lock
+    const acquired = await updateLock.acquireLock(lockKey, 3600); // 1 hour max
+    if (!acquired) {
+        const isLocked = await updateLock.isLocked(lockKey);
+        if (isLocked) {
+            const redis = getStatusRedis();
+            const running = await redis.get(statusKey(redisPrefix)).catch(() => null);
+            await redis.quit().catch(() => {});
+            const current = running ? JSON.parse(running) : {};
+            // A skipped update records the job it gave way to
+            throw updateError('Update already in progress', 'LOCKED', {
+                jobId: current.status === 'skipped' ? current.runningJobId : current.jobId
+            });
+        }
+        throw new Error('Failed to acquire update lock');
+    }
+
+    // Get lock value for later release
+    const lockValue = await updateLock.getLockValue(lockKey);
+
+    const runPluginNames = selected.map(p => p.name);
+    const job = {
+        jobId,
+        trigger,
+        ...(requestedBy && { requestedBy }),
+        options: {
+            download,
+            process: processStaging,
+            load,
+            ...(download && { plugins: runPluginNames }),
+            ...(download && snapshot && { snapshot })
+        },
+        startedAt: new Date().toISOString()
+    };
+    await updateStatus(redisPrefix, 'in_progress', { ...job, stage: 'starting' });
+
+    const run = async () => {
+        // run plugins which stage IP lists
+        if (download) {
+            job.plugins = Object.fromEntries(runPluginNames.map(name => [name, 'running']));
+            await updateStatus(redisPrefix, 'in_progress', { ...job, stage: 'downloading' });
+            // Per-plugin progress and run records are written in order, one write at a time
+            let progress = Promise.resolve();
+            await runPlugins(selected, {
+                loadOptions: { snapshot },
+                onProgress: (states) => {
+                    job.plugins = states;
+                    progress = progress.then(() => updateStatus(redisPrefix, 'in_progress', {
+                        ...job, stage: 'downloading'
+                    }));
+                },
+                onRun: (run) => {
+                    progress = progress.then(() => recordPluginRun(redisPrefix, {
+                        ...run,
+                        jobId,
+                        trigger,
+                        ...(snapshot && { snapshot })
+                    }));
+                }
+            });
+            await progress;
+        }
+
+        if (processStaging) {
+            await updateStatus(redisPrefix, 'in_progress', { ...job, stage: 'processing' });
+            // Write to temp file first, then atomically rename
+            fs.writeFileSync(tempCsvFile, "start_int|end_int|list\n");
+
+            for (const file of fs.readdirSync(STAGING_DIR)) {
+                const theFile = `${STAGING_DIR}/${file}`;
+                if (file.match(/^\./)) {
+                    logger.debug({ file: theFile }, 'Skipping hidden file');
+                    continue;
+                }
+                const destination = fs.createWriteStream(tempCsvFile, { flags: 'a' });
+                await concat(theFile, destination);
+            }
+
+            // Validate CSV before proceeding
+            const isValid = await validateCsvFile(tempCsvFile);
+            if (!isValid) {
+                throw new Error('CSV validation failed');
+            }
+
+            // Atomically rename temp file to final file
+            if (fs.existsSync(csvFile)) {
+                fs.renameSync(csvFile, csvFile + '.backup');
+            }
+            fs.renameSync(tempCsvFile, csvFile);
+            logger.info('CSV file updated atomically');
+        }
+
+        let generation;
+        if (load) {
+            await updateStatus(redisPrefix, 'in_progress', { ...job, stage: 'loading' });
+            generation = await require('./loadToRedis').load(csvFile, redisPrefix, collectGarbage);
+            logger.info({ generation }, 'Loading done');
+        }
+
+        await updateStatus(redisPrefix, 'completed', {
+            ...job,
+            ...(generation && { generation }),
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    const done = run().catch(async (error) => {
+        logger.error({ error: error.message, stack: error.stack, jobId }, 'Update failed');
+
+        await updateStatus(redisPrefix, 'failed', {
+            ...job,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+
+        // Clean up temp file on error
+        if (fs.existsSync(tempCsvFile)) {
+            try {
+                fs.unlinkSync(tempCsvFile);
+                logger.info('Cleaned up temp CSV file');
+            } catch (cleanupError) {
+                logger.warn({ error: cleanupError.message }, 'Failed to cleanup temp CSV file');
+            }
+        }
+
+        throw error;
+    }).finally(() => updateLock.releaseLock(lockKey, lockValue));
+
+    return { jobId, done };
+}
+
+module.exports = {
+    FINAL_STATUSES,
+    statusKey,
+    jobKey,
+    getStatusRedis,
+    updateStatus,
+    getJob,
+    validateCsvFile,
+    validateUpdateRequest,
+    selectPlugins,
+    runPlugins,
+    startUpdate
+};
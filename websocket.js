@@ -1,6 +1,12 @@
 'use strict';
 
 const WebSocket = require('ws');
+const dnsbl = require('./dnsbl');
+const { extractToken } = require('./adminAuth');
+const { validateAddRequest, validateRemoveRequest } = require('./customLists');
+const { lookupCost } = require('./clientKeys');
+const { MemoryRateLimitStore } = require('./rateLimitStore');
+const metrics = require('./metrics');
 const logger = require('./logger');
 
 /**
@@ -8,43 +14,49 @@ const logger = require('./logger');
  * @param {Object} options - WebSocket server options
  * @param {http.Server} options.server - HTTP server instance
  * @param {Function} options.lookupIP - IP lookup function
+ * @param {Function} [options.lookupRange] - CIDR/range lookup function
+ * @param {Object} [options.adminAuth] - Admin auth helpers from createAdminAuth()
+ * @param {Object} [options.clientAccess] - Client key helpers from createClientAccess()
+ * @param {Function} [options.clientAddress] - Returns the client address of an upgrade request, honouring trusted proxies (default: the socket address)
+ * @param {Object} [options.rateLimitStore] - Message counter from createRateLimitStore() (default: per process)
+ * @param {Function} [options.getCustomLists] - Returns the started CustomListStore
  * @param {Object} options.config - Configuration object
  * @returns {WebSocket.Server} WebSocket server instance
  */
-function createWebSocketServer({ server, lookupIP, config }) {
+function createWebSocketServer({ server, lookupIP, lookupRange, adminAuth, clientAccess, clientAddress, rateLimitStore, getCustomLists, config }) {
     const wsLogger = logger.child({ module: 'websocket' });
     const wss = new WebSocket.Server({ 
         server,
         path: config.app.prefix.replace(/\/$/, '') + '/ws'
     });
 
-    // Rate limiting per connection
-    const messageCounts = new Map();
-    const rateLimitWindow = config.rateLimit.windowMs;
+    // Custom list messages are only offered when the admin API is enabled
+    const listsEnabled = Boolean(adminAuth && adminAuth.enabled && getCustomLists);
+    const protocols = ['lookup', 'batch']
+        .concat(lookupRange ? ['range'] : [])
+        .concat(listsEnabled ? ['list_add', 'list_remove'] : [])
+        .concat(['ping']);
+
+    const metricsEnabled = Boolean(config.metrics && config.metrics.enabled);
+
+    // Rate limiting per API key client or client address, across its connections (and instances with a Redis store)
+    const messageStore = rateLimitStore || new MemoryRateLimitStore({ windowMs: config.rateLimit.windowMs });
     const maxMessages = config.rateLimit.wsMaxMessages;
 
     /**
-     * Check if connection has exceeded rate limit
-     * @param {string} connectionId - Connection identifier
-     * @returns {boolean} True if rate limit exceeded
+     * Check if a client has exceeded the rate limit
+     * Messages are let through if the counter cannot be reached.
+     * @param {string} identity - Client identity
+     * @returns {Promise<boolean>} True if rate limit exceeded
      */
-    function checkRateLimit(connectionId) {
-        const now = Date.now();
-        const counts = messageCounts.get(connectionId) || { count: 0, resetTime: now + rateLimitWindow };
-
-        if (now > counts.resetTime) {
-            counts.count = 0;
-            counts.resetTime = now + rateLimitWindow;
-        }
-
-        counts.count++;
-        messageCounts.set(connectionId, counts);
-
-        if (counts.count > maxMessages) {
-            return true;
+    async function checkRateLimit(identity) {
+        try {
+            const { totalHits } = await messageStore.increment(identity);
+            return totalHits > maxMessages;
+        } catch (error) {
+            wsLogger.warn({ error: error.message, identity }, 'Rate limit check failed, allowing message');
+            return false;
         }
-
-        return false;
     }
 
     /**
@@ -69,7 +81,7 @@ function createWebSocketServer({ server, lookupIP, config }) {
      * @param {string} connectionId - Connection identifier
      */
     async function handleLookup(ws, data, connectionId) {
-        const { ip, requestId, dronebl, nocache, skip_cache } = data;
+        const { ip, requestId, dnsbl: dnsblProviders, dronebl, nocache, skip_cache } = data;
 
         if (!ip || typeof ip !== 'string') {
             sendError(ws, 'Invalid request: ip is required', requestId);
@@ -77,10 +89,10 @@ function createWebSocketServer({ server, lookupIP, config }) {
         }
 
         try {
-            const includeDroneBL = [1, '1', true, 'true'].includes(dronebl);
+            const dnsblSelection = dnsbl.parseSelection(dnsblProviders, dronebl);
             const skipCache = [1, '1', true, 'true'].includes(nocache) || 
                              [1, '1', true, 'true'].includes(skip_cache);
-            const result = await lookupIP(ip, includeDroneBL, skipCache);
+            const result = await lookupIP(ip, dnsblSelection, skipCache);
             const response = {
                 type: 'result',
                 ip,
@@ -101,7 +113,7 @@ function createWebSocketServer({ server, lookupIP, config }) {
      * @param {string} connectionId - Connection identifier
      */
     async function handleBatch(ws, data, connectionId) {
-        const { ips, requestId, dronebl, nocache, skip_cache } = data;
+        const { ips, requestId, dnsbl: dnsblProviders, dronebl, nocache, skip_cache } = data;
 
         if (!Array.isArray(ips) || ips.length === 0) {
             sendError(ws, 'Invalid request: ips must be a non-empty array', requestId);
@@ -114,14 +126,14 @@ function createWebSocketServer({ server, lookupIP, config }) {
         }
 
         try {
-            const includeDroneBL = [1, '1', true, 'true'].includes(dronebl);
+            const dnsblSelection = dnsbl.parseSelection(dnsblProviders, dronebl);
             const skipCache = [1, '1', true, 'true'].includes(nocache) || 
                              [1, '1', true, 'true'].includes(skip_cache);
             const results = {};
             await Promise.all(
                 ips.map(async (ip) => {
                     try {
-                        const result = await lookupIP(ip, includeDroneBL, skipCache);
+                        const result = await lookupIP(ip, dnsblSelection, skipCache);
                         results[ip] = result === null ? {} : result;
                     } catch (error) {
                         wsLogger.warn({ error: error.message, ip }, 'Batch lookup item error');
@@ -142,6 +154,95 @@ function createWebSocketServer({ server, lookupIP, config }) {
         }
     }
 
+    /**
+     * Handle range lookup message
+     * @param {WebSocket} ws - WebSocket connection
+     * @param {Object} data - Message data
+     * @param {string} connectionId - Connection identifier
+     */
+    async function handleRange(ws, data, connectionId) {
+        const { range, limit, requestId } = data;
+
+        if (!range || typeof range !== 'string') {
+            sendError(ws, 'Invalid request: range is required', requestId);
+            return;
+        }
+
+        try {
+            const result = await lookupRange(range, limit);
+            if (result === false) {
+                sendError(ws, 'Invalid request: invalid range', requestId);
+                return;
+            }
+            const response = {
+                type: 'range_result',
+                range,
+                data: result,
+                ...(requestId && { requestId })
+            };
+            ws.send(JSON.stringify(response));
+        } catch (error) {
+            wsLogger.error({ error: error.message, range, connectionId }, 'Range lookup error');
+            sendError(ws, `Range lookup failed: ${error.message}`, requestId);
+        }
+    }
+
+    /**
+     * Handle custom list add/remove message
+     * Requires an operator key, taken from the message or from the upgrade
+     * request headers. Every attempt is audited with the caller identity.
+     * @param {WebSocket} ws - WebSocket connection
+     * @param {Object} data - Message data
+     * @param {string} connectionId - Connection identifier
+     * @param {string|null} headerToken - Token sent with the upgrade request
+     * @param {string} remoteAddress - Client address
+     */
+    async function handleListChange(ws, data, connectionId, headerToken, remoteAddress) {
+        const { list, token, requestId } = data;
+        const action = data.type === 'list_add' ? 'add' : 'remove';
+        const auditAction = `ws ${data.type} ${list}`;
+
+        const identity = adminAuth.authenticate(token || headerToken);
+        if (!identity) {
+            wsLogger.warn({ connectionId, list }, 'Rejected unauthenticated list change');
+            adminAuth.audit(null, auditAction, { outcome: 'unauthenticated', ip: remoteAddress });
+            sendError(ws, 'Unauthorized', requestId);
+            return;
+        }
+        if (!adminAuth.authorize(identity, 'operator')) {
+            adminAuth.audit(identity, auditAction, { outcome: 'forbidden', ip: remoteAddress });
+            sendError(ws, 'Forbidden: operator role required', requestId);
+            return;
+        }
+
+        const body = action === 'add'
+            ? { entries: data.entries, ...(data.label && { label: data.label }), ...(data.ttl && { ttl: data.ttl }) }
+            : { entries: data.entries };
+        const { error, value } = action === 'add'
+            ? validateAddRequest(list, body)
+            : validateRemoveRequest(list, body);
+        if (error) {
+            sendError(ws, `Invalid request: ${error}`, requestId);
+            return;
+        }
+
+        try {
+            const store = getCustomLists();
+            const result = action === 'add' ? await store.add(list, value) : await store.remove(list, value);
+            adminAuth.audit(identity, auditAction, { outcome: 'success', ip: remoteAddress });
+            ws.send(JSON.stringify({
+                type: 'list_result',
+                action,
+                ...result,
+                ...(requestId && { requestId })
+            }));
+        } catch (err) {
+            adminAuth.audit(identity, auditAction, { outcome: 'failure', ip: remoteAddress });
+            wsLogger.error({ error: err.message, list, connectionId }, 'Custom list change error');
+            sendError(ws, `List ${action} failed: ${err.message}`, requestId);
+        }
+    }
+
     /**
      * Handle ping message
      * @param {WebSocket} ws - WebSocket connection
@@ -157,33 +258,92 @@ function createWebSocketServer({ server, lookupIP, config }) {
         ws.send(JSON.stringify(response));
     }
 
+    /**
+     * Identify the client of a new connection
+     * The API key is sent as a header or `api_key` query parameter on the
+     * upgrade request. An admin key is accepted too, so list changes can
+     * authenticate with the header.
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {string|null} headerToken - Credential from the upgrade headers
+     * @returns {{client: (Object|null), admin: boolean, error: (string|undefined)}} Connection identity
+     */
+    function identifyConnection(req, headerToken) {
+        if (!clientAccess) {
+            return { client: null, admin: false };
+        }
+        const token = headerToken || new URL(req.url, 'http://localhost').searchParams.get('api_key');
+        if (!token) {
+            return clientAccess.allowAnonymous
+                ? { client: null, admin: false }
+                : { client: null, admin: false, error: 'API key required' };
+        }
+        const client = clientAccess.authenticate(token);
+        const admin = !client && Boolean(adminAuth && adminAuth.authenticate(token));
+        return client || admin ? { client, admin } : { client: null, admin: false, error: 'Invalid API key' };
+    }
+
     wss.on('connection', (ws, req) => {
-        const connectionId = `${req.socket.remoteAddress}-${Date.now()}`;
-        wsLogger.info({ connectionId, remoteAddress: req.socket.remoteAddress }, 'WebSocket connection opened');
+        const remoteAddress = clientAddress ? clientAddress(req) : req.socket.remoteAddress;
+        const connectionId = `${remoteAddress}-${Date.now()}`;
+        const headerToken = extractToken(req.headers);
+        const { client, admin, error: identityError } = identifyConnection(req, headerToken);
+        if (identityError) {
+            wsLogger.warn({ remoteAddress }, `Rejected WebSocket connection: ${identityError}`);
+            ws.close(1008, identityError);
+            return;
+        }
+        // Rate limit counters follow the API key client, or the address without one
+        const rateLimitKey = client ? `client:${client.name}` : `ip:${remoteAddress}`;
+        wsLogger.info({
+            connectionId,
+            remoteAddress,
+            ...(client && { client: client.name })
+        }, 'WebSocket connection opened');
 
         // Send welcome message
         ws.send(JSON.stringify({
             type: 'connected',
             message: 'WebSocket connection established',
-            protocols: ['lookup', 'batch', 'ping']
+            protocols
         }));
 
         ws.on('message', async (message) => {
-            // Check rate limit
-            if (checkRateLimit(connectionId)) {
+            // Parsed up front so a batch can be charged by its size; errors are reported below
+            let data, parseError = null;
+            try {
+                data = JSON.parse(message.toString());
+            } catch (error) {
+                parseError = error;
+            }
+
+            if (await checkRateLimit(rateLimitKey)) {
                 sendError(ws, 'Rate limit exceeded');
                 ws.close(1008, 'Rate limit exceeded');
                 return;
             }
+            // API key clients also count every message (a batch by its IPs) against their quota
+            if (client) {
+                const cost = data && data.type === 'batch' ? lookupCost(data.ips) : 1;
+                if (!(await clientAccess.consume(client, cost)).allowed) {
+                    sendError(ws, 'Quota exceeded');
+                    ws.close(1008, 'Quota exceeded');
+                    return;
+                }
+            } else if (clientAccess && !admin) {
+                clientAccess.recordAnonymous();
+            }
 
             try {
-                const data = JSON.parse(message.toString());
+                if (parseError) {
+                    throw parseError;
+                }
 
-                if (!data.type) {
+                if (!data || !data.type) {
                     sendError(ws, 'Invalid request: type is required');
                     return;
                 }
 
+                const start = process.hrtime.bigint();
                 switch (data.type) {
                     case 'lookup':
                         await handleLookup(ws, data, connectionId);
@@ -191,12 +351,32 @@ function createWebSocketServer({ server, lookupIP, config }) {
                     case 'batch':
                         await handleBatch(ws, data, connectionId);
                         break;
+                    case 'range':
+                        if (!lookupRange) {
+                            sendError(ws, `Unknown message type: ${data.type}`);
+                            break;
+                        }
+                        await handleRange(ws, data, connectionId);
+                        break;
+                    case 'list_add':
+                    case 'list_remove':
+                        if (!listsEnabled) {
+                            sendError(ws, `Unknown message type: ${data.type}`);
+                            break;
+                        }
+                        await handleListChange(ws, data, connectionId, headerToken, remoteAddress);
+                        break;
                     case 'ping':
                         handlePing(ws, data);
                         break;
                     default:
                         sendError(ws, `Unknown message type: ${data.type}`);
                 }
+                if (metricsEnabled) {
+                    // Unknown types share one label so clients cannot create new series
+                    const type = protocols.includes(data.type) ? data.type : 'unknown';
+                    metrics.observeWsMessage(type, Number(process.hrtime.bigint() - start) / 1e9);
+                }
             } catch (error) {
                 if (error instanceof SyntaxError) {
                     sendError(ws, 'Invalid JSON format');
@@ -208,7 +388,6 @@ function createWebSocketServer({ server, lookupIP, config }) {
         });
 
         ws.on('close', (code, reason) => {
-            messageCounts.delete(connectionId);
             wsLogger.info({ connectionId, code, reason: reason.toString() }, 'WebSocket connection closed');
         });
 